@@ -57,6 +57,8 @@ obstacle_found = False
 
 # How many balls have been collected so far
 balls_collected = 0
+# Sequence number of the last sensor message sent - lets the controller detect lost, duplicate and reordered messages
+msg_id = 0
 
 def callback(message):
         global previous_command_timestamp
@@ -64,6 +66,7 @@ def callback(message):
         global mode
         global sensor_rate
         global stream_messages
+        global send_next_message
         global balls_collected
         envelope = json.loads(message.data.decode('utf-8'))
         output = json.dumps(envelope)
@@ -75,6 +78,19 @@ def callback(message):
         dict_data = json.loads(envelope)  # convert json to type dict
 
         if 'cloudTimestampMs' in dict_data and 'actions' in dict_data and 'mode' in dict_data and 'sensorRate' in dict_data:
+            ### emergency stop is applied right away (even if it arrived out of order): drop all queued actions and stop the motors
+            if dict_data.get('priority') == 'high' and any('stop' in action for action in dict_data['actions']):
+                print("callback(): !!!!!!!!!!!!!!!!!!!! EMERGENCY STOP - dropping " + str(len(action_queue)) + " queued actions")
+                action_queue.clear()
+                myCar.EmergencyStop()
+                mode = dict_data['mode']
+                sensor_rate = dict_data['sensorRate']
+                stream_messages = False
+                send_next_message = False
+                previous_command_timestamp = max(previous_command_timestamp, dict_data['cloudTimestampMs'])
+                message.ack()
+                return
+
             mode = dict_data['mode']
             sensor_rate = dict_data['sensorRate']
             print("callback(): Command sensorRate: {}".format(sensor_rate))
@@ -92,6 +108,8 @@ def callback(message):
             ### process only new commads and disgregard old messages
             if dict_data['cloudTimestampMs'] > previous_command_timestamp:
                 previous_command_timestamp = dict_data['cloudTimestampMs']
+                # The controller only sends new commands after the car has been re-armed
+                myCar.ReleaseEmergencyStop()
 
                 # if 'carTimestampMs' in dict_data:
                 #     carTimestamp = dict_data['carTimestampMs']
@@ -466,8 +484,14 @@ if __name__ == '__main__':
                     sensors["frontLaserDistanceMm"] = distance
                     sensors["frontCameraImagePath"] = public_image_url
                     sensors["frontCameraImagePathGCS"] = gcs_image_url
+                    msg_id += 1
                     data = {}
+                    data["version"] = "1.0"
+                    data["msgId"] = msg_id
                     data["timestampMs"] = timestampMs
+                    # Tells the cloud which command we have acted on
+                    if (previous_command_timestamp > 0):
+                        data["lastCommandTimestampMs"] = previous_command_timestamp
                     data["carId"] = carId
                     data["carState"] = carState
                     data["sensors"] = sensors
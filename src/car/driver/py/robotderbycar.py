@@ -59,8 +59,25 @@ class RobotDerbyCar(easygopigo3.EasyGoPiGo3):
         self.CONST_GRIPPER_GRAB_POSITION = 120
         self.gpgGripper = easygopigo3.Servo("SERVO1", self.Easy_GPG)
         self.my_distance_sensor = self.Easy_GPG.init_distance_sensor()
+        # Set by EmergencyStop() from the message thread, makes drive() and turn_degrees() give up right away
+        self.emergency_stop = False
         self.SetLEDsGreen()
 
+    def EmergencyStop(self):
+        """
+        Stop both motors where they are and abandon the move in progress. Called from the message thread
+        while the main thread may be inside of drive() or turn_degrees()
+        """
+        self.emergency_stop = True
+        self.Easy_GPG.set_motor_position(self.Easy_GPG.MOTOR_LEFT, self.Easy_GPG.get_motor_encoder(self.Easy_GPG.MOTOR_LEFT))
+        self.Easy_GPG.set_motor_position(self.Easy_GPG.MOTOR_RIGHT, self.Easy_GPG.get_motor_encoder(self.Easy_GPG.MOTOR_RIGHT))
+        self.SetLEDsRed()
+
+    def ReleaseEmergencyStop(self):
+        if self.emergency_stop:
+            self.emergency_stop = False
+            self.SetLEDsGreen()
+
     def SetLEDsYellow(self):
         self.Easy_GPG.set_left_eye_color((255,255,0))
         self.Easy_GPG.set_right_eye_color((255,255,0))
@@ -107,8 +124,18 @@ class RobotDerbyCar(easygopigo3.EasyGoPiGo3):
 
     def turn_degrees(self,degress):
         self.SetLEDsRed()
-        self.Easy_GPG.turn_degrees(degress,True)
-        self.SetLEDsGreen()
+        # Not blocking, so the turn can be abandoned by the emergency stop
+        StartPositionLeft = self.Easy_GPG.get_motor_encoder(self.Easy_GPG.MOTOR_LEFT)
+        StartPositionRight = self.Easy_GPG.get_motor_encoder(self.Easy_GPG.MOTOR_RIGHT)
+        WheelTurnDegrees = ((self.Easy_GPG.WHEEL_BASE_CIRCUMFERENCE * degress / 360) / self.Easy_GPG.WHEEL_CIRCUMFERENCE) * 360
+        self.Easy_GPG.turn_degrees(degress,False)
+        while self.Easy_GPG.target_reached(StartPositionLeft + WheelTurnDegrees, StartPositionRight - WheelTurnDegrees) is False:
+            if self.emergency_stop:
+                print("RobotDerbyCar.turn_degrees(): Emergency stop")
+                break
+            time.sleep(0.05)
+        if not self.emergency_stop:
+            self.SetLEDsGreen()
 
     def drive(self,dist_requested,dist_limit):
         """
@@ -136,6 +163,10 @@ class RobotDerbyCar(easygopigo3.EasyGoPiGo3):
         self.Easy_GPG.set_motor_position(self.Easy_GPG.MOTOR_RIGHT, EndPositionRight)
 
         while self.Easy_GPG.target_reached(EndPositionLeft, EndPositionRight) is False:
+            if self.emergency_stop:
+                print("RobotDerbyCar.drive(): Emergency stop")
+                return ObstaclesFound
+
             # read the distance of the laser sensor
             dist_read = self.ReadDistanceMM()
 
@@ -18,9 +18,11 @@
 
 const process = require('process'); // Required for mocking environment variables
 var SensorMessage = require('../../../cloud/controller/js/sensor-message'); // Library for messages and sensors
+// Message transport shared with the driving controller - PubSub, in-memory or MQTT, see MESSAGE_TRANSPORT
+var createTransport = require('../../../cloud/controller/js/transport').createTransport;
 
 const SIMULATION_IMG_FOLDER = process.env.TEST_IMAGE_FOLDER; // Location of test images
-const BUCKET = process.env.CAR_CAMERA_BUCKET; // Bucket where images will be uploaded to
+const BUCKET = process.env.CAR_CAMERA_BUCKET; // Bucket where images will be uploaded to (images are not uploaded if it is not set)
 const TOPIC = process.env.SENSOR_TOPIC; // Where to post messages
 const ITERATIONS = process.env.NUM_ITERATIONS; // How many messages to send
 const THINK_TIME = process.env.DELAY; // How long to wait between sending simulated messages to the topic
@@ -42,10 +44,8 @@ let data = [
 
 log(`START: Simulating car sensors... SIMULATION_IMG_FOLDER=${SIMULATION_IMG_FOLDER}, BUCKET=${BUCKET}, THINK_TIME=${THINK_TIME}, TOPIC=${TOPIC}`);
 
-// Pubsub client
-const PubSub = require('@google-cloud/pubsub');
-const pubsub = PubSub();
-const sensorTopic = pubsub.topic(TOPIC);
+// Messaging client
+const transport = createTransport();
 
 // GCS client
 const Storage = require('@google-cloud/storage');
@@ -61,6 +61,11 @@ let iteration = 0;
  **************************************************************************/
 function uploadImage(image) {
   let imagePath = `${SIMULATION_IMG_FOLDER}/${image}`;
+  // Running offline without GCS - the controller gets the path of the local file
+  if (!BUCKET) {
+    log(`uploadImage(): CAR_CAMERA_BUCKET is not set, using local file ${imagePath}`);
+    return imagePath;
+  }
   log(`uploadImage(): Uploading ${imagePath}...`);
   storage
     .bucket(BUCKET)
@@ -99,8 +104,10 @@ function sendOneMessage() {
   }
 
   let imageUrl = uploadImage(`${image}`);
+  // Same as the car, send the public URL of the image along with its GCS path
+  let publicImageUrl = BUCKET ? `https://storage.googleapis.com/${BUCKET}/${image}` : imageUrl;
   let message = JSON.stringify(
-    new SensorMessage(data[i].car, data[i].balls, data[i].battery, data[i].timeLeft, data[i].laser, imageUrl, data[i].color));
+    new SensorMessage(data[i].car, data[i].balls, false, data[i].battery, data[i].laser, publicImageUrl, imageUrl, data[i].color));
     
     
     // 
@@ -114,15 +121,15 @@ function sendOneMessage() {
   const sleepTimeMs = 1000;
   setTimeout(function sendMessage() {
     if (message.length > 0) {
-      sensorTopic.publish(message, (err) => {
-        if (err) {
+      transport.publish(TOPIC, message)
+        .then(() => {
+          messagesSent++;
+          log(`Message #${messagesSent} sent to ${TOPIC}: <${message}>`);
+        })
+        .catch((err) => {
           log(err);
           totalErrors++;
-          return;
-        }
-        messagesSent++;
-        log(`Message #${messagesSent} sent to PubSub: <${message}>`);
-      });
+        });
     }
     else {
       log('Command is empty - Nothing to send');
@@ -47,6 +47,8 @@ setup_once()
     npm -v
     echo_my "Installing npm modules..."
     npm install
+    # Message transport is shared with the driving controller and uses its npm modules
+    (cd ../../../cloud/controller/js && npm install)
 }
 
 ###############################################
@@ -0,0 +1,221 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+// Batch size, flush interval, retries and table names are read from the configuration every time
+var config = require('./config').config;
+
+// Rows are streamed into BigQuery
+const BIGQUERY_SINK = "bigquery";
+// Rows are appended to local NDJSON files - for offline development and tests
+const NDJSON_SINK = "ndjson";
+// Rows are not written anywhere
+const NO_SINK = "none";
+
+/************************************************************
+  Buffered analytics pipeline: sensor messages and driving commands of the cars become rows of
+  the BQ_SENSOR_MESSAGE_TABLE and BQ_DRIVE_MESSAGE_TABLE tables.
+
+  Rows are buffered per table and written as one batch once ANALYTICS_BATCH_SIZE rows are buffered
+  or every ANALYTICS_FLUSH_SEC seconds. A failed batch is written again after ANALYTICS_RETRY_BASE_MS,
+  doubling the delay every time, up to ANALYTICS_MAX_RETRIES times. Batches that still fail (or that the
+  sink rejects as permanent failures) are appended to ANALYTICS_DEAD_LETTER_FILE, one line per batch:
+    { "timestampMs": 1519509836918, "table": "sensor_messages", "error": "...", "attempts": 6, "rows": [...] }
+
+  The sink does the actual writing, every sink implements the same interface:
+    - insert(table, rows) - returns a Promise which is resolved once the rows have been written.
+      Errors with "permanent" set are not retried, "rows" of such error are the rows that failed
+  Sink is chosen by ANALYTICS_SINK setting: "bigquery" (see bigquery-sink.js), "ndjson" (see ndjson-sink.js) or "none"
+ ************************************************************/
+class AnalyticsPipeline {
+
+  // Sink to write the batches to (undefined when analytics is off) and its type for the dashboard
+  constructor(sink, type) {
+    this.sink = sink;
+    this.type = type;
+    // Rows waiting to be written: { table: [rows] }
+    this.buffers = {};
+    // Batches being written (or waiting for a retry)
+    this.inFlight = new Set();
+    this.timer = undefined;
+    this.rowsWritten = 0;
+    this.batchesWritten = 0;
+    this.batchRetries = 0;
+    this.batchesDeadLettered = 0;
+    this.rowsDeadLettered = 0;
+    this.lastError = undefined;
+    if (this.sink) {
+      this.scheduleFlush();
+    }
+  }
+
+  /************************************************************
+    Write rows for every sensor message and driving command of the car
+   ************************************************************/
+  attach(car) {
+    if (!this.sink) {
+      return;
+    }
+    car.on('sensor', (data) => this.add(config.get('BQ_SENSOR_MESSAGE_TABLE', car.carId), row(car.carId, 'receivedMs', data)));
+    car.on('command', (command) => this.add(config.get('BQ_DRIVE_MESSAGE_TABLE', car.carId), row(car.carId, 'sentMs', command)));
+  }
+
+  /************************************************************
+    Buffer a single row of the table, write the batch if the buffer is full
+   ************************************************************/
+  add(table, row) {
+    this.buffers[table] = this.buffers[table] || [];
+    this.buffers[table].push(row);
+    if (this.buffers[table].length >= config.get('ANALYTICS_BATCH_SIZE')) {
+      this.flushTable(table);
+    }
+  }
+
+  scheduleFlush() {
+    this.timer = setTimeout(() => {
+      this.flush();
+      this.scheduleFlush();
+    }, config.get('ANALYTICS_FLUSH_SEC') * 1000);
+    // Buffered rows should not keep the process alive
+    this.timer.unref();
+  }
+
+  /************************************************************
+    Write all buffered rows
+    Output:
+      - promise resolved once all batches (including the earlier ones) are written or dead lettered
+   ************************************************************/
+  flush() {
+    Object.keys(this.buffers).forEach((table) => this.flushTable(table));
+    return Promise.all(Array.from(this.inFlight));
+  }
+
+  flushTable(table) {
+    let rows = this.buffers[table];
+    if (rows === undefined || rows.length == 0) {
+      return;
+    }
+    this.buffers[table] = [];
+    let batch = this.writeBatch(table, rows, 0)
+      .then(() => this.inFlight.delete(batch));
+    this.inFlight.add(batch);
+  }
+
+  /************************************************************
+    Write the batch, retry with backoff and dead letter it when it can not be written
+    Output:
+      - promise resolved with the final outcome (it is never rejected)
+   ************************************************************/
+  writeBatch(table, rows, attempt) {
+    return this.sink.insert(table, rows)
+      .then(() => {
+        this.rowsWritten += rows.length;
+        this.batchesWritten++;
+        console.log("AnalyticsPipeline.writeBatch(): " + rows.length + " rows written to " + table);
+      })
+      .catch((err) => {
+        this.lastError = { timestampMs: new Date().getTime(), table: table, message: err.message };
+        if (err.permanent) {
+          return this.deadLetter(table, err.rows || rows, err, attempt + 1);
+        }
+        if (attempt >= config.get('ANALYTICS_MAX_RETRIES')) {
+          return this.deadLetter(table, rows, err, attempt + 1);
+        }
+        let delayMs = config.get('ANALYTICS_RETRY_BASE_MS') * Math.pow(2, attempt);
+        this.batchRetries++;
+        console.error("ERROR: AnalyticsPipeline.writeBatch(): writing " + rows.length + " rows to " + table + " failed (" + err.message + "), retrying in " + delayMs + " ms");
+        return new Promise((resolve) => setTimeout(resolve, delayMs))
+          .then(() => this.writeBatch(table, rows, attempt + 1));
+      });
+  }
+
+  deadLetter(table, rows, err, attempts) {
+    let file = config.get('ANALYTICS_DEAD_LETTER_FILE');
+    this.batchesDeadLettered++;
+    this.rowsDeadLettered += rows.length;
+    console.error("ERROR: AnalyticsPipeline.deadLetter(): " + rows.length + " rows of " + table + " could not be written after " + attempts + " attempts (" + err.message + "), saving them to " + file);
+    let line = JSON.stringify({ timestampMs: new Date().getTime(), table: table, error: err.message, attempts: attempts, rows: rows }) + '\n';
+    return new Promise((resolve) => {
+      fs.appendFile(file, line, (appendErr) => {
+        if (appendErr) {
+          console.error("ERROR: AnalyticsPipeline.deadLetter(): can not write " + file + ": " + appendErr);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /************************************************************
+    Stop the flush timer and write everything that is buffered (on shutdown)
+   ************************************************************/
+  close() {
+    clearTimeout(this.timer);
+    return this.sink ? this.flush() : Promise.resolve();
+  }
+
+  /************************************************************
+    Counters of the pipeline for the dashboard
+   ************************************************************/
+  status() {
+    return {
+      sink: this.type,
+      rowsBuffered: Object.keys(this.buffers).reduce((sum, table) => sum + this.buffers[table].length, 0),
+      batchesInFlight: this.inFlight.size,
+      rowsWritten: this.rowsWritten,
+      batchesWritten: this.batchesWritten,
+      batchRetries: this.batchRetries,
+      batchesDeadLettered: this.batchesDeadLettered,
+      rowsDeadLettered: this.rowsDeadLettered,
+      lastError: this.lastError || null
+    };
+  }
+}
+
+/************************************************************
+  Row of the table: the message itself along with the project, car and the time it went through the controller
+ ************************************************************/
+function row(carId, timeField, message) {
+  return Object.assign({ projectId: config.get('GOOGLE_CLOUD_PROJECT'), carId: carId, [timeField]: new Date().getTime() }, message);
+}
+
+/************************************************************
+  Analytics pipeline writing into the sink chosen by ANALYTICS_SINK
+ ************************************************************/
+function createAnalyticsPipeline(type) {
+  type = type || config.get('ANALYTICS_SINK');
+  console.log("createAnalyticsPipeline(): using '" + type + "' analytics sink");
+
+  // Sinks are loaded on demand so their client libraries are only needed when used
+  if (type == BIGQUERY_SINK) {
+    var BigQuerySink = require('./bigquery-sink');
+    return new AnalyticsPipeline(new BigQuerySink(config.get('BQ_PROJECT_ID'), config.get('BQ_DATASET'), config.get('BQ_KEY_FILE')), type);
+  } else if (type == NDJSON_SINK) {
+    var NdjsonSink = require('./ndjson-sink');
+    return new AnalyticsPipeline(new NdjsonSink(config.get('ANALYTICS_NDJSON_DIR')), type);
+  } else if (type == NO_SINK) {
+    return new AnalyticsPipeline(undefined, type);
+  }
+  throw new Error("createAnalyticsPipeline(): unknown analytics sink '" + type + "', expected one of: " +
+    [BIGQUERY_SINK, NDJSON_SINK, NO_SINK].join(", "));
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.AnalyticsPipeline = AnalyticsPipeline;
+module.exports.createAnalyticsPipeline = createAnalyticsPipeline;
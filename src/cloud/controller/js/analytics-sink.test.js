@@ -0,0 +1,103 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+const EventEmitter = require('events');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('./config').config;
+var AnalyticsPipeline = require('./analytics-sink').AnalyticsPipeline;
+var NdjsonSink = require('./ndjson-sink');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-test-'));
+}
+
+/************************************************************
+  Sink that fails the first "failures" inserts, then keeps the rows written
+ ************************************************************/
+function failingSink(failures, permanent) {
+  return {
+    rows: [],
+    insert: function (table, rows) {
+      if (failures > 0) {
+        failures--;
+        let err = new Error("quota exceeded");
+        err.permanent = permanent;
+        return Promise.reject(err);
+      }
+      this.rows = this.rows.concat(rows);
+      return Promise.resolve();
+    }
+  };
+}
+
+test.before(() => {
+  config.set('ANALYTICS_BATCH_SIZE', 2, undefined, "test");
+  config.set('ANALYTICS_MAX_RETRIES', 2, undefined, "test");
+  config.set('ANALYTICS_RETRY_BASE_MS', 10, undefined, "test");
+  config.set('ANALYTICS_DEAD_LETTER_FILE', path.join(tempDir(), 'dead-letter.ndjson'), undefined, "test");
+});
+
+test('sensor messages and commands of the car become rows written in batches to the NDJSON files', (t) => {
+  let dir = tempDir();
+  let pipeline = new AnalyticsPipeline(new NdjsonSink(dir), "ndjson");
+  let car = new EventEmitter();
+  car.carId = "1";
+  pipeline.attach(car);
+  car.emit('sensor', { timestampMs: 1000 });
+  t.is(pipeline.status().rowsBuffered, 1);
+  car.emit('sensor', { timestampMs: 2000 });
+  car.emit('command', { cloudTimestampMs: 3000 });
+  return pipeline.flush()
+    .then(() => pipeline.close())
+    .then(() => {
+      let files = fs.readdirSync(dir).sort();
+      t.is(files.length, 2);
+      let rows = files.map((file) => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map((line) => JSON.parse(line)));
+      let sensorRows = rows.find((table) => table[0].receivedMs !== undefined);
+      t.deepEqual(sensorRows.map((row) => [row.carId, row.timestampMs]), [["1", 1000], ["1", 2000]]);
+      t.is(pipeline.status().rowsWritten, 3);
+      t.is(pipeline.status().rowsBuffered, 0);
+    });
+});
+
+test('failed batch is written again with backoff', (t) => {
+  let sink = failingSink(2, false);
+  let pipeline = new AnalyticsPipeline(sink, "test");
+  pipeline.add("sensor_messages", { a: 1 });
+  return pipeline.close().then(() => {
+    t.deepEqual(sink.rows, [{ a: 1 }]);
+    t.is(pipeline.status().batchRetries, 2);
+    t.is(pipeline.status().lastError.message, "quota exceeded");
+  });
+});
+
+test('batches that keep failing or fail for good go to the dead letter file', (t) => {
+  let pipeline = new AnalyticsPipeline(failingSink(10, false), "test");
+  pipeline.add("sensor_messages", { a: 1 });
+  let permanent = new AnalyticsPipeline(failingSink(1, true), "test");
+  permanent.add("drive_messages", { b: 2 });
+  return Promise.all([pipeline.close(), permanent.close()]).then(() => {
+    t.is(pipeline.status().batchRetries, 2);
+    t.is(pipeline.status().rowsDeadLettered, 1);
+    t.is(permanent.status().batchRetries, 0);
+    let batches = fs.readFileSync(config.get('ANALYTICS_DEAD_LETTER_FILE'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    t.deepEqual(batches.map((batch) => [batch.table, batch.attempts, batch.rows]).sort(), [["drive_messages", 1, [{ b: 2 }]], ["sensor_messages", 3, [{ a: 1 }]]]);
+  });
+});
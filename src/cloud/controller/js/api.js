@@ -0,0 +1,517 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const express = require('express');
+var manualCommand = require('./manual-driving').manualCommand;
+var manualCommandFields = require('./manual-driving').manualCommandFields;
+var teleopCommand = require('./teleop').teleopCommand;
+const TELEOP_ACTIONS = require('./teleop').TELEOP_ACTIONS;
+var replayMacro = require('./macros').replayMacro;
+var streamTelemetry = require('./telemetry').streamTelemetry;
+var queryFilter = require('./session-log').queryFilter;
+var ranking = require('./match').ranking;
+var remainingSec = require('./match').remainingSec;
+const BALL_COLORS = require('./drive-message').BALL_COLORS;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const DRIVER_ROLE = require('./auth').DRIVER_ROLE;
+const ADMIN_ROLE = require('./auth').ADMIN_ROLE;
+var config = require('./config').config;
+
+/************************************************************
+  JSON REST API (mounted under /api/v1). Reads are GET and open to any role (unless marked otherwise), state changes are POST, PUT or DELETE
+  and need the role in brackets (see auth.js). Scripts should use bearer tokens, requests with basic auth
+  need the X-CSRF-Token header as returned by GET /whoami:
+
+    GET  /whoami                           - name and role of the user and the CSRF token
+    GET  /cars                             - status of all cars in the fleet
+    GET  /cars/:carId                      - status counters, driving mode and color of the car
+    GET  /cars/:carId/inbound_history      - sensor messages received from the car (?limit=N for the last N)
+    GET  /cars/:carId/outbound_history     - driving commands sent to the car (?limit=N for the last N)
+    GET  /cars/:carId/rejected_history     - rejected sensor messages with the reasons of rejection (?limit=N for the last N)
+    GET  /cars/:carId/traces               - navigation decision traces of the commands sent (?limit=N for the last N), see decision-trace.js
+    GET  /cars/:carId/traces/:commandId    - the command with the given cloudTimestampMs and the trace of the decision behind it
+    GET  /cars/:carId/command_acks         - recent commands with acknowledgement state, round trip time and alerts
+    GET  /cars/:carId/overlay              - objects detected in the most recent picture and the one navigation picked (see vision-overlay.js)
+    PUT  /cars/:carId/mode                 - { "mode": "automatic" | "manual" | "debug" } (admin), 409 while emergency stopped
+    PUT  /cars/:carId/color                - { "color": "Red" | "Blue" | "Green" | "Yellow" } (driver)
+    PUT  /cars/:carId/listener             - { "running": true | false } (admin)
+    POST /cars/:carId/commands             - manual command, see manualCommandFields() for the format (driver), 409 while emergency stopped
+    POST /cars/:carId/teleop               - { "action": "forward" | "backward" | "left" | "right" | "gripperOpen" | "gripperClose", "speed": 1-1000 }
+                                             short burst for keyboard and gamepad driving (driver), 409 unless in manual mode,
+                                             429 with Retry-After when sent too fast (see teleop.js)
+    POST /cars/:carId/estop                - emergency stop, { "reason": "..." } is optional (driver)
+    POST /cars/:carId/rearm                - release the emergency stop, the car stays in manual mode (admin)
+    POST /estop                            - emergency stop of every car, { "reason": "..." } is optional (driver)
+    POST /cars/:carId/reset                - reset statistics and history (admin)
+    GET  /cars/:carId/debugger             - driving command waiting for approval in debug mode or at a breakpoint
+    POST /cars/:carId/debugger             - { "action": "send" | "next_sensor_message" | "resume" | "step" } (driver),
+                                             resume and step send the command held at the breakpoint, 409 when not paused
+    GET  /cars/:carId/breakpoints          - breakpoints of the car and the breakpoint it is paused at
+    POST /cars/:carId/breakpoints          - { "type": "goal" | "score" | "obstacle" | "goalCount", ... } (driver), see breakpoints.js
+    DELETE /cars/:carId/breakpoints/:id    - remove the breakpoint (driver)
+    GET  /cars/:carId/stream               - live telemetry of the car as Server-Sent Events (see telemetry.js)
+    GET  /config                           - settings with effective values and sources, ?car=N for the car (admin)
+    PUT  /config/:key                      - { "value": <value>, "car": <carId or omitted for all cars> } (admin)
+    DELETE /config/:key                    - remove the runtime change, ?car=N for the car (admin)
+    POST /config/reload                    - re-read the config file and environment (admin)
+    GET  /config/audit                     - runtime changes of the configuration (admin)
+    GET  /sessions                         - recorded sessions (see session-log.js)
+    GET  /sessions/:sessionId/records      - records of the session, filtered by ?from=&to=&car=&type=
+    GET  /matches                          - finished matches (see match.js)
+    POST /matches                          - start the countdown, { "cars": [...], "countdownSec": N, "durationSec": N } all optional (admin),
+                                             409 while another match is on
+    GET  /matches/current                  - match counting down or running with its scores and the seconds left, 404 if there is none
+    POST /matches/current/stop             - stop the current match (admin)
+    POST /matches/current/penalties        - { "car": <carId>, "points": N, "reason": "..." }, points are optional (admin)
+    GET  /matches/:matchId                 - scores and timeline of the match
+    GET  /macros                           - recorded manual macros (see macros.js)
+    GET  /macros/:name                     - steps of the macro
+    PUT  /macros/:name                     - { "steps": [[{ "setSpeed": 300 }, { "driveForwardMm": 200 }], ...] } create or replace the macro (driver)
+    DELETE /macros/:name                   - remove the macro (driver)
+    POST /cars/:carId/macros/:name/replay  - { "speedScale": 0.1-5, "distanceScale": 0.1-5 } both optional, send the macro to the car
+                                             as a single manual command (driver), 409 unless in manual mode,
+                                             502 when the command could not be sent to the car
+    GET  /spectator                        - public read-only view of the cars and the leaderboard, no login needed (see spectator.js)
+
+  Errors are returned as { "error": "<description>" } with the matching HTTP status code
+ ************************************************************/
+function createApiRouter(fleet, sessionLog, matches, macros, auth) {
+  let router = express.Router();
+  let driver = [auth.requireRole(DRIVER_ROLE), auth.verifyCsrf];
+  let admin = [auth.requireRole(ADMIN_ROLE), auth.verifyCsrf];
+
+  // Every route with :carId gets the car object in req.car
+  router.param('carId', (req, res, next, carId) => {
+    req.car = fleet.getCar(carId);
+    if (req.car === undefined) {
+      res.status(404).json({ error: "Car '" + carId + "' is not registered with this controller" });
+      return;
+    }
+    next();
+  });
+
+  router.get('/whoami', (req, res) => {
+    res.json({ name: req.user.name, role: req.user.role, csrfToken: auth.csrfToken(req.user) });
+  });
+
+  router.get('/cars', (req, res) => {
+    res.json(fleet.cars.map((car) => car.status()));
+  });
+
+  router.get('/cars/:carId', (req, res) => {
+    res.json(req.car.status());
+  });
+
+  router.get('/cars/:carId/inbound_history', (req, res) => {
+    let messages = lastItems(req.car.inboundMsgHistory, req.query.limit)
+      .map((message) => JSON.parse(message.data));
+    res.json({ total: req.car.inboundMsgHistory.length, messages: messages });
+  });
+
+  router.get('/cars/:carId/outbound_history', (req, res) => {
+    let messages = lastItems(req.car.outboundMsgHistory, req.query.limit);
+    res.json({ total: req.car.outboundMsgHistory.length, messages: messages });
+  });
+
+  router.get('/cars/:carId/rejected_history', (req, res) => {
+    let messages = lastItems(req.car.rejectedMsgHistory, req.query.limit);
+    res.json({ total: req.car.rejectedMsgHistory.length, messages: messages });
+  });
+
+  router.get('/cars/:carId/traces', (req, res) => {
+    let traced = req.car.outboundMsgHistory.filter((command) => command.trace !== undefined);
+    let traces = lastItems(traced, req.query.limit).map((command) => ({ cloudTimestampMs: command.cloudTimestampMs, trace: command.trace }));
+    res.json({ total: traced.length, traces: traces });
+  });
+
+  router.get('/cars/:carId/traces/:commandId', (req, res) => {
+    let command = req.car.outboundMsgHistory.find((command) => String(command.cloudTimestampMs) == req.params.commandId);
+    if (command === undefined || command.trace === undefined) {
+      res.status(404).json({ error: "No traced command '" + req.params.commandId + "' in the history of car '" + req.car.carId + "'" });
+      return;
+    }
+    res.json({ command: command, trace: command.trace });
+  });
+
+  router.get('/cars/:carId/command_acks', (req, res) => {
+    res.json({ commands: req.car.commandTracker.recent(), alerts: req.car.commandTracker.alerts });
+  });
+
+  router.get('/cars/:carId/overlay', (req, res) => {
+    res.json({ imageUrl: req.car.latestImageUrl() || null, overlay: req.car.latestImageOverlay() || null });
+  });
+
+  router.put('/cars/:carId/mode', admin, (req, res) => {
+    console.log("API.PUT.mode(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    if (emergencyStopped(req.car, res)) {
+      return;
+    }
+    if (!req.car.setDrivingMode(req.body.mode)) {
+      res.status(400).json({ error: "Unknown driving mode '" + req.body.mode + "'" });
+      return;
+    }
+    res.json(req.car.status());
+  });
+
+  router.put('/cars/:carId/color', driver, (req, res) => {
+    console.log("API.PUT.color(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    if (!req.car.changeColor(req.body.color)) {
+      res.status(400).json({ error: "Unknown ball color '" + req.body.color + "', expected one of " + BALL_COLORS.join(", ") });
+      return;
+    }
+    res.json(req.car.status());
+  });
+
+  router.put('/cars/:carId/listener', admin, (req, res) => {
+    console.log("API.PUT.listener(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    if (typeof req.body.running !== 'boolean') {
+      res.status(400).json({ error: "Field 'running' must be true or false" });
+      return;
+    }
+    if (req.body.running) {
+      req.car.startListener();
+    } else {
+      req.car.stopListener();
+    }
+    res.json(req.car.status());
+  });
+
+  router.post('/cars/:carId/commands', driver, (req, res) => {
+    console.log("API.POST.commands(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    if (emergencyStopped(req.car, res)) {
+      return;
+    }
+    let command = manualCommand(manualCommandFields(req.body));
+    req.car.publishCommand(command);
+    macros.record(req.car.carId, command);
+    res.status(202).json(command);
+  });
+
+  router.post('/cars/:carId/teleop', driver, (req, res) => {
+    if (emergencyStopped(req.car, res)) {
+      return;
+    }
+    if (req.car.currentDrivingMode != MANUAL_MODE) {
+      res.status(409).json({ error: "Car '" + req.car.carId + "' is in " + req.car.currentDrivingMode + " mode, switch it to manual mode first" });
+      return;
+    }
+    if (TELEOP_ACTIONS.indexOf(req.body.action) < 0) {
+      res.status(400).json({ error: "Unknown teleoperation action '" + req.body.action + "', use one of " + TELEOP_ACTIONS.join(", ") });
+      return;
+    }
+    let speed = req.body.speed;
+    if (speed !== undefined && !(Number(speed) >= 1 && Number(speed) <= 1000)) {
+      res.status(400).json({ error: "Speed must be from 1 to 1000, got '" + speed + "'" });
+      return;
+    }
+    let limit = req.car.teleop.check(req.car.commandTracker.pending.size);
+    if (limit !== undefined) {
+      req.car.emitStats();
+      res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      res.status(429).json({ error: limit.reason, retryAfterMs: limit.retryAfterMs });
+      return;
+    }
+    let command = teleopCommand(req.body.action, speed === undefined ? undefined : Number(speed), req.car.carId);
+    // A burst resent seconds later would move the car after the operator has let go of the key
+    req.car.publishCommand(command, false, true);
+    res.status(202).json(command);
+  });
+
+  router.post('/cars/:carId/macros/:name/replay', driver, (req, res) => {
+    console.log("API.POST.macro_replay(carId=" + req.car.carId + "): " + req.params.name + " " + JSON.stringify(req.body));
+    let macro = macros.get(req.params.name);
+    if (macro === undefined) {
+      res.status(404).json({ error: "Macro '" + req.params.name + "' does not exist" });
+      return;
+    }
+    if (emergencyStopped(req.car, res)) {
+      return;
+    }
+    if (req.car.currentDrivingMode != MANUAL_MODE) {
+      res.status(409).json({ error: "Car '" + req.car.carId + "' is in " + req.car.currentDrivingMode + " mode, switch it to manual mode first" });
+      return;
+    }
+    replayMacro(req.car, macro, req.body.speedScale, req.body.distanceScale)
+      .then((result) => {
+        if (result.command === undefined) {
+          res.status(400).json({ error: result.errors.join("; ") });
+        } else if (!result.sent) {
+          res.status(502).json({ error: result.errors.join("; ") });
+        } else {
+          res.status(202).json(result.command);
+        }
+      })
+      .catch((err) => {
+        console.error("ERROR: API.POST.macro_replay(carId=" + req.car.carId + "): replaying macro " + macro.name + " failed: " + err);
+        res.status(500).json({ error: err.message });
+      });
+  });
+
+  router.post('/cars/:carId/estop', driver, (req, res) => {
+    console.log("API.POST.estop(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    req.car.emergencyStop(req.body.reason || "stopped via API", req.user.name)
+      .then(() => res.json(req.car.status()));
+  });
+
+  router.post('/cars/:carId/rearm', admin, (req, res) => {
+    console.log("API.POST.rearm(carId=" + req.car.carId + ")");
+    if (!req.car.rearm(req.user.name)) {
+      res.status(409).json({ error: "Car '" + req.car.carId + "' is not emergency stopped" });
+      return;
+    }
+    res.json(req.car.status());
+  });
+
+  router.post('/estop', driver, (req, res) => {
+    console.log("API.POST.estop(): " + JSON.stringify(req.body));
+    fleet.emergencyStopAll(req.body.reason || "stopped via API", req.user.name)
+      .then(() => res.json(fleet.cars.map((car) => car.status())));
+  });
+
+  router.post('/cars/:carId/reset', admin, (req, res) => {
+    console.log("API.POST.reset(carId=" + req.car.carId + ")");
+    req.car.reset();
+    res.json(req.car.status());
+  });
+
+  router.get('/cars/:carId/debugger', (req, res) => {
+    res.json(debuggerState(req.car));
+  });
+
+  router.post('/cars/:carId/debugger', driver, (req, res) => {
+    console.log("API.POST.debugger(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    if (req.body.action == "send") {
+      req.car.sendDebugCommand();
+    } else if (req.body.action == "next_sensor_message") {
+      req.car.requestSensorMessage();
+    } else if (req.body.action == "resume" || req.body.action == "step") {
+      if (!req.car.resume(req.body.action == "step")) {
+        res.status(409).json({ error: "Car '" + req.car.carId + "' is not paused at a breakpoint" });
+        return;
+      }
+    } else {
+      res.status(400).json({ error: "Unknown debugger action '" + req.body.action + "'" });
+      return;
+    }
+    res.status(202).json(debuggerState(req.car));
+  });
+
+  router.get('/cars/:carId/breakpoints', (req, res) => {
+    res.json(breakpointsState(req.car));
+  });
+
+  router.post('/cars/:carId/breakpoints', driver, (req, res) => {
+    console.log("API.POST.breakpoints(carId=" + req.car.carId + "): " + JSON.stringify(req.body));
+    let result = req.car.breakpoints.add(req.body, req.user.name);
+    if (result.errors.length > 0) {
+      res.status(400).json({ error: result.errors.join("; ") });
+      return;
+    }
+    req.car.emitStats();
+    res.status(201).json(result.breakpoint);
+  });
+
+  router.delete('/cars/:carId/breakpoints/:breakpointId', driver, (req, res) => {
+    console.log("API.DELETE.breakpoints(carId=" + req.car.carId + "): " + req.params.breakpointId);
+    if (!req.car.breakpoints.remove(req.params.breakpointId)) {
+      res.status(404).json({ error: "Car '" + req.car.carId + "' has no breakpoint '" + req.params.breakpointId + "'" });
+      return;
+    }
+    req.car.emitStats();
+    res.json(breakpointsState(req.car));
+  });
+
+  router.get('/cars/:carId/stream', (req, res) => {
+    streamTelemetry(req.car, req, res);
+  });
+
+  router.get('/config', auth.requireRole(ADMIN_ROLE), (req, res) => {
+    res.json({ settings: config.describe(req.query.car), cars: config.carOverrides() });
+  });
+
+  router.get('/config/audit', auth.requireRole(ADMIN_ROLE), (req, res) => {
+    res.json(config.audit);
+  });
+
+  router.post('/config/reload', admin, (req, res) => {
+    console.log("API.POST.config.reload()");
+    configResponse(res, config.reload(req.user.name));
+  });
+
+  router.put('/config/:key', admin, (req, res) => {
+    console.log("API.PUT.config(" + req.params.key + "): " + JSON.stringify(req.body));
+    configResponse(res, config.set(req.params.key, req.body.value, req.body.car, req.user.name), req.body.car);
+  });
+
+  router.delete('/config/:key', admin, (req, res) => {
+    console.log("API.DELETE.config(" + req.params.key + "): car=" + req.query.car);
+    configResponse(res, config.unset(req.params.key, req.query.car, req.user.name), req.query.car);
+  });
+
+  router.get('/macros', (req, res) => {
+    res.json(macros.list());
+  });
+
+  router.get('/macros/:name', (req, res) => {
+    let macro = macros.get(req.params.name);
+    if (macro === undefined) {
+      res.status(404).json({ error: "Macro '" + req.params.name + "' does not exist" });
+      return;
+    }
+    res.json(macro);
+  });
+
+  router.put('/macros/:name', driver, (req, res) => {
+    console.log("API.PUT.macros(" + req.params.name + "): " + JSON.stringify(req.body));
+    let errors = macros.save(req.params.name, req.body.steps, req.user.name);
+    if (errors.length > 0) {
+      res.status(400).json({ error: errors.join("; ") });
+      return;
+    }
+    res.json(macros.get(req.params.name));
+  });
+
+  router.delete('/macros/:name', driver, (req, res) => {
+    console.log("API.DELETE.macros(" + req.params.name + ")");
+    if (!macros.remove(req.params.name)) {
+      res.status(404).json({ error: "Macro '" + req.params.name + "' does not exist" });
+      return;
+    }
+    res.json(macros.list());
+  });
+
+  router.get('/sessions', (req, res) => {
+    res.json(sessionLog.listSessions());
+  });
+
+  router.get('/sessions/:sessionId/records', (req, res) => {
+    sessionLog.query(req.params.sessionId, queryFilter(req.query))
+      .then((records) => res.json({ sessionId: req.params.sessionId, records: records }))
+      .catch((err) => res.status(404).json({ error: err.message }));
+  });
+
+  router.get('/matches', (req, res) => {
+    res.json(matches.listMatches());
+  });
+
+  router.post('/matches', admin, (req, res) => {
+    console.log("API.POST.matches(): " + JSON.stringify(req.body));
+    let result = matches.start(req.body.cars, req.user.name, { countdownSec: req.body.countdownSec, durationSec: req.body.durationSec });
+    if (result.errors.length > 0) {
+      res.status(matches.current !== undefined ? 409 : 400).json({ error: result.errors.join("; ") });
+      return;
+    }
+    res.status(201).json(matchState(result.match));
+  });
+
+  router.get('/matches/current', (req, res) => {
+    if (matches.current === undefined) {
+      res.status(404).json({ error: "There is no match counting down or running" });
+      return;
+    }
+    res.json(matchState(matches.current));
+  });
+
+  router.post('/matches/current/stop', admin, (req, res) => {
+    console.log("API.POST.matches.stop()");
+    let match = matches.stop(req.user.name);
+    if (match === undefined) {
+      res.status(409).json({ error: "There is no match to stop" });
+      return;
+    }
+    res.json(matchState(match));
+  });
+
+  router.post('/matches/current/penalties', admin, (req, res) => {
+    console.log("API.POST.matches.penalties(): " + JSON.stringify(req.body));
+    let errors = matches.penalty(req.body.car, req.body.points, req.body.reason, req.user.name);
+    if (errors.length > 0) {
+      res.status(matches.current === undefined ? 409 : 400).json({ error: errors.join("; ") });
+      return;
+    }
+    res.status(201).json(matchState(matches.current));
+  });
+
+  router.get('/matches/:matchId', (req, res) => {
+    matches.load(req.params.matchId)
+      .then((match) => res.json(matchState(match)))
+      .catch((err) => res.status(404).json({ error: err.message }));
+  });
+
+  return router;
+}
+
+/************************************************************
+  Match with the cars ordered by points and the seconds left on its clock
+ ************************************************************/
+function matchState(match) {
+  return Object.assign({}, match, { ranking: ranking(match), remainingSec: remainingSec(match) });
+}
+
+/************************************************************
+  Refuse the request with 409 when the car is latched in the emergency stop
+ ************************************************************/
+function emergencyStopped(car, res) {
+  if (!car.isEmergencyStopped()) {
+    return false;
+  }
+  res.status(409).json({ error: "Car '" + car.carId + "' is emergency stopped, it needs to be re-armed first", emergencyStop: car.emergencyStopState });
+  return true;
+}
+
+/************************************************************
+  Command held for approval and why it is held
+ ************************************************************/
+function debuggerState(car) {
+  return {
+    drivingMode: car.currentDrivingMode,
+    nextDrivingCommand: car.nextDrivingCommand || null,
+    paused: car.isPaused(),
+    breakpointPause: car.breakpointPause || null
+  };
+}
+
+function breakpointsState(car) {
+  return { breakpoints: car.breakpoints.list, paused: car.isPaused(), breakpointPause: car.breakpointPause || null, stepping: car.stepping };
+}
+
+/************************************************************
+  Settings after the change or the problems with it
+ ************************************************************/
+function configResponse(res, errors, carId) {
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join("; ") });
+    return;
+  }
+  res.json({ settings: config.describe(carId), cars: config.carOverrides() });
+}
+
+/************************************************************
+  Returns the last N items of the list (or the whole list when N is not a positive number)
+ ************************************************************/
+function lastItems(list, limit) {
+  let n = parseInt(limit, 10);
+  if (isNaN(n) || n <= 0) {
+    return list.slice();
+  }
+  return list.slice(-n);
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.createApiRouter = createApiRouter;
@@ -0,0 +1,215 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var bodyParser = require('body-parser');
+var express = require('express');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var Auth = require('./auth').Auth;
+var createApiRouter = require('./api').createApiRouter;
+var Fleet = require('./fleet').Fleet;
+var MacroStore = require('./macros').MacroStore;
+var MemoryTransport = require('./memory-transport').MemoryTransport;
+const ADMIN_ROLE = require('./auth').ADMIN_ROLE;
+const DRIVER_ROLE = require('./auth').DRIVER_ROLE;
+const VIEWER_ROLE = require('./auth').VIEWER_ROLE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+
+const USERS = [
+  { name: "ann", token: "anntoken", role: ADMIN_ROLE },
+  { name: "dan", token: "dantoken", role: DRIVER_ROLE },
+  { name: "vic", token: "victoken", role: VIEWER_ROLE }
+];
+
+/************************************************************
+  API of a fleet of two cars on the memory transport, served on a free port.
+  Commands published to the cars are kept in "sent"
+ ************************************************************/
+function testApi() {
+  let transport = new MemoryTransport();
+  let fleet = new Fleet([
+    { carId: 1, commandTopic: "command-topic-1", sensorSubscription: "sensor-subscription-1" },
+    { carId: 2, commandTopic: "command-topic-2", sensorSubscription: "sensor-subscription-2" }
+  ], transport);
+  let sent = [];
+  transport.subscribe("command-topic-1", (message) => sent.push(JSON.parse(message.data)));
+  let macros = new MacroStore(fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-')));
+  let auth = new Auth(USERS, "csrf-secret");
+  let app = express();
+  app.use(bodyParser.json());
+  app.use(auth.authenticate);
+  app.use('/api/v1', createApiRouter(fleet, undefined, undefined, macros, auth));
+  return new Promise((resolve) => {
+    let server = app.listen(0, () => resolve({ server: server, fleet: fleet, macros: macros, transport: transport, sent: sent }));
+  });
+}
+
+/************************************************************
+  Send the request to the API
+  Output:
+    - promise resolved with { status, body } where body is parsed JSON
+ ************************************************************/
+function call(api, method, url, token, body) {
+  return new Promise((resolve, reject) => {
+    let text = body === undefined ? "" : JSON.stringify(body);
+    let req = http.request({
+      port: api.server.address().port,
+      method: method,
+      path: '/api/v1' + url,
+      headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) }
+    }, (res) => {
+      let data = "";
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : undefined }));
+    });
+    req.on('error', reject);
+    req.end(text);
+  });
+}
+
+// Stop the server and the timers of the cars so the test can end
+function close(api) {
+  api.fleet.cars.forEach((car) => {
+    car.watchdog.stop();
+    car.commandTracker.cancelAll();
+  });
+  api.server.close();
+}
+
+test('cars are listed and looked up by ID', (t) => {
+  return testApi().then((api) => {
+    return call(api, 'GET', '/cars', "victoken")
+      .then((res) => {
+        t.is(res.status, 200);
+        t.deepEqual(res.body.map((car) => car.carId), ["1", "2"]);
+        return call(api, 'GET', '/cars/3', "victoken");
+      })
+      .then((res) => {
+        t.is(res.status, 404);
+        t.regex(res.body.error, /Car '3' is not registered/);
+        return call(api, 'GET', '/whoami', "dantoken");
+      })
+      .then((res) => {
+        t.is(res.body.name, "dan");
+        t.is(res.body.role, DRIVER_ROLE);
+        close(api);
+      });
+  });
+});
+
+test('changes need the role and valid values', (t) => {
+  return testApi().then((api) => {
+    return call(api, 'PUT', '/cars/1/mode', "dantoken", { mode: AUTOMATIC_MODE })
+      .then((res) => {
+        t.is(res.status, 403);
+        return call(api, 'PUT', '/cars/1/mode', "anntoken", { mode: "racing" });
+      })
+      .then((res) => {
+        t.is(res.status, 400);
+        return call(api, 'PUT', '/cars/1/color', "victoken", { color: "Red" });
+      })
+      .then((res) => {
+        t.is(res.status, 403);
+        return call(api, 'PUT', '/cars/1/color', "dantoken", { color: "Pink" });
+      })
+      .then((res) => {
+        t.is(res.status, 400);
+        return call(api, 'PUT', '/cars/1/mode', "anntoken", { mode: AUTOMATIC_MODE });
+      })
+      .then((res) => {
+        t.is(res.status, 200);
+        t.is(api.fleet.getCar(1).currentDrivingMode, AUTOMATIC_MODE);
+        close(api);
+      });
+  });
+});
+
+test('manual commands are sent to the car and refused while it is emergency stopped', (t) => {
+  return testApi().then((api) => {
+    return call(api, 'POST', '/cars/1/commands', "dantoken", { distance: 100 })
+      .then((res) => {
+        t.is(res.status, 202);
+        t.is(api.sent[api.sent.length - 1].cloudTimestampMs, res.body.cloudTimestampMs);
+        return call(api, 'POST', '/cars/1/estop', "dantoken", { reason: "test" });
+      })
+      .then((res) => {
+        t.is(res.status, 200);
+        t.deepEqual(api.sent[api.sent.length - 1].actions, [{ stop: true }]);
+        return call(api, 'POST', '/cars/1/commands', "dantoken", { distance: 100 });
+      })
+      .then((res) => {
+        t.is(res.status, 409);
+        return call(api, 'POST', '/cars/1/rearm', "dantoken");
+      })
+      .then((res) => {
+        t.is(res.status, 403);
+        return call(api, 'POST', '/cars/1/rearm', "anntoken");
+      })
+      .then((res) => {
+        t.is(res.status, 200);
+        t.false(api.fleet.getCar(1).isEmergencyStopped());
+        close(api);
+      });
+  });
+});
+
+test('macro replay that does not reach the car is reported', (t) => {
+  return testApi().then((api) => {
+    api.macros.save("forward", [[{ driveForwardMm: 200 }]], "dan");
+    return call(api, 'POST', '/cars/1/macros/forward/replay', "dantoken", { distanceScale: 2 })
+      .then((res) => {
+        t.is(res.status, 202);
+        t.deepEqual(res.body.actions, [{ driveForwardMm: 400 }, { sendSensorMessage: "true" }]);
+        api.transport.publish = () => Promise.reject(new Error("transport is down"));
+        return call(api, 'POST', '/cars/1/macros/forward/replay', "dantoken", {});
+      })
+      .then((res) => {
+        t.is(res.status, 502);
+        t.regex(res.body.error, /could not be sent/);
+        close(api);
+      });
+  });
+});
+
+test('teleoperation bursts are sent once and refused while the car is behind', (t) => {
+  return testApi().then((api) => {
+    let car = api.fleet.getCar(1);
+    return call(api, 'POST', '/cars/1/teleop', "dantoken", { action: "jump" })
+      .then((res) => {
+        t.is(res.status, 400);
+        return call(api, 'POST', '/cars/1/teleop', "dantoken", { action: "forward", speed: 300 });
+      })
+      .then((res) => {
+        t.is(res.status, 202);
+        t.is(api.sent[api.sent.length - 1].cloudTimestampMs, res.body.cloudTimestampMs);
+        t.true(car.commandTracker.pending.get(res.body.cloudTimestampMs).once);
+        car.teleop.lastCommandMs = 0;
+        car.commandTracker.track(Object.assign({}, res.body, { cloudTimestampMs: res.body.cloudTimestampMs + 1 }));
+        return call(api, 'POST', '/cars/1/teleop', "dantoken", { action: "left" });
+      })
+      .then((res) => {
+        t.is(res.status, 429);
+        t.regex(res.body.error, /has not acted on 2 commands/);
+        close(api);
+      });
+  });
+});
@@ -20,41 +20,77 @@ const express = require('express');
 
 console.log(`***${APP} is starting up***`);
 var process = require('process'); // Required for mocking environment variables
-var PubSub = require('@google-cloud/pubsub');
+var createTransport = require('./transport').createTransport;
 var bodyParser = require('body-parser');
 var path = require('path');
-var Navigation = require('./navigation');
+var Fleet = require('./fleet').Fleet;
+var loadCarConfigs = require('./fleet').loadCarConfigs;
 var manualDrivingForm = require('./manual-driving').manualDrivingForm;
 var manualCommand = require('./manual-driving').manualCommand;
-var DriveMessage = require('./drive-message').DriveMessage;
+var teleopPage = require('./teleop').teleopPage;
+var createMacroStore = require('./macros').createMacroStore;
+var replayMacro = require('./macros').replayMacro;
+var parseStepsText = require('./macros').parseStepsText;
+var macroListPage = require('./macro-pages').macroListPage;
+var macroEditPage = require('./macro-pages').macroEditPage;
+var createApiRouter = require('./api').createApiRouter;
+var liveUpdateScript = require('./telemetry').liveUpdateScript;
+var createSessionLog = require('./session-log').createSessionLog;
+var createAnalyticsPipeline = require('./analytics-sink').createAnalyticsPipeline;
+var queryFilter = require('./session-log').queryFilter;
+var sessionListPage = require('./session-pages').sessionListPage;
+var sessionRecordsPage = require('./session-pages').sessionRecordsPage;
+var tracePage = require('./trace-pages').tracePage;
+var historyRecords = require('./history').historyRecords;
+var historyFilter = require('./history').historyFilter;
+var historyPage = require('./history').historyPage;
+var historyCsv = require('./history').historyCsv;
+var historyNdjson = require('./history').historyNdjson;
+var historyListPage = require('./history-pages').historyListPage;
+var createMatchManager = require('./match').createMatchManager;
+var matchListPage = require('./match-pages').matchListPage;
+var matchPage = require('./match-pages').matchPage;
+var createSpectatorRouter = require('./spectator').createSpectatorRouter;
+var metrics = require('./metrics');
+var config = require('./config').config;
+var configPage = require('./config-pages').configPage;
+var createAuth = require('./auth').createAuth;
+var describeBreakpoint = require('./breakpoints').describeBreakpoint;
+var overlayImage = require('./vision-overlay').overlayImage;
+var escapeHtml = require('./tools').escapeHtml;
+const BREAKPOINT_TYPES = require('./breakpoints').BREAKPOINT_TYPES;
+const GOALS = require('./drive-message').GOALS;
+const DRIVER_ROLE = require('./auth').DRIVER_ROLE;
+const ADMIN_ROLE = require('./auth').ADMIN_ROLE;
 const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
 const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
 const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+const INBOUND = require('./history').INBOUND;
+const OUTBOUND = require('./history').OUTBOUND;
 
 
 // Confiure external URL for help output
-const APP_URL = `https://${process.env.GOOGLE_CLOUD_PROJECT}.appspot.com/`;
-
-// By default, the client will authenticate using the service account file
-// specified by the GOOGLE_APPLICATION_CREDENTIALS environment variable and use
-// the project specified by the GCLOUD_PROJECT environment variable. See
-// https://googlecloudplatform.github.io/gcloud-node/#/docs/google-cloud/latest/guides/authentication
-// These environment variables are set automatically on Google App Engine
-// Instantiate a pubsub client
-const pubsub = PubSub();
-// References an existing subscription
-const command_topic = pubsub.topic(process.env.COMMAND_TOPIC);
-const sensorSubscription = pubsub.subscription(process.env.SENSOR_SUBSCRIPTION);
-const carId = process.env.CAR_ID;
-// Any sensor message with the time stamp older than this will be discarded as useless
-const MAX_MSG_AGE_SEC = 60;
-
-// BigQuery Variables
-const BQprojectId = process.env.BQ_PROJECT_ID;
-const datasetId = process.env.BQ_DATASET;
-const sensorMessageTable = process.env.BQ_SENSOR_MESSAGE_TABLE;
-const driveMessageTable = process.env.BQ_DRIVE_MESSAGE_TABLE;
-const PROJECT_NAME = process.env.GOOGLE_CLOUD_PROJECT;
+const APP_URL = `https://${config.get('GOOGLE_CLOUD_PROJECT')}.appspot.com/`;
+
+// Messages to and from the cars go via PubSub, in-memory bus or MQTT broker - see MESSAGE_TRANSPORT in transport.js
+const transport = createTransport();
+// Registry of all cars managed by this controller - each car has its own topics, mode, color, history and navigation
+const fleet = new Fleet(loadCarConfigs(), transport);
+// Every sensor message, vision response and drive command of every car is recorded for post-mortems
+const sessionLog = createSessionLog();
+fleet.cars.forEach((car) => sessionLog.attach(car));
+// Sensor messages and drive commands are batched into the analytics tables - see ANALYTICS_SINK in analytics-sink.js
+const analytics = createAnalyticsPipeline();
+fleet.cars.forEach((car) => analytics.attach(car));
+// Timed matches between the cars with their scores - see match.js
+const matches = createMatchManager(fleet);
+// Recorded manual command sequences that can be replayed to any car - see macros.js
+const macros = createMacroStore();
+// Statistics of every car are exposed to Prometheus on /metrics
+metrics.registerFleetMetrics(fleet);
+metrics.registerAnalyticsMetrics(analytics);
+// Users and their roles - see USERS_FILE in auth.js
+const auth = createAuth();
 
 // Instantiate Express runtime
 var app = express();
@@ -65,239 +101,88 @@ app.use(bodyParser.json());
 //support parsing of application/x-www-form-urlencoded post data
 app.use(bodyParser.urlencoded({ extended: true }));
 require('@google-cloud/debug-agent').start({ allowExpressions: true });
+// Read-only spectator page and its API are open to everyone - they come before the login
+app.use(createSpectatorRouter(fleet, matches));
+// Every other page and API call requires login (unless AUTH_DISABLED is set), pages are open to any role
+app.use(auth.authenticate);
+// JSON REST API for scripts and dashboards - same operations as the HTML control pages
+app.use('/api/v1', createApiRouter(fleet, sessionLog, matches, macros, auth));
 
 /************************************************************
-  Car and game settings
- ************************************************************/
-// Color of the ball that this car controller will be after. It can be changed via control panel at run time
-let ballColor = "red";
-/************************************************************
-  Keeping track of stats
- ************************************************************/
-let totalMessagesReceived = 0;
-let rejectedOutOfOrderMessages = 0;
-let rejectedFormatMessages = 0;
-let totalMessagesSent = 0;
-// Tracking errors of any kind
-let totalErrors = 0;
-// Is inbound listener Up or Down now?
-let listenerStatus = false;
-// Value of the message with the maximum time stamp seen so far
-let maxMsgTimeStampMs = 0;
-// History of received messages
-let inboundMsgHistory = [];
-// Maximum size of received Msg history as # of messages stored - one msg per second for full hour
-const MAX_INBOUND_HISTORY = 60 * 60;
-// History of sent command messages
-let outboundMsgHistory = [];
-// Maximum size of sent command history as # of messages stored
-const MAX_OUTBOUND_HISTORY = 60 * 60;
-// Here we will keep the next driving command to be send to the car in debug mode
-let nextDrivingCommand;
-// Current driving mode of the car
-let currentDrivingMode = MANUAL_MODE;
-// Initialize Navigation logic
-let navigation = new Navigation(outboundMsgHistory);
-
-/************************************************************
-  Error handler for PubSub inbound
- ************************************************************/
-const errorHandler = function(error) {
-  totalErrors++;
-  console.error(`ERROR: ${error}`);
-};
-
-/************************************************************
-  Event handler to handle inbound PubSub messages
- ************************************************************/
-const inboudMessageHandler = function(message) {
-  // "Ack" (acknowledge receipt of) the message
-  message.ack();
-  totalMessagesReceived++;
-  console.log("inboudMessageHandler(carId=" + carId + "): <<<<<<<<<<<<<<<<<<<<<< Received " + totalMessagesReceived + " messages");
-
-  let data = JSON.parse(message.data);
-  // Ignore invalid messages
-  if (!isMessageValid(data)) {
-    totalErrors++;
-    console.error("ERROR: inboudMessageHandler(): Skipping this message since it did not pass validity check");
-    return;
-  }
-
-  // Save message for posterity
-  saveInboundMessage(message);
-
-  // Publish Message to BigQuery
-  // insertRowsAsStream(sensorMessageTable,data);
-
-  // Do not process inbound messages in manual driving mode
-  if (currentDrivingMode == MANUAL_MODE) {
-    return;
-  }
-
-  // Call navigation logic based on the sensor data and send new command to the car
-  navigation.nextMove(data)
-    .then((response) => {
-      if (!(currentDrivingMode == DEBUG_MODE)) {
-        publishCommand(response);
-      } else {
-        nextDrivingCommand = response;
-      }
-    });
-};
-
-/************************************************************
-  Send prepared command message to the car via PubSub.
-  Input:
-    - Command object
-  Output:
-    - none, but the result of the function is that single PubSub message is sent
+  Middleware for routes that change the state of the car: requires the role and a valid CSRF token
  ************************************************************/
-function publishCommand(command) {
-  if (command === undefined) {
-    console.log("publishCommand(): Command is not defined - ignoring");
-    return;
-  }
-  let txtMessage = JSON.stringify(command);
-  // Only send a message when it is not empty
-  if (txtMessage.length > 0) {
-    command_topic.publish(txtMessage, (err) => {
-      if (err) {
-        console.log(err);
-        totalErrors++;
-        return;
-      }
-      totalMessagesSent++;
-      console.log("publishCommand(carId=" + carId + "): >>>>>>>>>>>>>>>>>>>>>>>>> Message #" + totalMessagesSent + " " + txtMessage);
-      saveOutboundMessage(command);
-    });
-  } else {
-    console.log("publishCommand(): Command is empty - Nothing to send");
-  }
+function stateChange(role) {
+  return [auth.requireRole(role), auth.verifyCsrf];
 }
 
 /************************************************************
-  Validate the message from the car based on certain criteria
-
-  Example input message:
-  {"carId":1,"msgId":8,"version":"1.0","timestampMs":1519509836918,"carState":{"ballsCollected":2,"batteryLeft":55,"sensors":{"frontLaserDistanceMm":11,"frontCameraImagePath":"gs://robot-derby-camera-1/images/image8.jpg"}}
+  Car selector - every car specific route takes "car" parameter in the query string
+  (or in the form body). If it is omitted, the first car in the fleet is used.
+  Selected car is stored in req.car
  ************************************************************/
-function isMessageValid(msg) {
-  console.log("isMessageValid():" + JSON.stringify(msg));
-
-  // Does this message carry timestamp field with it?
-  if (!msg.timestampMs) {
-    console.error("ERROR: isMessageValid(): msg.timestampMs is undefined");
-    rejectedFormatMessages++;
-    return false;
-  }
-
-  // Reject message if it has older timestamp than we have seen earlier
-  if (maxMsgTimeStampMs > msg.timestampMs) {
-    console.error("ERROR: isMessageValid(): msg.timestampMs is older than we have already seen by " + (maxMsgTimeStampMs - msg.timestampMs) + " ms");
-    rejectedOutOfOrderMessages++;
-    return false;
-  }
-  // Now we know this new message is more recent than anything we have seen so far
-  maxMsgTimeStampMs = msg.timestampMs;
-
-  // Reject very old messages
-  let oldestAllowedMs = new Date().getTime() - MAX_MSG_AGE_SEC * 1000;
-  if (msg.timestampMs < oldestAllowedMs) {
-    console.error("ERROR: isMessageValid(): msg.timestampMs is older than max allowed age of " + MAX_MSG_AGE_SEC + "(sec) the message by " + (oldestAllowedMs - msg.timestampMs) + " ms");
-    rejectedOutOfOrderMessages++;
-    return false;
+function selectCar(req, res, next) {
+  let carId = req.query.car || req.body.car;
+  req.car = (carId === undefined) ? fleet.defaultCar() : fleet.getCar(carId);
+  if (req.car === undefined) {
+    res.status(404).send('<a href="/">Home</a><p>Car <b>' + escapeHtml(carId) + '</b> is not registered with this controller.');
+    return;
   }
-
-  // Message has been successfully validated
-  return true;
+  next();
 }
 
 /************************************************************
-  Save history of inbound messages
+  Returns URL of the page for a given car
  ************************************************************/
-function saveInboundMessage(message) {
-  // Check for max size of history
-  if (inboundMsgHistory.length >= MAX_INBOUND_HISTORY) {
-    // Truncate 10% of the oldest history log
-    inboundMsgHistory.splice(0, inboundMsgHistory.length / 10);
-  }
-  // Add message to history
-  inboundMsgHistory.push(message);
+function carUrl(car, page) {
+  return page + '?car=' + encodeURIComponent(car.carId);
 }
 
 /************************************************************
-  Save history of outbound messages
+  Button that POSTs to the given page of the car (state changing pages do not accept GET)
  ************************************************************/
-function saveOutboundMessage(message) {
-  // Check for max size of history
-  if (outboundMsgHistory.length >= MAX_OUTBOUND_HISTORY) {
-    // Truncate 10% of the oldest history log
-    outboundMsgHistory.splice(0, outboundMsgHistory.length / 10);
-  }
-  // Add message to history
-  outboundMsgHistory.push(message);
+function postButton(req, car, page, label) {
+  return "<form style='display:inline' action='" + carUrl(car, page) + "' method='post'>" + auth.csrfField(req.user) +
+    "<input type='submit' value='" + label + "'></form>";
 }
 
 /************************************************************
-  Read sensor data from the car - used by the worker to listen to pubsub messages.
-  When more than one worker is running they will all share the same
-  subscription, which means that pub/sub will evenly distribute messages to each worker.
+  Emergency stop button or, when the car is stopped, who stopped it and the re-arm button
  ************************************************************/
-function startListener() {
-  // console.log("startListener()...");
-  if (listenerStatus) {
-    console.log("Listener is already running, nothing to do.");
-    return;
+function emergencyStopBanner(req, car) {
+  if (!car.isEmergencyStopped()) {
+    return "<p><form style='display:inline' action='" + carUrl(car, '/estop') + "' method='post'>" + auth.csrfField(req.user) +
+      "<input type='submit' value='EMERGENCY STOP' style='background-color:red;color:white;font-weight:bold'></form></p>";
   }
-  // Listen for new messages
-  sensorSubscription.on(`message`, inboudMessageHandler);
-  sensorSubscription.on(`error`, errorHandler);
-  listenerStatus = true;
-  console.log("startListener()...done");
+  let stop = car.emergencyStopState;
+  return "<p style='color:red'><b>EMERGENCY STOPPED</b> by " + escapeHtml(stop.user) + " at " + new Date(stop.timestampMs).toUTCString() +
+    ": " + escapeHtml(stop.reason) + ". Driving mode can not be changed and no commands are sent until the car is re-armed.</p>" +
+    "<p>" + postButton(req, car, '/estop', 'Send stop again') + " " + postButton(req, car, '/rearm', 'Re-arm (admin)') + "</p>";
 }
 
 /************************************************************
-  Stop listening for messages and reset counters
+  Refuse to change the driving mode with 409 while the car is latched in the emergency stop
  ************************************************************/
-function stopListener() {
-  // console.log("stopListener()...");
-  if (listenerStatus) {
-    sensorSubscription.removeListener(`message`, inboudMessageHandler);
-    sensorSubscription.removeListener(`error`, errorHandler);
-    console.log("Message listener stopped");
-    listenerStatus = false;
-  } else {
-    console.log("No need to stop Message listener since it was not running");
-  }
+function drivingModeRefused(req, res) {
+  res.status(409).send(carLinks(req.car) + emergencyStopBanner(req, req.car));
 }
 
 /************************************************************
-  Setup environment before we run the server
- ************************************************************/
-function reset() {
-  // Reset all counters back to zero
-  totalMessagesReceived = 0;
-  rejectedOutOfOrderMessages = 0;
-  rejectedFormatMessages = 0;
-  totalMessagesSent = 0;
-  totalErrors = 0;
-  nextDrivingCommand = undefined;
-  inboundMsgHistory = [];
-  outboundMsgHistory = [];
-  // Will ignore any messages up until now
-  maxMsgTimeStampMs = new Date().getTime();
+  Navigation links shown at the top of every car page
+ ************************************************************/
+function carLinks(car) {
+  return '<a href="/">Home</a> / <a href="' + carUrl(car, '/car') + '">Car ' + car.carId + '</a>';
 }
 
 /************************************************************
   Change color form
  ************************************************************/
-function changeColorForm() {
+function changeColorForm(car, csrfField) {
   // console.log("changeColorForm()...");
 
-  let form = `<a href="/">Home</a>
+  let form = `${carLinks(car)}
     <h1>Change target ball color</h1>
-    <form action="/color_change_submit" method="post">
+    <form action="${carUrl(car, '/color_change_submit')}" method="post">
+    ${csrfField}
     <br>
     <label for="ball_color">New ball color for car to search:</label><br>
     <input type="radio" name="ball_color" value="Red"> Red<br>
@@ -311,150 +196,183 @@ function changeColorForm() {
 /************************************************************
   Debugger form
  ************************************************************/
-function debugDrivingForm() {
+function debugDrivingForm(car, csrfField) {
   // console.log("debugDrivingForm()...");
   let drivingCommandString;
   let mostRecentCarMessage;
-  let imageUrl;
+  let imageUrl = car.latestImageUrl();
 
-  if (nextDrivingCommand === undefined) {
+  if (car.nextDrivingCommand === undefined) {
     drivingCommandString = "nextDrivingCommand is undefined. No driving command to be sent to the car";
   } else {
-    drivingCommandString = JSON.stringify(nextDrivingCommand);
+    drivingCommandString = JSON.stringify(car.nextDrivingCommand);
   }
 
-  if (inboundMsgHistory.length == 0) {
+  if (car.inboundMsgHistory.length == 0) {
     mostRecentCarMessage = "No messages have been received from the car";
   } else {
-    let msg = inboundMsgHistory[inboundMsgHistory.length - 1];
-    mostRecentCarMessage = JSON.stringify(msg);
-
-    if ((!(msg.data === undefined)) && (!(JSON.parse(msg.data).sensors === undefined)) &&
-      (!(JSON.parse(msg.data).sensors.frontCameraImagePath === undefined))) {
-      imageUrl = JSON.parse(msg.data).sensors.frontCameraImagePath;
-    }
+    mostRecentCarMessage = JSON.stringify(car.inboundMsgHistory[car.inboundMsgHistory.length - 1]);
   }
 
-  console.log("debugDrivingForm(): drivingCommandString='" + drivingCommandString + "', mostRecentCarMessage='" + mostRecentCarMessage + "'");
+  console.log("debugDrivingForm(carId=" + car.carId + "): drivingCommandString='" + drivingCommandString + "', mostRecentCarMessage='" + mostRecentCarMessage + "'");
   let debug_header = "Debugger is OFF";
-  if (currentDrivingMode == DEBUG_MODE) {
+  if (car.currentDrivingMode == DEBUG_MODE) {
     debug_header = "Debugger is ON";
+  } else if (car.isPaused()) {
+    debug_header = "Self driving is PAUSED at a breakpoint";
   }
 
-  let form = `<a href="/">Home</a>
-    <form action="/debug_submit" method="post">
+  let form = `${carLinks(car)}
+    <form action="${carUrl(car, '/debug_submit')}" method="post">
+    ${csrfField}
     <h1>${debug_header}</h1>
-    <b>Sensor message:</b><br>${mostRecentCarMessage}<br><br>
-    <b>Driving message:</b><br>${drivingCommandString}<br><br>
+    <b>Sensor message:</b><br><span id="live-sensor">${mostRecentCarMessage}</span><br><br>
+    <b>Driving message:</b><br><span id="live-debug">${drivingCommandString}</span><br>
+    <small>${(car.nextDrivingCommand && car.nextDrivingCommand.trace) ? "Decision: " + car.nextDrivingCommand.trace.branches.join(" > ") + " - " : ""}<a href="${carUrl(car, '/trace')}">Navigation decisions</a></small><br><br>
     <input type="submit" name="send_command" value="Send driving message to the car"><br><br>
+    <b>Paused at:</b> <span id="live-stats-pausedAt">${car.isPaused() ? car.status().pausedAt : ""}</span><br>
+    <input type="submit" name="resume" value="Resume self driving"> <input type="submit" name="step" value="Step to the next decision"><br><br>
     <input type="submit" name="next_sensor_message" value="Ask car to send new sensor message"><br><br>
     <input type="submit" name="refresh" value="Refresh page"></form>`;
 
   // <p><a href="/debugger_off">Turn OFF debug mode</a> / <a href="/debugger_on">Turn ON debug mode</a></p>
 
-  // Add an image to the form
-  if (!(imageUrl === undefined)) {
-    form = form + '<img src="' + imageUrl + '" alt="picture of the ball" style="width:700px;"/>';
-  }
+  // Add an image with the detected objects drawn over it - it is hidden until the car sends the first picture
+  form = form + overlayImage(imageUrl, car.latestImageOverlay(), 700, true);
+  // Sensor messages, driving commands and counters are updated live without page reloads
+  form = form + liveUpdateScript(car);
 
   return form;
 }
 
-/************************************************************
- Streaming insert into BigQuery
- Input:
- - tableId - destination table ID
- - row - an array representing the data
- Ouput:
- - none
- ************************************************************/
-function insertRowsAsStream(tableId, rows) {
-  // [START bigquery_table_insert_rows]
-  // Imports the Google Cloud client library
-  const BigQuery = require('@google-cloud/bigquery');
-
-  rows.projectId = PROJECT_NAME;
-
-  // Creates a client
-  const bigquery = new BigQuery({
-    projectId: BQprojectId,
-    keyFilename: 'bigquery-service-account.json'
-  });
-
-  // Inserts data into a table
-  bigquery
-      .dataset(datasetId)
-      .table(tableId)
-      .insert(rows)
-      .then(() => {
-        console.log(`insertRowsAsStream: ${rows.length} rows`);
-      })
-      .catch(err => {
-        if (err && err.name === 'PartialFailureError') {
-          if (err.errors && err.errors.length > 0) {
-            console.log('insertRowsAsStream errors:');
-            err.errors.forEach(err => console.error(err));
-          }
-        } else {
-          console.error('ERROR:', err);
-        }
-      });
-  // [END bigquery_table_insert_rows]
-}
-
 /************************************************************
   Changing the color of the ball
  ************************************************************/
-app.post('/color_change_submit', (req, res) => {
+app.post('/color_change_submit', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
   console.log(`***${APP}.GET.color_change_submit***`);
 
   if (req.body.ball_color) {
-    ballColor = req.body.ball_color;
-    let command;
-    command = new DriveMessage();
-    command.setColor(ballColor);
-    publishCommand(command);
+    req.car.changeColor(req.body.ball_color);
   }
 
-  res.redirect('/');
+  res.redirect(carUrl(req.car, '/car'));
 });
 
 /************************************************************
-  Show history of inbound messages
+  Show history of inbound or outbound messages of all cars (or the car given by ?car=), filtered and
+  a page at a time - or all of the filtered history as CSV or NDJSON with ?format=csv or ?format=ndjson
  ************************************************************/
-app.get('/inbound_history', (req, res) => {
-  let status_message = '<a href="/">Home</a><p><h1>Inbound Message History</h1>' +
-    '<p># of messages in history: <b>' + inboundMsgHistory.length + '</b></p>' +
-    '<p>' + JSON.stringify(inboundMsgHistory) + '</b></p>';
-  console.log(`***${APP}.GET.inbound_history***`);
-  res.status(200).send(status_message);
+function messageHistory(direction, path) {
+  return (req, res) => {
+    console.log(`***${APP}.GET.` + direction + `_history***`);
+    let records = historyRecords(fleet.cars, direction);
+    let filter = historyFilter(req.query);
+    if (req.query.format == "csv" || req.query.format == "ndjson") {
+      let csv = req.query.format == "csv";
+      res.set('Content-Type', csv ? 'text/csv' : 'application/x-ndjson');
+      res.set('Content-Disposition', 'attachment; filename="' + direction + '-history.' + req.query.format + '"');
+      res.status(200).send(csv ? historyCsv(records, filter) : historyNdjson(records, filter));
+      return;
+    }
+    res.status(200).send(historyListPage(direction, path, req.query, fleet.cars, historyPage(records, filter, req.query.page)));
+  };
+}
+app.get('/inbound_history', messageHistory(INBOUND, '/inbound_history'));
+app.get('/outbound_history', messageHistory(OUTBOUND, '/outbound_history'));
+
+/************************************************************
+  Show most recent rejected messages along with the reasons of rejection
+ ************************************************************/
+app.get('/rejected_history', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.rejected_history***`);
+  let html = carLinks(req.car) + '<p><h1>Rejected Message History</h1>' +
+    '<p># of messages in history: <b>' + req.car.rejectedMsgHistory.length + '</b></p>' +
+    "<table border='1' cellpadding='4'><tr><th>Received</th><th>Reasons</th><th>Message</th></tr>";
+  req.car.rejectedMsgHistory.slice().reverse().forEach((rejected) => {
+    html = html + "<tr><td>" + new Date(rejected.receivedMs).toISOString() + "</td>" +
+      "<td>" + rejected.reasons.map(escapeHtml).join("<br>") + "</td>" +
+      "<td><small>" + escapeHtml(JSON.stringify(rejected.message)) + "</small></td></tr>";
+  });
+  res.status(200).send(html + "</table>");
 });
 
 /************************************************************
-  Show history of outbound messages
+  Show the most recent commands with their round trip time and alerts about commands the car did not act on
  ************************************************************/
-app.get('/outbound_history', (req, res) => {
-  let status_message = '<a href="/">Home</a><p><h1>Outbound Message History</h1>' +
-    '<p># of messages in history: <b>' + outboundMsgHistory.length + '</b></p>' +
-    '<p>' + JSON.stringify(outboundMsgHistory) + '</b></p>';
-  console.log(`***${APP}.GET.outbound_history***`);
-  res.status(200).send(status_message);
+app.get('/command_acks', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.command_acks***`);
+  let tracker = req.car.commandTracker;
+  let html = carLinks(req.car) + '<p><h1>Command Acknowledgements</h1>' +
+    '<p>Pending: <b>' + tracker.pending.size + '</b>, acknowledged: <b>' + tracker.acknowledgedCommands +
+    '</b>, resent: <b>' + tracker.resentCommands + '</b>, timed out: <b>' + tracker.timedOutCommands + '</b></p>' +
+    '<p>Round trip (ms): last <b>' + (tracker.lastRoundTripMs === undefined ? "-" : tracker.lastRoundTripMs) +
+    '</b>, average <b>' + (tracker.averageRoundTripMs() === undefined ? "-" : tracker.averageRoundTripMs()) + '</b></p>' +
+    '<h2>Alerts</h2>';
+  if (tracker.alerts.length == 0) {
+    html = html + '<p>No alerts</p>';
+  }
+  tracker.alerts.slice().reverse().forEach((alert) => {
+    html = html + '<p style="color:red">' + new Date(alert.timestampMs).toISOString() + ': ' + alert.message + '</p>';
+  });
+  html = html + "<h2>Recent commands</h2><table border='1' cellpadding='4'><tr><th>Sent</th><th>cloudTimestampMs</th><th>Mode</th><th>Goal</th><th>State</th><th>Resends</th><th>Round trip (ms)</th></tr>";
+  tracker.recent().reverse().forEach((command) => {
+    html = html + "<tr><td>" + new Date(command.sentMs).toISOString() + "</td>" +
+      "<td>" + command.cloudTimestampMs + "</td>" +
+      "<td>" + command.mode + "</td>" +
+      "<td>" + (command.goal || "") + "</td>" +
+      "<td>" + command.state + "</td>" +
+      "<td>" + command.resends + "</td>" +
+      "<td>" + (command.roundTripMs === undefined ? "" : command.roundTripMs) + "</td></tr>";
+  });
+  res.status(200).send(html + "</table>");
 });
 
 /************************************************************
   Changing the color of the ball to chase
  ************************************************************/
-app.get('/change_color', (req, res) => {
+app.get('/change_color', auth.requireRole(DRIVER_ROLE), selectCar, (req, res) => {
   console.log(`***${APP}.GET.change_color***`);
 
-  let formPage = changeColorForm();
+  let formPage = changeColorForm(req.car, auth.csrfField(req.user));
   res.status(200).send(formPage);
 });
 
+/************************************************************
+  Breakpoints of the car - list and the form to add a new one
+  Input:
+    - errors - problems with the last breakpoint added to show on top of the list
+ ************************************************************/
+function breakpointsSection(req, car, errors) {
+  let html = "<h2>Breakpoints</h2>" +
+    "<p>In self driving mode the car pauses as soon as any of these hits, the driving message then waits above for Resume or Step.</p>";
+  if (errors && errors.length > 0) {
+    html = html + "<p style='color:red'>Breakpoint was not added:<br>" + errors.join("<br>") + "</p>";
+  }
+  html = html + "<table border='1' cellpadding='4'><tr><th>ID</th><th>Pause when</th><th>Hits</th><th>Added by</th><th></th></tr>";
+  car.breakpoints.list.forEach((breakpoint) => {
+    html = html + "<tr><td>" + breakpoint.id + "</td><td>" + describeBreakpoint(breakpoint) + "</td><td>" + breakpoint.hits + "</td>" +
+      "<td>" + breakpoint.createdBy + "</td><td>" +
+      "<form style='display:inline' action='" + carUrl(car, '/breakpoint_remove') + "' method='post'>" + auth.csrfField(req.user) +
+      "<input type='hidden' name='id' value='" + breakpoint.id + "'><input type='submit' value='Remove'></form></td></tr>";
+  });
+  html = html + "</table>";
+
+  let options = (values) => values.map((value) => "<option value='" + value + "'>" + value + "</option>").join("");
+  html = html + "<form action='" + carUrl(car, '/breakpoint_add') + "' method='post'>" + auth.csrfField(req.user) +
+    "<p>Pause when <select name='type'>" + options(BREAKPOINT_TYPES) + "</select> " +
+    "goal <select name='goal'>" + options(GOALS) + "</select> " +
+    "score below <input type='text' name='below' size='4'> of label <input type='text' name='label' size='10' placeholder='any'> " +
+    "goal repeated more than <input type='text' name='above' size='3'> times " +
+    "<input type='submit' value='Add breakpoint'></p>" +
+    "<p><small>goal - navigation decides on the goal; score - a detection (of the label) scores below the threshold; " +
+    "obstacle - the car reports an obstacle; goalCount - the goal was repeated more than N times in a row</small></p></form>";
+  return html;
+}
+
 /************************************************************
   Debug mode - human control over sending driving commands to the car
  ************************************************************/
-app.get('/debugger', (req, res) => {
+app.get('/debugger', selectCar, (req, res) => {
   console.log(`***${APP}.GET.debugger***`);
   // First step is to send a command to the car to prevent non-stop streaming of messages
   // let command = new DriveMessage();
@@ -462,67 +380,87 @@ app.get('/debugger', (req, res) => {
   // command.sendSensorMessage();
   // publishCommand(command);
 
-  let formPage = debugDrivingForm();
+  let formPage = debugDrivingForm(req.car, auth.csrfField(req.user)) + breakpointsSection(req, req.car);
   res.status(200).send(formPage);
 });
 
 /************************************************************
   Debug step - send message to the car
  ************************************************************/
-app.post('/debug_submit', (req, res) => {
+app.post('/debug_submit', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
   console.log(`***${APP}.GET.debug_submit***`);
-  let command;
+  let car = req.car;
 
   if (!(req.body.refresh === undefined)) {
     console.log('debug_submit(): User wants to ignore the current command and wait for the next mesage from the car');
-    res.redirect('/debugger');
+    res.redirect(carUrl(car, '/debugger'));
     return;
   }
 
   if (!(req.body.next_sensor_message === undefined)) {
     console.log('debug_submit(): User wants to ask for a new sensor message');
-    command = new DriveMessage();
-    command.setModeDebug();
-    command.sendSensorMessage();
-    publishCommand(command);
-    res.redirect('/debugger');
+    car.requestSensorMessage();
+    res.redirect(carUrl(car, '/debugger'));
+    return;
+  }
+
+  if (!(req.body.resume === undefined) || !(req.body.step === undefined)) {
+    console.log('debug_submit(): User wants to ' + (req.body.step === undefined ? 'resume' : 'step') + ' after the breakpoint');
+    if (!car.resume(!(req.body.step === undefined))) {
+      console.error("ERROR: debug_submit(): car " + car.carId + " is not paused at a breakpoint");
+    }
+    res.redirect(carUrl(car, '/debugger'));
     return;
   }
 
   console.log('debug_submit(): User wants to send current command to the car');
+  car.sendDebugCommand();
+  // Now we send user back to the human control page so he can repeat
+  res.redirect(carUrl(car, '/debugger'));
+});
 
-  // Before we send the current message to the car, we need to make sure we add one action - that is to send sensor message after processing other actions
-  if (nextDrivingCommand === undefined) {
-    // If there were no instructions to begin with, then we will create an empty command
-    command = new DriveMessage();
-  } else {
-    command = nextDrivingCommand;
+/************************************************************
+  Navigation decision trace of the commands sent to the car, one decision at a time
+ ************************************************************/
+app.get('/trace', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.trace***`);
+  res.status(200).send(tracePage(req.car, req.query.command));
+});
+
+/************************************************************
+  Add a breakpoint
+ ************************************************************/
+app.post('/breakpoint_add', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.breakpoint_add*** ` + JSON.stringify(req.body));
+  let result = req.car.breakpoints.add(req.body, req.user.name);
+  if (result.errors.length > 0) {
+    res.status(400).send(debugDrivingForm(req.car, auth.csrfField(req.user)) + breakpointsSection(req, req.car, result.errors));
+    return;
   }
-  // Reset nextDrivingCommand to zero so it is not shown in the UI, unless we process another message
-  nextDrivingCommand = undefined;
+  req.car.emitStats();
+  res.redirect(carUrl(req.car, '/debugger'));
+});
 
-  command.setModeDebug();
-  // Tell the car to send sensor message after acting on other actions
-  command.setOnDemandSensorRate();
-  // command.sendSensorMessage();
-  // Push this command to the car
-  publishCommand(command);
-  // Now we send user back to the human control page so he can repeat
-  res.redirect('/debugger');
+/************************************************************
+  Remove a breakpoint
+ ************************************************************/
+app.post('/breakpoint_remove', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.breakpoint_remove*** ` + req.body.id);
+  req.car.breakpoints.remove(req.body.id);
+  req.car.emitStats();
+  res.redirect(carUrl(req.car, '/debugger'));
 });
 
 /************************************************************
   Turn ON DEBUG mode
  ************************************************************/
-app.get('/debugger_on', (req, res) => {
-  console.log(`***${APP}.GET.debugger_on***`);
-  startListener();
-  currentDrivingMode = DEBUG_MODE;
-  let command = new DriveMessage();
-  command.setModeDebug();
-  command.setOnDemandSensorRate();
-  publishCommand(command);
-  res.status(200).redirect('/debugger');
+app.post('/debugger_on', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.debugger_on***`);
+  if (!req.car.setDrivingMode(DEBUG_MODE)) {
+    drivingModeRefused(req, res);
+    return;
+  }
+  res.status(200).redirect(carUrl(req.car, '/debugger'));
 });
 
 // /************************************************************
@@ -540,108 +478,463 @@ app.get('/debugger_on', (req, res) => {
 /************************************************************
   Turn ON Self Driving mode
  ************************************************************/
-app.get('/self_driving_mode', (req, res) => {
-  console.log(`***${APP}.GET.self_driving_mode***`);
-  startListener();
-  currentDrivingMode = AUTOMATIC_MODE;
-  let command = new DriveMessage();
-  command.setModeAutomatic();
-  command.setOnDemandSensorRate();
-  // We want to do all the driving with a closed gripper to prevent random balls from getting into the grip
-  command.gripperClose();
-  command.sendSensorMessage();
-  publishCommand(command);
-  res.status(200).send('<a href="/">Home</a><p>Self driving mode is turned ON.');
+app.post('/self_driving_mode', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.self_driving_mode***`);
+  if (!req.car.setDrivingMode(AUTOMATIC_MODE)) {
+    drivingModeRefused(req, res);
+    return;
+  }
+  res.status(200).send(carLinks(req.car) + '<p>Self driving mode is turned ON.');
 });
 
 /************************************************************
   Reset all statistics
  ************************************************************/
-app.get('/reset', (req, res) => {
-  console.log(`***${APP}.GET.reset***`);
-  reset();
-  res.status(200).send('<a href="/">Home</a></p>Statistics reset complete.');
+app.post('/reset', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.reset***`);
+  req.car.reset();
+  res.status(200).send(carLinks(req.car) + '</p>Statistics reset complete.');
 });
 
 /************************************************************
   Turn ON Manual driving mode
  ************************************************************/
-app.get('/manual_mode', (req, res) => {
-  console.log(`***${APP}.GET.manual_mode***`);
+app.post('/manual_mode', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.manual_mode***`);
   // stopListener();
-  currentDrivingMode = MANUAL_MODE;
-  let command = new DriveMessage();
-  command.setModeManual();
-  // command.setOnDemandSensorRate();
-  command.sendSensorMessage();
-  publishCommand(command);
+  if (!req.car.setDrivingMode(MANUAL_MODE)) {
+    drivingModeRefused(req, res);
+    return;
+  }
+  res.redirect(carUrl(req.car, '/manual_mode'));
+});
 
-  let formPage = manualDrivingForm(inboundMsgHistory);
+/************************************************************
+  Manual driving form
+ ************************************************************/
+app.get('/manual_mode', auth.requireRole(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.GET.manual_mode***`);
+  let formPage = manualDrivingForm(req.car, auth.csrfField(req.user));
   res.status(200).send(formPage);
 });
 
+/************************************************************
+  Keyboard and gamepad driving - the page sends its commands via the API (POST /api/v1/cars/:carId/teleop)
+ ************************************************************/
+app.get('/teleop', auth.requireRole(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.GET.teleop***`);
+  res.status(200).send(teleopPage(req.car, auth.csrfToken(req.user)));
+});
+
 /************************************************************
   Manual car control (as submitted from manual_control.html)
  ************************************************************/
-app.post('/manual_control_action', (req, res) => {
+app.post('/manual_control_action', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
   console.log(`***${APP}.GET.manual_control_action***`);
-  publishCommand(manualCommand(req));
+  let command = manualCommand(req.body);
+  req.car.publishCommand(command);
+  macros.record(req.car.carId, command);
   // Now we send user back to the manual control page so he can repeat
-  res.redirect('/manual_mode');
+  res.redirect(carUrl(req.car, '/manual_mode'));
+});
+
+/************************************************************
+  Recording on the car, list of the macros and the replay forms
+ ************************************************************/
+app.get('/macros', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.macros***`);
+  res.status(200).send(macroListPage(req.car, fleet.cars, macros, auth.csrfField(req.user)));
+});
+
+/************************************************************
+  Show the list of macros again with the problems of the last action
+ ************************************************************/
+function macroErrors(req, res, status, errors) {
+  res.status(status).send(macroListPage(req.car, fleet.cars, macros, auth.csrfField(req.user), errors));
+}
+
+/************************************************************
+  Steps of a single macro with the forms to change them
+ ************************************************************/
+app.get('/macro', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.macro***`);
+  let macro = macros.get(req.query.name);
+  if (macro === undefined) {
+    macroErrors(req, res, 404, ["Macro '" + req.query.name + "' does not exist"]);
+    return;
+  }
+  res.status(200).send(macroEditPage(req.car, macro, auth.csrfField(req.user)));
+});
+
+/************************************************************
+  Start recording the commands of the manual driving form as a macro
+ ************************************************************/
+app.post('/macro_record_start', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_record_start***`);
+  let errors = macros.startRecording(req.car.carId, req.body.name, req.user.name);
+  if (errors.length > 0) {
+    macroErrors(req, res, 400, errors);
+    return;
+  }
+  res.redirect(carUrl(req.car, '/manual_mode'));
+});
+
+/************************************************************
+  Stop recording and save the macro
+ ************************************************************/
+app.post('/macro_record_stop', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_record_stop***`);
+  let errors = macros.stopRecording(req.car.carId);
+  if (errors.length > 0) {
+    macroErrors(req, res, 400, errors);
+    return;
+  }
+  res.redirect(carUrl(req.car, '/macros'));
+});
+
+/************************************************************
+  Save the edited steps of the macro
+ ************************************************************/
+app.post('/macro_save', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_save***`);
+  let macro = macros.get(req.body.name);
+  if (macro === undefined) {
+    macroErrors(req, res, 404, ["Macro '" + req.body.name + "' does not exist"]);
+    return;
+  }
+  let parsed = parseStepsText(req.body.steps);
+  let errors = parsed.errors.length > 0 ? parsed.errors : macros.save(macro.name, parsed.steps, req.user.name);
+  if (errors.length > 0) {
+    res.status(400).send(macroEditPage(req.car, macro, auth.csrfField(req.user), errors, req.body.steps));
+    return;
+  }
+  res.redirect(carUrl(req.car, '/macro') + '&name=' + encodeURIComponent(macro.name));
+});
+
+/************************************************************
+  Move a step of the macro up or down, or remove it
+ ************************************************************/
+app.post('/macro_step', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_step***`);
+  let errors = macros.changeStep(req.body.name, req.body.index, req.body.move, req.user.name);
+  if (errors.length > 0) {
+    macroErrors(req, res, 400, errors);
+    return;
+  }
+  res.redirect(carUrl(req.car, '/macro') + '&name=' + encodeURIComponent(req.body.name));
+});
+
+/************************************************************
+  Remove the macro
+ ************************************************************/
+app.post('/macro_delete', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_delete***`);
+  if (!macros.remove(req.body.name)) {
+    macroErrors(req, res, 404, ["Macro '" + req.body.name + "' does not exist"]);
+    return;
+  }
+  res.redirect(carUrl(req.car, '/macros'));
+});
+
+/************************************************************
+  Send the macro to the car picked in the form with the speed and distance scaled
+ ************************************************************/
+app.post('/macro_replay', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.macro_replay***`);
+  let macro = macros.get(req.body.name);
+  let target = fleet.getCar(req.body.target || req.car.carId);
+  if (macro === undefined || target === undefined) {
+    macroErrors(req, res, 404, [macro === undefined ? "Macro '" + req.body.name + "' does not exist" : "Car '" + req.body.target + "' is not registered with this controller"]);
+    return;
+  }
+  replayMacro(target, macro, req.body.speedScale, req.body.distanceScale)
+    .then((result) => {
+      if (result.command === undefined) {
+        macroErrors(req, res, (target.isEmergencyStopped() || target.currentDrivingMode != MANUAL_MODE) ? 409 : 400, result.errors);
+      } else if (!result.sent) {
+        macroErrors(req, res, 502, result.errors);
+      } else {
+        res.redirect(carUrl(target, '/manual_mode'));
+      }
+    })
+    .catch((err) => {
+      console.error("ERROR: macro_replay(carId=" + target.carId + "): replaying macro " + macro.name + " failed: " + err);
+      macroErrors(req, res, 500, ["Macro '" + macro.name + "' could not be replayed: " + err.message]);
+    });
 });
 
 /************************************************************
   Start listener
  ************************************************************/
-app.get('/start', (req, res) => {
-  reset();
-  startListener();
+app.post('/start', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  req.car.reset();
+  req.car.startListener();
   console.log(`***${APP}.GET.start_listener***`);
-  res.status(200).send('<a href="/">Home</a><p>Listener has been (re)started');
+  res.status(200).send(carLinks(req.car) + '<p>Listener has been (re)started');
 });
 
 /************************************************************
   Stop listener
  ************************************************************/
-app.get('/stop', (req, res) => {
-  res.status(200).send('<a href="/">Home</a><p>Listener has been stopped');
+app.post('/stop', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  res.status(200).send(carLinks(req.car) + '<p>Listener has been stopped');
 });
 
 /************************************************************
-  Show stats HTML page
+  Emergency stop of the car - any driver can stop a car, only admin can re-arm it
  ************************************************************/
-app.get('/', (req, res) => {
-  console.log(`***${APP}.GET.main_page***`);
-  let html = "<h1>Robot Derby Driving Controller</h1>" +
-    "<p>Current driving mode: <b>" + currentDrivingMode + "</b></p>" +
-    "<p>Set driving mode to: <a href='/self_driving_mode'>Self driving</a> / <a href='/manual_mode'>Manual</a> / <a href='/debugger_on'>Debug</a></p>" +
-    "<p>Car color (<a href='/change_color'>change it</a>): <b>" + ballColor + "</b></p>" +
-    "<p>Message history: <a href='/inbound_history'>Inbound sensor data</a> / <a href='/outbound_history'>Outbound driving commands</a></p>" +
-    "<p>Errors: <b>" + totalErrors + "</b></p>" +
-    "<p>Messages received: <b>" + totalMessagesReceived + "</b></p>" +
-    "<p>Messages sent: <b>" + totalMessagesSent + "</b></p>" +
-    "<p>Rejected out of order or old messages: <b>" + rejectedOutOfOrderMessages + "</b></p>" +
-    "<p>Rejected format messages: <b>" + rejectedFormatMessages + "</b></p>" +
-    "<p>Most recent message: <b>" + new Date(maxMsgTimeStampMs).toUTCString() + "</b></p>" +
-    "<p>Listener status <a href='/start'>Start</a>/<a href='/stop'>Stop</a>: <b>" + listenerStatus + "</b></p>" +
-    "<p>Statistics: <a href='/reset'>Reset</a></p>" +
-    "<p>Command topic: <b>" + process.env.COMMAND_TOPIC + "</b></p>" +
-    "<p>Sensor subscription: <b>" + process.env.SENSOR_SUBSCRIPTION + "</b></p>";
-
-  let imageUrl;
-  if (inboundMsgHistory.length > 0) {
-    let msg = inboundMsgHistory[inboundMsgHistory.length - 1];
-    if ((!(msg.data === undefined)) && (!(JSON.parse(msg.data).sensors === undefined)) &&
-      (!(JSON.parse(msg.data).sensors.frontCameraImagePath === undefined))) {
-      imageUrl = JSON.parse(msg.data).sensors.frontCameraImagePath;
-    }
+app.post('/estop', stateChange(DRIVER_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.estop***`);
+  req.car.emergencyStop(req.body.reason || "stopped from the car page", req.user.name);
+  res.redirect(carUrl(req.car, '/car'));
+});
+
+/************************************************************
+  Emergency stop of every car in the fleet
+ ************************************************************/
+app.post('/estop_all', stateChange(DRIVER_ROLE), (req, res) => {
+  console.log(`***${APP}.POST.estop_all***`);
+  fleet.emergencyStopAll(req.body.reason || "stopped from the fleet overview", req.user.name);
+  res.redirect('/');
+});
+
+/************************************************************
+  Release the emergency stop of the car
+ ************************************************************/
+app.post('/rearm', stateChange(ADMIN_ROLE), selectCar, (req, res) => {
+  console.log(`***${APP}.POST.rearm***`);
+  req.car.rearm(req.user.name);
+  res.redirect(carUrl(req.car, '/car'));
+});
+
+/************************************************************
+  Metrics of all cars in Prometheus text format
+ ************************************************************/
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.status(200).send(metrics.registry.metricsText());
+});
+
+/************************************************************
+  Show the configuration with the forms to change it and the audit trail
+ ************************************************************/
+app.get('/config', auth.requireRole(ADMIN_ROLE), (req, res) => {
+  console.log(`***${APP}.GET.config***`);
+  res.status(200).send(configPage(config, auth.csrfField(req.user)));
+});
+
+/************************************************************
+  Change the setting (for all cars or for the car given in the form), remove the runtime
+  change or reload the config file and environment
+ ************************************************************/
+app.post('/config', stateChange(ADMIN_ROLE), (req, res) => {
+  console.log(`***${APP}.POST.config*** ` + req.body.action + " " + req.body.key);
+  let carId = req.body.car ? req.body.car : undefined;
+  let errors;
+  if (req.body.action == "set") {
+    errors = config.set(req.body.key, req.body.value, carId, req.user.name);
+  } else if (req.body.action == "unset") {
+    errors = config.unset(req.body.key, carId, req.user.name);
+  } else if (req.body.action == "reload") {
+    errors = config.reload(req.user.name);
+  } else {
+    errors = ["Unknown action '" + req.body.action + "'"];
+  }
+  if (errors.length > 0) {
+    res.status(400).send(configPage(config, auth.csrfField(req.user), errors));
+    return;
+  }
+  res.redirect('/config');
+});
+
+/************************************************************
+  List recorded sessions
+ ************************************************************/
+app.get('/sessions', (req, res) => {
+  console.log(`***${APP}.GET.sessions***`);
+  res.status(200).send(sessionListPage(sessionLog.listSessions()));
+});
+
+/************************************************************
+  Show records of a single session, filtered by time range, car and record type
+ ************************************************************/
+app.get('/session', (req, res) => {
+  console.log(`***${APP}.GET.session***`);
+  sessionLog.query(req.query.id, queryFilter(req.query))
+    .then((records) => {
+      res.status(200).send(sessionRecordsPage(req.query.id, req.query, records));
+    })
+    .catch((err) => {
+      res.status(404).send('<a href="/">Home</a> / <a href="/sessions">Sessions</a><p>' + escapeHtml(err.message));
+    });
+});
+
+/************************************************************
+  Current match with its controls and the list of finished matches
+ ************************************************************/
+app.get('/matches', (req, res) => {
+  console.log(`***${APP}.GET.matches***`);
+  res.status(200).send(matchListPage(matches.current, matches.listMatches(), fleet, auth.csrfField(req.user)));
+});
+
+/************************************************************
+  Scores and timeline of a single match
+ ************************************************************/
+app.get('/match', (req, res) => {
+  console.log(`***${APP}.GET.match***`);
+  matches.load(req.query.id)
+    .then((match) => {
+      res.status(200).send(matchPage(match));
+    })
+    .catch((err) => {
+      res.status(404).send('<a href="/">Home</a> / <a href="/matches">Matches</a><p>' + escapeHtml(err.message));
+    });
+});
+
+/************************************************************
+  Start the countdown of a new match with the cars checked in the form
+ ************************************************************/
+app.post('/match_start', stateChange(ADMIN_ROLE), (req, res) => {
+  console.log(`***${APP}.POST.match_start***`);
+  // A single checked box comes as a string
+  let carIds = [].concat(req.body.cars || []);
+  if (carIds.length == 0) {
+    carIds = ["(none checked)"];
   }
+  let result = matches.start(carIds, req.user.name, { countdownSec: req.body.countdownSec, durationSec: req.body.durationSec });
+  if (result.errors.length > 0) {
+    res.status(400).send(matchListPage(matches.current, matches.listMatches(), fleet, auth.csrfField(req.user), result.errors));
+    return;
+  }
+  res.redirect('/matches');
+});
 
-  // Add an image to the form
-  if (!(imageUrl === undefined)) {
-    html = html + '<img src="' + imageUrl + '" alt="picture of the ball" style="width:600px;"/>';
+/************************************************************
+  Stop the current match and show its summary
+ ************************************************************/
+app.post('/match_stop', stateChange(ADMIN_ROLE), (req, res) => {
+  console.log(`***${APP}.POST.match_stop***`);
+  let match = matches.stop(req.user.name);
+  if (match === undefined) {
+    res.status(409).send(matchListPage(matches.current, matches.listMatches(), fleet, auth.csrfField(req.user), ["There is no match to stop"]));
+    return;
   }
+  res.redirect('/match?id=' + match.matchId);
+});
+
+/************************************************************
+  Take points away from a car of the running match
+ ************************************************************/
+app.post('/match_penalty', stateChange(ADMIN_ROLE), (req, res) => {
+  console.log(`***${APP}.POST.match_penalty***`);
+  let errors = matches.penalty(req.body.car, req.body.points, req.body.reason, req.user.name);
+  if (errors.length > 0) {
+    res.status(400).send(matchListPage(matches.current, matches.listMatches(), fleet, auth.csrfField(req.user), errors));
+    return;
+  }
+  res.redirect('/matches');
+});
+
+/************************************************************
+  Show stats HTML page for a single car
+ ************************************************************/
+app.get('/car', selectCar, (req, res) => {
+  console.log(`***${APP}.GET.car_page***`);
+  let car = req.car;
+  let html = '<a href="/">Home</a>' +
+    "<h1>Robot Derby Driving Controller - Car " + car.carId + "</h1>" +
+    "<p>Logged in as <b>" + req.user.name + "</b> (" + req.user.role + ")</p>" +
+    emergencyStopBanner(req, car) +
+    "<p>Current driving mode: <b>" + car.currentDrivingMode + "</b></p>" +
+    "<p>Set driving mode to: " + postButton(req, car, '/self_driving_mode', 'Self driving') + " " + postButton(req, car, '/manual_mode', 'Manual') + " " + postButton(req, car, '/debugger_on', 'Debug') + "</p>" +
+    "<p>Drive the car: <a href='" + carUrl(car, '/manual_mode') + "'>Manual control</a> / <a href='" + carUrl(car, '/teleop') + "'>Keyboard and gamepad</a> / <a href='" + carUrl(car, '/macros') + "'>Macros</a> / <a href='" + carUrl(car, '/debugger') + "'>Debugger</a>" +
+    " / <a href='" + carUrl(car, '/trace') + "'>Navigation decisions</a></p>" +
+    "<p>Car color (<a href='" + carUrl(car, '/change_color') + "'>change it</a>): <b>" + car.ballColor + "</b></p>" +
+    "<p>Message history: <a href='" + carUrl(car, '/inbound_history') + "'>Inbound sensor data</a> / <a href='" + carUrl(car, '/outbound_history') + "'>Outbound driving commands</a> / <a href='" + carUrl(car, '/rejected_history') + "'>Rejected messages with reasons</a></p>" +
+    "<p>Errors: <b id='live-stats-totalErrors'>" + car.totalErrors + "</b></p>" +
+    "<p>Messages received: <b id='live-stats-totalMessagesReceived'>" + car.totalMessagesReceived + "</b></p>" +
+    "<p>Messages sent: <b id='live-stats-totalMessagesSent'>" + car.totalMessagesSent + "</b></p>" +
+    "<p>Rejected out of order or old messages: <b id='live-stats-rejectedOutOfOrderMessages'>" + car.rejectedOutOfOrderMessages + "</b></p>" +
+    "<p>Rejected format messages: <b id='live-stats-rejectedFormatMessages'>" + car.rejectedFormatMessages + "</b></p>" +
+    "<p>Duplicate messages: <b id='live-stats-duplicateMessages'>" + car.sequenceTracker.duplicateMessages + "</b></p>" +
+    "<p>Lost messages (gaps in msgId): <b id='live-stats-lostMessages'>" + car.sequenceTracker.lostMessages + "</b></p>" +
+    "<p>Reordered messages: <b id='live-stats-reorderedMessages'>" + car.sequenceTracker.reorderedMessages + "</b></p>" +
+    "<p>Car restarts (msgId started over): <b id='live-stats-carRestarts'>" + car.sequenceTracker.carRestarts + "</b></p>" +
+    "<p>Commands (<a href='" + carUrl(car, '/command_acks') + "'>details</a>): pending <b id='live-stats-pendingCommands'>" + car.commandTracker.pending.size +
+    "</b>, acknowledged <b id='live-stats-acknowledgedCommands'>" + car.commandTracker.acknowledgedCommands +
+    "</b>, resent <b id='live-stats-resentCommands'>" + car.commandTracker.resentCommands +
+    "</b>, timed out <b id='live-stats-timedOutCommands'>" + car.commandTracker.timedOutCommands + "</b></p>" +
+    "<p>Command round trip (ms): last <b id='live-stats-lastRoundTripMs'>" + (car.commandTracker.lastRoundTripMs || "-") +
+    "</b>, average <b id='live-stats-averageRoundTripMs'>" + (car.commandTracker.averageRoundTripMs() || "-") + "</b></p>" +
+    "<p>Watchdog (" + config.get('WATCHDOG_NUDGE_SEC', car.carId) + " sec to nudge, " + config.get('WATCHDOG_FAILSAFE_SEC', car.carId) +
+    " sec more to failsafe '" + config.get('WATCHDOG_FAILSAFE', car.carId) + "'): <b id='live-stats-watchdogState'>" + car.watchdog.state +
+    "</b>, nudges <b id='live-stats-watchdogNudges'>" + car.watchdog.nudges + "</b>, failsafes <b id='live-stats-watchdogFailsafes'>" + car.watchdog.failsafes + "</b>" +
+    (car.watchdog.lastFailsafe ? " (last at " + new Date(car.watchdog.lastFailsafe.timestampMs).toUTCString() + ")" : "") + "</p>" +
+    "<p>Navigation decisions (one at a time): messages coalesced while deciding <b id='live-stats-coalescedMessages'>" + car.decisionLoop.coalescedMessages +
+    "</b>, stale commands dropped <b id='live-stats-staleCommands'>" + car.decisionLoop.staleCommands + "</b> (at most " +
+    config.get('STALE_COMMAND_MAX_DROPS', car.carId) + " in a row)</p>" +
+    "<p>Navigation failures (recovery policy '" + config.get('NAVIGATION_FAILURE_POLICY', car.carId) + "'): <b id='live-stats-navigationFailures'>" + car.recovery.totalFailures() +
+    "</b> (" + failuresByCategory(car.recovery.failures) + "), vision retries <b id='live-stats-recoveryRetries'>" + car.recovery.retries +
+    "</b>, fresh photos <b id='live-stats-recoveryPhotos'>" + car.recovery.photos + "</b>, searches <b id='live-stats-recoverySearches'>" + car.recovery.searches + "</b>" +
+    (car.recovery.lastFailure ? "<br><small>Last failure at " + new Date(car.recovery.lastFailure.timestampMs).toUTCString() + " (" +
+      car.recovery.lastFailure.category + "): " + car.recovery.lastFailure.message + "</small>" : "") + "</p>" +
+    "<p style='color:red' id='live-alert'></p>" +
+    "<p>Most recent message: <b id='live-stats-maxMsgTimeStampMs'>" + new Date(car.maxMsgTimeStampMs).toUTCString() + "</b></p>" +
+    "<p>Listener status " + postButton(req, car, '/start', 'Start') + " " + postButton(req, car, '/stop', 'Stop') + ": <b id='live-stats-listenerStatus'>" + car.listenerStatus + "</b></p>" +
+    "<p>Statistics: " + postButton(req, car, '/reset', 'Reset') + "</p>" +
+    "<p>Command topic: <b>" + car.commandTopicName + "</b></p>" +
+    "<p>Sensor subscription: <b>" + car.sensorSubscriptionName + "</b></p>";
+
+  let imageUrl = car.latestImageUrl();
+
+  // Add an image with the detected objects drawn over it - it is hidden until the car sends the first picture
+  html = html + overlayImage(imageUrl, car.latestImageOverlay(), 600, true);
+
+  html = html + '<p style="color:LightGray"><small>Version 0.67<br>' + new Date().toUTCString() + '</small></p>';
+  html = html + liveUpdateScript(car);
+
+  res.status(200).send(html);
+});
+
+/************************************************************
+  Show fleet overview HTML page
+ ************************************************************/
+app.get('/', (req, res) => {
+  console.log(`***${APP}.GET.main_page***`);
+  let html = "<h1>Robot Derby Driving Controller</h1>" +
+    "<p>Cars managed by this controller: <b>" + fleet.cars.length + "</b></p>" +
+    "<table border='1' cellpadding='4'><tr><th>Car</th><th>Driving mode</th><th>Color</th><th>Listener</th>" +
+    "<th>Received</th><th>Sent</th><th>Errors</th><th>Navigation failures</th><th>Round trip (ms)</th><th>Watchdog</th><th>Most recent message</th><th>Control</th><th>Camera</th></tr>";
+
+  fleet.cars.forEach((car) => {
+    let imageUrl = car.latestImageUrl();
+    html = html + "<tr><td><a href='" + carUrl(car, '/car') + "'><b>" + car.carId + "</b></a></td>" +
+      "<td>" + car.currentDrivingMode + (car.isEmergencyStopped() ? " <b style='color:red'>STOPPED</b>" : "") +
+      (car.isPaused() ? " <a href='" + carUrl(car, '/debugger') + "' style='color:orange'><b>PAUSED</b></a>" : "") + "</td>" +
+      "<td>" + car.ballColor + "</td>" +
+      "<td>" + car.listenerStatus + "</td>" +
+      "<td>" + car.totalMessagesReceived + "</td>" +
+      "<td>" + car.totalMessagesSent + "</td>" +
+      "<td>" + car.totalErrors + "</td>" +
+      "<td>" + car.recovery.totalFailures() + (car.recovery.totalFailures() > 0 ? "<br><small>" + failuresByCategory(car.recovery.failures) + "</small>" : "") + "</td>" +
+      "<td><a href='" + carUrl(car, '/command_acks') + "'>" + (car.commandTracker.averageRoundTripMs() || "-") + "</a>" +
+      (car.commandTracker.alerts.length > 0 ? " <span style='color:red'>" + car.commandTracker.alerts.length + " alerts</span>" : "") + "</td>" +
+      "<td>" + car.watchdog.state + (car.watchdog.failsafes > 0 ? " <span style='color:red'>" + car.watchdog.failsafes + " failsafes</span>" : "") + "</td>" +
+      "<td>" + new Date(car.maxMsgTimeStampMs).toUTCString() + "</td>" +
+      "<td><a href='" + carUrl(car, '/manual_mode') + "'>Manual</a> / <a href='" + carUrl(car, '/teleop') + "'>Teleop</a> / <a href='" + carUrl(car, '/debugger') + "'>Debugger</a></td>" +
+      "<td>" + ((imageUrl === undefined) ? "" : overlayImage(imageUrl, car.latestImageOverlay(), 160, false)) + "</td></tr>";
+  });
 
+  html = html + "</table>";
+  html = html + "<p><form style='display:inline' action='/estop_all' method='post'>" + auth.csrfField(req.user) +
+    "<input type='submit' value='EMERGENCY STOP ALL CARS' style='background-color:red;color:white;font-weight:bold'></form></p>";
+  html = html + "<p>Matches: " + (matches.current ? "<b>" + matches.current.matchId + " " + matches.current.state + "</b> / " : "") +
+    "<a href='/matches'>Start, follow and browse</a> / <a href='/spectator'>Spectator view</a></p>";
+  html = html + "<p>Message history of all cars: <a href='/inbound_history'>Inbound sensor data</a> / <a href='/outbound_history'>Outbound driving commands</a></p>";
+  html = html + "<p>Recorded sessions: <a href='/sessions'>Browse</a></p>";
+  html = html + "<p>Prometheus metrics: <a href='/metrics'>/metrics</a></p>";
+  html = html + analyticsStatus(analytics.status());
+  html = html + "<p>Configuration (admin): <a href='/config'>Settings and audit trail</a></p>";
   html = html + '<p style="color:LightGray"><small>Version 0.67<br>' + new Date().toUTCString() + '</small></p>';
   // html = html + '<p style="color:LightGray"><small>' + new Date().toUTCString() + '</small><br><img src="./images/google_cloud.png" alt="google cloud logo" style="width:400px;"></p>';
 
@@ -649,13 +942,63 @@ app.get('/', (req, res) => {
   res.status(200).send(html);
 });
 
+/************************************************************
+  Navigation failures of the car by category, leaving out the categories without failures
+ ************************************************************/
+function failuresByCategory(failures) {
+  let counts = Object.keys(failures).filter((category) => failures[category] > 0).map((category) => category + " " + failures[category]);
+  return counts.length == 0 ? "none" : counts.join(", ");
+}
+
+/************************************************************
+  One line with the counters of the analytics pipeline for the fleet overview
+ ************************************************************/
+function analyticsStatus(status) {
+  if (status.sink == "none") {
+    return "<p>Analytics: <b>off</b></p>";
+  }
+  return "<p>Analytics (" + status.sink + "): <b>" + status.rowsWritten + "</b> rows written, " +
+    status.rowsBuffered + " buffered, " + status.batchesInFlight + " batches in flight, " + status.batchRetries + " retries" +
+    (status.batchesDeadLettered > 0 ? ", <span style='color:red'>" + status.rowsDeadLettered + " rows in " +
+      status.batchesDeadLettered + " batches dead lettered</span>" : "") +
+    (status.lastError ? "<br><small>Last error: " + status.lastError.table + ": " + status.lastError.message + "</small>" : "") + "</p>";
+}
+
 /************************************************************
   Start server
  ************************************************************/
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log("Listening on port " + PORT + ". Press Ctrl+C to quit.");
-  startListener();
+  fleet.startListeners();
+});
+
+/************************************************************
+  Cars must not keep driving without the controller - stop all of them before going down
+ ************************************************************/
+// How long to wait for the stop commands to be sent before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = 5000;
+let shuttingDown = false;
+
+function shutdown(reason, exitCode) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.error("ERROR: shutdown(): " + reason + " - sending emergency stop to all cars");
+  setTimeout(() => process.exit(exitCode), SHUTDOWN_TIMEOUT_MS).unref();
+  fleet.emergencyStopAll(reason, APP)
+    .catch((err) => console.error("ERROR: shutdown(): " + err))
+    // Rows still buffered for analytics are written before exiting
+    .then(() => analytics.close())
+    .then(() => process.exit(exitCode));
+}
+
+process.on('SIGTERM', () => shutdown("controller is shutting down (SIGTERM)", 0));
+process.on('SIGINT', () => shutdown("controller is shutting down (SIGINT)", 0));
+process.on('uncaughtException', (err) => {
+  console.error("ERROR: uncaughtException: " + (err && err.stack));
+  shutdown("controller crashed: " + (err && err.message), 1);
 });
 
 module.exports = app;
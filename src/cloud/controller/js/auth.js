@@ -0,0 +1,301 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var process = require('process'); // Required for mocking environment variables
+var fs = require('fs');
+var crypto = require('crypto');
+var config = require('./config').config;
+
+// Roles in the order of increasing privileges - each role can do everything the previous one can
+const VIEWER_ROLE = "viewer";
+const DRIVER_ROLE = "driver";
+const ADMIN_ROLE = "admin";
+const ROLES = [VIEWER_ROLE, DRIVER_ROLE, ADMIN_ROLE];
+
+// Name of the form field (or header) with the CSRF token
+const CSRF_FIELD = "_csrf";
+const CSRF_HEADER = "x-csrf-token";
+// Password hashes are "pbkdf2$<iterations>$<salt hex>$<hash hex>" (see hashPassword())
+const PASSWORD_HASH_SCHEME = "pbkdf2";
+const PASSWORD_HASH_ITERATIONS = 100000;
+const PASSWORD_HASH_BYTES = 32;
+const PASSWORD_SALT_BYTES = 16;
+
+/************************************************************
+  Authentication and authorization of the control panel and the API.
+
+  Users are read from the JSON file named by the USERS_FILE variable, for example:
+    [
+      { "name": "alice", "passwordHash": "pbkdf2$100000$<salt hex>$<hash hex>", "role": "admin" },
+      { "name": "team1", "passwordHash": "...", "token": "<random string>", "role": "driver" },
+      { "name": "judge", "token": "<random string>", "role": "viewer" }
+    ]
+  Password hashes are printed by "node auth.js <password>", every hash has a salt of its own.
+  Browsers log in with HTTP basic auth (name and password), scripts send "Authorization: Bearer <token>".
+  Roles are:
+    - viewer - can look at all pages, history, sessions and metrics
+    - driver - can also drive the car, change the ball color and use the debugger
+    - admin - can also change driving modes, reset statistics and start/stop listeners
+
+  Browsers send basic auth credentials with every request, so state changing requests authenticated
+  with basic auth must carry the CSRF token of the user in the "_csrf" form field or "X-CSRF-Token" header.
+  A new token is issued with every page (and GET /api/v1/whoami): a random nonce and the expiry time
+  signed together with the user name by HMAC keyed with CSRF_SECRET (random at every start if not set).
+  Tokens expire after CSRF_TOKEN_TTL_MIN minutes.
+
+  The spectator page and its API (see spectator.js) are read-only and do not require login.
+
+  The controller does not start without USERS_FILE, unless AUTH_DISABLED is set to true - then
+  authentication is turned off and everyone is an admin (for local development only).
+ ************************************************************/
+class Auth {
+
+  /************************************************************
+    Input:
+      - users - list of { name, passwordHash, token, role } or undefined to turn authentication off
+      - csrfSecret - key for CSRF tokens
+   ************************************************************/
+  constructor(users, csrfSecret) {
+    this.users = users;
+    this.csrfSecret = csrfSecret;
+    if (users !== undefined) {
+      users.forEach((user) => {
+        if (!user.name || ROLES.indexOf(user.role) < 0) {
+          throw new Error("Auth(): user '" + user.name + "' must have a name and one of the roles " + ROLES.join(", "));
+        }
+        if (user.passwordSha256 !== undefined) {
+          throw new Error("Auth(): user '" + user.name + "' has an unsalted passwordSha256, replace it with passwordHash printed by \"node auth.js <password>\"");
+        }
+        if (user.passwordHash !== undefined && user.passwordHash.split("$")[0] != PASSWORD_HASH_SCHEME) {
+          throw new Error("Auth(): passwordHash of user '" + user.name + "' must be printed by \"node auth.js <password>\"");
+        }
+      });
+    }
+    // Key of the logins already checked against the slow password hash, so basic auth sent with every request stays fast
+    this.loginKey = crypto.randomBytes(32);
+    this.checkedLogins = new Map();
+    this.authenticate = this.authenticate.bind(this);
+    this.verifyCsrf = this.verifyCsrf.bind(this);
+  }
+
+  /************************************************************
+    Middleware that identifies the user and stores it in req.user (and the way of login in req.authMethod)
+   ************************************************************/
+  authenticate(req, res, next) {
+    if (this.users === undefined) {
+      req.user = { name: "anonymous", role: ADMIN_ROLE };
+      req.authMethod = "none";
+      next();
+      return;
+    }
+    let header = req.headers.authorization || "";
+    let user;
+    if (header.startsWith("Basic ")) {
+      let credentials = Buffer.from(header.substring("Basic ".length), 'base64').toString();
+      let separator = credentials.indexOf(":");
+      user = this.users.find((candidate) => candidate.name == credentials.substring(0, separator) &&
+        candidate.passwordHash !== undefined && this.checkPassword(candidate, credentials.substring(separator + 1)));
+      req.authMethod = "basic";
+    } else if (header.startsWith("Bearer ")) {
+      let token = header.substring("Bearer ".length);
+      user = this.users.find((candidate) => candidate.token !== undefined && sameSecret(token, candidate.token));
+      req.authMethod = "bearer";
+    }
+    if (user === undefined) {
+      console.log("authenticate(): " + (header ? "invalid credentials" : "no credentials") + " for " + req.method + " " + req.path);
+      res.set('WWW-Authenticate', 'Basic realm="Robot Derby"');
+      deny(req, res, 401, "Login required");
+      return;
+    }
+    req.user = user;
+    next();
+  }
+
+  /************************************************************
+    Check the password of the user against the stored hash, remembering the last login that matched
+   ************************************************************/
+  checkPassword(user, password) {
+    let login = crypto.createHmac('sha256', this.loginKey).update(user.name + ":" + password).digest('hex');
+    if (this.checkedLogins.get(user.name) === login) {
+      return true;
+    }
+    if (!verifyPassword(password, user.passwordHash)) {
+      return false;
+    }
+    this.checkedLogins.set(user.name, login);
+    return true;
+  }
+
+  /************************************************************
+    Middleware that lets only users with the given role (or higher) through
+   ************************************************************/
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!hasRole(req.user, role)) {
+        console.log("requireRole(): user '" + req.user.name + "' with role " + req.user.role + " needs role " + role + " for " + req.method + " " + req.path);
+        deny(req, res, 403, "Role '" + role + "' is required");
+        return;
+      }
+      next();
+    };
+  }
+
+  /************************************************************
+    Middleware that rejects state changing requests without a valid CSRF token
+   ************************************************************/
+  verifyCsrf(req, res, next) {
+    if (req.authMethod != "basic") {
+      next();
+      return;
+    }
+    let token = (req.body && req.body[CSRF_FIELD]) || req.headers[CSRF_HEADER] || "";
+    if (!this.validCsrfToken(req.user, token)) {
+      console.log("verifyCsrf(): missing or invalid CSRF token from user '" + req.user.name + "' for " + req.method + " " + req.path);
+      deny(req, res, 403, "Invalid CSRF token");
+      return;
+    }
+    next();
+  }
+
+  /************************************************************
+    New CSRF token of the user to be included in the forms: "<expiresMs>.<nonce>.<signature>"
+   ************************************************************/
+  csrfToken(user) {
+    let expiresMs = new Date().getTime() + config.get('CSRF_TOKEN_TTL_MIN') * 60 * 1000;
+    let nonce = crypto.randomBytes(16).toString('hex');
+    return expiresMs + "." + nonce + "." + this.csrfSignature(user, expiresMs, nonce);
+  }
+
+  /************************************************************
+    Is the token issued by csrfToken() to this user and not expired yet?
+   ************************************************************/
+  validCsrfToken(user, token) {
+    let parts = String(token).split(".");
+    if (parts.length != 3 || !/^\d+$/.test(parts[0]) || parseInt(parts[0], 10) < new Date().getTime()) {
+      return false;
+    }
+    return sameSecret(parts[2], this.csrfSignature(user, parts[0], parts[1]));
+  }
+
+  csrfSignature(user, expiresMs, nonce) {
+    return crypto.createHmac('sha256', this.csrfSecret).update(user.name + "." + expiresMs + "." + nonce).digest('hex');
+  }
+
+  /************************************************************
+    Hidden form field with the CSRF token of the user
+   ************************************************************/
+  csrfField(user) {
+    return '<input type="hidden" name="' + CSRF_FIELD + '" value="' + this.csrfToken(user) + '">';
+  }
+}
+
+/************************************************************
+  Reject the request - API callers get JSON error as all other API errors, browsers get a page
+ ************************************************************/
+function deny(req, res, status, message) {
+  if (req.originalUrl.startsWith('/api/')) {
+    res.status(status).json({ error: message });
+  } else {
+    res.status(status).send('<a href="/">Home</a><p>' + message);
+  }
+}
+
+/************************************************************
+  Does the user have the role (or a higher one)?
+ ************************************************************/
+function hasRole(user, role) {
+  return user !== undefined && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/************************************************************
+  Salted hash of the password to be stored in USERS_FILE
+ ************************************************************/
+function hashPassword(password) {
+  let salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString('hex');
+  let hash = crypto.pbkdf2Sync(password, salt, PASSWORD_HASH_ITERATIONS, PASSWORD_HASH_BYTES, 'sha256').toString('hex');
+  return [PASSWORD_HASH_SCHEME, PASSWORD_HASH_ITERATIONS, salt, hash].join("$");
+}
+
+/************************************************************
+  Does the password match the hash made by hashPassword()?
+ ************************************************************/
+function verifyPassword(password, passwordHash) {
+  let parts = String(passwordHash).split("$");
+  let iterations = parseInt(parts[1], 10);
+  if (parts.length != 4 || parts[0] != PASSWORD_HASH_SCHEME || !(iterations > 0)) {
+    return false;
+  }
+  let hash = crypto.pbkdf2Sync(password, parts[2], iterations, PASSWORD_HASH_BYTES, 'sha256').toString('hex');
+  return sameSecret(hash, parts[3]);
+}
+
+/************************************************************
+  Compare secrets in constant time (hashing makes both sides the same length)
+ ************************************************************/
+function sameSecret(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(sha256(String(a)), 'hex'), Buffer.from(sha256(String(b)), 'hex'));
+}
+
+/************************************************************
+  Authentication configured from USERS_FILE and CSRF_SECRET. Refuses to run without users unless
+  AUTH_DISABLED is set
+ ************************************************************/
+function createAuth() {
+  let csrfSecret = config.get('CSRF_SECRET') || crypto.randomBytes(32).toString('hex');
+  let usersFile = config.get('USERS_FILE');
+  if (!usersFile) {
+    if (!config.get('AUTH_DISABLED')) {
+      throw new Error("createAuth(): USERS_FILE is not set - set it to the file with the users, or set AUTH_DISABLED=true to let anyone control the cars");
+    }
+    console.warn("WARNING: createAuth(): AUTH_DISABLED is set - authentication is turned OFF and anyone can control the cars");
+    return new Auth(undefined, csrfSecret);
+  }
+  console.log("createAuth(): reading users from " + usersFile);
+  let users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+  if (!Array.isArray(users) || users.length == 0) {
+    throw new Error("createAuth(): " + usersFile + " must contain a non-empty list of users");
+  }
+  return new Auth(users, csrfSecret);
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Auth = Auth;
+module.exports.createAuth = createAuth;
+module.exports.hasRole = hasRole;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.VIEWER_ROLE = VIEWER_ROLE;
+module.exports.DRIVER_ROLE = DRIVER_ROLE;
+module.exports.ADMIN_ROLE = ADMIN_ROLE;
+
+/**************************************************************************
+  Print the hash of the password for USERS_FILE: node auth.js <password>
+**************************************************************************/
+if (require.main === module) {
+  if (process.argv.length != 3) {
+    console.error("Usage: node auth.js <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(process.argv[2]));
+}
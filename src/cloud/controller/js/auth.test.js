@@ -0,0 +1,123 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var Auth = require('./auth').Auth;
+var createAuth = require('./auth').createAuth;
+var hashPassword = require('./auth').hashPassword;
+var verifyPassword = require('./auth').verifyPassword;
+const ADMIN_ROLE = require('./auth').ADMIN_ROLE;
+const DRIVER_ROLE = require('./auth').DRIVER_ROLE;
+const VIEWER_ROLE = require('./auth').VIEWER_ROLE;
+
+const PASSWORD_HASH = hashPassword("secret");
+const USERS = [
+  { name: "ann", passwordHash: PASSWORD_HASH, role: ADMIN_ROLE },
+  { name: "dan", token: "dantoken", role: DRIVER_ROLE },
+  { name: "vic", token: "victoken", role: VIEWER_ROLE }
+];
+
+// Runs the middleware and tells whether it let the request through or the status it answered with
+function run(middleware, req) {
+  let result = { next: false };
+  let res = {
+    set: () => res,
+    status: (status) => {
+      result.status = status;
+      return res;
+    },
+    json: () => res,
+    send: () => res
+  };
+  req.originalUrl = req.originalUrl || '/api/v1/cars';
+  req.path = req.originalUrl;
+  req.headers = req.headers || {};
+  middleware(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+function basic(name, password) {
+  return { authorization: "Basic " + Buffer.from(name + ":" + password).toString('base64') };
+}
+
+test('password hashes are salted and verified', (t) => {
+  let other = hashPassword("secret");
+  t.not(other, PASSWORD_HASH);
+  t.true(verifyPassword("secret", PASSWORD_HASH));
+  t.true(verifyPassword("secret", other));
+  t.false(verifyPassword("Secret", PASSWORD_HASH));
+  t.false(verifyPassword("secret", "2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b"));
+});
+
+test('users with unsalted passwords are refused at startup', (t) => {
+  t.throws(() => new Auth([{ name: "old", passwordSha256: "2bb80d53", role: ADMIN_ROLE }], "key"), /unsalted/);
+});
+
+test('controller does not start without users unless authentication is disabled on purpose', (t) => {
+  delete process.env.USERS_FILE;
+  t.throws(() => createAuth(), /USERS_FILE is not set/);
+});
+
+test('basic auth and bearer tokens identify the user', (t) => {
+  let auth = new Auth(USERS, "key");
+  let req = { method: 'GET', headers: basic("ann", "secret") };
+  t.true(run(auth.authenticate, req).next);
+  t.is(req.user.name, "ann");
+  // The second request with the same password is served from the checked logins
+  t.true(run(auth.authenticate, { method: 'GET', headers: basic("ann", "secret") }).next);
+  t.is(run(auth.authenticate, { method: 'GET', headers: basic("ann", "wrong") }).status, 401);
+  req = { method: 'GET', headers: { authorization: "Bearer dantoken" } };
+  t.true(run(auth.authenticate, req).next);
+  t.is(req.user.name, "dan");
+  t.is(run(auth.authenticate, { method: 'GET' }).status, 401);
+});
+
+test('roles below the required one are denied', (t) => {
+  let auth = new Auth(USERS, "key");
+  t.is(run(auth.requireRole(DRIVER_ROLE), { method: 'POST', user: USERS[2] }).status, 403);
+  t.true(run(auth.requireRole(DRIVER_ROLE), { method: 'POST', user: USERS[1] }).next);
+  t.true(run(auth.requireRole(DRIVER_ROLE), { method: 'POST', user: USERS[0] }).next);
+});
+
+test('CSRF tokens are fresh every time and bound to the user', (t) => {
+  let auth = new Auth(USERS, "key");
+  let token = auth.csrfToken(USERS[0]);
+  t.not(auth.csrfToken(USERS[0]), token);
+  t.true(auth.validCsrfToken(USERS[0], token));
+  t.false(auth.validCsrfToken(USERS[1], token));
+  t.false(new Auth(USERS, "other key").validCsrfToken(USERS[0], token));
+  t.false(auth.validCsrfToken(USERS[0], token.replace(/^\d+/, "9999999999999")));
+  t.false(auth.validCsrfToken(USERS[0], "garbage"));
+});
+
+test('expired CSRF tokens are refused', (t) => {
+  let auth = new Auth(USERS, "key");
+  let expiresMs = new Date().getTime() - 1;
+  let token = expiresMs + ".nonce." + auth.csrfSignature(USERS[0], expiresMs, "nonce");
+  t.false(auth.validCsrfToken(USERS[0], token));
+});
+
+test('basic auth requests need the CSRF token, bearer requests do not', (t) => {
+  let auth = new Auth(USERS, "key");
+  let user = USERS[0];
+  t.is(run(auth.verifyCsrf, { method: 'POST', user: user, authMethod: "basic", body: {} }).status, 403);
+  t.true(run(auth.verifyCsrf, { method: 'POST', user: user, authMethod: "basic", body: { _csrf: auth.csrfToken(user) } }).next);
+  t.true(run(auth.verifyCsrf, { method: 'POST', user: user, authMethod: "basic", headers: { "x-csrf-token": auth.csrfToken(user) } }).next);
+  t.true(run(auth.verifyCsrf, { method: 'POST', user: USERS[1], authMethod: "bearer", body: {} }).next);
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+var BigQuery = require('@google-cloud/bigquery');
+
+/************************************************************
+  Analytics sink that streams rows into BigQuery tables of the dataset (see analytics-sink.js for the interface).
+  The client is created once and authenticates with the key file if it exists, otherwise with
+  the application default credentials.
+
+  Rows rejected by BigQuery itself (PartialFailureError, aka rows that do not match the table schema)
+  will be rejected again, so they are marked as permanent failures and are not retried
+ ************************************************************/
+module.exports = class BigQuerySink {
+
+  constructor(projectId, datasetId, keyFile) {
+    let options = { projectId: projectId };
+    if (keyFile && fs.existsSync(keyFile)) {
+      options.keyFilename = keyFile;
+    }
+    this.bigquery = new BigQuery(options);
+    this.datasetId = datasetId;
+    console.log("BigQuerySink(): streaming analytics rows into dataset " + datasetId + " of project " + projectId);
+  }
+
+  insert(table, rows) {
+    return this.bigquery
+      .dataset(this.datasetId)
+      .table(table)
+      .insert(rows)
+      .catch((err) => {
+        if (err && err.name === 'PartialFailureError') {
+          let failed = new Error(table + ": " + err.errors.length + " rows rejected: " + JSON.stringify(err.errors[0].errors));
+          failed.permanent = true;
+          failed.rows = err.errors.map((rowError) => rowError.row);
+          throw failed;
+        }
+        throw err;
+      });
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const GOALS = require('./drive-message').GOALS;
+
+// Kinds of breakpoints
+// Navigation decided on the goal: { "type": "goal", "goal": "checkGrip" }
+const GOAL_BREAKPOINT = "goal";
+// Object Detection found an object with a low confidence score: { "type": "score", "below": 0.5, "label": "red_ball" } (label is optional)
+const SCORE_BREAKPOINT = "score";
+// The car reported an obstacle in front of it: { "type": "obstacle" }
+const OBSTACLE_BREAKPOINT = "obstacle";
+// The goal was repeated too many times in a row (see Navigation.countGoals()): { "type": "goalCount", "goal": "seekBallTurn", "above": 4 }
+const GOAL_COUNT_BREAKPOINT = "goalCount";
+const BREAKPOINT_TYPES = [GOAL_BREAKPOINT, SCORE_BREAKPOINT, OBSTACLE_BREAKPOINT, GOAL_COUNT_BREAKPOINT];
+
+/************************************************************
+  Breakpoints of a single car. In automatic mode every navigation decision is checked against
+  the breakpoints before the command is sent - when any of them hits, the car pauses and the command
+  waits in the debugger for approval just like in debug mode (see Car.pause()).
+ ************************************************************/
+class Breakpoints {
+
+  constructor() {
+    this.list = [];
+    this.nextId = 1;
+  }
+
+  /************************************************************
+    Add a new breakpoint
+    Input:
+      - fields - { type, goal, below, above, label } as described for the breakpoint types above
+        (numbers may be strings as posted by HTML forms)
+      - userName - who added the breakpoint
+    Output:
+      - { breakpoint, errors } - the breakpoint or the list of problems with the fields
+   ************************************************************/
+  add(fields, userName) {
+    let breakpoint = { id: this.nextId, type: fields.type, hits: 0, createdBy: userName, createdMs: new Date().getTime() };
+    let errors = [];
+    if (BREAKPOINT_TYPES.indexOf(fields.type) < 0) {
+      errors.push("unknown breakpoint type '" + fields.type + "', expected one of: " + BREAKPOINT_TYPES.join(", "));
+    }
+    if (fields.type == GOAL_BREAKPOINT || fields.type == GOAL_COUNT_BREAKPOINT) {
+      breakpoint.goal = fields.goal;
+      if (GOALS.indexOf(fields.goal) < 0) {
+        errors.push("unknown goal '" + fields.goal + "', expected one of: " + GOALS.join(", "));
+      }
+    }
+    if (fields.type == SCORE_BREAKPOINT) {
+      breakpoint.below = parseFloat(fields.below);
+      if (isNaN(breakpoint.below) || breakpoint.below <= 0 || breakpoint.below > 1) {
+        errors.push("'below' must be a score between 0 and 1, got '" + fields.below + "'");
+      }
+      if (fields.label) {
+        breakpoint.label = String(fields.label);
+      }
+    }
+    if (fields.type == GOAL_COUNT_BREAKPOINT) {
+      breakpoint.above = parseInt(fields.above, 10);
+      if (isNaN(breakpoint.above) || breakpoint.above < 0) {
+        errors.push("'above' must be a whole number of commands, got '" + fields.above + "'");
+      }
+    }
+    if (errors.length > 0) {
+      return { errors: errors };
+    }
+    this.nextId++;
+    this.list.push(breakpoint);
+    return { breakpoint: breakpoint, errors: errors };
+  }
+
+  /************************************************************
+    Output:
+      - false if there is no breakpoint with this ID
+   ************************************************************/
+  remove(id) {
+    let index = this.list.findIndex((breakpoint) => breakpoint.id == id);
+    if (index < 0) {
+      return false;
+    }
+    this.list.splice(index, 1);
+    return true;
+  }
+
+  /************************************************************
+    Check the navigation decision against all breakpoints
+    Input:
+      - decision - { sensorMessage, visionResponse, command, countGoals } where visionResponse is the Object Detection
+        response navigation used (undefined if it did not use any) and countGoals(goal) is Navigation.countGoals()
+    Output:
+      - list of { id, type, description } of the breakpoints that hit (empty if none)
+   ************************************************************/
+  check(decision) {
+    let hits = [];
+    this.list.forEach((breakpoint) => {
+      let description = describeHit(breakpoint, decision);
+      if (description !== undefined) {
+        breakpoint.hits++;
+        hits.push({ id: breakpoint.id, type: breakpoint.type, description: description });
+      }
+    });
+    return hits;
+  }
+}
+
+/************************************************************
+  Why the breakpoint hits for the decision, undefined if it does not
+ ************************************************************/
+function describeHit(breakpoint, decision) {
+  if (breakpoint.type == GOAL_BREAKPOINT) {
+    if (decision.command.goal == breakpoint.goal) {
+      return "navigation goal is '" + breakpoint.goal + "'";
+    }
+  } else if (breakpoint.type == SCORE_BREAKPOINT) {
+    let bBoxes = (decision.visionResponse && decision.visionResponse.bBoxes) || [];
+    let low = bBoxes.find((bBox) => bBox.score < breakpoint.below &&
+      (breakpoint.label === undefined || bBox.label.toLowerCase() == breakpoint.label.toLowerCase()));
+    if (low !== undefined) {
+      return "'" + low.label + "' detected with score " + low.score + " below " + breakpoint.below;
+    }
+  } else if (breakpoint.type == OBSTACLE_BREAKPOINT) {
+    if (decision.sensorMessage.carState && decision.sensorMessage.carState.obstacleFound) {
+      return "car reported an obstacle";
+    }
+  } else if (breakpoint.type == GOAL_COUNT_BREAKPOINT) {
+    let count = decision.countGoals(breakpoint.goal);
+    if (count > breakpoint.above) {
+      return "goal '" + breakpoint.goal + "' repeated " + count + " times in a row, more than " + breakpoint.above;
+    }
+  }
+  return undefined;
+}
+
+/************************************************************
+  Short description of the breakpoint for the debugger page
+ ************************************************************/
+function describeBreakpoint(breakpoint) {
+  if (breakpoint.type == GOAL_BREAKPOINT) {
+    return "goal is '" + breakpoint.goal + "'";
+  } else if (breakpoint.type == SCORE_BREAKPOINT) {
+    return (breakpoint.label || "any object") + " detected with score below " + breakpoint.below;
+  } else if (breakpoint.type == OBSTACLE_BREAKPOINT) {
+    return "obstacle reported by the car";
+  }
+  return "goal '" + breakpoint.goal + "' repeated more than " + breakpoint.above + " times";
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Breakpoints = Breakpoints;
+module.exports.describeBreakpoint = describeBreakpoint;
+module.exports.BREAKPOINT_TYPES = BREAKPOINT_TYPES;
+module.exports.GOAL_BREAKPOINT = GOAL_BREAKPOINT;
+module.exports.SCORE_BREAKPOINT = SCORE_BREAKPOINT;
+module.exports.OBSTACLE_BREAKPOINT = OBSTACLE_BREAKPOINT;
+module.exports.GOAL_COUNT_BREAKPOINT = GOAL_COUNT_BREAKPOINT;
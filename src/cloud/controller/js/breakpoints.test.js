@@ -0,0 +1,69 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var Breakpoints = require('./breakpoints').Breakpoints;
+var DriveMessage = require('./drive-message').DriveMessage;
+const GO2BASE = require('./drive-message').GO2BASE;
+const SEEK_BALL_TURN = require('./drive-message').SEEK_BALL_TURN;
+
+function decision(goal, fields) {
+  let command = new DriveMessage();
+  command.goal = goal;
+  return Object.assign({ sensorMessage: { carState: {} }, visionResponse: undefined, command: command, countGoals: () => 0 }, fields);
+}
+
+test('breakpoints with bad fields are refused', (t) => {
+  let breakpoints = new Breakpoints();
+  t.is(breakpoints.add({ type: "teleport" }, "ann").errors.length, 1);
+  t.is(breakpoints.add({ type: "goal", goal: "dance" }, "ann").errors.length, 1);
+  t.is(breakpoints.add({ type: "score", below: "2" }, "ann").errors.length, 1);
+  t.is(breakpoints.add({ type: "goalCount", goal: SEEK_BALL_TURN, above: "many" }, "ann").errors.length, 1);
+  t.deepEqual(breakpoints.list, []);
+});
+
+test('goal breakpoint hits only for its goal and counts the hits', (t) => {
+  let breakpoints = new Breakpoints();
+  let breakpoint = breakpoints.add({ type: "goal", goal: GO2BASE }, "ann").breakpoint;
+  t.deepEqual(breakpoints.check(decision(SEEK_BALL_TURN)), []);
+  let hits = breakpoints.check(decision(GO2BASE));
+  t.is(hits.length, 1);
+  t.is(hits[0].id, breakpoint.id);
+  t.is(breakpoint.hits, 1);
+});
+
+test('score, obstacle and goal count breakpoints look at the whole decision', (t) => {
+  let breakpoints = new Breakpoints();
+  breakpoints.add({ type: "score", below: "0.5", label: "redBall" }, "ann");
+  breakpoints.add({ type: "obstacle" }, "ann");
+  breakpoints.add({ type: "goalCount", goal: SEEK_BALL_TURN, above: "3" }, "ann");
+  t.deepEqual(breakpoints.check(decision(SEEK_BALL_TURN, { visionResponse: { bBoxes: [{ label: "blueBall", score: 0.1 }] } })), []);
+  let hits = breakpoints.check(decision(SEEK_BALL_TURN, {
+    sensorMessage: { carState: { obstacleFound: true } },
+    visionResponse: { bBoxes: [{ label: "redBall", score: 0.3 }] },
+    countGoals: () => 4
+  }));
+  t.deepEqual(hits.map((hit) => hit.type), ["score", "obstacle", "goalCount"]);
+});
+
+test('removed breakpoints do not hit any more', (t) => {
+  let breakpoints = new Breakpoints();
+  let breakpoint = breakpoints.add({ type: "obstacle" }, "ann").breakpoint;
+  t.true(breakpoints.remove(String(breakpoint.id)));
+  t.false(breakpoints.remove(breakpoint.id));
+  t.deepEqual(breakpoints.check(decision(SEEK_BALL_TURN, { sensorMessage: { carState: { obstacleFound: true } } })), []);
+});
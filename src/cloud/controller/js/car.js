@@ -0,0 +1,873 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const EventEmitter = require('events');
+var Navigation = require('./navigation');
+var SequenceTracker = require('./sequence-tracker');
+var validateSensorMessage = require('./message-schema').validateSensorMessage;
+var validateDriveMessage = require('./message-schema').validateDriveMessage;
+var createCommandTracker = require('./command-tracker').createCommandTracker;
+var Watchdog = require('./watchdog').Watchdog;
+var Breakpoints = require('./breakpoints').Breakpoints;
+var DecisionLoop = require('./decision-loop').DecisionLoop;
+var Recovery = require('./recovery').Recovery;
+var TeleopLimiter = require('./teleop').TeleopLimiter;
+const FAILSAFE_STOP = require('./watchdog').FAILSAFE_STOP;
+const FAILSAFE_MANUAL = require('./watchdog').FAILSAFE_MANUAL;
+var metrics = require('./metrics');
+var DriveMessage = require('./drive-message').DriveMessage;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+const BALL_COLORS = require('./drive-message').BALL_COLORS;
+const HIGH_PRIORITY = require('./drive-message').HIGH_PRIORITY;
+
+// Any sensor message with the time stamp older than this will be discarded as useless
+const MAX_MSG_AGE_SEC = 60;
+// Maximum size of received Msg history as # of messages stored - one msg per second for full hour
+const MAX_INBOUND_HISTORY = 60 * 60;
+// Maximum size of sent command history as # of messages stored
+const MAX_OUTBOUND_HISTORY = 60 * 60;
+// How many of the most recent rejected messages are kept along with the reasons of rejection
+const MAX_REJECTED_HISTORY = 100;
+
+/************************************************************
+  Car class keeps all of the state for a single car managed by this controller:
+  its command topic and sensor subscription, driving mode, ball color, message history,
+  statistics and navigation logic.
+
+  Car emits the following events for live telemetry:
+    - 'sensor' - validated sensor message received from the car
+    - 'rejected' - sensor message which did not pass the validity check (message, reasons)
+    - 'vision' - Object Detection response used by navigation (sensorMessage, visionResponse)
+    - 'overlay' - objects found in the picture and the one navigation picked, to draw over the picture (see vision-overlay.js)
+    - 'command' - DriveMessage published to the car
+    - 'debug' - driving command waiting for approval in debug mode or at a breakpoint (null when there is none)
+    - 'alert' - driving command was not acknowledged by the car (see command-tracker.js), the car was emergency stopped
+      or the watchdog applied the failsafe (see watchdog.js)
+    - 'stats' - statistics of the car have changed (see status())
+ ************************************************************/
+module.exports = class Car extends EventEmitter {
+
+  /************************************************************
+    Input:
+      - carId - unique ID of the car (as sent by the car in sensor messages)
+      - commandTopicName - name of the topic for driving commands
+      - sensorSubscriptionName - name of the subscription for sensor messages
+      - transport - message transport used to talk to the car (see transport.js)
+   ************************************************************/
+  constructor(carId, commandTopicName, sensorSubscriptionName, transport) {
+    super();
+    // Every browser page with live updates adds its own listeners, so there is no fixed limit
+    this.setMaxListeners(0);
+    this.carId = carId;
+    this.commandTopicName = commandTopicName;
+    this.sensorSubscriptionName = sensorSubscriptionName;
+    this.transport = transport;
+
+    // Color of the ball that this car will be after. It can be changed via control panel at run time
+    this.ballColor = "red";
+    // Current driving mode of the car
+    this.currentDrivingMode = MANUAL_MODE;
+    // Is inbound listener Up or Down now?
+    this.listenerStatus = false;
+    // History of received messages
+    this.inboundMsgHistory = [];
+    // History of sent command messages
+    this.outboundMsgHistory = [];
+    // Most recent rejected messages with the reasons why they were rejected
+    this.rejectedMsgHistory = [];
+    // Set by the emergency stop ({ timestampMs, user, reason }) and kept until the car is re-armed.
+    // It survives reset() on purpose - only rearm() can clear it
+    this.emergencyStopState = undefined;
+    // Navigation logic keeps a reference to the outbound history (useful for navigation decisions)
+    this.navigation = new Navigation(this.outboundMsgHistory, this.carId);
+    this.navigation.on('vision', (sensorMessage, visionResponse) => {
+      // Breakpoints look at the detections navigation based its decision on
+      this.lastVision = { sensorMessage: sensorMessage, visionResponse: visionResponse };
+      if (visionResponse.latencyMs !== undefined) {
+        metrics.visionLatency.observe(this.metricLabels(), visionResponse.latencyMs / 1000);
+      }
+      this.emit('vision', sensorMessage, visionResponse);
+    });
+    this.navigation.on('overlay', (sensorMessage, overlay) => {
+      this.latestOverlay = overlay;
+      // The overlay is kept with the inbound message of the picture
+      let message = this.inboundMessages.get(sensorMessage);
+      if (message !== undefined) {
+        message.visionOverlay = overlay;
+      }
+      this.emit('overlay', overlay);
+    });
+    // Inbound messages by their parsed sensor message, to find where to save the overlay
+    this.inboundMessages = new WeakMap();
+
+    // Detects duplicate, lost and reordered sensor messages by their msgId
+    this.sequenceTracker = new SequenceTracker();
+    // Waits for the car to act on the commands sent to it, resends lost commands
+    this.commandTracker = createCommandTracker(this.carId);
+    this.commandTracker.on('resend', (command) => this.publishCommand(command, true));
+    this.commandTracker.on('alert', (alert) => {
+      this.totalErrors++;
+      this.emit('alert', alert);
+      this.emitStats();
+    });
+
+    // Nudges the car and applies the failsafe when the car goes silent in automatic mode
+    this.watchdog = new Watchdog(this.carId);
+    this.watchdog.on('nudge', () => {
+      let command = new DriveMessage();
+      command.setModeAutomatic();
+      command.setOnDemandSensorRate();
+      command.sendSensorMessage();
+      this.publishCommand(command);
+      this.emitStats();
+    });
+    this.watchdog.on('failsafe', (action, alert) => {
+      this.totalErrors++;
+      this.emit('alert', alert);
+      if (action == FAILSAFE_STOP) {
+        this.emergencyStop(alert.message, "watchdog");
+      } else if (action == FAILSAFE_MANUAL) {
+        this.setDrivingMode(MANUAL_MODE);
+      }
+      this.emitStats();
+    });
+
+    // Retries vision or gets the car going again when navigation fails (see recovery.js)
+    this.recovery = new Recovery(this.carId);
+    // One navigation decision at a time, commands decided on superseded pictures are dropped
+    this.decisionLoop = new DecisionLoop(this.carId, (data) => this.decide(data, 0));
+    this.decisionLoop.on('decision', (data, response) => this.decisionHandler(data, response));
+    this.decisionLoop.on('stale', () => this.emitStats());
+    this.decisionLoop.on('failed', (data) => this.recover(data));
+
+    // Conditions that pause automatic mode and hold the command for approval (see breakpoints.js)
+    this.breakpoints = new Breakpoints();
+    // Set while paused at a breakpoint ({ timestampMs, hits }) - the command waits in nextDrivingCommand
+    this.breakpointPause = undefined;
+    // Set by step() - the next navigation decision pauses whatever the breakpoints say
+    this.stepping = false;
+
+    // Keeps keyboard and gamepad driving from flooding the car (see teleop.js)
+    this.teleop = new TeleopLimiter(this.carId);
+
+    // Transport event handlers need to be bound to this car so they can be added and removed later
+    this.inboundMessageHandler = this.inboundMessageHandler.bind(this);
+    this.errorHandler = this.errorHandler.bind(this);
+
+    this.reset();
+    // Until the first reset we accept messages of any age (subject to MAX_MSG_AGE_SEC)
+    this.resetTimeStampMs = 0;
+    this.maxMsgTimeStampMs = 0;
+  }
+
+  /************************************************************
+    Reset all counters and history back to zero
+   ************************************************************/
+  reset() {
+    this.totalMessagesReceived = 0;
+    this.rejectedOutOfOrderMessages = 0;
+    this.rejectedFormatMessages = 0;
+    this.totalMessagesSent = 0;
+    // Tracking errors of any kind
+    this.totalErrors = 0;
+    // Here we will keep the next driving command to be send to the car in debug mode
+    this.nextDrivingCommand = undefined;
+    // Overlay of the most recent picture navigation has looked at
+    this.latestOverlay = undefined;
+    // Histories are cleared in place since navigation holds a reference to the outbound one
+    this.inboundMsgHistory.length = 0;
+    this.outboundMsgHistory.length = 0;
+    this.rejectedMsgHistory = [];
+    this.sequenceTracker.reset();
+    this.commandTracker.reset();
+    this.watchdog.reset();
+    this.decisionLoop.reset();
+    this.recovery.reset();
+    this.teleop.reset();
+    // Will ignore any messages up until now
+    this.resetTimeStampMs = new Date().getTime();
+    this.maxMsgTimeStampMs = this.resetTimeStampMs;
+    this.emitStats();
+  }
+
+  /************************************************************
+    Let live telemetry listeners know that statistics have changed
+   ************************************************************/
+  emitStats() {
+    this.emit('stats', this.status());
+  }
+
+  /************************************************************
+    Error handler for inbound messages
+   ************************************************************/
+  errorHandler(error) {
+    this.totalErrors++;
+    console.error(`ERROR: carId=${this.carId}: ${error}`);
+    this.emitStats();
+  }
+
+  /************************************************************
+    Event handler to handle inbound messages
+   ************************************************************/
+  inboundMessageHandler(message) {
+    // "Ack" (acknowledge receipt of) the message
+    message.ack();
+    this.totalMessagesReceived++;
+    console.log("inboudMessageHandler(carId=" + this.carId + "): <<<<<<<<<<<<<<<<<<<<<< Received " + this.totalMessagesReceived + " messages");
+
+    // Ignore invalid messages
+    let data = this.parseSensorMessage(message.data);
+    if (data === undefined || !this.isMessageValid(data)) {
+      this.totalErrors++;
+      console.error("ERROR: inboudMessageHandler(): Skipping this message since it did not pass validity check");
+      let rejected = this.rejectedMsgHistory[this.rejectedMsgHistory.length - 1];
+      this.emit('rejected', rejected.message, rejected.reasons);
+      this.emitStats();
+      return;
+    }
+
+    // The car tells which command it has acted on before sending this message
+    if (typeof data.lastCommandTimestampMs == 'number') {
+      this.commandTracker.acknowledge(data.lastCommandTimestampMs);
+    }
+
+    // The car is alive
+    this.watchdog.feed();
+
+    // Save message for posterity
+    this.saveInboundMessage(message);
+    this.inboundMessages.set(data, message);
+    this.emit('sensor', data);
+    this.emitStats();
+
+    // Do not process inbound messages in manual driving mode or when the car has been emergency stopped
+    if (this.currentDrivingMode == MANUAL_MODE || this.isEmergencyStopped()) {
+      return;
+    }
+
+    // Call navigation logic based on the sensor data - the new command is sent to the car by decisionHandler()
+    this.decisionLoop.submit(data);
+  }
+
+  /************************************************************
+    Ask navigation for the next move, calling vision again when the recovery policy says so
+    Input:
+      - data - sensor message
+      - attempt - how many times navigation has been retried on this message
+    Output:
+      - promise of the driving command, rejected when navigation has given up
+   ************************************************************/
+  decide(data, attempt) {
+    let nextMoveLabels = this.metricLabels();
+    let nextMoveStartMs = Date.now();
+    return this.navigation.nextMove(data)
+      .then((response) => {
+        metrics.nextMoveDuration.observe(nextMoveLabels, (Date.now() - nextMoveStartMs) / 1000);
+        return response;
+      })
+      .catch((err) => {
+        this.recovery.failed(data, err);
+        this.totalErrors++;
+        this.emitStats();
+        // No point in looking at this picture again when a newer one is waiting
+        if (this.decisionLoop.waiting !== undefined || !this.recovery.shouldRetry(err, attempt)) {
+          throw err;
+        }
+        return new Promise((resolve) => setTimeout(resolve, this.recovery.retryDelayMs()))
+          .then(() => this.decide(data, attempt + 1));
+      });
+  }
+
+  /************************************************************
+    Navigation has given up on the sensor message - without a command the car would wait forever
+    in on-demand mode, so ask it for a fresh photo (or to turn and look elsewhere)
+   ************************************************************/
+  recover(data) {
+    if (this.decisionLoop.waiting !== undefined) {
+      // Navigation moves on to the newer message anyway
+      return;
+    }
+    this.decisionHandler(data, this.recovery.fallbackCommand(data, this.currentDrivingMode));
+    this.emitStats();
+  }
+
+  /************************************************************
+    Navigation has decided on the most recent sensor message - send the command to the car
+    (or hold it in debug mode and at breakpoints)
+   ************************************************************/
+  decisionHandler(data, response) {
+    if (this.isEmergencyStopped()) {
+      // The car was stopped while navigation was thinking - drop its decision
+      console.log("decisionHandler(carId=" + this.carId + "): car is emergency stopped, dropping the navigation command");
+      return;
+    }
+    if (this.currentDrivingMode == MANUAL_MODE) {
+      console.log("decisionHandler(carId=" + this.carId + "): car was switched to manual mode, dropping the navigation command");
+      return;
+    }
+    if (this.currentDrivingMode == DEBUG_MODE || this.isPaused()) {
+      this.nextDrivingCommand = response;
+      this.emit('debug', response);
+      return;
+    }
+    let hits = this.checkBreakpoints(data, response);
+    if (hits.length > 0) {
+      this.pause(hits, response);
+      return;
+    }
+    this.publishCommand(response);
+  }
+
+  /************************************************************
+    Send prepared command message to the car via message transport.
+    Input:
+      - Command object
+      - resend - true if the command has been sent before and was not acknowledged by the car
+      - once - true if the command must not be sent again when the car does not act on it (see command-tracker.js)
+    Output:
+      - promise resolved with true once the message has been sent, or with false when it was not sent
+        because of a problem with it
+   ************************************************************/
+  publishCommand(command, resend, once) {
+    if (command === undefined) {
+      console.log("publishCommand(): Command is not defined - ignoring");
+      return Promise.resolve(false);
+    }
+    // Nothing but another stop gets to the car until it has been re-armed
+    if (this.isEmergencyStopped() && command.priority != HIGH_PRIORITY) {
+      console.error("ERROR: publishCommand(carId=" + this.carId + "): Car is emergency stopped, not sending the command until it is re-armed");
+      return Promise.resolve(false);
+    }
+    let errors = validateDriveMessage(command);
+    if (errors.length > 0) {
+      console.error("ERROR: publishCommand(carId=" + this.carId + "): Command does not match the schema, not sending it: " + errors.join("; "));
+      this.totalErrors++;
+      this.emitStats();
+      return Promise.resolve(false);
+    }
+    let txtMessage = JSON.stringify(command);
+    // Only send a message when it is not empty
+    if (txtMessage.length > 0) {
+      let publishLabels = this.metricLabels();
+      let publishStartMs = Date.now();
+      return this.transport.publish(this.commandTopicName, txtMessage)
+        .then(() => {
+          metrics.publishLatency.observe(publishLabels, (Date.now() - publishStartMs) / 1000);
+          this.totalMessagesSent++;
+          console.log("publishCommand(carId=" + this.carId + "): >>>>>>>>>>>>>>>>>>>>>>>>> Message #" + this.totalMessagesSent + (resend ? " (resend) " : " ") + txtMessage);
+          // Navigation counts goals in the outbound history, so resends are not added to it
+          if (!resend) {
+            this.saveOutboundMessage(command);
+          }
+          this.commandTracker.track(command, once);
+          this.emit('command', command);
+          this.emitStats();
+          return true;
+        })
+        .catch((err) => {
+          console.log(err);
+          this.totalErrors++;
+          this.emitStats();
+          return false;
+        });
+    } else {
+      console.log("publishCommand(): Command is empty - Nothing to send");
+      return Promise.resolve(false);
+    }
+  }
+
+  /************************************************************
+    Parse the message from the car, bring it up to the current version and validate it against the schema
+    (see message-schema.js)
+    Input:
+      - payload of the message as received from the transport
+    Output:
+      - sensor message in the current version or undefined if the message is malformed
+   ************************************************************/
+  parseSensorMessage(payload) {
+    let msg;
+    try {
+      msg = JSON.parse(payload);
+    } catch (err) {
+      this.rejectedFormatMessages++;
+      this.recordRejection(String(payload), ["message is not valid JSON: " + err.message]);
+      return undefined;
+    }
+    let result = validateSensorMessage(msg);
+    if (result.errors.length > 0) {
+      this.rejectedFormatMessages++;
+      this.recordRejection(msg, result.errors);
+      return undefined;
+    }
+    return result.message;
+  }
+
+  /************************************************************
+    Validate the order and age of the message from the car
+
+    Example input message:
+    {"carId":1,"msgId":8,"version":"1.0","timestampMs":1519509836918,"carState":{"ballsCollected":2,"color":"Red","batteryLeft":55},"sensors":{"frontLaserDistanceMm":11,"frontCameraImagePath":"https://storage.googleapis.com/robot-derby-camera-1/images/image8.jpg","frontCameraImagePathGCS":"gs://robot-derby-camera-1/images/image8.jpg"}}
+   ************************************************************/
+  isMessageValid(msg) {
+    console.log("isMessageValid():" + JSON.stringify(msg));
+
+    if (typeof msg.msgId == 'number') {
+      // Cars that number their messages are tracked by msgId, which also catches duplicate deliveries.
+      // Messages generated before the last reset are still ignored
+      if (this.resetTimeStampMs > msg.timestampMs) {
+        console.error("ERROR: isMessageValid(carId=" + this.carId + "): msg.timestampMs is older than the last reset by " + (this.resetTimeStampMs - msg.timestampMs) + " ms");
+        this.rejectedOutOfOrderMessages++;
+        this.recordRejection(msg, ["timestampMs: message was sent before the last reset"]);
+        return false;
+      }
+      let sequence = this.sequenceTracker.check(msg.msgId, msg.timestampMs);
+      if (sequence == SequenceTracker.DUPLICATE) {
+        console.error("ERROR: isMessageValid(carId=" + this.carId + "): msgId " + msg.msgId + " has already been received");
+        this.recordRejection(msg, ["msgId: duplicate of an already received message"]);
+        return false;
+      }
+      if (sequence == SequenceTracker.REORDERED) {
+        console.error("ERROR: isMessageValid(carId=" + this.carId + "): msgId " + msg.msgId + " arrived after msgId " + this.sequenceTracker.maxMsgId);
+        this.rejectedOutOfOrderMessages++;
+        this.recordRejection(msg, ["msgId: arrived after msgId " + this.sequenceTracker.maxMsgId]);
+        return false;
+      }
+    } else if (this.maxMsgTimeStampMs > msg.timestampMs) {
+      // Reject message if it has older timestamp than we have seen earlier
+      console.error("ERROR: isMessageValid(): msg.timestampMs is older than we have already seen by " + (this.maxMsgTimeStampMs - msg.timestampMs) + " ms");
+      this.rejectedOutOfOrderMessages++;
+      this.recordRejection(msg, ["timestampMs: older than the most recent message by " + (this.maxMsgTimeStampMs - msg.timestampMs) + " ms"]);
+      return false;
+    }
+    // Now we know this new message is more recent than anything we have seen so far
+    this.maxMsgTimeStampMs = Math.max(this.maxMsgTimeStampMs, msg.timestampMs);
+
+    // Reject very old messages
+    let oldestAllowedMs = new Date().getTime() - MAX_MSG_AGE_SEC * 1000;
+    if (msg.timestampMs < oldestAllowedMs) {
+      console.error("ERROR: isMessageValid(): msg.timestampMs is older than max allowed age of " + MAX_MSG_AGE_SEC + "(sec) the message by " + (oldestAllowedMs - msg.timestampMs) + " ms");
+      this.rejectedOutOfOrderMessages++;
+      this.recordRejection(msg, ["timestampMs: older than max allowed age of " + MAX_MSG_AGE_SEC + " sec by " + (oldestAllowedMs - msg.timestampMs) + " ms"]);
+      return false;
+    }
+
+    // Message has been successfully validated
+    return true;
+  }
+
+  /************************************************************
+    Remember the rejected message along with the reasons why it was rejected
+   ************************************************************/
+  recordRejection(message, reasons) {
+    console.error("ERROR: recordRejection(carId=" + this.carId + "): " + reasons.join("; "));
+    if (this.rejectedMsgHistory.length >= MAX_REJECTED_HISTORY) {
+      this.rejectedMsgHistory.shift();
+    }
+    this.rejectedMsgHistory.push({ receivedMs: new Date().getTime(), message: message, reasons: reasons });
+  }
+
+  /************************************************************
+    Save history of inbound messages
+   ************************************************************/
+  saveInboundMessage(message) {
+    // Check for max size of history
+    if (this.inboundMsgHistory.length >= MAX_INBOUND_HISTORY) {
+      // Truncate 10% of the oldest history log
+      this.inboundMsgHistory.splice(0, this.inboundMsgHistory.length / 10);
+    }
+    // Add message to history
+    this.inboundMsgHistory.push(message);
+  }
+
+  /************************************************************
+    Save history of outbound messages
+   ************************************************************/
+  saveOutboundMessage(message) {
+    // Check for max size of history
+    if (this.outboundMsgHistory.length >= MAX_OUTBOUND_HISTORY) {
+      // Truncate 10% of the oldest history log
+      this.outboundMsgHistory.splice(0, this.outboundMsgHistory.length / 10);
+    }
+    // Add message to history
+    this.outboundMsgHistory.push(message);
+  }
+
+  /************************************************************
+    Switch the car into a new driving mode and tell the car about it
+    Input:
+      - mode - one of MANUAL_MODE, AUTOMATIC_MODE or DEBUG_MODE
+    Output:
+      - true if the mode was changed, false if the mode is unknown
+   ************************************************************/
+  setDrivingMode(mode) {
+    if (this.isEmergencyStopped()) {
+      console.error("ERROR: setDrivingMode(carId=" + this.carId + "): car is emergency stopped, it needs to be re-armed before changing the mode to '" + mode + "'");
+      return false;
+    }
+    let command = new DriveMessage();
+    if (mode == AUTOMATIC_MODE) {
+      this.startListener();
+      command.setModeAutomatic();
+      command.setOnDemandSensorRate();
+      // We want to do all the driving with a closed gripper to prevent random balls from getting into the grip
+      command.gripperClose();
+      command.sendSensorMessage();
+    } else if (mode == DEBUG_MODE) {
+      this.startListener();
+      command.setModeDebug();
+      command.setOnDemandSensorRate();
+    } else if (mode == MANUAL_MODE) {
+      command.setModeManual();
+      command.sendSensorMessage();
+    } else {
+      console.error("ERROR: setDrivingMode(carId=" + this.carId + "): unknown driving mode '" + mode + "'");
+      return false;
+    }
+    this.currentDrivingMode = mode;
+    // Changing the mode (even to automatic again) leaves the breakpoint
+    this.clearPause();
+    // Only automatic mode runs without a human watching the car
+    if (mode == AUTOMATIC_MODE) {
+      this.watchdog.start();
+    } else {
+      this.watchdog.stop();
+    }
+    this.publishCommand(command);
+    return true;
+  }
+
+  /************************************************************
+    Emergency stop: tell the car to stop its motors and drop all queued actions, and latch the car
+    in the stopped state. Until rearm() the car stays in manual mode, navigation is not called and
+    no other commands are sent. Stopping a car that is already stopped sends the stop again.
+    Input:
+      - reason - why the car was stopped (shown on the car page)
+      - userName - who stopped the car
+    Output:
+      - promise resolved once the stop command has been sent
+   ************************************************************/
+  emergencyStop(reason, userName) {
+    console.error("ERROR: emergencyStop(carId=" + this.carId + "): stopped by " + userName + ": " + reason);
+    if (!this.isEmergencyStopped()) {
+      this.emergencyStopState = { timestampMs: new Date().getTime(), user: userName, reason: reason };
+    }
+    this.currentDrivingMode = MANUAL_MODE;
+    this.watchdog.stop();
+    this.clearPause();
+    this.nextDrivingCommand = undefined;
+    this.emit('debug', null);
+    // Commands sent before the stop must not be sent again
+    this.commandTracker.cancelAll();
+    this.emit('alert', { timestampMs: this.emergencyStopState.timestampMs, message: "Emergency stop by " + userName + ": " + reason });
+    let command = new DriveMessage();
+    command.emergencyStop();
+    return this.publishCommand(command)
+      .then(() => this.emitStats());
+  }
+
+  /************************************************************
+    Release the emergency stop latch. The car stays in manual mode until the operator picks a mode
+    Output:
+      - false if the car was not stopped
+   ************************************************************/
+  rearm(userName) {
+    if (!this.isEmergencyStopped()) {
+      return false;
+    }
+    console.log("rearm(carId=" + this.carId + "): re-armed by " + userName + " after the emergency stop by " + this.emergencyStopState.user);
+    this.emergencyStopState = undefined;
+    this.emitStats();
+    return true;
+  }
+
+  isEmergencyStopped() {
+    return this.emergencyStopState !== undefined;
+  }
+
+  /************************************************************
+    Change the color of the ball to chase
+    Input:
+      - color - one of BALL_COLORS
+    Output:
+      - true if the color was changed, false if the color is unknown
+   ************************************************************/
+  changeColor(color) {
+    if (BALL_COLORS.indexOf(color) < 0) {
+      console.error("ERROR: changeColor(carId=" + this.carId + "): unknown ball color '" + color + "'");
+      return false;
+    }
+    this.ballColor = color;
+    let command = new DriveMessage();
+    command.setColor(color);
+    this.publishCommand(command);
+    return true;
+  }
+
+  /************************************************************
+    Debugger: ask the car to send a new sensor message
+   ************************************************************/
+  requestSensorMessage() {
+    let command = new DriveMessage();
+    command.setModeDebug();
+    command.sendSensorMessage();
+    this.publishCommand(command);
+  }
+
+  /************************************************************
+    Debugger: send the command held for approval to the car. At a breakpoint in automatic mode
+    this is the same as resume() - the car carries on in automatic mode and is watched again
+   ************************************************************/
+  sendDebugCommand() {
+    if (this.isPaused()) {
+      this.resume(false);
+      return;
+    }
+    let command;
+    // Before we send the current message to the car, we need to make sure we add one action - that is to send sensor message after processing other actions
+    if (this.nextDrivingCommand === undefined) {
+      // If there were no instructions to begin with, then we will create an empty command
+      command = new DriveMessage();
+    } else {
+      command = this.nextDrivingCommand;
+    }
+    // Reset nextDrivingCommand to zero so it is not shown in the UI, unless we process another message
+    this.nextDrivingCommand = undefined;
+    this.emit('debug', null);
+
+    command.setModeDebug();
+    // Tell the car to send sensor message after acting on other actions
+    command.setOnDemandSensorRate();
+    // Push this command to the car
+    this.publishCommand(command);
+  }
+
+  /************************************************************
+    Breakpoints that hit for the navigation decision made in automatic mode
+    Input:
+      - sensorMessage - sensor message navigation has decided on
+      - command - driving command navigation has made
+    Output:
+      - list of { id, type, description } (see Breakpoints.check())
+   ************************************************************/
+  checkBreakpoints(sensorMessage, command) {
+    if (this.currentDrivingMode != AUTOMATIC_MODE) {
+      return [];
+    }
+    let visionResponse = (this.lastVision && this.lastVision.sensorMessage === sensorMessage) ? this.lastVision.visionResponse : undefined;
+    let hits = this.breakpoints.check({
+      sensorMessage: sensorMessage,
+      visionResponse: visionResponse,
+      command: command,
+      countGoals: (goal) => this.navigation.countGoals(goal)
+    });
+    if (this.stepping) {
+      hits.push({ id: null, type: "step", description: "single step" });
+    }
+    return hits;
+  }
+
+  /************************************************************
+    Debugger: pause automatic mode at a breakpoint and hold the command for approval.
+    The car is waiting for the command, so the watchdog is stopped until the operator resumes
+   ************************************************************/
+  pause(hits, command) {
+    console.log("pause(carId=" + this.carId + "): paused at breakpoint: " + hits.map((hit) => hit.description).join("; "));
+    this.breakpointPause = { timestampMs: new Date().getTime(), hits: hits };
+    this.stepping = false;
+    this.watchdog.stop();
+    this.nextDrivingCommand = command;
+    this.emit('debug', command);
+    this.emitStats();
+  }
+
+  isPaused() {
+    return this.breakpointPause !== undefined;
+  }
+
+  clearPause() {
+    this.breakpointPause = undefined;
+    this.stepping = false;
+  }
+
+  /************************************************************
+    Debugger: send the command held at the breakpoint and carry on in automatic mode
+    Input:
+      - step - true to pause again at the very next navigation decision
+    Output:
+      - false if the car is not paused
+   ************************************************************/
+  resume(step) {
+    if (!this.isPaused()) {
+      return false;
+    }
+    let command = this.nextDrivingCommand;
+    if (command === undefined) {
+      // The held command has been dropped (e.g. by reset) - just ask the car where it is now
+      command = new DriveMessage();
+      command.setModeAutomatic();
+      command.setOnDemandSensorRate();
+      command.sendSensorMessage();
+    }
+    console.log("resume(carId=" + this.carId + "): " + (step ? "stepping" : "resuming") + " after the breakpoint");
+    this.nextDrivingCommand = undefined;
+    this.emit('debug', null);
+    this.clearPause();
+    this.stepping = step === true;
+    this.watchdog.start();
+    this.publishCommand(command);
+    this.emitStats();
+    return true;
+  }
+
+  /************************************************************
+    Labels of the metrics measured for this car right now (see metrics.js)
+   ************************************************************/
+  metricLabels() {
+    return { car: this.carId, mode: this.currentDrivingMode };
+  }
+
+  /************************************************************
+    Current state and statistics of the car
+   ************************************************************/
+  status() {
+    return {
+      carId: this.carId,
+      drivingMode: this.currentDrivingMode,
+      ballColor: this.ballColor,
+      listenerStatus: this.listenerStatus,
+      commandTopic: this.commandTopicName,
+      sensorSubscription: this.sensorSubscriptionName,
+      totalMessagesReceived: this.totalMessagesReceived,
+      totalMessagesSent: this.totalMessagesSent,
+      totalErrors: this.totalErrors,
+      rejectedOutOfOrderMessages: this.rejectedOutOfOrderMessages,
+      rejectedFormatMessages: this.rejectedFormatMessages,
+      duplicateMessages: this.sequenceTracker.duplicateMessages,
+      lostMessages: this.sequenceTracker.lostMessages,
+      reorderedMessages: this.sequenceTracker.reorderedMessages,
+      carRestarts: this.sequenceTracker.carRestarts,
+      maxMsgTimeStampMs: this.maxMsgTimeStampMs,
+      inboundHistorySize: this.inboundMsgHistory.length,
+      outboundHistorySize: this.outboundMsgHistory.length,
+      pendingCommands: this.commandTracker.pending.size,
+      acknowledgedCommands: this.commandTracker.acknowledgedCommands,
+      resentCommands: this.commandTracker.resentCommands,
+      timedOutCommands: this.commandTracker.timedOutCommands,
+      lastRoundTripMs: this.commandTracker.lastRoundTripMs,
+      averageRoundTripMs: this.commandTracker.averageRoundTripMs(),
+      watchdogState: this.watchdog.state,
+      watchdogNudges: this.watchdog.nudges,
+      watchdogFailsafes: this.watchdog.failsafes,
+      decisionInFlight: this.decisionLoop.inFlight !== undefined,
+      coalescedMessages: this.decisionLoop.coalescedMessages,
+      staleCommands: this.decisionLoop.staleCommands,
+      navigationFailures: this.recovery.totalFailures(),
+      navigationFailuresByCategory: this.recovery.failures,
+      lastNavigationFailure: this.recovery.lastFailure || null,
+      recoveryRetries: this.recovery.retries,
+      recoveryPhotos: this.recovery.photos,
+      recoverySearches: this.recovery.searches,
+      teleopCommands: this.teleop.commands,
+      teleopThrottled: this.teleop.throttled,
+      emergencyStopped: this.isEmergencyStopped(),
+      emergencyStop: this.emergencyStopState || null,
+      breakpoints: this.breakpoints.list.length,
+      paused: this.isPaused(),
+      pausedAt: this.isPaused() ? this.breakpointPause.hits.map((hit) => hit.description).join("; ") : "",
+      latestImageUrl: this.latestImageUrl()
+    };
+  }
+
+  /************************************************************
+    Returns the front camera image URL of the most recent sensor message (or undefined)
+   ************************************************************/
+  latestImageUrl() {
+    if (this.inboundMsgHistory.length == 0) {
+      return undefined;
+    }
+    let msg = this.inboundMsgHistory[this.inboundMsgHistory.length - 1];
+    if ((!(msg.data === undefined)) && (!(JSON.parse(msg.data).sensors === undefined)) &&
+      (!(JSON.parse(msg.data).sensors.frontCameraImagePath === undefined))) {
+      return JSON.parse(msg.data).sensors.frontCameraImagePath;
+    }
+    return undefined;
+  }
+
+  /************************************************************
+    Returns the most recent sensor message received from the car (or undefined)
+   ************************************************************/
+  latestSensorData() {
+    if (this.inboundMsgHistory.length == 0) {
+      return undefined;
+    }
+    return JSON.parse(this.inboundMsgHistory[this.inboundMsgHistory.length - 1].data);
+  }
+
+  /************************************************************
+    Returns the goal of the most recent driving command sent to the car (or undefined)
+   ************************************************************/
+  latestGoal() {
+    if (this.outboundMsgHistory.length == 0) {
+      return undefined;
+    }
+    return this.outboundMsgHistory[this.outboundMsgHistory.length - 1].goal;
+  }
+
+  /************************************************************
+    Returns the overlay of the most recent picture (or undefined if navigation has not looked at it)
+   ************************************************************/
+  latestImageOverlay() {
+    let imageUrl = this.latestImageUrl();
+    if (this.latestOverlay === undefined || imageUrl === undefined || this.latestOverlay.imageUrl != imageUrl) {
+      return undefined;
+    }
+    return this.latestOverlay;
+  }
+
+  /************************************************************
+    Read sensor data from the car - used by the worker to listen to sensor messages.
+    When more than one worker is running they will all share the same
+    subscription, which means that pub/sub will evenly distribute messages to each worker.
+   ************************************************************/
+  startListener() {
+    if (this.listenerStatus) {
+      console.log("Listener for carId=" + this.carId + " is already running, nothing to do.");
+      return;
+    }
+    // Listen for new messages
+    this.transport.subscribe(this.sensorSubscriptionName, this.inboundMessageHandler, this.errorHandler);
+    this.listenerStatus = true;
+    console.log("startListener(carId=" + this.carId + ")...done");
+    this.emitStats();
+  }
+
+  /************************************************************
+    Stop listening for messages
+   ************************************************************/
+  stopListener() {
+    if (this.listenerStatus) {
+      this.transport.unsubscribe(this.sensorSubscriptionName, this.inboundMessageHandler, this.errorHandler);
+      console.log("Message listener for carId=" + this.carId + " stopped");
+      this.listenerStatus = false;
+      this.emitStats();
+    } else {
+      console.log("No need to stop Message listener for carId=" + this.carId + " since it was not running");
+    }
+  }
+};
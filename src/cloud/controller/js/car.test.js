@@ -0,0 +1,172 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var Car = require('./car');
+var DriveMessage = require('./drive-message').DriveMessage;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+
+/************************************************************
+  Car on a transport that keeps the published commands in "sent"
+ ************************************************************/
+function testCar() {
+  let sent = [];
+  let transport = {
+    publish: (topicName, text) => {
+      sent.push(JSON.parse(text));
+      return Promise.resolve();
+    },
+    subscribe: () => {},
+    unsubscribe: () => {}
+  };
+  return { car: new Car("1", "command-topic", "sensor-subscription", transport), sent: sent };
+}
+
+// Resolved once the commands published so far are in "sent"
+function published() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Timers of the car would keep the test running
+function stopTimers(car) {
+  car.watchdog.stop();
+  car.commandTracker.cancelAll();
+}
+
+test('sending the command held at a breakpoint carries on in automatic mode', (t) => {
+  let { car, sent } = testCar();
+  car.setDrivingMode(AUTOMATIC_MODE);
+  let held = new DriveMessage();
+  held.setModeAutomatic();
+  held.driveForward(100);
+  held.sendSensorMessage();
+  car.pause([{ id: 1, type: "goal", description: "goal is GO2BALL" }], held);
+  t.true(car.isPaused());
+  t.is(car.watchdog.state, "off");
+  car.sendDebugCommand();
+  t.false(car.isPaused());
+  t.not(car.watchdog.state, "off");
+  t.is(car.nextDrivingCommand, undefined);
+  return published().then(() => {
+    t.is(sent[sent.length - 1].cloudTimestampMs, held.cloudTimestampMs);
+    t.is(sent[sent.length - 1].mode, AUTOMATIC_MODE);
+    stopTimers(car);
+  });
+});
+
+test('fresh photo after a failed decision is asked for in automatic mode', (t) => {
+  let { car, sent } = testCar();
+  car.setDrivingMode(AUTOMATIC_MODE);
+  car.recover({ timestampMs: 1234 });
+  return published().then(() => {
+    let command = sent[sent.length - 1];
+    t.is(command.mode, AUTOMATIC_MODE);
+    t.is(command.carTimestampMs, 1234);
+    stopTimers(car);
+  });
+});
+
+test('publishing tells whether the command was sent', (t) => {
+  let { car, sent } = testCar();
+  let command = new DriveMessage();
+  command.driveForward(100);
+  let outOfRange = new DriveMessage();
+  outOfRange.actions.push({ driveForwardMm: 9000 });
+  return Promise.all([car.publishCommand(command), car.publishCommand(outOfRange), car.publishCommand(undefined)])
+    .then((results) => {
+      t.deepEqual(results, [true, false, false]);
+      t.is(sent.length, 1);
+      car.transport.publish = () => Promise.reject(new Error("transport is down"));
+      return car.publishCommand(command);
+    })
+    .then((result) => {
+      t.false(result);
+      stopTimers(car);
+    });
+});
+
+test('emergency stop latches the car in manual mode until it is re-armed', (t) => {
+  let { car, sent } = testCar();
+  car.setDrivingMode(AUTOMATIC_MODE);
+  return published()
+    .then(() => {
+      t.is(car.commandTracker.pending.size, 1);
+      return car.emergencyStop("ball in the wheel", "ann");
+    })
+    .then(() => {
+      t.deepEqual(sent[sent.length - 1].actions, [{ stop: true }]);
+      t.is(car.currentDrivingMode, MANUAL_MODE);
+      t.is(car.commandTracker.pending.size, 0);
+      t.is(car.watchdog.state, "off");
+      t.false(car.setDrivingMode(AUTOMATIC_MODE));
+      let command = new DriveMessage();
+      command.driveForward(100);
+      car.decisionHandler({ timestampMs: 1234 }, command);
+      return car.publishCommand(command);
+    })
+    .then((result) => {
+      t.false(result);
+      t.is(sent.length, 2);
+      t.true(car.rearm("ann"));
+      t.false(car.rearm("ann"));
+      t.true(car.setDrivingMode(AUTOMATIC_MODE));
+      stopTimers(car);
+    });
+});
+
+test('silent car in automatic mode is nudged and switched to manual mode by the failsafe', (t) => {
+  let { car, sent } = testCar();
+  car.setDrivingMode(AUTOMATIC_MODE);
+  car.watchdog.nudge();
+  car.watchdog.failsafe();
+  return published().then(() => {
+    t.deepEqual(sent[1].actions, [{ sendSensorMessage: "true" }]);
+    t.is(sent[1].mode, AUTOMATIC_MODE);
+    t.is(car.currentDrivingMode, MANUAL_MODE);
+    t.is(sent[2].mode, MANUAL_MODE);
+    t.is(car.watchdog.state, "off");
+    stopTimers(car);
+  });
+});
+
+test('sensor message acknowledges the commands the car has acted on', (t) => {
+  let { car } = testCar();
+  let first = new DriveMessage();
+  first.driveForward(100);
+  first.sendSensorMessage();
+  let second = new DriveMessage();
+  second.cloudTimestampMs = first.cloudTimestampMs + 1;
+  second.turnRight(90);
+  second.sendSensorMessage();
+  return Promise.all([car.publishCommand(first), car.publishCommand(second)]).then(() => {
+    t.is(car.commandTracker.pending.size, 2);
+    let sensorMessage = {
+      version: "1.0",
+      carId: 1,
+      msgId: 1,
+      timestampMs: new Date().getTime(),
+      lastCommandTimestampMs: first.cloudTimestampMs,
+      carState: { ballsCollected: 0, color: "Red" },
+      sensors: { frontCameraImagePath: "https://storage.googleapis.com/bucket/image1.jpg", frontCameraImagePathGCS: "gs://bucket/image1.jpg" }
+    };
+    car.inboundMessageHandler({ data: Buffer.from(JSON.stringify(sensorMessage)), ack: () => {} });
+    t.deepEqual(Array.from(car.commandTracker.pending.keys()), [second.cloudTimestampMs]);
+    t.is(car.commandTracker.acknowledgedCommands, 1);
+    stopTimers(car);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const EventEmitter = require('events');
+// Ack timeout and number of resends are read from the configuration every time, so they can be changed at runtime
+var config = require('./config').config;
+
+// How many of the most recent commands (and alerts) are kept for the dashboard
+const MAX_RECENT_COMMANDS = 100;
+const MAX_ALERTS = 50;
+
+// States of the tracked command
+const PENDING = "pending";
+const ACKNOWLEDGED = "acknowledged";
+const TIMED_OUT = "timedOut";
+const CANCELLED = "cancelled";
+
+/************************************************************
+  Keeps track of the driving commands sent to a single car until the car acts on them.
+  After the car has processed all actions of a command it sends a sensor message with
+  "lastCommandTimestampMs" set to the cloudTimestampMs of the most recent command it received,
+  which acknowledges this command and all commands sent before it.
+
+  Only commands that ask the car for a sensor message are tracked - otherwise the car never answers.
+  When the command is not acknowledged within COMMAND_ACK_TIMEOUT_SEC it is sent again up to
+  COMMAND_MAX_RESENDS times, after that an alert is raised. Commands that are only worth sending once
+  (teleoperation bursts - the operator has moved on by the time they would be resent) are never sent again,
+  they just stop counting as pending.
+
+  CommandTracker emits the following events:
+    - 'resend' - command needs to be published again (command)
+    - 'alert' - command was not acknowledged even after all resends (alert)
+ ************************************************************/
+class CommandTracker extends EventEmitter {
+
+  // ID of the car to look up COMMAND_ACK_TIMEOUT_SEC and COMMAND_MAX_RESENDS for
+  constructor(carId) {
+    super();
+    this.carId = carId;
+    this.pending = new Map();
+    this.reset();
+  }
+
+  reset() {
+    this.pending.forEach((tracked) => clearTimeout(tracked.timer));
+    this.pending.clear();
+    // Most recent commands with their state and round trip time, oldest first
+    this.recentCommands = [];
+    this.alerts = [];
+    this.acknowledgedCommands = 0;
+    this.resentCommands = 0;
+    this.timedOutCommands = 0;
+    this.lastRoundTripMs = undefined;
+    this.totalRoundTripMs = 0;
+  }
+
+  /************************************************************
+    Start tracking the command once it has been published to the car. Publishing the command
+    that is already pending (i.e. a resend) only restarts the timer
+    Input:
+      - command - command published to the car
+      - once - true if the command must not be sent again when the car does not act on it
+   ************************************************************/
+  track(command, once) {
+    if (!expectsSensorMessage(command)) {
+      return;
+    }
+    let tracked = this.pending.get(command.cloudTimestampMs);
+    if (tracked === undefined) {
+      tracked = {
+        cloudTimestampMs: command.cloudTimestampMs,
+        goal: command.goal,
+        mode: command.mode,
+        sentMs: new Date().getTime(),
+        resends: 0,
+        state: PENDING,
+        roundTripMs: undefined,
+        once: once === true,
+        command: command
+      };
+      this.pending.set(command.cloudTimestampMs, tracked);
+      this.addRecent(tracked);
+    } else {
+      clearTimeout(tracked.timer);
+    }
+    tracked.timer = setTimeout(() => this.timeout(tracked), this.timeoutMs());
+  }
+
+  // How long to wait for the car to reference the command in a sensor message before the command is considered lost
+  timeoutMs() {
+    return config.get('COMMAND_ACK_TIMEOUT_SEC', this.carId) * 1000;
+  }
+
+  // How many times the lost command is sent again before an alert is raised
+  maxResends() {
+    return config.get('COMMAND_MAX_RESENDS', this.carId);
+  }
+
+  /************************************************************
+    Acknowledge all pending commands up to the one referenced by the sensor message
+    Input:
+      - lastCommandTimestampMs - cloudTimestampMs of the most recent command the car has received
+   ************************************************************/
+  acknowledge(lastCommandTimestampMs) {
+    let now = new Date().getTime();
+    this.pending.forEach((tracked, cloudTimestampMs) => {
+      if (cloudTimestampMs > lastCommandTimestampMs) {
+        return;
+      }
+      clearTimeout(tracked.timer);
+      this.pending.delete(cloudTimestampMs);
+      tracked.state = ACKNOWLEDGED;
+      tracked.roundTripMs = now - tracked.sentMs;
+      this.acknowledgedCommands++;
+      this.lastRoundTripMs = tracked.roundTripMs;
+      this.totalRoundTripMs += tracked.roundTripMs;
+      console.log("CommandTracker.acknowledge(): command " + cloudTimestampMs + " acknowledged after " + tracked.roundTripMs + " ms");
+    });
+  }
+
+  /************************************************************
+    Stop waiting for all pending commands, so they are not sent again (used by the emergency stop)
+   ************************************************************/
+  cancelAll() {
+    this.pending.forEach((tracked) => {
+      clearTimeout(tracked.timer);
+      tracked.state = CANCELLED;
+    });
+    this.pending.clear();
+  }
+
+  /************************************************************
+    The car did not acknowledge the command in time - send it again or raise an alert
+   ************************************************************/
+  timeout(tracked) {
+    if (tracked.once) {
+      this.pending.delete(tracked.cloudTimestampMs);
+      tracked.state = TIMED_OUT;
+      this.timedOutCommands++;
+      console.log("CommandTracker.timeout(): command " + tracked.cloudTimestampMs + " was not acknowledged in " + this.timeoutMs() + " ms, it is not sent again");
+      return;
+    }
+    let maxResends = this.maxResends();
+    if (tracked.resends < maxResends) {
+      tracked.resends++;
+      this.resentCommands++;
+      console.log("CommandTracker.timeout(): command " + tracked.cloudTimestampMs + " was not acknowledged in " + this.timeoutMs() + " ms, resending (" + tracked.resends + " of " + maxResends + ")");
+      this.emit('resend', tracked.command);
+      return;
+    }
+    this.pending.delete(tracked.cloudTimestampMs);
+    tracked.state = TIMED_OUT;
+    this.timedOutCommands++;
+    let alert = {
+      timestampMs: new Date().getTime(),
+      cloudTimestampMs: tracked.cloudTimestampMs,
+      message: "Command " + tracked.cloudTimestampMs + (tracked.goal ? " (goal " + tracked.goal + ")" : "") +
+        " was not acknowledged by the car after " + tracked.resends + " resends"
+    };
+    console.error("ERROR: CommandTracker.timeout(): " + alert.message);
+    if (this.alerts.length >= MAX_ALERTS) {
+      this.alerts.shift();
+    }
+    this.alerts.push(alert);
+    this.emit('alert', alert);
+  }
+
+  addRecent(tracked) {
+    if (this.recentCommands.length >= MAX_RECENT_COMMANDS) {
+      this.recentCommands.shift();
+    }
+    this.recentCommands.push(tracked);
+  }
+
+  averageRoundTripMs() {
+    if (this.acknowledgedCommands == 0) {
+      return undefined;
+    }
+    return Math.round(this.totalRoundTripMs / this.acknowledgedCommands);
+  }
+
+  /************************************************************
+    Most recent commands without the timers, oldest first
+   ************************************************************/
+  recent() {
+    return this.recentCommands.map((tracked) => ({
+      cloudTimestampMs: tracked.cloudTimestampMs,
+      goal: tracked.goal,
+      mode: tracked.mode,
+      sentMs: tracked.sentMs,
+      resends: tracked.resends,
+      state: tracked.state,
+      roundTripMs: tracked.roundTripMs
+    }));
+  }
+}
+
+/************************************************************
+  Will the car send a sensor message after acting on this command?
+ ************************************************************/
+function expectsSensorMessage(command) {
+  return command.actions.some((action) => action.sendSensorMessage == "true");
+}
+
+/************************************************************
+  Command tracker of the car configured from COMMAND_ACK_TIMEOUT_SEC and COMMAND_MAX_RESENDS
+ ************************************************************/
+function createCommandTracker(carId) {
+  return new CommandTracker(carId);
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.CommandTracker = CommandTracker;
+module.exports.createCommandTracker = createCommandTracker;
@@ -0,0 +1,95 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var CommandTracker = require('./command-tracker').CommandTracker;
+var DriveMessage = require('./drive-message').DriveMessage;
+
+// Tracker that gives up on a command after 100 ms and resends it once
+function testTracker(carId) {
+  config.set('COMMAND_ACK_TIMEOUT_SEC', 0.1, carId, "test");
+  config.set('COMMAND_MAX_RESENDS', 1, carId, "test");
+  return new CommandTracker(carId);
+}
+
+function burst(cloudTimestampMs) {
+  let command = new DriveMessage();
+  command.cloudTimestampMs = cloudTimestampMs;
+  command.driveForward(100);
+  command.sendSensorMessage();
+  return command;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('acknowledged commands stop being pending and are not resent', (t) => {
+  let tracker = testTracker("tracker-1");
+  let resent = [];
+  tracker.on('resend', (command) => resent.push(command));
+  tracker.track(burst(1));
+  tracker.track(burst(2));
+  tracker.track(burst(3));
+  tracker.acknowledge(2);
+  t.is(tracker.pending.size, 1);
+  t.is(tracker.acknowledgedCommands, 2);
+  tracker.cancelAll();
+  t.deepEqual(tracker.recent().map((tracked) => tracked.state), ["acknowledged", "acknowledged", "cancelled"]);
+  return wait(150).then(() => t.deepEqual(resent, []));
+});
+
+test('commands without a sensor message are not tracked', (t) => {
+  let tracker = testTracker("tracker-2");
+  let command = new DriveMessage();
+  command.driveForward(100);
+  tracker.track(command);
+  t.is(tracker.pending.size, 0);
+});
+
+test('lost command is resent, then an alert is raised', (t) => {
+  let tracker = testTracker("tracker-3");
+  let resent = [];
+  let alerts = [];
+  tracker.on('resend', (command) => {
+    resent.push(command);
+    tracker.track(command);
+  });
+  tracker.on('alert', (alert) => alerts.push(alert));
+  tracker.track(burst(1));
+  return wait(350).then(() => {
+    t.is(resent.length, 1);
+    t.is(alerts.length, 1);
+    t.is(tracker.pending.size, 0);
+    t.is(tracker.timedOutCommands, 1);
+  });
+});
+
+test('command sent only once is dropped without a resend or an alert', (t) => {
+  let tracker = testTracker("tracker-4");
+  let events = [];
+  tracker.on('resend', () => events.push('resend'));
+  tracker.on('alert', () => events.push('alert'));
+  tracker.track(burst(1), true);
+  t.is(tracker.pending.size, 1);
+  return wait(150).then(() => {
+    t.deepEqual(events, []);
+    t.is(tracker.pending.size, 0);
+    t.is(tracker.recent()[0].state, "timedOut");
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+/************************************************************
+  Configuration page: effective values with their sources, per car overrides, forms to change
+  the settings at runtime and the audit trail of the changes
+  Input:
+    - config - Config object (see config.js)
+    - csrfField - hidden CSRF field for the forms
+    - errors - problems with the last change to show on top of the page
+ ************************************************************/
+module.exports.configPage = function(config, csrfField, errors) {
+  let html = `<a href="/">Home</a>
+    <h1>Configuration</h1>`;
+
+  if (errors && errors.length > 0) {
+    html = html + "<p style='color:red'>Change was not applied:<br>" + errors.join("<br>") + "</p>";
+  }
+
+  html = html + `<p>Values are taken from the first layer that has them: car runtime, car file, runtime, env, file, default
+    (<a href="/api/v1/config">JSON</a>)</p>
+    <table border='1' cellpadding='4'><tr><th>Setting</th><th>Value</th><th>Source</th><th>Description</th></tr>`;
+  config.describe().forEach((setting) => {
+    html = html + "<tr><td>" + setting.key + "</td>" +
+      "<td><b>" + (setting.value === undefined ? "" : setting.value) + "</b></td>" +
+      "<td>" + setting.source + "</td>" +
+      "<td><small>" + setting.description + "</small></td></tr>";
+  });
+  html = html + "</table>";
+
+  html = html + "<h2>Per car overrides</h2><table border='1' cellpadding='4'><tr><th>Car</th><th>Setting</th><th>Value</th></tr>";
+  let overrides = config.carOverrides();
+  Object.keys(overrides).forEach((carId) => {
+    Object.keys(overrides[carId]).forEach((key) => {
+      html = html + "<tr><td>" + carId + "</td><td>" + key + "</td><td>" + overrides[carId][key] + "</td></tr>";
+    });
+  });
+  html = html + "</table>";
+
+  html = html + `<h2>Change at runtime</h2>
+    <form action="/config" method="post">${csrfField}
+    <label for="key">Setting: </label><select id="key" name="key">` +
+    config.describe().map((setting) => "<option value='" + setting.key + "'>" + setting.key + "</option>").join("") +
+    `</select>
+    <label for="value">Value: </label><input id="value" type="text" name="value">
+    <label for="car">Car (empty for all cars): </label><input id="car" type="text" name="car" size="4"><br>
+    <input type="radio" name="action" value="set" checked> Set
+    <input type="radio" name="action" value="unset"> Remove runtime change<br>
+    <input type="submit" value="Apply"></form>
+    <form action="/config" method="post">${csrfField}
+    <input type="hidden" name="action" value="reload">
+    <input type="submit" value="Reload config file and environment"></form>`;
+
+  html = html + "<h2>Audit trail</h2><table border='1' cellpadding='4'><tr><th>Time</th><th>User</th><th>Action</th><th>Car</th><th>Setting</th><th>Old value</th><th>New value</th></tr>";
+  config.audit.slice().reverse().forEach((entry) => {
+    html = html + "<tr><td>" + new Date(entry.timestampMs).toISOString() + "</td>" +
+      "<td>" + entry.user + "</td>" +
+      "<td>" + entry.action + "</td>" +
+      "<td>" + (entry.carId === undefined ? "all" : entry.carId) + "</td>" +
+      "<td>" + (entry.key || "") + "</td>" +
+      "<td>" + (entry.oldValue === undefined ? "" : entry.oldValue) + "</td>" +
+      "<td>" + (entry.newValue === undefined ? "" : entry.newValue) + "</td></tr>";
+  });
+
+  return html + "</table>";
+};
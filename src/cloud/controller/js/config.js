@@ -0,0 +1,452 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var process = require('process'); // Required for mocking environment variables
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+const EventEmitter = require('events');
+// Variables from the .env file become part of the environment layer
+require('dotenv').config();
+
+// How many of the most recent runtime changes are kept in memory
+const MAX_AUDIT_ENTRIES = 500;
+
+// Where the value of the setting came from
+const DEFAULT_LAYER = "default";
+const FILE_LAYER = "file";
+const ENV_LAYER = "env";
+const RUNTIME_LAYER = "runtime";
+const CAR_FILE_LAYER = "car file";
+const CAR_RUNTIME_LAYER = "car runtime";
+
+/************************************************************
+  All settings of the controller. Each setting has:
+    - type - 'number', 'string' or 'boolean'
+    - default - value used when no other layer sets it (undefined means the setting is optional)
+    - min, max - allowed range of a number
+    - integer - number must be a whole number
+    - values - list of allowed values
+    - secret - value is never shown on the pages or in the audit trail
+    - description - shown on the configuration page
+ ************************************************************/
+const SETTINGS = {
+  // ----- Settings for the game
+  BALLS_NEEDED: { type: 'number', default: 3, min: 1, max: 20, integer: true, description: "How many balls need to be collected to win the game" },
+  BALL_SIZE_MM: { type: 'number', default: 60.638, min: 1, max: 1000, description: "Diameter of the ball (165.744 mm)" },
+  HOME_SIZE_MM: { type: 'number', default: 200, min: 1, max: 5000, description: "Width of the Home Base sign (letter size)" },
+  BALL_LABEL_SUFFIX: { type: 'string', default: "Ball", description: "Labels returned by vision API are <color><suffix> - aka \"redBall\"" },
+  HOME_LABEL_SUFFIX: { type: 'string', default: "Home", description: "Labels returned by vision API are <color><suffix> - aka \"redHome\"" },
+  MIN_DISTANCE_TO_CAMERA_MM: { type: 'number', default: 21, min: 0, max: 1000, description: "Distance from the camera to the ball in a fully captured position" },
+  MAX_SPEED: { type: 'number', default: 1000, min: 1, max: 1000, description: "Max car speed (wheel rotation degrees per second)" },
+
+  // ----- Camera used in the car: https://www.amazon.com/gp/product/B00RMV53Z2
+  H_FIELD_OF_VIEW: { type: 'number', default: 120, min: 1, max: 360, description: "Horizontal field of view of the camera - degrees out of 360" },
+  SENSOR_HEIGHT_MM: { type: 'number', default: 6.35, min: 0.1, max: 100, description: "Size of the camera sensor is 1/4 inch" },
+  FOCAL_LENGTH_MM: { type: 'number', default: 6.1, min: 0.1, max: 100, description: "Focal length of the camera - it is adjustable, so we need to calibrate it before using this camera for navigation" },
+  HORIZONTAL_RESOLUTION_PIXELS: { type: 'number', min: 1, integer: true, description: "Horizontal resolution of the camera" },
+  VERTICAL_RESOLUTION_PIXELS: { type: 'number', min: 1, integer: true, description: "Vertical resolution of the camera" },
+
+  // ----- Navigation tuning
+  HIGH_BALL_TOP_BOUND: { type: 'number', default: 0.2, min: 0, max: 1, description: "Balls with the top above this Y coordinate (0 is the top of the picture) are false positives unless the score is high" },
+  HIGH_BALL_SCORE: { type: 'number', default: 0.5, min: 0, max: 1, description: "Balls with the inference confidence score above this are accepted even if they are too high" },
+  SLOW_APPROACH_ZONE_MM: { type: 'number', default: 250, min: 0, max: 5000, description: "At this distance from the ball or closer the car moves slow not to kick the ball out too far" },
+  BALL_CAPTURE_DISTANCE_MM: { type: 'number', default: 70, min: 0, max: 1000, description: "At this distance from the ball the car can close the gripper and have the ball" },
+  BALL_CAPTURE_ANGLE: { type: 'number', default: 10, min: 0, max: 90, description: "The car can grasp the ball within this angle spread to each side" },
+  BALL_RELEASE_DISTANCE_MM: { type: 'number', default: 850, min: 0, max: 5000, description: "How far from the home base sign the car can release the ball" },
+  ANGLE_CALIBRATION_MULTIPLIER: { type: 'number', default: 0.75, min: 0.1, max: 10, description: "Calibrates the angle to the object calculated from the picture" },
+
+  // ----- Cars of this controller (see fleet.js), read at startup
+  FLEET_CONFIG: { type: 'string', description: "JSON file with the list of cars, each { carId, commandTopic, sensorSubscription } - when not set, the single car below is used" },
+  CAR_ID: { type: 'string', description: "ID of the single car when FLEET_CONFIG is not set" },
+  COMMAND_TOPIC: { type: 'string', description: "Topic the driving commands of the single car are published to" },
+  SENSOR_SUBSCRIPTION: { type: 'string', description: "Subscription the sensor messages of the single car are received from" },
+
+  // ----- Message transport (see transport.js), read at startup
+  MESSAGE_TRANSPORT: { type: 'string', default: "pubsub", values: ["pubsub", "memory", "mqtt"], description: "How messages go to and from the cars: Google Cloud PubSub, in-memory bus (for tests and simulation) or MQTT broker" },
+  MQTT_URL: { type: 'string', default: "mqtt://localhost:1883", description: "URL of the MQTT broker" },
+
+  // ----- Authentication (see auth.js)
+  USERS_FILE: { type: 'string', description: "JSON file with the users, their password hashes, tokens and roles (read at startup)" },
+  CSRF_SECRET: { type: 'string', secret: true, description: "Key of the CSRF tokens - random at every start if not set, so tokens survive restarts only when it is set (read at startup)" },
+  AUTH_DISABLED: { type: 'boolean', default: false, description: "Let anyone control the cars without login when USERS_FILE is not set - for local development only (read at startup)" },
+  CSRF_TOKEN_TTL_MIN: { type: 'number', default: 720, min: 1, max: 10080, description: "Forms and scripts need a fresh CSRF token after this long" },
+
+  // ----- Command acknowledgements (see command-tracker.js)
+  COMMAND_ACK_TIMEOUT_SEC: { type: 'number', default: 10, min: 0.1, max: 600, description: "How long to wait for the car to act on a command before it is considered lost" },
+  COMMAND_MAX_RESENDS: { type: 'number', default: 2, min: 0, max: 10, integer: true, description: "How many times a lost command is sent again before an alert is raised" },
+
+  // ----- Decision loop of the cars in automatic mode (see decision-loop.js)
+  STALE_COMMAND_MAX_DROPS: { type: 'number', default: 3, min: 0, max: 100, integer: true, description: "Commands decided on a picture that a newer one has replaced are dropped, but no more than this many in a row so the car keeps moving at a continuous sensor rate (0 never drops)" },
+
+  // ----- Recovery from failed navigation decisions (see recovery.js)
+  NAVIGATION_FAILURE_POLICY: { type: 'string', default: "photo", values: ["retry", "photo", "search"], description: "When navigation fails: call vision again on the same picture, ask the car for a fresh photo or turn to look elsewhere and send a photo" },
+  NAVIGATION_RETRIES: { type: 'number', default: 2, min: 0, max: 10, integer: true, description: "With the retry policy, how many times vision is called again on the same picture before the car is asked for a fresh photo" },
+  NAVIGATION_RETRY_DELAY_MS: { type: 'number', default: 500, min: 0, max: 30000, integer: true, description: "With the retry policy, how long to wait before calling vision again" },
+  NAVIGATION_SEARCH_TURN_DEGREES: { type: 'number', default: 45, min: -360, max: 360, description: "With the search policy, how far the car turns (negative to the left) before it sends a fresh photo" },
+
+  // ----- Watchdog of the cars in automatic mode (see watchdog.js)
+  WATCHDOG_ENABLED: { type: 'boolean', default: true, description: "Watch for cars that stopped sending sensor messages in automatic mode" },
+  WATCHDOG_NUDGE_SEC: { type: 'number', default: 15, min: 1, max: 600, description: "After this long without a sensor message the car is asked to send one" },
+  WATCHDOG_FAILSAFE_SEC: { type: 'number', default: 30, min: 1, max: 600, description: "If the car is still silent this long after the nudge, the failsafe is applied" },
+  WATCHDOG_FAILSAFE: { type: 'string', default: "manual", values: ["stop", "manual", "alert"], description: "Failsafe for a silent car: emergency stop, switch to manual mode or only raise an alert" },
+
+  // ----- Teleoperation with keyboard and gamepad (see teleop.js)
+  TELEOP_MIN_INTERVAL_MS: { type: 'number', default: 200, min: 50, max: 5000, integer: true, description: "Shortest time between two teleoperation commands to the car, faster ones are refused" },
+  TELEOP_MAX_PENDING: { type: 'number', default: 2, min: 1, max: 50, integer: true, description: "Teleoperation commands are refused while the car has this many commands it has not acted on yet" },
+  TELEOP_STEP_MM: { type: 'number', default: 100, min: 10, max: 1000, description: "How far the car drives for every teleoperation command" },
+  TELEOP_TURN_DEGREES: { type: 'number', default: 15, min: 4, max: 180, description: "How far the car turns for every teleoperation command" },
+  TELEOP_DEFAULT_SPEED: { type: 'number', default: 300, min: 1, max: 1000, integer: true, description: "Speed the teleoperation page starts with (wheel angle/sec)" },
+
+  // ----- Manual macros (see macros.js)
+  MACRO_DIR: { type: 'string', default: path.join(os.tmpdir(), 'robot-derby-macros'), description: "Folder where recorded manual macros are kept, one JSON file per macro (read at startup)" },
+
+  // ----- Session recording (see session-log.js)
+  SESSION_LOG_DIR: { type: 'string', default: path.join(os.tmpdir(), 'robot-derby-sessions'), description: "Folder where the sessions of sensor messages, vision responses and commands are recorded (read at startup)" },
+  SESSION_MAX_BYTES: { type: 'number', default: 10 * 1024 * 1024, min: 1024, integer: true, description: "A new session file is started once the current one grows above this size (read at startup)" },
+  SESSION_MAX_AGE_MIN: { type: 'number', default: 60, min: 1, max: 10080, description: "A new session file is started once the current one is older than this (read at startup)" },
+
+  // ----- Matches (see match.js)
+  MATCH_COUNTDOWN_SEC: { type: 'number', default: 10, min: 0, max: 300, integer: true, description: "Countdown before the cars start driving in a match" },
+  MATCH_DURATION_SEC: { type: 'number', default: 300, min: 10, max: 7200, integer: true, description: "Length of a match, the cars are switched to manual mode when the time is up" },
+  MATCH_BALL_POINTS: { type: 'number', default: 10, min: 0, max: 1000, integer: true, description: "Points for every ball delivered to the home base" },
+  MATCH_PENALTY_POINTS: { type: 'number', default: 5, min: 0, max: 1000, integer: true, description: "Points taken away by a penalty unless the referee gives a different number" },
+  MATCH_DIR: { type: 'string', default: path.join(os.tmpdir(), 'robot-derby-matches'), description: "Folder where finished matches are kept, one JSON file per match (read at startup)" },
+
+  // ----- Endpoints
+  INFERENCE_VM_IP: { type: 'string', description: "Address of the Object Detection inference VM" },
+  HTTP_PORT: { type: 'number', min: 1, max: 65535, integer: true, description: "Port of the Object Detection inference API" },
+  INFERENCE_URL: { type: 'string', description: "Path of the Object Detection inference API" },
+  INFERENCE_USER_NAME: { type: 'string', description: "User name to authenticate to the inference VM" },
+  INFERENCE_PASSWORD: { type: 'string', secret: true, description: "Password to authenticate to the inference VM" },
+  GOOGLE_CLOUD_PROJECT: { type: 'string', description: "Project where the controller runs" },
+  BQ_PROJECT_ID: { type: 'string', description: "BigQuery project" },
+  BQ_DATASET: { type: 'string', description: "BigQuery dataset" },
+  BQ_SENSOR_MESSAGE_TABLE: { type: 'string', default: "sensor_messages", description: "BigQuery table for sensor messages" },
+  BQ_DRIVE_MESSAGE_TABLE: { type: 'string', default: "drive_messages", description: "BigQuery table for driving commands" },
+  BQ_KEY_FILE: { type: 'string', default: "bigquery-service-account.json", description: "Service account key for BigQuery (application default credentials are used if the file does not exist)" },
+
+  // ----- Analytics sink (see analytics-sink.js)
+  ANALYTICS_SINK: { type: 'string', default: "none", values: ["bigquery", "ndjson", "none"], description: "Where sensor and drive rows go: BigQuery, local NDJSON files or nowhere (read at startup)" },
+  ANALYTICS_NDJSON_DIR: { type: 'string', default: path.join(os.tmpdir(), 'robot-derby-analytics'), description: "Folder of the NDJSON files, one file per table" },
+  ANALYTICS_BATCH_SIZE: { type: 'number', default: 500, min: 1, max: 10000, integer: true, description: "Rows of a table are written once this many are buffered" },
+  ANALYTICS_FLUSH_SEC: { type: 'number', default: 10, min: 1, max: 3600, description: "Buffered rows are written at least this often" },
+  ANALYTICS_MAX_RETRIES: { type: 'number', default: 5, min: 0, max: 20, integer: true, description: "How many times a failed batch is written again before it goes to the dead letter file" },
+  ANALYTICS_RETRY_BASE_MS: { type: 'number', default: 1000, min: 10, max: 60000, description: "Delay before the first retry, doubled with every next retry" },
+  ANALYTICS_DEAD_LETTER_FILE: { type: 'string', default: path.join(os.tmpdir(), 'robot-derby-analytics-dead-letter.ndjson'), description: "Batches that could not be written are appended here" }
+};
+
+/************************************************************
+  Layered configuration of the controller. The value of a setting is taken from the first layer that has it:
+    - runtime change for the car (made by admin on /config)
+    - car override from the "cars" section of the CONFIG_FILE
+    - runtime change for all cars
+    - environment variable of the same name (including the .env file)
+    - "settings" section of the CONFIG_FILE
+    - default
+  Example of the CONFIG_FILE:
+    {
+      "settings": { "BALLS_NEEDED": 5, "INFERENCE_VM_IP": "10.142.0.2" },
+      "cars": { "2": { "ANGLE_CALIBRATION_MULTIPLIER": 0.8 } }
+    }
+  All layers are validated at startup and every change is validated before it is applied.
+  Runtime changes are kept in the audit trail (and appended to CONFIG_AUDIT_FILE if it is set).
+
+  Config emits 'change' event (entry of the audit trail) after every runtime change.
+ ************************************************************/
+class Config extends EventEmitter {
+
+  /************************************************************
+    Input:
+      - configFile - path to the JSON config file (optional)
+      - env - environment variables
+      - auditFile - path of the file to append the audit trail to (optional)
+   ************************************************************/
+  constructor(configFile, env, auditFile) {
+    super();
+    this.configFile = configFile;
+    this.env = env;
+    this.auditFile = auditFile;
+    this.runtime = {};
+    this.carRuntime = {};
+    this.audit = [];
+    let errors = this.load();
+    if (errors.length > 0) {
+      throw new Error("Config(): invalid configuration:\n  " + errors.join("\n  "));
+    }
+  }
+
+  /************************************************************
+    (Re)read the config file and environment variables
+    Output:
+      - list of problems found (the configuration is not changed if there are any)
+   ************************************************************/
+  load() {
+    let errors = [];
+    let file = { settings: {}, cars: {} };
+    if (this.configFile) {
+      try {
+        file = Object.assign(file, JSON.parse(fs.readFileSync(this.configFile, 'utf8')));
+      } catch (err) {
+        return ["CONFIG_FILE " + this.configFile + ": " + err.message];
+      }
+    }
+    let fileLayer = validateLayer(file.settings, FILE_LAYER, errors);
+    let envLayer = {};
+    Object.keys(SETTINGS).forEach((key) => {
+      if (this.env[key] !== undefined && this.env[key] !== "") {
+        Object.assign(envLayer, validateLayer({ [key]: this.env[key] }, ENV_LAYER, errors));
+      }
+    });
+    let carFileLayers = {};
+    Object.keys(file.cars).forEach((carId) => {
+      carFileLayers[carId] = validateLayer(file.cars[carId], CAR_FILE_LAYER + " " + carId, errors);
+    });
+    if (errors.length == 0) {
+      this.fileLayer = fileLayer;
+      this.envLayer = envLayer;
+      this.carFileLayers = carFileLayers;
+    }
+    return errors;
+  }
+
+  /************************************************************
+    Layers to look the setting up in, from the highest priority to the lowest
+   ************************************************************/
+  layers(carId) {
+    let layers = [];
+    if (carId !== undefined) {
+      layers.push({ name: CAR_RUNTIME_LAYER, values: this.carRuntime[carId] || {} });
+      layers.push({ name: CAR_FILE_LAYER, values: this.carFileLayers[carId] || {} });
+    }
+    layers.push({ name: RUNTIME_LAYER, values: this.runtime });
+    layers.push({ name: ENV_LAYER, values: this.envLayer });
+    layers.push({ name: FILE_LAYER, values: this.fileLayer });
+    return layers;
+  }
+
+  /************************************************************
+    Effective value of the setting (for the car, if carId is given) and the layer it came from
+   ************************************************************/
+  lookup(key, carId) {
+    if (SETTINGS[key] === undefined) {
+      throw new Error("Config.lookup(): unknown setting " + key);
+    }
+    let layer = this.layers(carId === undefined ? undefined : String(carId)).find((layer) => layer.values[key] !== undefined);
+    if (layer === undefined) {
+      return { value: SETTINGS[key].default, source: DEFAULT_LAYER };
+    }
+    return { value: layer.values[key], source: layer.name };
+  }
+
+  get(key, carId) {
+    return this.lookup(key, carId).value;
+  }
+
+  /************************************************************
+    Change the setting at run time
+    Input:
+      - key - name of the setting
+      - value - new value (strings are converted to the type of the setting)
+      - carId - change it only for this car (undefined for all cars)
+      - userName - who made the change
+    Output:
+      - list of problems with the value (the setting is not changed if there are any)
+   ************************************************************/
+  set(key, value, carId, userName) {
+    let errors = [];
+    let values = validateLayer({ [key]: value }, RUNTIME_LAYER, errors);
+    if (errors.length > 0) {
+      return errors;
+    }
+    let layer = this.runtimeLayer(carId);
+    this.change(key, carId, userName, "set", () => {
+      layer[key] = values[key];
+    });
+    return [];
+  }
+
+  /************************************************************
+    Remove the runtime change of the setting, so the value comes from the lower layers again
+   ************************************************************/
+  unset(key, carId, userName) {
+    if (SETTINGS[key] === undefined) {
+      return ["unknown setting " + key];
+    }
+    let layer = this.runtimeLayer(carId);
+    this.change(key, carId, userName, "unset", () => {
+      delete layer[key];
+    });
+    return [];
+  }
+
+  /************************************************************
+    Re-read CONFIG_FILE and environment variables, runtime changes are kept
+   ************************************************************/
+  reload(userName) {
+    let errors = [];
+    this.change(undefined, undefined, userName, "reload", () => {
+      errors = this.load();
+    });
+    return errors;
+  }
+
+  runtimeLayer(carId) {
+    if (carId === undefined) {
+      return this.runtime;
+    }
+    carId = String(carId);
+    this.carRuntime[carId] = this.carRuntime[carId] || {};
+    return this.carRuntime[carId];
+  }
+
+  /************************************************************
+    Apply the change and record it in the audit trail
+   ************************************************************/
+  change(key, carId, userName, action, apply) {
+    let oldValue = key === undefined ? undefined : this.get(key, carId);
+    apply();
+    let entry = {
+      timestampMs: new Date().getTime(),
+      user: userName,
+      action: action,
+      key: key,
+      carId: carId,
+      oldValue: key === undefined ? undefined : this.displayValue(key, oldValue),
+      newValue: key === undefined ? undefined : this.displayValue(key, this.get(key, carId))
+    };
+    console.log("Config.change(): " + JSON.stringify(entry));
+    if (this.audit.length >= MAX_AUDIT_ENTRIES) {
+      this.audit.shift();
+    }
+    this.audit.push(entry);
+    if (this.auditFile) {
+      fs.appendFile(this.auditFile, JSON.stringify(entry) + "\n", (err) => {
+        if (err) {
+          console.error("ERROR: Config.change(): can not write audit trail to " + this.auditFile + ": " + err);
+        }
+      });
+    }
+    this.emit('change', entry);
+  }
+
+  /************************************************************
+    Value as it can be shown to the users (secrets are masked)
+   ************************************************************/
+  displayValue(key, value) {
+    if (SETTINGS[key].secret && value !== undefined) {
+      return "******";
+    }
+    return value;
+  }
+
+  /************************************************************
+    All settings with their effective values (for the car, if carId is given), sources and descriptions
+   ************************************************************/
+  describe(carId) {
+    return Object.keys(SETTINGS).map((key) => {
+      let found = this.lookup(key, carId);
+      return {
+        key: key,
+        value: this.displayValue(key, found.value),
+        source: found.source,
+        description: SETTINGS[key].description
+      };
+    });
+  }
+
+  /************************************************************
+    Settings overridden for the cars: { carId: { key: value } }
+   ************************************************************/
+  carOverrides() {
+    let overrides = {};
+    [this.carFileLayers, this.carRuntime].forEach((layers) => {
+      Object.keys(layers).forEach((carId) => {
+        Object.keys(layers[carId]).forEach((key) => {
+          overrides[carId] = overrides[carId] || {};
+          overrides[carId][key] = this.displayValue(key, this.get(key, carId));
+        });
+      });
+    });
+    return overrides;
+  }
+}
+
+/************************************************************
+  Check every value of the layer against SETTINGS and convert strings (from env and forms) to the right type
+  Output:
+    - the layer with converted values, problems are added to errors
+ ************************************************************/
+function validateLayer(values, layerName, errors) {
+  let layer = {};
+  Object.keys(values || {}).forEach((key) => {
+    let setting = SETTINGS[key];
+    if (setting === undefined) {
+      errors.push(layerName + ": unknown setting " + key);
+      return;
+    }
+    let value = convert(values[key], setting.type);
+    if (value === undefined) {
+      errors.push(layerName + ": " + key + " must be a " + setting.type + ", got " + JSON.stringify(values[key]));
+      return;
+    }
+    if (setting.type == 'number' && ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max))) {
+      errors.push(layerName + ": " + key + "=" + value + " is out of range [" + (setting.min === undefined ? "" : setting.min) + ".." + (setting.max === undefined ? "" : setting.max) + "]");
+      return;
+    }
+    if (setting.integer && !Number.isInteger(value)) {
+      errors.push(layerName + ": " + key + "=" + value + " must be a whole number");
+      return;
+    }
+    if (setting.values !== undefined && setting.values.indexOf(value) < 0) {
+      errors.push(layerName + ": " + key + "=" + value + " is not one of " + setting.values.join(", "));
+      return;
+    }
+    layer[key] = value;
+  });
+  return layer;
+}
+
+/************************************************************
+  Convert the value to the type or return undefined if it is not possible
+ ************************************************************/
+function convert(value, type) {
+  if (typeof value == type) {
+    return (type == 'number' && isNaN(value)) ? undefined : value;
+  }
+  if (typeof value != 'string') {
+    return undefined;
+  }
+  if (type == 'number' && value.trim() != "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type == 'boolean' && (value == "true" || value == "false")) {
+    return value == "true";
+  }
+  return undefined;
+}
+
+// Configuration shared by all modules of the controller
+const config = new Config(process.env.CONFIG_FILE, process.env, process.env.CONFIG_AUDIT_FILE);
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Config = Config;
+module.exports.config = config;
+module.exports.SETTINGS = SETTINGS;
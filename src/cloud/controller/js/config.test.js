@@ -0,0 +1,80 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Config = require('./config').Config;
+
+function configFile(content) {
+  let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+test('settings come from the highest layer that has them', (t) => {
+  let file = configFile({ settings: { BALLS_NEEDED: 5, MAX_SPEED: 700 }, cars: { "2": { MAX_SPEED: 300 } } });
+  let config = new Config(file, { BALLS_NEEDED: "4" });
+  t.deepEqual(config.lookup('HOME_SIZE_MM'), { value: 200, source: "default" });
+  t.deepEqual(config.lookup('MAX_SPEED'), { value: 700, source: "file" });
+  t.deepEqual(config.lookup('BALLS_NEEDED'), { value: 4, source: "env" });
+  t.deepEqual(config.lookup('MAX_SPEED', "2"), { value: 300, source: "car file" });
+  t.deepEqual(config.set('MAX_SPEED', "500", undefined, "ann"), []);
+  t.is(config.get('MAX_SPEED'), 500);
+  t.is(config.get('MAX_SPEED', "2"), 300);
+  t.deepEqual(config.set('MAX_SPEED', 100, "2", "ann"), []);
+  t.deepEqual(config.lookup('MAX_SPEED', 2), { value: 100, source: "car runtime" });
+  config.unset('MAX_SPEED', "2", "ann");
+  t.is(config.get('MAX_SPEED', "2"), 300);
+  t.is(config.audit.length, 3);
+});
+
+test('startup settings are read from the environment like all other settings', (t) => {
+  let config = new Config(undefined, { MESSAGE_TRANSPORT: "memory", USERS_FILE: "/etc/users.json", FLEET_CONFIG: "/etc/fleet.json", CAR_ID: "1" });
+  t.is(config.get('MESSAGE_TRANSPORT'), "memory");
+  t.is(config.get('USERS_FILE'), "/etc/users.json");
+  t.is(config.get('FLEET_CONFIG'), "/etc/fleet.json");
+  t.is(config.get('CAR_ID'), "1");
+  t.is(config.get('MQTT_URL'), "mqtt://localhost:1883");
+  t.throws(() => new Config(undefined, { MESSAGE_TRANSPORT: "carrier-pigeon" }), /MESSAGE_TRANSPORT/);
+});
+
+test('invalid values are refused and leave the setting as it was', (t) => {
+  let config = new Config(undefined, {});
+  t.is(config.set('MAX_SPEED', "fast", undefined, "ann").length, 1);
+  t.is(config.set('MAX_SPEED', 5000, undefined, "ann").length, 1);
+  t.is(config.set('NO_SUCH_SETTING', 1, undefined, "ann").length, 1);
+  t.is(config.get('MAX_SPEED'), 1000);
+  t.is(config.audit.length, 0);
+});
+
+test('secrets are masked on the pages and in the audit trail', (t) => {
+  let config = new Config(undefined, { CSRF_SECRET: "key" });
+  t.is(config.get('CSRF_SECRET'), "key");
+  t.is(config.describe().find((setting) => setting.key == 'CSRF_SECRET').value, "******");
+  config.set('INFERENCE_PASSWORD', "password", undefined, "ann");
+  t.is(config.audit[0].newValue, "******");
+});
+
+test('reload keeps the old configuration when the file is broken', (t) => {
+  let file = configFile({ settings: { BALLS_NEEDED: 5 } });
+  let config = new Config(file, {});
+  fs.writeFileSync(file, "{ broken");
+  t.is(config.reload("ann").length, 1);
+  t.is(config.get('BALLS_NEEDED'), 5);
+});
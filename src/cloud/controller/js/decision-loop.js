@@ -0,0 +1,119 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const EventEmitter = require('events');
+// How many stale commands may be dropped in a row is read from the configuration every time
+var config = require('./config').config;
+
+/************************************************************
+  Makes sure a car has at most one navigation decision in flight. Vision calls to a slow inference VM
+  can take longer than the car needs to send the next sensor message, and overlapping decisions
+  would reach the car out of order.
+
+  Sensor messages that arrive while navigation is deciding wait for it to finish. Only the newest one waits,
+  the older ones are coalesced into it (counted in coalescedMessages). A command decided on a picture that
+  has been superseded by the waiting message is dropped (counted in staleCommands) and navigation decides
+  on the newest picture instead. At a continuous sensor rate there is always a newer picture, so no more than
+  STALE_COMMAND_MAX_DROPS commands in a row are dropped - after that the command is used anyway.
+
+  DecisionLoop emits the following events:
+    - 'decision' - navigation has decided on the most recent picture (sensorMessage, command)
+    - 'stale' - the command was dropped since a newer picture is waiting (sensorMessage, command)
+    - 'failed' - navigation could not decide (sensorMessage, error)
+ ************************************************************/
+class DecisionLoop extends EventEmitter {
+
+  /************************************************************
+    Input:
+      - carId - ID of the car to look up STALE_COMMAND_MAX_DROPS for
+      - decide - function of the sensor message returning a promise of the driving command
+   ************************************************************/
+  constructor(carId, decide) {
+    super();
+    this.carId = carId;
+    this.decide = decide;
+    // Sensor message navigation is deciding on and the newest one waiting for it
+    this.inFlight = undefined;
+    this.waiting = undefined;
+    this.reset();
+  }
+
+  reset() {
+    this.coalescedMessages = 0;
+    this.staleCommands = 0;
+    this.consecutiveStaleCommands = 0;
+  }
+
+  /************************************************************
+    Decide on the sensor message now or once the decision in flight is done
+   ************************************************************/
+  submit(sensorMessage) {
+    if (this.inFlight === undefined) {
+      this.run(sensorMessage);
+      return;
+    }
+    if (this.waiting !== undefined) {
+      this.coalescedMessages++;
+      console.log("DecisionLoop.submit(carId=" + this.carId + "): navigation is busy, message " + this.waiting.msgId +
+        " is replaced by the newer message " + sensorMessage.msgId);
+    }
+    this.waiting = sensorMessage;
+  }
+
+  run(sensorMessage) {
+    this.inFlight = sensorMessage;
+    this.decide(sensorMessage)
+      .then((command) => {
+        if (this.waiting !== undefined && this.consecutiveStaleCommands < config.get('STALE_COMMAND_MAX_DROPS', this.carId)) {
+          this.staleCommands++;
+          this.consecutiveStaleCommands++;
+          console.log("DecisionLoop.run(carId=" + this.carId + "): dropping the command for message " + sensorMessage.msgId +
+            ", the newer message " + this.waiting.msgId + " arrived while navigation was deciding");
+          this.emit('stale', sensorMessage, command);
+        } else {
+          this.consecutiveStaleCommands = 0;
+          this.emit('decision', sensorMessage, command);
+        }
+      }, (err) => {
+        console.error("ERROR: DecisionLoop.run(carId=" + this.carId + "): navigation failed to decide on message " + sensorMessage.msgId + ": " + err);
+        this.emit('failed', sensorMessage, err);
+      })
+      // A listener that throws must not leave the loop busy forever
+      .catch((err) => {
+        console.error("ERROR: DecisionLoop.run(carId=" + this.carId + "): handling the decision on message " + sensorMessage.msgId + " failed: " + err);
+      })
+      .then(() => this.next());
+  }
+
+  /************************************************************
+    Move on to the message that waited for the decision in flight (if any)
+   ************************************************************/
+  next() {
+    let waiting = this.waiting;
+    this.inFlight = undefined;
+    this.waiting = undefined;
+    if (waiting !== undefined) {
+      this.run(waiting);
+    }
+  }
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.DecisionLoop = DecisionLoop;
@@ -0,0 +1,96 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var DecisionLoop = require('./decision-loop').DecisionLoop;
+
+/************************************************************
+  Decision loop whose decisions are finished by the test: "pending" holds { msgId, resolve, reject }
+  of every decision navigation has been asked for, "events" what the loop emitted
+ ************************************************************/
+function testLoop(carId) {
+  let pending = [];
+  let events = [];
+  let loop = new DecisionLoop(carId, (sensorMessage) => new Promise((resolve, reject) => {
+    pending.push({ msgId: sensorMessage.msgId, resolve: resolve, reject: reject });
+  }));
+  ['decision', 'stale', 'failed'].forEach((event) => loop.on(event, (sensorMessage) => events.push([event, sensorMessage.msgId])));
+  return { loop: loop, pending: pending, events: events };
+}
+
+// Resolved once the loop has handled the finished decision
+function settled() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('one decision at a time, messages arriving meanwhile are coalesced into the newest', (t) => {
+  let { loop, pending, events } = testLoop("loop-1");
+  loop.submit({ msgId: 1 });
+  loop.submit({ msgId: 2 });
+  loop.submit({ msgId: 3 });
+  t.deepEqual(pending.map((decision) => decision.msgId), [1]);
+  t.is(loop.coalescedMessages, 1);
+  pending[0].resolve("command 1");
+  return settled()
+    .then(() => {
+      t.deepEqual(events, [['stale', 1]]);
+      t.deepEqual(pending.map((decision) => decision.msgId), [1, 3]);
+      pending[1].resolve("command 3");
+      return settled();
+    })
+    .then(() => {
+      t.deepEqual(events, [['stale', 1], ['decision', 3]]);
+      t.is(loop.staleCommands, 1);
+      t.is(loop.inFlight, undefined);
+    });
+});
+
+test('no more than STALE_COMMAND_MAX_DROPS commands are dropped in a row', (t) => {
+  config.set('STALE_COMMAND_MAX_DROPS', 1, "loop-2", "test");
+  let { loop, pending, events } = testLoop("loop-2");
+  loop.submit({ msgId: 1 });
+  loop.submit({ msgId: 2 });
+  pending[0].resolve("command 1");
+  return settled()
+    .then(() => {
+      loop.submit({ msgId: 3 });
+      pending[1].resolve("command 2");
+      return settled();
+    })
+    .then(() => t.deepEqual(events, [['stale', 1], ['decision', 2]]));
+});
+
+test('failed decision or a listener that throws does not leave the loop busy', (t) => {
+  let { loop, pending, events } = testLoop("loop-3");
+  loop.on('decision', () => {
+    throw new Error("listener failed");
+  });
+  loop.submit({ msgId: 1 });
+  pending[0].reject(new Error("vision is down"));
+  return settled()
+    .then(() => {
+      t.deepEqual(events, [['failed', 1]]);
+      loop.submit({ msgId: 2 });
+      pending[1].resolve("command 2");
+      return settled();
+    })
+    .then(() => {
+      t.deepEqual(events, [['failed', 1], ['decision', 2]]);
+      t.is(loop.inFlight, undefined);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+// Verdicts on the objects navigation considered (see Navigation.findNearestObject())
+// The object navigation goes after
+const TARGET_CANDIDATE = "target";
+// Object of the right type, but smaller or less likely than the target
+const RUNNER_UP_CANDIDATE = "runnerUp";
+// Ball too high in the picture with a low score (HIGH_BALL_TOP_BOUND and HIGH_BALL_SCORE)
+const FALSE_POSITIVE_CANDIDATE = "falsePositive";
+// Object of a different type
+const OTHER_LABEL_CANDIDATE = "otherLabel";
+
+/************************************************************
+  Structured explanation of a single navigation decision, attached to the DriveMessage it produced
+  (see DriveMessage.setTrace()). It is kept in the outbound history but never sent to the car.
+  Example:
+    { "sensorMessage": { "msgId": 12, "timestampMs": 1519509836918, "ballsCollected": 0, "color": "red", "obstacleFound": false, ... },
+      "startedMs": 1519509836950, "durationMs": 412, "goal": "go2ball",
+      "branch": "ball > approach",
+      "steps": [ { "name": "vision", "objects": 3 }, { "name": "findAngle", "centerX": 0.62, "angle": 11 }, ... ],
+      "candidates": [ { "label": "redBall1", "score": 0.91, "x": 0.57, "y": 0.5, "w": 0.1, "h": 0.12, "verdict": "target", "size": 0.109 }, ... ],
+      "constants": { "BALL_LABEL_SUFFIX": "Ball", "MAX_SPEED": 1000, ... } }
+ ************************************************************/
+class DecisionTrace {
+
+  // Sensor message the decision is made for
+  constructor(sensorMessage) {
+    let carState = sensorMessage.carState || {};
+    let sensors = sensorMessage.sensors || {};
+    this.sensorMessage = {
+      msgId: sensorMessage.msgId,
+      timestampMs: sensorMessage.timestampMs,
+      ballsCollected: carState.ballsCollected,
+      color: carState.color,
+      obstacleFound: carState.obstacleFound === true,
+      frontLaserDistanceMm: sensors.frontLaserDistanceMm,
+      imageUrl: sensors.frontCameraImagePath
+    };
+    this.startedMs = new Date().getTime();
+    this.durationMs = undefined;
+    this.goal = undefined;
+    this.branches = [];
+    this.steps = [];
+    this.candidates = [];
+    this.constants = {};
+    // Trace entries of the candidates by their bounding box, to mark the target once it is known
+    this.candidateEntries = new Map();
+  }
+
+  /************************************************************
+    Record an intermediate result of the decision
+    Input:
+      - name - what was calculated (aka "findAngle")
+      - details - object with the inputs and results of the calculation
+   ************************************************************/
+  step(name, details) {
+    this.steps.push(Object.assign({ name: name }, details));
+  }
+
+  /************************************************************
+    Record the branch of the navigation logic that was taken and why. Branches are nested, so
+    a search after seeing an obstacle is "ball > obstacle > seekBallTurn"
+   ************************************************************/
+  branch(name, reason) {
+    this.branches.push(name);
+    this.step("branch", { branch: name, reason: reason });
+  }
+
+  // Setting or constant the decision depends on
+  constant(name, value) {
+    this.constants[name] = value;
+  }
+
+  /************************************************************
+    Record an object found by Object Detection and what navigation thought of it
+    Input:
+      - bBox - bounding box of the object
+      - verdict - one of the *_CANDIDATE verdicts
+      - details - optional object with the reasoning (aka the size it was compared by)
+   ************************************************************/
+  candidate(bBox, verdict, details) {
+    let entry = Object.assign({
+      label: bBox.label,
+      score: parseFloat(bBox.score),
+      x: parseFloat(bBox.x),
+      y: parseFloat(bBox.y),
+      w: parseFloat(bBox.w),
+      h: parseFloat(bBox.h),
+      verdict: verdict
+    }, details);
+    this.candidates.push(entry);
+    this.candidateEntries.set(bBox, entry);
+  }
+
+  // Mark the object navigation picked (undefined if none)
+  target(bBox) {
+    let entry = this.candidateEntries.get(bBox);
+    if (entry !== undefined) {
+      entry.verdict = TARGET_CANDIDATE;
+    }
+  }
+
+  // The decision is made - remember how long it took and the goal of the command
+  finish(command) {
+    this.durationMs = new Date().getTime() - this.startedMs;
+    this.goal = command.goal;
+  }
+
+  toJSON() {
+    return {
+      sensorMessage: this.sensorMessage,
+      startedMs: this.startedMs,
+      durationMs: this.durationMs,
+      goal: this.goal,
+      branch: this.branches.join(" > "),
+      steps: this.steps,
+      candidates: this.candidates,
+      constants: this.constants
+    };
+  }
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.DecisionTrace = DecisionTrace;
+module.exports.TARGET_CANDIDATE = TARGET_CANDIDATE;
+module.exports.RUNNER_UP_CANDIDATE = RUNNER_UP_CANDIDATE;
+module.exports.FALSE_POSITIVE_CANDIDATE = FALSE_POSITIVE_CANDIDATE;
+module.exports.OTHER_LABEL_CANDIDATE = OTHER_LABEL_CANDIDATE;
@@ -0,0 +1,64 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var BoundingBox = require('./bounding-box');
+var DecisionTrace = require('./decision-trace').DecisionTrace;
+var DriveMessage = require('./drive-message').DriveMessage;
+const TARGET_CANDIDATE = require('./decision-trace').TARGET_CANDIDATE;
+const RUNNER_UP_CANDIDATE = require('./decision-trace').RUNNER_UP_CANDIDATE;
+const FALSE_POSITIVE_CANDIDATE = require('./decision-trace').FALSE_POSITIVE_CANDIDATE;
+
+const SENSOR_MESSAGE = {
+  msgId: 12,
+  timestampMs: 1000,
+  carState: { ballsCollected: 1, color: "red" },
+  sensors: { frontLaserDistanceMm: 300, frontCameraImagePath: "https://storage.googleapis.com/bucket/image1.jpg" }
+};
+
+test('trace sums up the sensor message, the branches, the steps and the candidates', (t) => {
+  let trace = new DecisionTrace(SENSOR_MESSAGE);
+  let near = new BoundingBox("redBall", "0.5", "0.5", "0.2", "0.2", "0.9");
+  let far = new BoundingBox("redBall", 0.1, 0.5, 0.05, 0.05, 0.8);
+  trace.branch("ball", "car has 1 ball");
+  trace.branch("approach", "ball found");
+  trace.candidate(near, RUNNER_UP_CANDIDATE, { size: 0.2 });
+  trace.candidate(far, RUNNER_UP_CANDIDATE, { size: 0.05 });
+  trace.candidate(new BoundingBox("redBall", 0.3, 0.01, 0.05, 0.05, 0.2), FALSE_POSITIVE_CANDIDATE);
+  trace.target(near);
+  trace.step("findAngle", { angle: 11 });
+  trace.constant("MAX_SPEED", 1000);
+  let command = new DriveMessage();
+  command.setGoalGo2Ball();
+  trace.finish(command);
+  let json = JSON.parse(JSON.stringify(trace));
+  t.deepEqual(json.sensorMessage, { msgId: 12, timestampMs: 1000, ballsCollected: 1, color: "red", obstacleFound: false, frontLaserDistanceMm: 300, imageUrl: SENSOR_MESSAGE.sensors.frontCameraImagePath });
+  t.is(json.branch, "ball > approach");
+  t.is(json.goal, command.goal);
+  t.true(json.durationMs >= 0);
+  t.deepEqual(json.candidates.map((candidate) => candidate.verdict), [TARGET_CANDIDATE, RUNNER_UP_CANDIDATE, FALSE_POSITIVE_CANDIDATE]);
+  t.deepEqual(json.candidates[0], { label: "redBall", score: 0.9, x: 0.5, y: 0.5, w: 0.2, h: 0.2, verdict: TARGET_CANDIDATE, size: 0.2 });
+  t.deepEqual(json.steps.map((step) => step.name), ["branch", "branch", "findAngle"]);
+  t.deepEqual(json.constants, { MAX_SPEED: 1000 });
+});
+
+test('trace stays with the command but is not sent to the car', (t) => {
+  let command = new DriveMessage();
+  command.setTrace(new DecisionTrace({ timestampMs: 1000 }));
+  t.is(command.trace.sensorMessage.timestampMs, 1000);
+  t.false(JSON.stringify(command).includes("trace"));
+});
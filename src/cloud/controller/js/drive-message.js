@@ -43,6 +43,9 @@ const CHECK_GRIP = "checkGrip";
 // This indicated the end of the game when the car finished all tasks
 const GAME_END = "missionComplete";
 
+// All of the goals above - navigation sets one of them on every command it makes
+const GOALS = [GO2BALL, GO2BASE, SEEK_BALL_TURN, SEEK_HOME_TURN, SEEK_BALL_MOVE, CAPTURE_BALL, CHECK_GRIP, GAME_END];
+
 // Command indicates that the car will be operated manually from the cloud user and all incoming sensor messages will be ignored
 // If this is not present in the command, this means car is in self-driving mode
 const MANUAL_MODE = "manual";
@@ -59,11 +62,25 @@ const CONTINUOUS_SENSOR_RATE = "continuous";
 // Tells the car to send sensor messages only when asked
 const ON_DEMAND_SENSOR_RATE = "onDemand";
 
+// Regular commands are queued by the car and executed one action after another
+const NORMAL_PRIORITY = "normal";
+
+// The car acts on high priority commands as soon as they arrive, dropping all queued actions (emergency stop)
+const HIGH_PRIORITY = "high";
+
+// Version of the driving command format (see message-schema.js)
+const DRIVE_MESSAGE_VERSION = "1.0";
+
+// Colors of the balls (and home bases) that the car knows how to look for
+const BALL_COLORS = ["Blue", "Red", "Green", "Yellow"];
+
 /**************************************************************************
   Driving command message sent from cloud to the car. Example of a message:
-    { "cloudTimestampMs": 1519592078172,
+    { "version": "1.0",
+      "cloudTimestampMs": 1519592078172,
       "carTimestampMs": 1519592078100,
       "mode": "go2base",
+      "priority": "normal",
       "actions": [
           { "driveForward": 111 },
           { "turnRight": 22 },
@@ -77,6 +94,7 @@ const ON_DEMAND_SENSOR_RATE = "onDemand";
 class DriveMessage {
 
   constructor() {
+    this.version = DRIVE_MESSAGE_VERSION;
     // Timestamp is generated at the time of creation of the message, not at the time of sending it
     this.cloudTimestampMs = new Date().getTime();
     // Timestamp of the original message from the car as correlation ID
@@ -86,6 +104,8 @@ class DriveMessage {
     this.mode = MANUAL_MODE;
     // How often does the car need to send sensor messages
     this.sensorRate = ON_DEMAND_SENSOR_RATE;
+    // Should the car queue this command or act on it immediately
+    this.priority = NORMAL_PRIORITY;
     // Array of commands to execute - could be a long list, in which case car will have to execute
     // those in sequence. The list can be arbitrarily long
     this.actions = [];
@@ -98,7 +118,7 @@ class DriveMessage {
 
   // Takes four basic colors of balls as input
   setColor(color) {
-    if (color == "Blue" || color == "Red" || color == "Green" || color == "Yellow") {
+    if (BALL_COLORS.indexOf(color) >= 0) {
       this.actions.push({ "setColor": color });
     }
   }
@@ -115,7 +135,7 @@ class DriveMessage {
   // Cap max turn angle to 1000 degrees in any conditions
   turnLeft(degrees) {
     if (degrees < 0 && Math.abs(degrees) > IGNORE_TURN_DEGREE) {
-      this.actions.push({ "turnLeft": Math.min(degrees, 1000) });
+      this.actions.push({ "turnLeft": Math.max(degrees, -1000) });
     }
   }
 
@@ -146,7 +166,7 @@ class DriveMessage {
   // Cap max driving distance in any conditions to no more than 5 meters
   driveBackward(mm) {
     if (mm <= 0) {
-      this.actions.push({ "driveBackwardMm": Math.min(mm, 5000) });
+      this.actions.push({ "driveBackwardMm": Math.max(mm, -5000) });
     }
   }
 
@@ -173,6 +193,15 @@ class DriveMessage {
     this.actions.push({ "sendSensorMessage": "true" })
   }
 
+  // Stop the motors right away and cancel all actions queued on the car. The car does not send a sensor
+  // message after this, so no other actions are allowed in the same command
+  emergencyStop() {
+    this.priority = HIGH_PRIORITY;
+    this.mode = MANUAL_MODE;
+    this.sensorRate = ON_DEMAND_SENSOR_RATE;
+    this.actions = [{ "stop": true }];
+  }
+
   setGoalGo2Ball() {
     this.goal = GO2BALL;
   }
@@ -228,6 +257,12 @@ class DriveMessage {
   setCorrelationID(timestampMs) {
     this.carTimestampMs = timestampMs;
   }
+
+  // Explanation of the navigation decision (see decision-trace.js). It is not enumerable, so it stays
+  // in the history of the controller and is never sent to the car
+  setTrace(trace) {
+    Object.defineProperty(this, 'trace', { value: trace, enumerable: false, writable: true, configurable: true });
+  }
 }
 
 /**************************************************************************
@@ -241,3 +276,10 @@ module.exports.AUTOMATIC_MODE = AUTOMATIC_MODE;
 module.exports.CHECK_GRIP = CHECK_GRIP;
 module.exports.GO2BASE = GO2BASE;
 module.exports.SEEK_HOME_TURN = SEEK_HOME_TURN;
+module.exports.GOALS = GOALS;
+module.exports.BALL_COLORS = BALL_COLORS;
+module.exports.CONTINUOUS_SENSOR_RATE = CONTINUOUS_SENSOR_RATE;
+module.exports.ON_DEMAND_SENSOR_RATE = ON_DEMAND_SENSOR_RATE;
+module.exports.DRIVE_MESSAGE_VERSION = DRIVE_MESSAGE_VERSION;
+module.exports.NORMAL_PRIORITY = NORMAL_PRIORITY;
+module.exports.HIGH_PRIORITY = HIGH_PRIORITY;
@@ -0,0 +1,62 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var DriveMessage = require('./drive-message').DriveMessage;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const HIGH_PRIORITY = require('./drive-message').HIGH_PRIORITY;
+var validateDriveMessage = require('./message-schema').validateDriveMessage;
+
+test('long drives and turns are capped within the schema limits in both directions', (t) => {
+  let command = new DriveMessage();
+  command.drive(9000);
+  command.drive(-9000);
+  command.makeTurn(2000);
+  command.makeTurn(-2000);
+  t.deepEqual(command.actions, [
+    { "driveForwardMm": 5000 },
+    { "driveBackwardMm": -5000 },
+    { "turnRight": 1000 },
+    { "turnLeft": -1000 }
+  ]);
+  t.deepEqual(validateDriveMessage(command), []);
+});
+
+test('tiny turns are ignored', (t) => {
+  let command = new DriveMessage();
+  command.makeTurn(1);
+  command.makeTurn(-1);
+  t.deepEqual(command.actions, []);
+});
+
+test('speed is capped at 1000 and ignored unless positive', (t) => {
+  let command = new DriveMessage();
+  command.setSpeed(5000);
+  command.setSpeed(0);
+  t.deepEqual(command.actions, [{ "setSpeed": 1000 }]);
+});
+
+test('emergency stop is a high priority manual command with a single action', (t) => {
+  let command = new DriveMessage();
+  command.setModeAutomatic();
+  command.driveForward(100);
+  command.emergencyStop();
+  t.is(command.mode, MANUAL_MODE);
+  t.is(command.priority, HIGH_PRIORITY);
+  t.deepEqual(command.actions, [{ "stop": true }]);
+  t.deepEqual(validateDriveMessage(command), []);
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var config = require('./config').config;
+var fs = require('fs');
+var Car = require('./car');
+
+/************************************************************
+  Fleet is the registry of all cars managed by this controller instance.
+
+  The list of cars is read from the JSON file named by the FLEET_CONFIG setting, for example:
+    [
+      { "carId": 1, "commandTopic": "driving-commands-topic-1", "sensorSubscription": "sensor-subscription-1" },
+      { "carId": 2, "commandTopic": "driving-commands-topic-2", "sensorSubscription": "sensor-subscription-2" }
+    ]
+  If FLEET_CONFIG is not set, a single car is configured from CAR_ID, COMMAND_TOPIC and SENSOR_SUBSCRIPTION
+ ************************************************************/
+class Fleet {
+
+  /************************************************************
+    Input:
+      - carConfigs - list of { carId, commandTopic, sensorSubscription }
+      - transport - message transport shared by all cars (see transport.js)
+   ************************************************************/
+  constructor(carConfigs, transport) {
+    // Cars are kept in the order they were configured, the first one is used when no car is selected
+    this.cars = [];
+    carConfigs.forEach((config) => {
+      if (this.getCar(config.carId)) {
+        throw new Error("Fleet(): duplicate carId '" + config.carId + "' in fleet configuration");
+      }
+      this.cars.push(new Car(String(config.carId), config.commandTopic, config.sensorSubscription, transport));
+      console.log("Fleet(): added carId=" + config.carId + ", commandTopic=" + config.commandTopic + ", sensorSubscription=" + config.sensorSubscription);
+    });
+  }
+
+  /************************************************************
+    Find car by its ID
+    Input:
+      - carId
+    Output:
+      - Car object or undefined if there is no such car in the fleet
+   ************************************************************/
+  getCar(carId) {
+    return this.cars.find((car) => car.carId == String(carId));
+  }
+
+  /************************************************************
+    Car used by the routes when no car has been selected explicitly
+   ************************************************************/
+  defaultCar() {
+    return this.cars[0];
+  }
+
+  startListeners() {
+    this.cars.forEach((car) => car.startListener());
+  }
+
+  /************************************************************
+    Emergency stop of every car in the fleet (see Car.emergencyStop())
+    Output:
+      - promise resolved once the stop command has been sent to all cars
+   ************************************************************/
+  emergencyStopAll(reason, userName) {
+    return Promise.all(this.cars.map((car) => car.emergencyStop(reason, userName)));
+  }
+}
+
+/************************************************************
+  Read the list of cars from FLEET_CONFIG file or from the single car settings
+ ************************************************************/
+function loadCarConfigs() {
+  let fleetConfig = config.get('FLEET_CONFIG');
+  if (fleetConfig) {
+    console.log("loadCarConfigs(): reading fleet configuration from " + fleetConfig);
+    let configs = JSON.parse(fs.readFileSync(fleetConfig, 'utf8'));
+    if (!Array.isArray(configs) || configs.length == 0) {
+      throw new Error("loadCarConfigs(): " + fleetConfig + " must contain a non-empty list of cars");
+    }
+    return configs;
+  }
+
+  return [{
+    carId: config.get('CAR_ID'),
+    commandTopic: config.get('COMMAND_TOPIC'),
+    sensorSubscription: config.get('SENSOR_SUBSCRIPTION')
+  }];
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Fleet = Fleet;
+module.exports.loadCarConfigs = loadCarConfigs;
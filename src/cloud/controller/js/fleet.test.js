@@ -0,0 +1,71 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('./config').config;
+var Fleet = require('./fleet').Fleet;
+var loadCarConfigs = require('./fleet').loadCarConfigs;
+var MemoryTransport = require('./memory-transport').MemoryTransport;
+
+const CARS = [
+  { carId: 1, commandTopic: "command-topic-1", sensorSubscription: "sensor-subscription-1" },
+  { carId: "2", commandTopic: "command-topic-2", sensorSubscription: "sensor-subscription-2" }
+];
+
+function fleetFile(content) {
+  let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fleet-test-')), 'fleet.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+test('cars are found by their ID as number or string, the first one is the default', (t) => {
+  let fleet = new Fleet(CARS, new MemoryTransport());
+  t.is(fleet.cars.length, 2);
+  t.is(fleet.getCar("1").commandTopicName, "command-topic-1");
+  t.is(fleet.getCar(2).carId, "2");
+  t.is(fleet.getCar(3), undefined);
+  t.is(fleet.defaultCar(), fleet.getCar(1));
+});
+
+test('the same car can not be configured twice', (t) => {
+  t.throws(() => new Fleet([CARS[0], { carId: "1", commandTopic: "other", sensorSubscription: "other" }], new MemoryTransport()), /duplicate carId '1'/);
+});
+
+test('emergency stop of the fleet sends the stop to every car on its own topic', (t) => {
+  let transport = new MemoryTransport();
+  let fleet = new Fleet(CARS, transport);
+  let stops = [];
+  CARS.forEach((car) => transport.subscribe(car.commandTopic, (message) => stops.push([car.commandTopic, JSON.parse(message.data).actions])));
+  return fleet.emergencyStopAll("end of the round", "ann").then(() => {
+    t.deepEqual(stops.sort(), [["command-topic-1", [{ stop: true }]], ["command-topic-2", [{ stop: true }]]]);
+    t.true(fleet.cars.every((car) => car.isEmergencyStopped()));
+  });
+});
+
+test('cars are read from FLEET_CONFIG or made from the single car settings', (t) => {
+  config.set('CAR_ID', "7", undefined, "test");
+  config.set('COMMAND_TOPIC', "command-topic-7", undefined, "test");
+  config.set('SENSOR_SUBSCRIPTION', "sensor-subscription-7", undefined, "test");
+  t.deepEqual(loadCarConfigs(), [{ carId: "7", commandTopic: "command-topic-7", sensorSubscription: "sensor-subscription-7" }]);
+  config.set('FLEET_CONFIG', fleetFile(CARS), undefined, "test");
+  t.deepEqual(loadCarConfigs(), CARS);
+  config.set('FLEET_CONFIG', fleetFile([]), undefined, "test");
+  t.throws(() => loadCarConfigs(), /non-empty list of cars/);
+});
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var overlayImage = require('./vision-overlay').overlayImage;
+var escapeHtml = require('./tools').escapeHtml;
+const INBOUND = require('./history').INBOUND;
+const GOALS = require('./drive-message').GOALS;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+
+// How much of the message is shown in the collapsed row
+const SUMMARY_CHARS = 150;
+
+/************************************************************
+  One page of the sensor message or driving command history with the filter form, page links and export links.
+  Every row expands to the camera picture and the whole message
+  Input:
+    - direction - INBOUND or OUTBOUND (see history.js)
+    - path - path of the page, such as /inbound_history
+    - query - query string of the request (from, to, car, goal, mode, text)
+    - cars - all cars of the fleet for the car filter
+    - result - as returned by historyPage()
+ ************************************************************/
+module.exports.historyListPage = function(direction, path, query, cars, result) {
+  let title = (direction == INBOUND) ? "Inbound Message History" : "Outbound Message History";
+  let carLink = query.car ? " / <a href='/car?car=" + escapeHtml(encodeURIComponent(query.car)) + "'>Car " + escapeHtml(query.car) + "</a>" : "";
+  let html = `<a href="/">Home</a>${carLink}
+    <h1>${title}</h1>
+    <form action="${path}" method="get">
+    <label for="from">From: </label><input id="from" type="text" name="from" value="${escapeHtml(query.from || '')}">
+    <label for="to">To: </label><input id="to" type="text" name="to" value="${escapeHtml(query.to || '')}">
+    (ms since epoch or date such as 2018-10-30T10:00:00Z)<br>
+    <label for="car">Car: </label>${select('car', [''].concat(cars.map((car) => car.carId)), query.car, 'all cars')}
+    <label for="goal">Goal: </label>${select('goal', [''].concat(GOALS), query.goal, 'any goal')}
+    <label for="mode">Mode: </label>${select('mode', ['', MANUAL_MODE, AUTOMATIC_MODE, DEBUG_MODE], query.mode, 'any mode')}
+    <label for="text">Text in the message: </label><input id="text" type="text" name="text" value="${escapeHtml(query.text || '')}"><br>
+    <input type="submit" value="Filter"></form>`;
+
+  // encodeURIComponent() leaves ' as it is, so the link is escaped as well to stay inside href='...'
+  let link = (params) => escapeHtml(path + "?" + ["from", "to", "car", "goal", "mode", "text"]
+    .map((name) => name + "=" + encodeURIComponent(query[name] || ''))
+    .concat(Object.keys(params).map((name) => name + "=" + params[name]))
+    .join("&"));
+  html = html + "<p># of messages: <b>" + result.total + "</b> (export <a href='" + link({ format: 'csv' }) + "'>CSV</a> / <a href='" +
+    link({ format: 'ndjson' }) + "'>NDJSON</a>), newest first. " + (direction == INBOUND ?
+    "Mode and goal are the ones of the command decided on the message." : "Picture is the one the command was decided on.") + "</p>";
+  let pageLinks = "<p>Page <b>" + result.page + "</b> of " + result.pages + ": " +
+    (result.page > 1 ? "<a href='" + link({ page: 1 }) + "'>First</a> / <a href='" + link({ page: result.page - 1 }) + "'>Previous</a>" : "First / Previous") + " / " +
+    (result.page < result.pages ? "<a href='" + link({ page: result.page + 1 }) + "'>Next</a> / <a href='" + link({ page: result.pages }) + "'>Last</a>" : "Next / Last") + "</p>";
+
+  html = html + pageLinks +
+    "<table border='1' cellpadding='4'><tr><th>Time</th><th>Car</th><th>msgId</th><th>Mode</th><th>Goal</th><th>Message (click to expand)</th></tr>";
+  result.records.forEach((record) => {
+    let json = JSON.stringify(record.payload);
+    html = html + "<tr><td valign='top'>" + new Date(record.timestampMs).toISOString() + "</td>" +
+      "<td valign='top'>" + record.carId + "</td>" +
+      "<td valign='top'>" + (record.msgId === undefined ? "" : record.msgId) + "</td>" +
+      "<td valign='top'>" + (record.mode || "") + "</td>" +
+      "<td valign='top'>" + (record.goal || "") + "</td>" +
+      "<td><details><summary><small>" + escapeHtml(json.length > SUMMARY_CHARS ? json.slice(0, SUMMARY_CHARS) + "..." : json) + "</small></summary>" +
+      (record.imageUrl === undefined ? "<p>No picture</p>" : overlayImage(record.imageUrl, record.overlay, 400, false)) +
+      (record.traced ? "<p><a href='/trace?car=" + encodeURIComponent(record.carId) + "&command=" + record.commandId + "'>Navigation decision</a></p>" : "") +
+      "<pre>" + escapeHtml(JSON.stringify(record.payload, null, 2)) + "</pre></details></td></tr>";
+  });
+
+  return html + "</table>" + pageLinks;
+};
+
+/************************************************************
+  Drop down with the values, the empty value is shown as emptyLabel
+ ************************************************************/
+function select(name, values, selected, emptyLabel) {
+  return "<select id='" + name + "' name='" + name + "'>" + values.map((value) => "<option value='" + escapeHtml(value) + "'" +
+    (value == (selected || '') ? " selected" : "") + ">" + (value === '' ? emptyLabel : escapeHtml(value)) + "</option>").join("") + "</select>";
+}
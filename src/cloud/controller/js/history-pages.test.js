@@ -0,0 +1,33 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var historyListPage = require('./history-pages').historyListPage;
+const INBOUND = require('./history').INBOUND;
+
+test('filter values and the links built from them are escaped', (t) => {
+  let query = { from: '"><script>alert(1)</script>', car: "<i>1</i>", text: "x' onclick='alert(2)" };
+  let result = { total: 0, page: 1, pages: 3, records: [] };
+  let html = historyListPage(INBOUND, '/inbound_history', query, [{ carId: "1" }], result);
+  t.false(html.includes("<script>"));
+  t.false(html.includes("<i>1</i>"));
+  t.false(html.includes("' onclick='"));
+  t.true(html.includes('value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"'));
+  t.true(html.includes("Car &lt;i&gt;1&lt;/i&gt;</a>"));
+  t.true(html.includes('value="x&#39; onclick=&#39;alert(2)"'));
+  t.true(html.includes("text=x&#39;%20onclick%3D&#39;alert(2)&amp;page=2"));
+});
@@ -0,0 +1,192 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var parseTimeMs = require('./session-log').parseTimeMs;
+
+// Directions of the message history
+const INBOUND = "inbound";
+const OUTBOUND = "outbound";
+// Rows on a page of the history
+const HISTORY_PAGE_SIZE = 50;
+// Columns of the CSV export
+const CSV_COLUMNS = ["direction", "carId", "time", "timestampMs", "msgId", "mode", "goal", "imageUrl", "payload"];
+
+/************************************************************
+  Sensor messages received from the cars or driving commands sent to them as uniform records,
+  newest first:
+    { "direction": "inbound", "carId": "1", "timestampMs": 1519509836918, "msgId": 8, "mode": "automatic", "goal": "seekBallTurn",
+      "commandId": 1519509837120, "traced": true, "imageUrl": "https://...", "overlay": {...}, "payload": {...} }
+
+  A sensor message takes the mode and goal of the command navigation decided on it (the command carries the
+  timestamp of the sensor message as carTimestampMs), a command takes the picture of the sensor message it was decided on.
+  Input:
+    - cars - cars to take the history of
+    - direction - INBOUND or OUTBOUND
+ ************************************************************/
+function historyRecords(cars, direction) {
+  let records = [];
+  cars.forEach((car) => {
+    let sensorMessages = car.inboundMsgHistory.map((message) => ({ data: JSON.parse(message.data), overlay: message.visionOverlay }));
+    let sensorByTimestamp = new Map(sensorMessages.map((sensor) => [sensor.data.timestampMs, sensor]));
+    if (direction == INBOUND) {
+      let commands = new Map();
+      car.outboundMsgHistory.forEach((command) => commands.set(command.carTimestampMs, command));
+      sensorMessages.forEach((sensor) => {
+        let command = commands.get(sensor.data.timestampMs);
+        records.push({
+          direction: INBOUND,
+          carId: car.carId,
+          timestampMs: sensor.data.timestampMs,
+          msgId: sensor.data.msgId,
+          mode: command ? command.mode : undefined,
+          goal: command ? command.goal : undefined,
+          commandId: command ? command.cloudTimestampMs : undefined,
+          traced: command !== undefined && command.trace !== undefined,
+          imageUrl: sensor.data.sensors ? sensor.data.sensors.frontCameraImagePath : undefined,
+          overlay: sensor.overlay,
+          payload: sensor.data
+        });
+      });
+    } else {
+      car.outboundMsgHistory.forEach((command) => {
+        let sensor = sensorByTimestamp.get(command.carTimestampMs);
+        records.push({
+          direction: OUTBOUND,
+          carId: car.carId,
+          timestampMs: command.cloudTimestampMs,
+          msgId: sensor ? sensor.data.msgId : undefined,
+          mode: command.mode,
+          goal: command.goal,
+          commandId: command.cloudTimestampMs,
+          traced: command.trace !== undefined,
+          imageUrl: (sensor && sensor.data.sensors) ? sensor.data.sensors.frontCameraImagePath : undefined,
+          overlay: sensor ? sensor.overlay : undefined,
+          payload: command
+        });
+      });
+    }
+  });
+  return records.sort((a, b) => b.timestampMs - a.timestampMs);
+}
+
+/************************************************************
+  Build history filter from the request query string: ?from=&to=&car=&goal=&mode=&text=
+ ************************************************************/
+function historyFilter(query) {
+  return {
+    fromMs: parseTimeMs(query.from),
+    toMs: parseTimeMs(query.to),
+    carId: query.car || undefined,
+    goal: query.goal || undefined,
+    mode: query.mode || undefined,
+    // Case insensitive search in the JSON of the message
+    text: query.text ? query.text.toLowerCase() : undefined
+  };
+}
+
+function matchesFilter(record, filter) {
+  if (filter.fromMs !== undefined && record.timestampMs < filter.fromMs) {
+    return false;
+  }
+  if (filter.toMs !== undefined && record.timestampMs > filter.toMs) {
+    return false;
+  }
+  if (filter.carId !== undefined && record.carId != filter.carId) {
+    return false;
+  }
+  if (filter.goal !== undefined && record.goal != filter.goal) {
+    return false;
+  }
+  if (filter.mode !== undefined && record.mode != filter.mode) {
+    return false;
+  }
+  if (filter.text !== undefined && JSON.stringify(record.payload).toLowerCase().indexOf(filter.text) < 0) {
+    return false;
+  }
+  return true;
+}
+
+/************************************************************
+  One page of the filtered history
+  Input:
+    - records - as returned by historyRecords()
+    - filter - as returned by historyFilter()
+    - page - number of the page starting at 1 (as number or string)
+  Output:
+    - { total, page, pages, records }
+ ************************************************************/
+function historyPage(records, filter, page) {
+  let filtered = records.filter((record) => matchesFilter(record, filter));
+  let pages = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+  return {
+    total: filtered.length,
+    page: page,
+    pages: pages,
+    records: filtered.slice((page - 1) * HISTORY_PAGE_SIZE, page * HISTORY_PAGE_SIZE)
+  };
+}
+
+/************************************************************
+  All records of the filtered history as CSV (the message itself as JSON in the payload column)
+ ************************************************************/
+function historyCsv(records, filter) {
+  let lines = [CSV_COLUMNS.join(",")];
+  records.filter((record) => matchesFilter(record, filter)).forEach((record) => {
+    lines.push([record.direction, record.carId, new Date(record.timestampMs).toISOString(), record.timestampMs, record.msgId,
+      record.mode, record.goal, record.imageUrl, JSON.stringify(record.payload)].map(csvField).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/************************************************************
+  All records of the filtered history as newline delimited JSON, one record per line
+ ************************************************************/
+function historyNdjson(records, filter) {
+  return records.filter((record) => matchesFilter(record, filter))
+    .map((record) => JSON.stringify({
+      direction: record.direction,
+      carId: record.carId,
+      timestampMs: record.timestampMs,
+      msgId: record.msgId,
+      mode: record.mode,
+      goal: record.goal,
+      imageUrl: record.imageUrl,
+      payload: record.payload
+    }) + "\n")
+    .join("");
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.historyRecords = historyRecords;
+module.exports.historyFilter = historyFilter;
+module.exports.historyPage = historyPage;
+module.exports.historyCsv = historyCsv;
+module.exports.historyNdjson = historyNdjson;
+module.exports.INBOUND = INBOUND;
+module.exports.OUTBOUND = OUTBOUND;
@@ -0,0 +1,79 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var historyRecords = require('./history').historyRecords;
+var historyFilter = require('./history').historyFilter;
+var historyPage = require('./history').historyPage;
+var historyCsv = require('./history').historyCsv;
+var historyNdjson = require('./history').historyNdjson;
+const INBOUND = require('./history').INBOUND;
+const OUTBOUND = require('./history').OUTBOUND;
+
+function sensorMessage(msgId, timestampMs) {
+  return { data: JSON.stringify({ msgId: msgId, timestampMs: timestampMs, sensors: { frontCameraImagePath: "https://example.com/image" + msgId + ".jpg" } }) };
+}
+
+// Car 1 got a command for its first sensor message, car 2 only sent a sensor message
+const CARS = [
+  {
+    carId: "1",
+    inboundMsgHistory: [sensorMessage(1, 1000), sensorMessage(2, 2000)],
+    outboundMsgHistory: [{ cloudTimestampMs: 1500, carTimestampMs: 1000, mode: "automatic", goal: "go2ball", actions: [{ driveForwardMm: 100 }] }]
+  },
+  {
+    carId: "2",
+    inboundMsgHistory: [sensorMessage(7, 1800)],
+    outboundMsgHistory: []
+  }
+];
+
+test('sensor messages take the mode and goal of the command decided on them, newest first', (t) => {
+  let records = historyRecords(CARS, INBOUND);
+  t.deepEqual(records.map((record) => [record.carId, record.msgId, record.goal]), [["1", 2, undefined], ["2", 7, undefined], ["1", 1, "go2ball"]]);
+  t.is(records[2].commandId, 1500);
+  t.is(records[2].mode, "automatic");
+  t.false(records[2].traced);
+});
+
+test('commands take the picture of the sensor message they were decided on', (t) => {
+  let records = historyRecords(CARS, OUTBOUND);
+  t.is(records.length, 1);
+  t.is(records[0].msgId, 1);
+  t.is(records[0].imageUrl, "https://example.com/image1.jpg");
+});
+
+test('history is filtered and split into pages', (t) => {
+  let records = historyRecords(CARS, INBOUND);
+  t.is(historyPage(records, historyFilter({ car: "1" }), 1).total, 2);
+  t.is(historyPage(records, historyFilter({ goal: "go2ball" }), 1).total, 1);
+  t.is(historyPage(records, historyFilter({ from: "1500", to: "1900" }), 1).records[0].msgId, 7);
+  t.is(historyPage(records, historyFilter({ text: "IMAGE2" }), 1).records[0].msgId, 2);
+  let page = historyPage(records, historyFilter({}), "9");
+  t.deepEqual([page.total, page.page, page.pages], [3, 1, 1]);
+});
+
+test('history is exported as CSV and NDJSON', (t) => {
+  let records = historyRecords(CARS, OUTBOUND);
+  let csv = historyCsv(records, historyFilter({})).split("\r\n");
+  t.is(csv[0], "direction,carId,time,timestampMs,msgId,mode,goal,imageUrl,payload");
+  t.is(csv[1], 'outbound,1,1970-01-01T00:00:01.500Z,1500,1,automatic,go2ball,https://example.com/image1.jpg,' +
+    '"{""cloudTimestampMs"":1500,""carTimestampMs"":1000,""mode"":""automatic"",""goal"":""go2ball"",""actions"":[{""driveForwardMm"":100}]}"');
+  let lines = historyNdjson(historyRecords(CARS, INBOUND), historyFilter({ car: "2" })).split("\n");
+  t.deepEqual(lines.slice(1), [""]);
+  t.is(JSON.parse(lines[0]).payload.msgId, 7);
+});
@@ -0,0 +1,109 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var stepsText = require('./macros').stepsText;
+var escapeHtml = require('./tools').escapeHtml;
+
+/************************************************************
+  Recording on the car, the list of macros and the forms to replay them to any car
+  Input:
+    - car - car the page was opened for (recording and default car to replay to)
+    - cars - all cars of the fleet
+    - store - MacroStore
+    - csrfField - hidden CSRF field of the logged in user for the forms
+    - errors - problems with the last action (optional)
+ ************************************************************/
+module.exports.macroListPage = function(car, cars, store, csrfField, errors) {
+  let carQuery = '?car=' + encodeURIComponent(car.carId);
+  let html = `<a href="/">Home</a> / <a href="/car${carQuery}">Car ${car.carId}</a> / <a href="/manual_mode${carQuery}">Manual control</a>
+    <h1>Manual macros</h1>`;
+
+  if (errors && errors.length > 0) {
+    html = html + "<p style='color:red'>" + errors.map(escapeHtml).join("<br>") + "</p>";
+  }
+
+  let recording = store.recordings.get(car.carId);
+  if (recording === undefined) {
+    html = html + "<form action='/macro_record_start" + carQuery + "' method='post'>" + csrfField +
+      "<label>Record a new macro on car " + car.carId + ": <input type='text' name='name' placeholder='corner-escape'></label> " +
+      "<input type='submit' value='Start recording'> then drive the car with the <a href='/manual_mode" + carQuery + "'>manual control</a> form</form>";
+  } else {
+    html = html + "<p style='color:red'>Recording macro <b>" + recording.name + "</b> on car " + car.carId + " since " +
+      new Date(recording.startedMs).toUTCString() + ": <b>" + recording.steps.length + "</b> commands so far " +
+      "<form style='display:inline' action='/macro_record_stop" + carQuery + "' method='post'>" + csrfField +
+      "<input type='submit' value='Stop and save'></form></p>";
+  }
+
+  let macros = store.list();
+  html = html + "<p># of macros: <b>" + macros.length + "</b></p>" +
+    "<table border='1' cellpadding='4'><tr><th>Macro</th><th>Steps</th><th>Updated</th><th>Replay</th><th></th></tr>";
+  macros.forEach((macro) => {
+    html = html + "<tr><td><a href='/macro" + carQuery + "&name=" + macro.name + "'>" + macro.name + "</a></td>" +
+      "<td>" + macro.steps.length + "</td>" +
+      "<td>" + new Date(macro.updatedMs).toUTCString() + " by " + macro.updatedBy + "</td>" +
+      "<td><form style='display:inline' action='/macro_replay" + carQuery + "' method='post'>" + csrfField +
+      "<input type='hidden' name='name' value='" + macro.name + "'>" +
+      "<label>Car: <select name='target'>" + cars.map((target) => "<option" + (target.carId == car.carId ? " selected" : "") + ">" +
+        target.carId + "</option>").join("") + "</select></label> " +
+      "<label>Speed x <input type='text' name='speedScale' value='1' size='3'></label> " +
+      "<label>Distance x <input type='text' name='distanceScale' value='1' size='3'></label> " +
+      "<input type='submit' value='Replay'></form></td>" +
+      "<td><form style='display:inline' action='/macro_delete" + carQuery + "' method='post'>" + csrfField +
+      "<input type='hidden' name='name' value='" + macro.name + "'><input type='submit' value='Delete'></form></td></tr>";
+  });
+
+  return html + "</table><p>Scaling multiplies the speeds and the drive distances of the macro, turns stay the same.</p>";
+};
+
+/************************************************************
+  Steps of a macro with buttons to reorder or remove them and the text of all steps to edit
+  Input:
+    - car - car the page was opened for (for the links back)
+    - macro - as kept by MacroStore
+    - csrfField - hidden CSRF field of the logged in user for the forms
+    - errors - problems with the last change (optional)
+    - text - edited steps to show instead of the saved ones (optional, when they could not be saved)
+ ************************************************************/
+module.exports.macroEditPage = function(car, macro, csrfField, errors, text) {
+  let carQuery = '?car=' + encodeURIComponent(car.carId);
+  let html = `<a href="/">Home</a> / <a href="/car${carQuery}">Car ${car.carId}</a> / <a href="/macros${carQuery}">Macros</a>
+    <h1>Macro ${macro.name}</h1>
+    <p>Recorded by <b>${macro.createdBy}</b> at ${new Date(macro.createdMs).toUTCString()}, last changed by <b>${macro.updatedBy}</b> at ${new Date(macro.updatedMs).toUTCString()}</p>`;
+
+  if (errors && errors.length > 0) {
+    html = html + "<p style='color:red'>" + errors.map(escapeHtml).join("<br>") + "</p>";
+  }
+
+  let stepButton = (i, move, label) => "<form style='display:inline' action='/macro_step" + carQuery + "' method='post'>" + csrfField +
+    "<input type='hidden' name='name' value='" + macro.name + "'><input type='hidden' name='index' value='" + i + "'>" +
+    "<input type='hidden' name='move' value='" + move + "'><input type='submit' value='" + label + "'></form>";
+  html = html + "<table border='1' cellpadding='4'><tr><th>#</th><th>Actions</th><th></th></tr>";
+  macro.steps.forEach((step, i) => {
+    html = html + "<tr><td>" + (i + 1) + "</td><td>" + JSON.stringify(step) + "</td><td>" +
+      (i > 0 ? stepButton(i, "up", "Up") + " " : "") + (i < macro.steps.length - 1 ? stepButton(i, "down", "Down") + " " : "") +
+      stepButton(i, "remove", "Remove") + "</td></tr>";
+  });
+
+  return html + "</table>" +
+    "<h2>Edit the steps</h2><p>One step per line, each a JSON list of actions such as " +
+    "<code>[{\"setSpeed\":300},{\"driveBackwardMm\":-200}]</code>, <code>[{\"turnRight\":180}]</code> or <code>[{\"gripperPosition\":\"open\"}]</code></p>" +
+    "<form action='/macro_save" + carQuery + "' method='post'>" + csrfField +
+    "<input type='hidden' name='name' value='" + macro.name + "'>" +
+    "<textarea name='steps' rows='" + Math.max(5, macro.steps.length + 2) + "' cols='100'>" + (text === undefined ? stepsText(macro.steps) : text).replace(/&/g, "&amp;").replace(/</g, "&lt;") + "</textarea><br>" +
+    "<input type='submit' value='Save'></form>";
+};
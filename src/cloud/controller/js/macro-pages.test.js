@@ -0,0 +1,32 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var macroListPage = require('./macro-pages').macroListPage;
+var macroEditPage = require('./macro-pages').macroEditPage;
+
+const NAME_ERROR = "Macro '<img src=x onerror=alert(1)>' does not exist";
+
+test('problems echoing the requested macro name are escaped', (t) => {
+  let car = { carId: "1" };
+  let store = { recordings: new Map(), list: () => [] };
+  let macro = { name: "forward", steps: [[{ driveForwardMm: 200 }]], createdBy: "dan", createdMs: 0, updatedBy: "dan", updatedMs: 0 };
+  [macroListPage(car, [car], store, "", [NAME_ERROR, "second"]), macroEditPage(car, macro, "", [NAME_ERROR])].forEach((html) => {
+    t.false(html.includes("<img"));
+    t.true(html.includes("Macro &#39;&lt;img src=x onerror=alert(1)&gt;&#39; does not exist"));
+  });
+});
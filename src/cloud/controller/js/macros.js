@@ -0,0 +1,387 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var config = require('./config').config;
+var DriveMessage = require('./drive-message').DriveMessage;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+var validateDriveAction = require('./message-schema').validateDriveAction;
+const DRIVE_ACTIONS_SCHEMA = require('./message-schema').DRIVE_ACTIONS_SCHEMA;
+
+// Macro names become file names, so only these characters are allowed
+const MACRO_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+// Scale factors accepted on replay
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 5;
+// Actions a macro step can have, the car is asked for a sensor message at the end of the replay anyway
+const MACRO_ACTIONS = ["setSpeed", "driveForwardMm", "driveBackwardMm", "turnLeft", "turnRight", "gripperPosition", "takePhoto", "setColor", "sendSensorMessage"];
+
+/************************************************************
+  Manual macros - series of manual driving commands recorded once and replayed to any car, such as
+  "back out of the corner, turn around and open the gripper". A macro is kept as:
+    { "name": "corner-escape", "createdBy": "ann", "createdMs": ..., "updatedMs": ...,
+      "steps": [ [{ "setSpeed": 300 }, { "driveBackwardMm": -200 }], [{ "turnRight": 180 }], [{ "gripperPosition": "open" }] ] }
+  where every step holds the actions of one recorded command.
+
+  Recording is per car: while it is on, every command sent to the car with the manual driving form
+  (or POST /api/v1/cars/:carId/commands) becomes the next step of the macro.
+  Macros are kept in memory and saved to MACRO_DIR as <name>.json
+ ************************************************************/
+class MacroStore {
+
+  // Folder to keep the macros in
+  constructor(dir) {
+    this.dir = dir;
+    this.macros = new Map();
+    // Recordings in progress by car ID: { name, userName, startedMs, steps }
+    this.recordings = new Map();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+    fs.readdirSync(dir).filter((file) => file.endsWith('.json')).forEach((file) => {
+      try {
+        let macro = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        let errors = validateMacro(macro.name, macro.steps);
+        if (errors.length > 0) {
+          throw new Error(errors.join("; "));
+        }
+        this.macros.set(macro.name, macro);
+      } catch (err) {
+        console.error("ERROR: MacroStore(): skipping macro file " + file + ": " + err.message);
+      }
+    });
+    console.log("MacroStore(): " + this.macros.size + " macros in " + dir);
+  }
+
+  /************************************************************
+    All macros ordered by name
+   ************************************************************/
+  list() {
+    return Array.from(this.macros.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.macros.get(name);
+  }
+
+  /************************************************************
+    Create or replace the macro
+    Input:
+      - name - name of the macro (letters, digits, _ and -)
+      - steps - list of steps, each a list of actions
+      - userName - who saved the macro
+    Output:
+      - list of problems (empty if the macro was saved)
+   ************************************************************/
+  save(name, steps, userName) {
+    let errors = validateMacro(name, steps);
+    if (errors.length > 0) {
+      return errors;
+    }
+    let now = new Date().getTime();
+    let previous = this.macros.get(name);
+    let macro = {
+      name: name,
+      createdBy: previous ? previous.createdBy : userName,
+      createdMs: previous ? previous.createdMs : now,
+      updatedBy: userName,
+      updatedMs: now,
+      steps: steps
+    };
+    this.macros.set(name, macro);
+    fs.writeFile(this.macroFile(name), JSON.stringify(macro, null, 2), (err) => {
+      if (err) {
+        console.error("ERROR: MacroStore.save(): can not save macro " + name + ": " + err);
+      }
+    });
+    console.log("MacroStore.save(): macro " + name + " with " + steps.length + " steps saved by " + userName);
+    return [];
+  }
+
+  /************************************************************
+    Move the step of the macro one place up or down, or remove it
+    Input:
+      - name, userName
+      - index - index of the step starting at 0 (as number or string)
+      - move - "up", "down" or "remove"
+    Output:
+      - list of problems (empty if the macro was changed)
+   ************************************************************/
+  changeStep(name, index, move, userName) {
+    let macro = this.macros.get(name);
+    if (macro === undefined) {
+      return ["Macro '" + name + "' does not exist"];
+    }
+    let steps = macro.steps.slice();
+    let i = parseInt(index, 10);
+    if (isNaN(i) || i < 0 || i >= steps.length) {
+      return ["Macro '" + name + "' has no step " + index];
+    }
+    if (move == "remove") {
+      steps.splice(i, 1);
+    } else if (move == "up" || move == "down") {
+      let j = (move == "up") ? i - 1 : i + 1;
+      if (j >= 0 && j < steps.length) {
+        let step = steps[i];
+        steps[i] = steps[j];
+        steps[j] = step;
+      }
+    } else {
+      return ["Unknown change '" + move + "'"];
+    }
+    return this.save(name, steps, userName);
+  }
+
+  /************************************************************
+    Output:
+      - true if the macro was removed, false if it does not exist
+   ************************************************************/
+  remove(name) {
+    if (!this.macros.delete(name)) {
+      return false;
+    }
+    fs.unlink(this.macroFile(name), (err) => {
+      if (err) {
+        console.error("ERROR: MacroStore.remove(): can not remove macro " + name + ": " + err);
+      }
+    });
+    return true;
+  }
+
+  macroFile(name) {
+    return path.join(this.dir, name + '.json');
+  }
+
+  /************************************************************
+    Start recording the commands sent to the car as a new macro (or over an existing one)
+    Output:
+      - list of problems (empty if the recording has started)
+   ************************************************************/
+  startRecording(carId, name, userName) {
+    if (!MACRO_NAME_PATTERN.test(name || '')) {
+      return ["Macro name '" + name + "' may only have letters, digits, _ and - (at most 40 characters)"];
+    }
+    if (this.recordings.has(carId)) {
+      return ["Car '" + carId + "' is recording macro '" + this.recordings.get(carId).name + "' already"];
+    }
+    this.recordings.set(carId, { name: name, userName: userName, startedMs: new Date().getTime(), steps: [] });
+    console.log("MacroStore.startRecording(carId=" + carId + "): recording macro " + name + " for " + userName);
+    return [];
+  }
+
+  /************************************************************
+    Add the command sent to the car to the macro being recorded (if any)
+   ************************************************************/
+  record(carId, command) {
+    let recording = this.recordings.get(carId);
+    if (recording !== undefined && command.actions.length > 0) {
+      recording.steps.push(command.actions.map((action) => Object.assign({}, action)));
+    }
+  }
+
+  /************************************************************
+    Stop recording and save the macro
+    Output:
+      - list of problems (empty if the macro was saved)
+   ************************************************************/
+  stopRecording(carId) {
+    let recording = this.recordings.get(carId);
+    if (recording === undefined) {
+      return ["Car '" + carId + "' is not recording a macro"];
+    }
+    this.recordings.delete(carId);
+    if (recording.steps.length == 0) {
+      return ["No commands were sent while recording macro '" + recording.name + "', nothing to save"];
+    }
+    return this.save(recording.name, recording.steps, recording.userName);
+  }
+}
+
+/************************************************************
+  Check the name and the steps of a macro, every action has to be one the car accepts (see message-schema.js)
+  Output:
+    - list of problems (empty if the macro is fine)
+ ************************************************************/
+function validateMacro(name, steps) {
+  let errors = [];
+  if (!MACRO_NAME_PATTERN.test(name || '')) {
+    errors.push("Macro name '" + name + "' may only have letters, digits, _ and - (at most 40 characters)");
+  }
+  if (!Array.isArray(steps) || steps.length == 0) {
+    errors.push("Macro must have at least one step");
+    return errors;
+  }
+  steps.forEach((step, i) => {
+    if (!Array.isArray(step) || step.length == 0) {
+      errors.push("Step " + (i + 1) + " must be a list of actions");
+      return;
+    }
+    step.forEach((action) => {
+      let keys = (action !== null && typeof action == 'object') ? Object.keys(action) : [];
+      if (keys.length != 1 || MACRO_ACTIONS.indexOf(keys[0]) < 0) {
+        errors.push("Step " + (i + 1) + ": unknown action " + JSON.stringify(action) + ", use one of " + MACRO_ACTIONS.join(", "));
+        return;
+      }
+      validateDriveAction(action).forEach((error) => errors.push("Step " + (i + 1) + ": " + error));
+    });
+  });
+  return errors;
+}
+
+/************************************************************
+  Steps of a macro as text for editing - one step per line, each a JSON list of actions
+ ************************************************************/
+function stepsText(steps) {
+  return steps.map((step) => JSON.stringify(step)).join("\n");
+}
+
+/************************************************************
+  Steps of a macro from the edited text (see stepsText())
+  Output:
+    - { steps, errors }
+ ************************************************************/
+function parseStepsText(text) {
+  let steps = [];
+  let errors = [];
+  (text || '').split(/\r?\n/).filter((line) => line.trim() != '').forEach((line, i) => {
+    try {
+      steps.push(JSON.parse(line));
+    } catch (err) {
+      errors.push("Step " + (i + 1) + " is not valid JSON: " + err.message);
+    }
+  });
+  return { steps: steps, errors: errors };
+}
+
+/************************************************************
+  Scale factor given by the user (as number or string), 1 when not given
+ ************************************************************/
+function parseScale(value, name, errors) {
+  if (value === undefined || value === '') {
+    return 1;
+  }
+  let scale = Number(value);
+  if (!(scale >= MIN_SCALE && scale <= MAX_SCALE)) {
+    errors.push("'" + name + "' must be from " + MIN_SCALE + " to " + MAX_SCALE + ", got '" + value + "'");
+  }
+  return scale;
+}
+
+/************************************************************
+  Scaled value of the action kept within the range the car accepts (see DRIVE_ACTIONS_SCHEMA)
+ ************************************************************/
+function actionValue(key, value, scale) {
+  let range = DRIVE_ACTIONS_SCHEMA[key];
+  return Math.min(range.max, Math.max(range.min, Math.round(value * scale)));
+}
+
+/************************************************************
+  All steps of the macro as a single manual command, so the car runs them back to back
+  Input:
+    - macro - as kept by MacroStore
+    - speedScale - multiplies every setSpeed
+    - distanceScale - multiplies every drive distance (turns are not scaled)
+  Output:
+    - DriveMessage - every scaled value is kept within the range of its action
+ ************************************************************/
+function macroCommand(macro, speedScale, distanceScale) {
+  let command = new DriveMessage();
+  command.setModeManual();
+  macro.steps.forEach((step) => {
+    step.forEach((action) => {
+      let key = Object.keys(action)[0];
+      let value = action[key];
+      if (key == "setSpeed") {
+        command.setSpeed(Math.max(1, actionValue(key, value, speedScale)));
+      } else if (key == "driveForwardMm") {
+        command.driveForward(actionValue(key, value, distanceScale));
+      } else if (key == "driveBackwardMm") {
+        command.driveBackward(actionValue(key, value, distanceScale));
+      } else if (key == "turnLeft") {
+        command.turnLeft(actionValue(key, value, 1));
+      } else if (key == "turnRight") {
+        command.turnRight(actionValue(key, value, 1));
+      } else if (key == "gripperPosition") {
+        if (value == "open") {
+          command.gripperOpen();
+        } else {
+          command.gripperClose();
+        }
+      } else if (key == "takePhoto") {
+        command.takePhoto();
+      } else if (key == "setColor") {
+        command.setColor(value);
+      }
+      // Recorded commands ask for a sensor message at the end of every step - one at the end of the macro is enough
+    });
+  });
+  command.sendSensorMessage();
+  return command;
+}
+
+/************************************************************
+  Send the macro to the car as a single manual command
+  Input:
+    - car - car to replay the macro to, it has to be in manual mode
+    - macro - as kept by MacroStore
+    - speedScale, distanceScale - scale factors given by the user (as numbers or strings, 1 when not given)
+  Output:
+    - promise resolved with { command, sent, errors } - the command and whether the car got it,
+      errors list the reasons why it was not sent. The command is missing when the car or the scale
+      factors are not fit for the replay
+ ************************************************************/
+function replayMacro(car, macro, speedScale, distanceScale) {
+  let errors = [];
+  if (car.isEmergencyStopped()) {
+    errors.push("Car '" + car.carId + "' is emergency stopped, it needs to be re-armed first");
+  } else if (car.currentDrivingMode != MANUAL_MODE) {
+    errors.push("Car '" + car.carId + "' is in " + car.currentDrivingMode + " mode, switch it to manual mode first");
+  }
+  speedScale = parseScale(speedScale, "speedScale", errors);
+  distanceScale = parseScale(distanceScale, "distanceScale", errors);
+  if (errors.length > 0) {
+    return Promise.resolve({ sent: false, errors: errors });
+  }
+  let command = macroCommand(macro, speedScale, distanceScale);
+  console.log("replayMacro(carId=" + car.carId + "): replaying macro " + macro.name + " with speed x" + speedScale + ", distance x" + distanceScale);
+  return car.publishCommand(command)
+    .then((sent) => {
+      if (!sent) {
+        errors.push("Macro '" + macro.name + "' could not be sent to car '" + car.carId + "', see the controller log");
+      }
+      return { command: command, sent: sent, errors: errors };
+    });
+}
+
+/************************************************************
+  Macros of this controller
+ ************************************************************/
+function createMacroStore() {
+  return new MacroStore(config.get('MACRO_DIR'));
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.MacroStore = MacroStore;
+module.exports.createMacroStore = createMacroStore;
+module.exports.macroCommand = macroCommand;
+module.exports.replayMacro = replayMacro;
+module.exports.stepsText = stepsText;
+module.exports.parseStepsText = parseStepsText;
@@ -0,0 +1,103 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var MacroStore = require('./macros').MacroStore;
+var macroCommand = require('./macros').macroCommand;
+var replayMacro = require('./macros').replayMacro;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+
+function testStore() {
+  return new MacroStore(fs.mkdtempSync(path.join(os.tmpdir(), 'macros-test-')));
+}
+
+/************************************************************
+  Just enough of a car for the replay, publishCommand() resolves with "sent"
+ ************************************************************/
+function testCar(sent) {
+  return {
+    carId: "1",
+    currentDrivingMode: MANUAL_MODE,
+    commands: [],
+    isEmergencyStopped: () => false,
+    publishCommand: function (command) {
+      this.commands.push(command);
+      return Promise.resolve(sent);
+    }
+  };
+}
+
+const CORNER_ESCAPE = {
+  name: "corner-escape",
+  steps: [[{ setSpeed: 300 }, { driveBackwardMm: -2000 }], [{ turnRight: 700 }, { turnLeft: -700 }], [{ driveForwardMm: 3000 }]]
+};
+
+test('macro with values of the wrong type or sign is refused', (t) => {
+  let store = testStore();
+  t.is(store.save("bad", [[{ driveBackwardMm: 200 }]], "ann").length, 1);
+  t.is(store.save("bad", [[{ turnRight: "90" }]], "ann").length, 1);
+  t.is(store.save("bad", [[{ turnLeft: 90 }, { setSpeed: -5 }]], "ann").length, 2);
+  t.is(store.save("bad", [[{ gripperPosition: "half" }, { setColor: "Pink" }, { takePhoto: "yes" }]], "ann").length, 3);
+  t.is(store.save("bad", [[{ stop: true }]], "ann").length, 1);
+  t.is(store.get("bad"), undefined);
+  t.deepEqual(store.save("corner-escape", CORNER_ESCAPE.steps, "ann"), []);
+});
+
+test('scaled values are kept within the range of their action', (t) => {
+  t.deepEqual(macroCommand(CORNER_ESCAPE, 5, 5).actions, [
+    { setSpeed: 1000 }, { driveBackwardMm: -5000 }, { turnRight: 700 }, { turnLeft: -700 }, { driveForwardMm: 5000 }, { sendSensorMessage: "true" }
+  ]);
+  t.deepEqual(macroCommand(CORNER_ESCAPE, 0.1, 0.1).actions, [
+    { setSpeed: 30 }, { driveBackwardMm: -200 }, { turnRight: 700 }, { turnLeft: -700 }, { driveForwardMm: 300 }, { sendSensorMessage: "true" }
+  ]);
+  let saved = { name: "saved-before", steps: [[{ turnLeft: -5000 }, { turnRight: 5000 }, { driveBackwardMm: -9000 }]] };
+  t.deepEqual(macroCommand(saved, 1, 1).actions, [
+    { turnLeft: -1000 }, { turnRight: 1000 }, { driveBackwardMm: -5000 }, { sendSensorMessage: "true" }
+  ]);
+});
+
+test('replay tells whether the car got the command', (t) => {
+  let car = testCar(true);
+  return replayMacro(car, CORNER_ESCAPE, "2", undefined)
+    .then((result) => {
+      t.true(result.sent);
+      t.deepEqual(result.errors, []);
+      t.is(car.commands[0], result.command);
+      t.is(result.command.mode, MANUAL_MODE);
+      return replayMacro(testCar(false), CORNER_ESCAPE);
+    })
+    .then((result) => {
+      t.false(result.sent);
+      t.not(result.command, undefined);
+      t.is(result.errors.length, 1);
+    });
+});
+
+test('replay to a car that is not in manual mode or with a bad scale sends nothing', (t) => {
+  let car = testCar(true);
+  car.currentDrivingMode = "automatic";
+  return replayMacro(car, CORNER_ESCAPE, "10", "x")
+    .then((result) => {
+      t.false(result.sent);
+      t.is(result.command, undefined);
+      t.is(result.errors.length, 3);
+      t.deepEqual(car.commands, []);
+    });
+});
@@ -17,27 +17,24 @@
 'use strict';
 var Tools = require('./tools');
 var DriveMessage = require('./drive-message').DriveMessage;
+var liveUpdateScript = require('./telemetry').liveUpdateScript;
+var overlayImage = require('./vision-overlay').overlayImage;
 
 /************************************************************
   Display Manual Driving form on Get
   Input:
-    - inboundMsgHistory
+    - car - the car to be driven manually
+    - csrfField - hidden form field with the CSRF token of the user (see auth.js)
  ************************************************************/
-module.exports.manualDrivingForm = function(inboundMsgHistory) {
-  let imageUrl;
-
-  if (inboundMsgHistory.length > 0) {
-    let msg = inboundMsgHistory[inboundMsgHistory.length - 1];
-    if ((!(msg.data === undefined)) && (!(JSON.parse(msg.data).sensors === undefined)) &&
-      (!(JSON.parse(msg.data).sensors.frontCameraImagePath === undefined))) {
-      imageUrl = JSON.parse(msg.data).sensors.frontCameraImagePath;
-      // console.log("debugDrivingForm()..." + imageUrl);
-    }
-  }
+module.exports.manualDrivingForm = function(car, csrfField) {
+  let imageUrl = car.latestImageUrl();
+  let carQuery = '?car=' + encodeURIComponent(car.carId);
 
-  let form = `<a href="/">Home</a> / <a href="/manual_mode">Refresh page</a>
+  let form = `<a href="/">Home</a> / <a href="/car${carQuery}">Car ${car.carId}</a> / <a href="/manual_mode${carQuery}">Refresh page</a> / <a href="/teleop${carQuery}">Keyboard and gamepad</a> / <a href="/macros${carQuery}">Macros</a>
     <h1>Manual car control</h1>
-    <form action="/manual_control_action" method="post">
+    <p>Current driving mode: <b>${car.currentDrivingMode}</b></p>
+    <form action="/manual_control_action${carQuery}" method="post">
+    ${csrfField}
     <label for="speed">Turn speed: </label>
     <input id="speed" type="number" name="turn_speed_field">(wheel angle/sec) - from 1 to 1000
     <br>
@@ -63,62 +60,65 @@ module.exports.manualDrivingForm = function(inboundMsgHistory) {
     <input id="gripper" type="checkbox" name="nonstop_messages">
     <br><br>
     <input type="submit" value="Send control message to the car">
-</form>`;
+</form>
+    <p><b>Last driving command sent:</b><br><span id="live-command"></span></p>`;
 
   // <label for="message">Ask car to send latest sensor data: </label>
   // <input id="message" type="checkbox" name="send_sensor_info">
   // <br>
 
-  // Add an image to the form
-  if (!(imageUrl === undefined)) {
-    form = form + '<img src="' + imageUrl + '" alt="picture of the ball" style="width:600px;"/>'
-  }
+  // Add an image with the detected objects drawn over it - it is hidden until the car sends the first picture
+  form = form + overlayImage(imageUrl, car.latestImageOverlay(), 600, true);
+  // Camera picture and last command are updated live without page reloads
+  form = form + liveUpdateScript(car);
 
   return form;
 };
 
 /************************************************************
   Send manual driving command to the car
+  Input:
+    - fields of the manual driving form (req.body)
  ************************************************************/
-module.exports.manualCommand = function(req) {
-  // console.log("sendManualCommand(): req.body.distance_field=" + req.body.distance_field);
-  // console.log("sendManualCommand(): req.body.angle_field=" + req.body.angle_field);
-  // console.log("sendManualCommand(): req.body.drive_speed_field=" + req.body.drive_speed_field);
-  // console.log("sendManualCommand(): req.body.ondemand_messages=" + req.body.ondemand_messages);
+module.exports.manualCommand = function(fields) {
+  // console.log("sendManualCommand(): fields.distance_field=" + fields.distance_field);
+  // console.log("sendManualCommand(): fields.angle_field=" + fields.angle_field);
+  // console.log("sendManualCommand(): fields.drive_speed_field=" + fields.drive_speed_field);
+  // console.log("sendManualCommand(): fields.ondemand_messages=" + fields.ondemand_messages);
   let command = new DriveMessage();
 
   command.setModeManual();
 
-  if (req.body.turn_speed_field) {
-    command.setSpeed(req.body.turn_speed_field);
+  if (fields.turn_speed_field) {
+    command.setSpeed(fields.turn_speed_field);
   }
 
-  if (req.body.angle_field) {
-    command.makeTurn(req.body.angle_field);
+  if (fields.angle_field) {
+    command.makeTurn(fields.angle_field);
   }
 
-  if (req.body.drive_speed_field) {
-    command.setSpeed(req.body.drive_speed_field);
+  if (fields.drive_speed_field) {
+    command.setSpeed(fields.drive_speed_field);
   }
 
-  if (req.body.distance_field) {
-    command.drive(req.body.distance_field);
+  if (fields.distance_field) {
+    command.drive(fields.distance_field);
   }
 
-  if (req.body.ondemand_messages) {
+  if (fields.ondemand_messages) {
     command.setOnDemandSensorRate();
     command.takePhoto();
   }
 
-  if (req.body.gripper_open) {
+  if (fields.gripper_open) {
     command.gripperOpen();
   }
 
-  if (req.body.gripper_close) {
+  if (fields.gripper_close) {
     command.gripperClose();
   }
   
-  if (req.body.nonstop_messages) {
+  if (fields.nonstop_messages) {
     command.setContinuousSensorRate();
     command.takePhoto();
   }
@@ -127,3 +127,21 @@ module.exports.manualCommand = function(req) {
 
   return command;
 };
+
+/************************************************************
+  Convert manual command submitted as JSON (via /api/v1) into the manual driving form fields
+  Example input:
+    { "turnSpeed": 100, "angle": -45, "driveSpeed": 500, "distance": 300, "gripper": "open", "sensorRate": "onDemand" }
+ ************************************************************/
+module.exports.manualCommandFields = function(json) {
+  return {
+    turn_speed_field: json.turnSpeed,
+    angle_field: json.angle,
+    drive_speed_field: json.driveSpeed,
+    distance_field: json.distance,
+    gripper_open: json.gripper == "open",
+    gripper_close: json.gripper == "close",
+    ondemand_messages: json.sensorRate == "onDemand",
+    nonstop_messages: json.sensorRate == "continuous"
+  };
+};
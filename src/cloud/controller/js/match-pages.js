@@ -0,0 +1,148 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var ranking = require('./match').ranking;
+var remainingSec = require('./match').remainingSec;
+const COUNTDOWN = require('./match').COUNTDOWN;
+const RUNNING = require('./match').RUNNING;
+
+/************************************************************
+  Current match with its clock and controls, form to start a new one and the list of finished matches
+  Input:
+    - current - match that is counting down or running (or undefined)
+    - matches - as returned by MatchManager.listMatches()
+    - fleet - cars to pick for a new match
+    - csrfField - hidden CSRF field of the logged in user for the forms
+    - errors - problems with the last start, stop or penalty (optional)
+ ************************************************************/
+module.exports.matchListPage = function(current, matches, fleet, csrfField, errors) {
+  let html = `<a href="/">Home</a>
+    <h1>Matches</h1>`;
+
+  if (errors && errors.length > 0) {
+    html = html + "<p style='color:red'>" + errors.join("<br>") + "</p>";
+  }
+
+  if (current === undefined) {
+    html = html + "<h2>New match (admin)</h2>" +
+      "<form action='/match_start' method='post'>" + csrfField +
+      "<p>Cars: " + fleet.cars.map((car) => "<label><input type='checkbox' name='cars' value='" + car.carId + "' checked> " +
+        car.carId + " (" + car.ballColor + ")</label>").join(" ") + "</p>" +
+      "<p><label>Countdown (sec): <input type='text' name='countdownSec' size='4'></label> " +
+      "<label>Duration (sec): <input type='text' name='durationSec' size='4'></label> (empty for the defaults)</p>" +
+      "<input type='submit' value='Start countdown'></form>";
+  } else {
+    html = html + "<h2>Match " + current.matchId + "</h2>" +
+      "<p>State: <b>" + current.state + "</b>, " + (current.state == COUNTDOWN ? "starts" : "ends") +
+      " in <b id='match-clock'>" + formatClock(remainingSec(current)) + "</b></p>" +
+      scoreTable(current) +
+      "<p><form style='display:inline' action='/match_stop' method='post'>" + csrfField +
+      "<input type='submit' value='Stop the match (admin)'></form></p>";
+    if (current.state == RUNNING) {
+      html = html + "<form action='/match_penalty' method='post'>" + csrfField +
+        "<label>Penalty (admin) for car: <select name='car'>" + current.carIds.map((carId) => "<option>" + carId + "</option>").join("") + "</select></label> " +
+        "<label>Points: <input type='text' name='points' size='4'></label> " +
+        "<label>Reason: <input type='text' name='reason'></label> " +
+        "<input type='submit' value='Give penalty'></form>";
+    }
+    html = html + "<p><a href='/match?id=" + current.matchId + "'>Timeline</a></p>" + clockScript(remainingSec(current));
+  }
+
+  html = html + `<h2>Finished matches</h2>
+    <table border='1' cellpadding='4'><tr><th>Match</th><th>Started</th></tr>`;
+  matches.forEach((match) => {
+    html = html + "<tr><td><a href='/match?id=" + match.matchId + "'>" + match.matchId + "</a></td>" +
+      "<td>" + new Date(match.startMs).toUTCString() + "</td></tr>";
+  });
+
+  return html + "</table>";
+};
+
+/************************************************************
+  Summary of a match: scores and the timeline of everything that happened
+  Input:
+    - match - as kept by MatchManager
+ ************************************************************/
+module.exports.matchPage = function(match) {
+  let html = `<a href="/">Home</a> / <a href="/matches">Matches</a>
+    <h1>Match ${match.matchId}</h1>
+    <p>State: <b>${match.state}</b>${match.endReason ? " (" + match.endReason + ")" : ""}, started by <b>${match.startedBy}</b></p>
+    <p>Countdown from ${new Date(match.countdownStartMs).toUTCString()}, ${match.countdownSec} sec` +
+    (match.startMs ? ", started " + new Date(match.startMs).toUTCString() : "") +
+    (match.endMs ? ", ended " + new Date(match.endMs).toUTCString() : "") +
+    (match.startMs && match.endMs ? " after <b>" + formatClock(Math.round((match.endMs - match.startMs) / 1000)) + "</b>" : "") +
+    ` of ${formatClock(match.durationSec)}</p>
+    <p>${match.ballPoints} points per ball, ${match.ballsNeeded} balls to finish (<a href="/api/v1/matches/${match.matchId}">JSON</a>)</p>` +
+    scoreTable(match) +
+    `<h2>Timeline</h2>
+    <table border='1' cellpadding='4'><tr><th>Time</th><th>Match clock</th><th>Car</th><th>Event</th><th>Details</th></tr>`;
+
+  match.timeline.forEach((event) => {
+    html = html + "<tr><td>" + new Date(event.timestampMs).toISOString() + "</td>" +
+      "<td>" + (match.startMs && event.timestampMs >= match.startMs ? formatClock(Math.round((event.timestampMs - match.startMs) / 1000)) : "") + "</td>" +
+      "<td>" + (event.carId || "") + "</td>" +
+      "<td>" + event.type + "</td>" +
+      "<td>" + event.message + "</td></tr>";
+  });
+
+  return html + "</table>";
+};
+
+/************************************************************
+  Cars of the match ordered by their points
+ ************************************************************/
+function scoreTable(match) {
+  let html = "<table border='1' cellpadding='4'><tr><th>Rank</th><th>Car</th><th>Balls</th><th>Penalty points</th><th>Points</th><th>Last delivery</th></tr>";
+  ranking(match).forEach((score, i) => {
+    html = html + "<tr><td>" + (i + 1) + "</td>" +
+      "<td>" + score.carId + (score.done ? " (all balls)" : "") + "</td>" +
+      "<td>" + score.balls + "</td>" +
+      "<td>" + score.penaltyPoints + "</td>" +
+      "<td><b>" + score.points + "</b></td>" +
+      "<td>" + (score.lastDeliveryMs ? new Date(score.lastDeliveryMs).toUTCString() : "-") + "</td></tr>";
+  });
+  return html + "</table>";
+}
+
+/************************************************************
+  Seconds as m:ss
+ ************************************************************/
+function formatClock(sec) {
+  return Math.floor(sec / 60) + ":" + ("0" + (sec % 60)).slice(-2);
+}
+module.exports.formatClock = formatClock;
+
+/************************************************************
+  Ticks the clock of the current match down and reloads the page when it gets to zero or every
+  few seconds for the new scores (unless the user is typing into a form)
+ ************************************************************/
+function clockScript(sec) {
+  return `<script>
+    var matchSec = ${sec};
+    var matchTicks = 0;
+    setInterval(function() {
+      matchSec = Math.max(0, matchSec - 1);
+      matchTicks++;
+      document.getElementById('match-clock').textContent = Math.floor(matchSec / 60) + ':' + ('0' + (matchSec % 60)).slice(-2);
+      var typing = document.activeElement && document.activeElement.tagName == 'INPUT';
+      if (matchSec == 0 || (matchTicks % 5 == 0 && !typing)) {
+        location.reload();
+      }
+    }, 1000);
+  </script>`;
+}
@@ -0,0 +1,457 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const EventEmitter = require('events');
+var fs = require('fs');
+var path = require('path');
+// Countdown, duration and points are read from the configuration when the match starts
+var config = require('./config').config;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+
+// States of a match
+const COUNTDOWN = "countdown";
+const RUNNING = "running";
+const FINISHED = "finished";
+
+// Events on the timeline of a match
+const COUNTDOWN_EVENT = "countdown";
+const START_EVENT = "start";
+const DELIVERY_EVENT = "delivery";
+const PENALTY_EVENT = "penalty";
+const ALERT_EVENT = "alert";
+const CAR_DONE_EVENT = "carDone";
+const END_EVENT = "end";
+
+// Where a delivery was first seen: the controller told the car it has delivered a ball (addBallCount)
+// or the car reported more balls collected than the deliveries recorded so far
+const COMMAND_SOURCE = "command";
+const CAR_SOURCE = "car";
+
+/************************************************************
+  Matches between the cars of the fleet. Only one match runs at a time:
+    - countdown - MATCH_COUNTDOWN_SEC after start() the cars are switched to automatic mode
+    - running - balls delivered and penalties are scored for MATCH_DURATION_SEC
+    - finished - time is up, the match was stopped or every car delivered BALLS_NEEDED balls.
+      The cars are switched to manual mode and the match is saved to MATCH_DIR as match-<ms>.json
+
+  A match is a plain object, the same as saved in the file:
+    { "matchId": "match-1519509836918", "state": "running", "carIds": ["1", "2"], "startedBy": "ann",
+      "countdownSec": 10, "durationSec": 300, "ballPoints": 10, "ballsNeeded": 3,
+      "countdownStartMs": 1519509836918, "startMs": 1519509846918, "endsAtMs": 1519510146918, "endMs": undefined, "endReason": undefined,
+      "cars": { "1": { "balls": 1, "penaltyPoints": 5, "points": 5, "done": false, "deliveries": [{ "timestampMs": ..., "source": "command", "confirmedMs": ... }] } },
+      "timeline": [ { "timestampMs": ..., "type": "delivery", "carId": "1", "message": "..." } ] }
+
+  Balls delivered come from the driving commands with addBallCount() and from carState.ballsCollected of the sensor
+  messages: a command records the delivery, the car confirms it by reporting one more ball collected.
+
+  MatchManager emits 'match' (match) every time the current match changes
+ ************************************************************/
+class MatchManager extends EventEmitter {
+
+  // Cars that play in the matches and folder to keep the finished matches in
+  constructor(fleet, dir) {
+    super();
+    this.fleet = fleet;
+    this.dir = dir;
+    this.current = undefined;
+    this.timer = undefined;
+    // Commands already scored - the same command is emitted again when it is resent to the car
+    this.scoredCommands = new WeakSet();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+    fleet.cars.forEach((car) => this.attach(car));
+    console.log("MatchManager(): keeping finished matches in " + dir);
+  }
+
+  attach(car) {
+    car.on('command', (command) => this.onCommand(car, command));
+    car.on('sensor', (data) => this.onSensor(car, data));
+    car.on('alert', (alert) => this.onAlert(car, alert));
+  }
+
+  /************************************************************
+    Start the countdown of a new match
+    Input:
+      - carIds - cars playing in the match (all cars of the fleet when empty)
+      - userName - who started the match
+      - options - { countdownSec, durationSec } to override MATCH_COUNTDOWN_SEC and MATCH_DURATION_SEC (optional)
+    Output:
+      - { match, errors } - the new match or the list of reasons why it can not start
+   ************************************************************/
+  start(carIds, userName, options) {
+    options = options || {};
+    let errors = [];
+    if (this.current !== undefined) {
+      errors.push("Match " + this.current.matchId + " is " + this.current.state + ", stop it first");
+    }
+    if (carIds === undefined || carIds.length == 0) {
+      carIds = this.fleet.cars.map((car) => car.carId);
+    }
+    carIds = carIds.map(String);
+    carIds.forEach((carId) => {
+      let car = this.fleet.getCar(carId);
+      if (car === undefined) {
+        errors.push("Car '" + carId + "' is not registered with this controller");
+      } else if (car.isEmergencyStopped()) {
+        errors.push("Car '" + carId + "' is emergency stopped, it needs to be re-armed first");
+      }
+    });
+    let countdownSec = wholeNumber(options.countdownSec, config.get('MATCH_COUNTDOWN_SEC'), "countdownSec", 0, errors);
+    let durationSec = wholeNumber(options.durationSec, config.get('MATCH_DURATION_SEC'), "durationSec", 1, errors);
+    if (errors.length > 0) {
+      return { errors: errors };
+    }
+
+    let now = new Date().getTime();
+    let match = {
+      matchId: 'match-' + now,
+      state: COUNTDOWN,
+      carIds: carIds,
+      startedBy: userName,
+      countdownSec: countdownSec,
+      durationSec: durationSec,
+      ballPoints: config.get('MATCH_BALL_POINTS'),
+      ballsNeeded: config.get('BALLS_NEEDED'),
+      countdownStartMs: now,
+      startMs: undefined,
+      endsAtMs: undefined,
+      endMs: undefined,
+      endReason: undefined,
+      cars: {},
+      timeline: []
+    };
+    carIds.forEach((carId) => {
+      match.cars[carId] = { balls: 0, penaltyPoints: 0, points: 0, done: false, deliveries: [], ballsReported: undefined };
+    });
+    this.current = match;
+    console.log("MatchManager.start(): " + match.matchId + " with cars " + carIds.join(", ") + " started by " + userName);
+    this.event(COUNTDOWN_EVENT, undefined, "Countdown of " + countdownSec + " sec started by " + userName);
+    this.timer = setTimeout(() => this.begin(), countdownSec * 1000);
+    return { match: match, errors: errors };
+  }
+
+  /************************************************************
+    Countdown is over - let the cars go
+   ************************************************************/
+  begin() {
+    let match = this.current;
+    match.state = RUNNING;
+    match.startMs = new Date().getTime();
+    match.endsAtMs = match.startMs + match.durationSec * 1000;
+    this.event(START_EVENT, undefined, "Match started, " + match.durationSec + " sec on the clock");
+    match.carIds.forEach((carId) => {
+      let car = this.fleet.getCar(carId);
+      // Balls the car has had before the match do not count
+      match.cars[carId].ballsReported = lastBallsCollected(car);
+      if (!car.setDrivingMode(AUTOMATIC_MODE)) {
+        this.event(ALERT_EVENT, carId, "Car could not be switched to automatic mode");
+      }
+    });
+    this.timer = setTimeout(() => this.finish("time is up"), match.durationSec * 1000);
+  }
+
+  /************************************************************
+    Stop the current match (also during the countdown)
+    Output:
+      - the stopped match or undefined if there is none
+   ************************************************************/
+  stop(userName) {
+    if (this.current === undefined) {
+      return undefined;
+    }
+    return this.finish("stopped by " + userName);
+  }
+
+  /************************************************************
+    End the match: switch the cars to manual mode, score it and save it
+   ************************************************************/
+  finish(reason) {
+    let match = this.current;
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    match.state = FINISHED;
+    match.endMs = new Date().getTime();
+    match.endReason = reason;
+    match.carIds.forEach((carId) => {
+      let car = this.fleet.getCar(carId);
+      // Emergency stopped cars are in manual mode already
+      if (car.currentDrivingMode != MANUAL_MODE && !car.isEmergencyStopped()) {
+        car.setDrivingMode(MANUAL_MODE);
+      }
+    });
+    this.event(END_EVENT, undefined, "Match ended: " + reason);
+    console.log("MatchManager.finish(): " + match.matchId + " ended: " + reason);
+    this.current = undefined;
+    this.last = match;
+    this.save(match);
+    return match;
+  }
+
+  /************************************************************
+    Write the match to a temporary file first and rename it, so a crash in the middle of writing
+    never leaves a truncated match file behind
+   ************************************************************/
+  save(match) {
+    let file = this.matchFile(match.matchId);
+    let tempFile = file + '.tmp';
+    fs.writeFile(tempFile, JSON.stringify(match, null, 2), (err) => {
+      if (err) {
+        console.error("ERROR: MatchManager.save(): can not save " + match.matchId + ": " + err);
+        return;
+      }
+      fs.rename(tempFile, file, (err) => {
+        if (err) {
+          console.error("ERROR: MatchManager.save(): can not save " + match.matchId + ": " + err);
+        }
+      });
+    });
+  }
+
+  matchFile(matchId) {
+    return path.join(this.dir, matchId + '.json');
+  }
+
+  /************************************************************
+    Take points away from a car of the running match
+    Input:
+      - carId, reason, userName
+      - points - how many points to take away (MATCH_PENALTY_POINTS when not given)
+    Output:
+      - list of problems (empty if the penalty was given)
+   ************************************************************/
+  penalty(carId, points, reason, userName) {
+    let match = this.current;
+    if (match === undefined || match.state != RUNNING) {
+      return ["There is no running match"];
+    }
+    if (match.cars[String(carId)] === undefined) {
+      return ["Car '" + carId + "' does not play in match " + match.matchId];
+    }
+    let errors = [];
+    points = wholeNumber(points, config.get('MATCH_PENALTY_POINTS'), "points", 0, errors);
+    if (errors.length > 0) {
+      return errors;
+    }
+    match.cars[String(carId)].penaltyPoints += points;
+    this.event(PENALTY_EVENT, String(carId), "Penalty of " + points + " points by " + userName + (reason ? ": " + reason : ""));
+    return [];
+  }
+
+  onCommand(car, command) {
+    let carScore = this.runningCar(car);
+    if (carScore === undefined || !command.ballCaptured || this.scoredCommands.has(command)) {
+      return;
+    }
+    this.scoredCommands.add(command);
+    carScore.deliveries.push({ timestampMs: new Date().getTime(), source: COMMAND_SOURCE, confirmedMs: undefined });
+    this.delivered(car, "Ball delivered (navigation released the ball at the home base)");
+  }
+
+  onSensor(car, data) {
+    let carScore = this.runningCar(car);
+    if (carScore === undefined || data.carState === undefined || typeof data.carState.ballsCollected != 'number') {
+      return;
+    }
+    if (carScore.ballsReported === undefined) {
+      carScore.ballsReported = data.carState.ballsCollected;
+      return;
+    }
+    let newBalls = data.carState.ballsCollected - carScore.ballsReported;
+    carScore.ballsReported = data.carState.ballsCollected;
+    let now = new Date().getTime();
+    for (let i = 0; i < newBalls; i++) {
+      let unconfirmed = carScore.deliveries.find((delivery) => delivery.confirmedMs === undefined);
+      if (unconfirmed !== undefined) {
+        unconfirmed.confirmedMs = now;
+      } else {
+        carScore.deliveries.push({ timestampMs: now, source: CAR_SOURCE, confirmedMs: now });
+        this.delivered(car, "Ball delivered (reported by the car: " + data.carState.ballsCollected + " balls collected)");
+        // The delivery may have finished the match, balls beyond it do not count
+        if (this.current === undefined) {
+          return;
+        }
+      }
+    }
+  }
+
+  onAlert(car, alert) {
+    if (this.runningCar(car) !== undefined) {
+      this.event(ALERT_EVENT, car.carId, alert.message);
+    }
+  }
+
+  /************************************************************
+    Score of the car if it plays in the running match
+   ************************************************************/
+  runningCar(car) {
+    if (this.current === undefined || this.current.state != RUNNING) {
+      return undefined;
+    }
+    return this.current.cars[car.carId];
+  }
+
+  delivered(car, message) {
+    let match = this.current;
+    let carScore = match.cars[car.carId];
+    this.event(DELIVERY_EVENT, car.carId, message);
+    if (!carScore.done && carScore.deliveries.length >= match.ballsNeeded) {
+      carScore.done = true;
+      this.event(CAR_DONE_EVENT, car.carId, "All " + match.ballsNeeded + " balls delivered");
+      if (match.carIds.every((carId) => match.cars[carId].done)) {
+        this.finish("all balls delivered");
+      }
+    }
+  }
+
+  /************************************************************
+    Add an event to the timeline of the current match and update the scores
+   ************************************************************/
+  event(type, carId, message) {
+    let match = this.current;
+    match.timeline.push({ timestampMs: new Date().getTime(), type: type, carId: carId, message: message });
+    match.carIds.forEach((id) => {
+      let carScore = match.cars[id];
+      carScore.balls = carScore.deliveries.length;
+      carScore.points = carScore.balls * match.ballPoints - carScore.penaltyPoints;
+    });
+    this.emit('match', match);
+  }
+
+  /************************************************************
+    List finished matches, most recent first
+    Output:
+      - list of { matchId, startMs }
+   ************************************************************/
+  listMatches() {
+    return fs.readdirSync(this.dir)
+      .filter((file) => /^match-\d+\.json$/.test(file))
+      .map((file) => {
+        let matchId = file.replace('.json', '');
+        return { matchId: matchId, startMs: parseInt(matchId.replace('match-', ''), 10) };
+      })
+      .sort((a, b) => b.startMs - a.startMs);
+  }
+
+  /************************************************************
+    Read a match - the current one or a finished one from its file
+    Output:
+      - Promise resolved with the match
+   ************************************************************/
+  load(matchId) {
+    if (this.current !== undefined && this.current.matchId == matchId) {
+      return Promise.resolve(this.current);
+    }
+    return new Promise((resolve, reject) => {
+      // Match ID becomes part of the file name, so only allow the names we generate ourselves
+      if (!/^match-\d+$/.test(matchId)) {
+        reject(new Error("Match '" + matchId + "' does not exist"));
+        return;
+      }
+      fs.readFile(this.matchFile(matchId), 'utf8', (err, text) => {
+        if (err) {
+          reject(new Error("Match '" + matchId + "' does not exist"));
+          return;
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch (parseErr) {
+          console.error("ERROR: MatchManager.load(): can not read " + matchId + ": " + parseErr.message);
+          reject(new Error("Match '" + matchId + "' can not be read: " + parseErr.message));
+        }
+      });
+    });
+  }
+}
+
+/************************************************************
+  Cars of the match ordered by points, the car that got its points first wins a tie
+  Output:
+    - list of { carId, balls, penaltyPoints, points, done, lastDeliveryMs }
+ ************************************************************/
+function ranking(match) {
+  return match.carIds
+    .map((carId) => {
+      let carScore = match.cars[carId];
+      let last = carScore.deliveries[carScore.deliveries.length - 1];
+      return {
+        carId: carId,
+        balls: carScore.balls,
+        penaltyPoints: carScore.penaltyPoints,
+        points: carScore.points,
+        done: carScore.done,
+        lastDeliveryMs: last ? last.timestampMs : undefined
+      };
+    })
+    .sort((a, b) => (b.points - a.points) || ((a.lastDeliveryMs || Infinity) - (b.lastDeliveryMs || Infinity)));
+}
+
+/************************************************************
+  Seconds left on the clock of the match (of the countdown while it is counting down)
+ ************************************************************/
+function remainingSec(match) {
+  let now = new Date().getTime();
+  if (match.state == COUNTDOWN) {
+    return Math.max(0, Math.ceil((match.countdownStartMs + match.countdownSec * 1000 - now) / 1000));
+  }
+  if (match.state == RUNNING) {
+    return Math.max(0, Math.ceil((match.endsAtMs - now) / 1000));
+  }
+  return 0;
+}
+
+/************************************************************
+  Balls collected according to the most recent sensor message of the car (undefined if not known)
+ ************************************************************/
+function lastBallsCollected(car) {
+  let data = car.latestSensorData();
+  return (data !== undefined && data.carState && typeof data.carState.ballsCollected == 'number') ? data.carState.ballsCollected : undefined;
+}
+
+/************************************************************
+  Whole number of at least min given by the user (as number or string) or the default when not given
+ ************************************************************/
+function wholeNumber(value, defaultValue, name, min, errors) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  let number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    errors.push("'" + name + "' must be a whole number of at least " + min + ", got '" + value + "'");
+  }
+  return number;
+}
+
+/************************************************************
+  Matches of all cars managed by this controller
+ ************************************************************/
+function createMatchManager(fleet) {
+  return new MatchManager(fleet, config.get('MATCH_DIR'));
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.MatchManager = MatchManager;
+module.exports.createMatchManager = createMatchManager;
+module.exports.ranking = ranking;
+module.exports.remainingSec = remainingSec;
+module.exports.COUNTDOWN = COUNTDOWN;
+module.exports.RUNNING = RUNNING;
+module.exports.FINISHED = FINISHED;
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+const EventEmitter = require('events');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var MatchManager = require('./match').MatchManager;
+var ranking = require('./match').ranking;
+const RUNNING = require('./match').RUNNING;
+const FINISHED = require('./match').FINISHED;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+
+/************************************************************
+  Just enough of a car for the match: events, driving mode and the latest sensor message
+ ************************************************************/
+class TestCar extends EventEmitter {
+
+  constructor(carId) {
+    super();
+    this.carId = carId;
+    this.currentDrivingMode = MANUAL_MODE;
+  }
+
+  setDrivingMode(mode) {
+    this.currentDrivingMode = mode;
+    return true;
+  }
+
+  isEmergencyStopped() {
+    return false;
+  }
+
+  latestSensorData() {
+    return { carState: { ballsCollected: 0 } };
+  }
+}
+
+function testMatches() {
+  let cars = [new TestCar("1"), new TestCar("2")];
+  let fleet = { cars: cars, getCar: (carId) => cars.find((car) => car.carId == carId) };
+  return { matches: new MatchManager(fleet, fs.mkdtempSync(path.join(os.tmpdir(), 'match-test-'))), cars: cars };
+}
+
+// Start the match and skip the countdown
+function running(matches, carIds) {
+  let result = matches.start(carIds, "ann", { countdownSec: 10, durationSec: 60 });
+  clearTimeout(matches.timer);
+  matches.begin();
+  return result.match;
+}
+
+// Resolved once the finished match has been written to its file
+function saved(matches, matchId) {
+  return new Promise((resolve) => {
+    let check = () => fs.existsSync(matches.matchFile(matchId)) ? resolve() : setTimeout(check, 10);
+    check();
+  });
+}
+
+test('deliveries and penalties are scored and the cars go back to manual mode at the end', (t) => {
+  let { matches, cars } = testMatches();
+  let match = running(matches);
+  t.is(match.state, RUNNING);
+  t.is(cars[0].currentDrivingMode, AUTOMATIC_MODE);
+  let command = { ballCaptured: 1 };
+  cars[0].emit('command', command);
+  // Resent command is not another ball
+  cars[0].emit('command', command);
+  cars[0].emit('sensor', { carState: { ballsCollected: 1 } });
+  cars[1].emit('sensor', { carState: { ballsCollected: 2 } });
+  t.deepEqual(matches.penalty("2", undefined, "pushing", "ann"), []);
+  t.deepEqual(ranking(match).map((car) => [car.carId, car.balls, car.points]), [["2", 2, 15], ["1", 1, 10]]);
+  matches.stop("ann");
+  t.is(match.state, FINISHED);
+  t.is(cars[1].currentDrivingMode, MANUAL_MODE);
+  t.is(matches.current, undefined);
+  return saved(matches, match.matchId);
+});
+
+test('sensor message with more balls than needed finishes the match once', (t) => {
+  let { matches, cars } = testMatches();
+  let match = running(matches, ["1"]);
+  cars[0].emit('sensor', { carState: { ballsCollected: 0 } });
+  cars[0].emit('sensor', { carState: { ballsCollected: match.ballsNeeded + 2 } });
+  t.is(match.state, FINISHED);
+  t.is(match.endReason, "all balls delivered");
+  t.is(match.cars["1"].deliveries.length, match.ballsNeeded);
+  t.is(matches.current, undefined);
+  return saved(matches, match.matchId);
+});
+
+test('second match can not start while one is running', (t) => {
+  let { matches } = testMatches();
+  let match = running(matches, ["1"]);
+  t.is(matches.start(["2"], "ann").errors.length, 1);
+  t.is(matches.start(["7"], "ann").errors.length, 2);
+  matches.stop("ann");
+  return saved(matches, match.matchId);
+});
+
+test('finished matches are saved and loaded again', (t) => {
+  let { matches } = testMatches();
+  let match = running(matches, ["1"]);
+  matches.stop("ann");
+  return saved(matches, match.matchId)
+    .then(() => {
+      t.deepEqual(fs.readdirSync(matches.dir), [match.matchId + '.json']);
+      t.deepEqual(matches.listMatches().map((listed) => listed.matchId), [match.matchId]);
+      return matches.load(match.matchId);
+    })
+    .then((loaded) => {
+      t.is(loaded.endReason, "stopped by ann");
+    });
+});
+
+test('corrupt match file is reported instead of crashing the controller', (t) => {
+  let { matches } = testMatches();
+  fs.writeFileSync(matches.matchFile('match-1000'), '{ "matchId": "match-1000", "state": "fini');
+  return matches.load('match-1000').then(() => t.fail(), (err) => {
+    t.regex(err.message, /can not be read/);
+  });
+});
+
+test('only match IDs generated by the manager are loaded', (t) => {
+  let { matches } = testMatches();
+  return matches.load('../../etc/passwd').then(() => t.fail(), (err) => {
+    t.regex(err.message, /does not exist/);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const EventEmitter = require('events');
+
+/************************************************************
+  In-process message bus (see transport.js for the interface).
+  Messages published to a topic are delivered asynchronously to everybody subscribed
+  to the same name, just like they would arrive from PubSub. Nothing leaves the process,
+  which makes it useful for tests and for offline development.
+ ************************************************************/
+class MemoryTransport {
+
+  constructor() {
+    this.bus = new EventEmitter();
+    // Any number of cars and simulators may listen on the same bus
+    this.bus.setMaxListeners(0);
+  }
+
+  publish(topicName, text) {
+    return new Promise((resolve) => {
+      setImmediate(() => {
+        this.bus.emit(topicName, { data: Buffer.from(text), ack: () => {} });
+        resolve();
+      });
+    });
+  }
+
+  subscribe(subscriptionName, onMessage, onError) {
+    // Nothing can fail in memory, hence onError is never called
+    this.bus.on(subscriptionName, onMessage);
+  }
+
+  unsubscribe(subscriptionName, onMessage, onError) {
+    this.bus.removeListener(subscriptionName, onMessage);
+  }
+}
+
+// All users of the memory transport in this process share the same bus
+let sharedTransport;
+
+/************************************************************
+  Returns the memory transport shared by the whole process
+ ************************************************************/
+function sharedBus() {
+  if (!sharedTransport) {
+    sharedTransport = new MemoryTransport();
+  }
+  return sharedTransport;
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.sharedBus = sharedBus;
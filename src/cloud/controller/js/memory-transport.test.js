@@ -0,0 +1,46 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var MemoryTransport = require('./memory-transport').MemoryTransport;
+var sharedBus = require('./memory-transport').sharedBus;
+
+test('messages reach everybody subscribed to the topic, after publish() returns', (t) => {
+  let transport = new MemoryTransport();
+  let received = [];
+  let onMessage = (message) => {
+    received.push(message.data.toString());
+    message.ack();
+  };
+  transport.subscribe("topic-1", onMessage);
+  transport.subscribe("topic-1", (message) => received.push("second " + message.data));
+  transport.subscribe("topic-2", (message) => received.push("other " + message.data));
+  let published = transport.publish("topic-1", '{"a":1}');
+  t.deepEqual(received, []);
+  return published
+    .then(() => {
+      t.deepEqual(received, ['{"a":1}', 'second {"a":1}']);
+      transport.unsubscribe("topic-1", onMessage);
+      return transport.publish("topic-1", '{"a":2}');
+    })
+    .then(() => t.deepEqual(received.slice(2), ['second {"a":2}']));
+});
+
+test('the shared bus is the same for the whole process', (t) => {
+  t.is(sharedBus(), sharedBus());
+  t.true(sharedBus() instanceof MemoryTransport);
+});
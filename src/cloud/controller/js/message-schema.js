@@ -0,0 +1,244 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const DRIVE_MESSAGE_VERSION = require('./drive-message').DRIVE_MESSAGE_VERSION;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+const CONTINUOUS_SENSOR_RATE = require('./drive-message').CONTINUOUS_SENSOR_RATE;
+const ON_DEMAND_SENSOR_RATE = require('./drive-message').ON_DEMAND_SENSOR_RATE;
+const BALL_COLORS = require('./drive-message').BALL_COLORS;
+const NORMAL_PRIORITY = require('./drive-message').NORMAL_PRIORITY;
+const HIGH_PRIORITY = require('./drive-message').HIGH_PRIORITY;
+
+// Current version of the sensor messages sent by the car
+const SENSOR_MESSAGE_VERSION = "1.0";
+// Sensor messages sent before versioning was introduced do not have "version" field and are treated as this version
+const UNVERSIONED_SENSOR_MESSAGE = "0.9";
+// Public URL of the objects stored in GCS
+const GCS_PUBLIC_URL = "https://storage.googleapis.com/";
+
+/**************************************************************************
+  Schemas describe messages field by field. Each field has:
+    - type - 'number', 'string', 'boolean', 'object' or 'array' (or a list of those)
+    - required - the field must be present
+    - min, max - range of a number
+    - values - list of allowed values
+    - fields - schema of the nested object
+    - items - schema of each element of the array
+    - oneKeyOf - object must have exactly one of these fields (used for driving actions)
+ **************************************************************************/
+const SENSOR_MESSAGE_SCHEMAS = {
+  [SENSOR_MESSAGE_VERSION]: {
+    version: { type: 'string', required: true },
+    carId: { type: ['number', 'string'], required: true },
+    msgId: { type: 'number', min: 1 },
+    timestampMs: { type: 'number', required: true, min: 1 },
+    lastCommandTimestampMs: { type: 'number' },
+    carState: {
+      type: 'object', required: true, fields: {
+        ballsCollected: { type: 'number', required: true, min: 0 },
+        color: { type: 'string', required: true },
+        batteryLeft: { type: 'number' },
+        obstacleFound: { type: 'boolean' }
+      }
+    },
+    sensors: {
+      type: 'object', required: true, fields: {
+        frontLaserDistanceMm: { type: 'number' },
+        frontCameraImagePath: { type: 'string', required: true },
+        frontCameraImagePathGCS: { type: 'string', required: true }
+      }
+    }
+  }
+};
+
+const DRIVE_ACTIONS_SCHEMA = {
+  setColor: { type: 'string', values: BALL_COLORS },
+  turnLeft: { type: 'number', min: -1000, max: 0 },
+  turnRight: { type: 'number', min: 0, max: 1000 },
+  driveForwardMm: { type: 'number', min: 0, max: 5000 },
+  driveBackwardMm: { type: 'number', min: -5000, max: 0 },
+  takePhoto: { type: 'boolean' },
+  setSpeed: { type: 'number', min: 0, max: 1000 },
+  gripperPosition: { type: 'string', values: ["open", "close"] },
+  sendSensorMessage: { type: 'string', values: ["true"] },
+  stop: { type: 'boolean', values: [true] }
+};
+
+const DRIVE_MESSAGE_SCHEMAS = {
+  [DRIVE_MESSAGE_VERSION]: {
+    version: { type: 'string', required: true },
+    cloudTimestampMs: { type: 'number', required: true, min: 1 },
+    carTimestampMs: { type: 'number' },
+    mode: { type: 'string', required: true, values: [MANUAL_MODE, DEBUG_MODE, AUTOMATIC_MODE] },
+    sensorRate: { type: 'string', required: true, values: [ON_DEMAND_SENSOR_RATE, CONTINUOUS_SENSOR_RATE] },
+    priority: { type: 'string', values: [NORMAL_PRIORITY, HIGH_PRIORITY] },
+    goal: { type: 'string' },
+    ballCaptured: { type: 'number' },
+    actions: { type: 'array', required: true, items: { type: 'object', oneKeyOf: DRIVE_ACTIONS_SCHEMA } }
+  }
+};
+
+/**************************************************************************
+  Each upgrade takes the sensor message of the given version and returns the same message in the next version
+ **************************************************************************/
+const SENSOR_MESSAGE_UPGRADES = {
+  [UNVERSIONED_SENSOR_MESSAGE]: upgradeUnversionedSensorMessage
+};
+
+/************************************************************
+  Early cars sent sensors inside of carState and the camera image only as gs:// path:
+    {"carId":1,"timestampMs":1519509836918,"carState":{"ballsCollected":2,"batteryLeft":55,"sensors":{"frontLaserDistanceMm":11,"frontCameraImagePath":"gs://robot-derby-camera-1/images/image8.jpg"}}}
+ ************************************************************/
+function upgradeUnversionedSensorMessage(msg) {
+  let upgraded = JSON.parse(JSON.stringify(msg));
+  upgraded.version = "1.0";
+  if (upgraded.sensors === undefined && isObject(upgraded.carState) && isObject(upgraded.carState.sensors)) {
+    upgraded.sensors = upgraded.carState.sensors;
+    delete upgraded.carState.sensors;
+  }
+  let sensors = upgraded.sensors;
+  if (isObject(sensors) && sensors.frontCameraImagePathGCS === undefined &&
+    typeof sensors.frontCameraImagePath == 'string' && sensors.frontCameraImagePath.startsWith("gs://")) {
+    sensors.frontCameraImagePathGCS = sensors.frontCameraImagePath;
+    sensors.frontCameraImagePath = GCS_PUBLIC_URL + sensors.frontCameraImagePath.substring("gs://".length);
+  }
+  return upgraded;
+}
+
+/************************************************************
+  Bring sensor message up to the current version and validate it against the schema
+  Input:
+    - msg - parsed sensor message as received from the car
+  Output:
+    - { message: <message in the current version>, errors: [<reason of rejection>, ...] }
+      The message is valid if the list of errors is empty
+ ************************************************************/
+function validateSensorMessage(msg) {
+  if (!isObject(msg)) {
+    return { message: msg, errors: ["message must be a JSON object"] };
+  }
+  let version = msg.version === undefined ? UNVERSIONED_SENSOR_MESSAGE : msg.version;
+  while (SENSOR_MESSAGE_UPGRADES[version] !== undefined) {
+    console.log("validateSensorMessage(): upgrading sensor message from version " + version);
+    msg = SENSOR_MESSAGE_UPGRADES[version](msg);
+    version = msg.version;
+  }
+  let schema = SENSOR_MESSAGE_SCHEMAS[version];
+  if (schema === undefined) {
+    return { message: msg, errors: ["version: unsupported sensor message version '" + version + "'"] };
+  }
+  let errors = [];
+  validateFields(msg, schema, "", errors);
+  return { message: msg, errors: errors };
+}
+
+/************************************************************
+  Validate driving command against the schema of its version
+  Input:
+    - command - DriveMessage
+  Output:
+    - list of problems found in the command (empty if the command is valid)
+ ************************************************************/
+function validateDriveMessage(command) {
+  let schema = DRIVE_MESSAGE_SCHEMAS[command.version];
+  if (schema === undefined) {
+    return ["version: unsupported drive message version '" + command.version + "'"];
+  }
+  let errors = [];
+  validateFields(command, schema, "", errors);
+  return errors;
+}
+
+/************************************************************
+  Validate single action of a driving command, such as { "turnLeft": -90 }, against the schema
+  Input:
+    - action - object with exactly one of DRIVE_ACTIONS_SCHEMA
+  Output:
+    - list of problems found in the action (empty if the action is valid)
+ ************************************************************/
+function validateDriveAction(action) {
+  if (!isObject(action)) {
+    return ["action must be a JSON object, got " + JSON.stringify(action)];
+  }
+  let errors = [];
+  validateValue(action, { type: 'object', oneKeyOf: DRIVE_ACTIONS_SCHEMA }, "action", errors);
+  return errors;
+}
+
+/************************************************************
+  Check all fields of the object against the schema and add a description of every problem to the errors
+ ************************************************************/
+function validateFields(obj, schema, path, errors) {
+  Object.keys(schema).forEach((name) => {
+    let value = obj[name];
+    if (value === undefined || value === null) {
+      if (schema[name].required) {
+        errors.push(path + name + ": required field is missing");
+      }
+      return;
+    }
+    validateValue(value, schema[name], path + name, errors);
+  });
+}
+
+/************************************************************
+  Check single value against its field schema
+ ************************************************************/
+function validateValue(value, field, path, errors) {
+  let types = [].concat(field.type);
+  let type = Array.isArray(value) ? 'array' : typeof value;
+  if (types.indexOf(type) < 0) {
+    errors.push(path + ": expected " + types.join(" or ") + " but got " + type + " " + JSON.stringify(value));
+    return;
+  }
+  if (type == 'number' && (isNaN(value) || (field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max))) {
+    errors.push(path + ": " + value + " is out of range [" + (field.min === undefined ? "" : field.min) + ".." + (field.max === undefined ? "" : field.max) + "]");
+  }
+  if (field.values !== undefined && field.values.indexOf(value) < 0) {
+    errors.push(path + ": '" + value + "' is not one of " + field.values.join(", "));
+  }
+  if (field.fields !== undefined) {
+    validateFields(value, field.fields, path + ".", errors);
+  }
+  if (field.items !== undefined) {
+    value.forEach((item, i) => validateValue(item, field.items, path + "[" + i + "]", errors));
+  }
+  if (field.oneKeyOf !== undefined) {
+    let keys = Object.keys(value);
+    if (keys.length != 1 || field.oneKeyOf[keys[0]] === undefined) {
+      errors.push(path + ": expected exactly one of " + Object.keys(field.oneKeyOf).join(", ") + " but got " + JSON.stringify(value));
+    } else {
+      validateValue(value[keys[0]], field.oneKeyOf[keys[0]], path + "." + keys[0], errors);
+    }
+  }
+}
+
+function isObject(value) {
+  return typeof value == 'object' && value !== null && !Array.isArray(value);
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.SENSOR_MESSAGE_VERSION = SENSOR_MESSAGE_VERSION;
+module.exports.validateSensorMessage = validateSensorMessage;
+module.exports.validateDriveMessage = validateDriveMessage;
+module.exports.validateDriveAction = validateDriveAction;
+module.exports.DRIVE_ACTIONS_SCHEMA = DRIVE_ACTIONS_SCHEMA;
@@ -0,0 +1,58 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var DriveMessage = require('./drive-message').DriveMessage;
+var validateSensorMessage = require('./message-schema').validateSensorMessage;
+var validateDriveMessage = require('./message-schema').validateDriveMessage;
+const SENSOR_MESSAGE_VERSION = require('./message-schema').SENSOR_MESSAGE_VERSION;
+
+test('current sensor messages are accepted as they are', (t) => {
+  let msg = {
+    version: SENSOR_MESSAGE_VERSION, carId: 1, msgId: 7, timestampMs: 1519509836918,
+    carState: { ballsCollected: 2, color: "Red" },
+    sensors: { frontLaserDistanceMm: 11, frontCameraImagePath: "http://img/1.jpg", frontCameraImagePathGCS: "gs://b/1.jpg" }
+  };
+  let result = validateSensorMessage(msg);
+  t.deepEqual(result.errors, []);
+  t.deepEqual(result.message, msg);
+});
+
+test('unversioned sensor messages are upgraded to the current version', (t) => {
+  let result = validateSensorMessage({
+    carId: 1, timestampMs: 1519509836918,
+    carState: { ballsCollected: 2, color: "Red", sensors: { frontCameraImagePath: "gs://robot-derby-camera-1/images/image8.jpg" } }
+  });
+  t.deepEqual(result.errors, []);
+  t.is(result.message.version, SENSOR_MESSAGE_VERSION);
+  t.is(result.message.sensors.frontCameraImagePathGCS, "gs://robot-derby-camera-1/images/image8.jpg");
+  t.is(result.message.sensors.frontCameraImagePath, "https://storage.googleapis.com/robot-derby-camera-1/images/image8.jpg");
+});
+
+test('sensor messages with missing or wrong fields are rejected with the reasons', (t) => {
+  let result = validateSensorMessage({ version: SENSOR_MESSAGE_VERSION, carId: 1, timestampMs: "now", carState: {} });
+  t.true(result.errors.length >= 3);
+  t.true(result.errors.some((error) => error.startsWith("timestampMs")));
+  t.true(validateSensorMessage({ version: "7.0" }).errors[0].startsWith("version"));
+  t.is(validateSensorMessage("text").errors.length, 1);
+});
+
+test('drive messages with actions out of range are rejected', (t) => {
+  let command = new DriveMessage();
+  command.actions = [{ "driveBackwardMm": 100 }, { "turnLeft": -1001 }, { "fly": true }];
+  t.is(validateDriveMessage(command).length, 3);
+});
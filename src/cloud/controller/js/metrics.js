@@ -0,0 +1,225 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+// Prefix of all metric names exposed by the controller
+const METRIC_PREFIX = "robot_derby_";
+// Default histogram buckets in seconds - from quick local calls up to slow inference on a cold VM
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/************************************************************
+  Histogram of observed values (such as latencies in seconds) split by labels.
+  Written out in Prometheus text format as cumulative _bucket, _sum and _count series
+ ************************************************************/
+class Histogram {
+
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets || DEFAULT_BUCKETS;
+    // Observations for each combination of label values
+    this.series = new Map();
+  }
+
+  /************************************************************
+    Input:
+      - labels - object with the value for each of the labelNames
+      - value - observed value
+   ************************************************************/
+  observe(labels, value) {
+    let key = JSON.stringify(this.labelNames.map((name) => String(labels[name])));
+    let series = this.series.get(key);
+    if (series === undefined) {
+      series = { labels: labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  collect() {
+    let lines = header(this.name, this.help, "histogram");
+    this.series.forEach((series) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(this.name + "_bucket" + formatLabels(this.labelNames, series.labels, String(bound)) + " " + series.counts[i]);
+      });
+      lines.push(this.name + "_bucket" + formatLabels(this.labelNames, series.labels, "+Inf") + " " + series.count);
+      lines.push(this.name + "_sum" + formatLabels(this.labelNames, series.labels) + " " + series.sum);
+      lines.push(this.name + "_count" + formatLabels(this.labelNames, series.labels) + " " + series.count);
+    });
+    return lines;
+  }
+}
+
+/************************************************************
+  Counter or gauge whose values are kept elsewhere (e.g. in Car) and read when metrics are scraped
+  Input:
+    - type - "counter" or "gauge"
+    - labelNames - names of the labels
+    - read - function returning a list of { labels: {...}, value: N }
+ ************************************************************/
+class CallbackMetric {
+
+  constructor(name, help, type, labelNames, read) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.read = read;
+  }
+
+  collect() {
+    let lines = header(this.name, this.help, this.type);
+    this.read().forEach((sample) => {
+      lines.push(this.name + formatLabels(this.labelNames, sample.labels) + " " + Number(sample.value));
+    });
+    return lines;
+  }
+}
+
+/************************************************************
+  Set of metrics exposed together on /metrics
+ ************************************************************/
+class Registry {
+
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    if (this.metrics.some((registered) => registered.name == metric.name)) {
+      throw new Error("Registry.register(): metric " + metric.name + " is already registered");
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /************************************************************
+    All metrics in Prometheus text exposition format
+   ************************************************************/
+  metricsText() {
+    let lines = [];
+    this.metrics.forEach((metric) => {
+      lines = lines.concat(metric.collect());
+    });
+    return lines.join("\n") + "\n";
+  }
+}
+
+function header(name, help, type) {
+  return ["# HELP " + name + " " + help, "# TYPE " + name + " " + type];
+}
+
+/************************************************************
+  Format labels as {name="value",...}, optionally with the "le" label of a histogram bucket
+ ************************************************************/
+function formatLabels(labelNames, labels, le) {
+  let pairs = labelNames.map((name) => name + '="' + escapeLabelValue(labels[name]) + '"');
+  if (le !== undefined) {
+    pairs.push('le="' + le + '"');
+  }
+  return pairs.length == 0 ? "" : "{" + pairs.join(",") + "}";
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+// Metrics of all cars managed by this controller
+const registry = new Registry();
+
+// Latencies measured by the cars, labelled by car and driving mode at the time of the measurement
+const visionLatency = registry.register(new Histogram(METRIC_PREFIX + "vision_latency_seconds",
+  "Time it took the Object Detection API to respond", ["car", "mode"]));
+const nextMoveDuration = registry.register(new Histogram(METRIC_PREFIX + "next_move_duration_seconds",
+  "Time it took navigation to decide on the next driving command", ["car", "mode"]));
+const publishLatency = registry.register(new Histogram(METRIC_PREFIX + "command_publish_latency_seconds",
+  "Time it took the message transport to publish a driving command", ["car", "mode"]));
+
+/************************************************************
+  Expose statistics of all cars in the fleet. Counters are labelled by car only, so they do not
+  start a new series every time the mode changes - join them with robot_derby_driving_mode to split by mode
+ ************************************************************/
+function registerFleetMetrics(fleet) {
+  // Metric with the value of the field of Car.status() for every car
+  let statusMetric = (type, name, help, field) => registry.register(new CallbackMetric(METRIC_PREFIX + name, help, type, ["car"],
+    () => fleet.cars.map((car) => ({ labels: { car: car.carId }, value: car.status()[field] }))));
+  let fleetCounter = (name, help, field) => statusMetric("counter", name, help, field);
+
+  fleetCounter("messages_received_total", "Sensor messages received from the car", "totalMessagesReceived");
+  fleetCounter("messages_sent_total", "Driving commands sent to the car", "totalMessagesSent");
+  fleetCounter("errors_total", "Errors of any kind", "totalErrors");
+  fleetCounter("rejected_out_of_order_messages_total", "Sensor messages rejected as out of order or too old", "rejectedOutOfOrderMessages");
+  fleetCounter("rejected_format_messages_total", "Sensor messages rejected by the schema validation", "rejectedFormatMessages");
+  fleetCounter("duplicate_messages_total", "Sensor messages received more than once", "duplicateMessages");
+  fleetCounter("lost_messages_total", "Sensor messages that never arrived (gaps in msgId)", "lostMessages");
+  fleetCounter("reordered_messages_total", "Sensor messages that arrived after a newer one", "reorderedMessages");
+  fleetCounter("car_restarts_total", "Times the car started numbering its messages over", "carRestarts");
+  fleetCounter("commands_acknowledged_total", "Driving commands the car has acted on", "acknowledgedCommands");
+  fleetCounter("commands_resent_total", "Driving commands sent again after the acknowledgement timeout", "resentCommands");
+  fleetCounter("commands_timed_out_total", "Driving commands never acknowledged by the car", "timedOutCommands");
+  fleetCounter("watchdog_nudges_total", "Times the silent car was asked for a sensor message in automatic mode", "watchdogNudges");
+  fleetCounter("watchdog_failsafes_total", "Times the failsafe was applied to a car that stayed silent", "watchdogFailsafes");
+  fleetCounter("coalesced_messages_total", "Sensor messages replaced by a newer one while navigation was deciding", "coalescedMessages");
+  fleetCounter("stale_commands_total", "Navigation commands dropped since they were decided on a superseded picture", "staleCommands");
+  registry.register(new CallbackMetric(METRIC_PREFIX + "navigation_failures_total", "Navigation decisions that failed, by category (see recovery.js)", "counter", ["car", "category"],
+    () => [].concat.apply([], fleet.cars.map((car) => Object.keys(car.recovery.failures)
+      .map((category) => ({ labels: { car: car.carId, category: category }, value: car.recovery.failures[category] }))))));
+  fleetCounter("navigation_recovery_retries_total", "Times vision was called again on the same picture after a failure", "recoveryRetries");
+  fleetCounter("navigation_recovery_photos_total", "Times the car was asked for a fresh photo after a failure", "recoveryPhotos");
+  fleetCounter("navigation_recovery_searches_total", "Times the car was turned to look elsewhere after a failure", "recoverySearches");
+  statusMetric("gauge", "pending_commands", "Driving commands waiting for acknowledgement", "pendingCommands");
+  registry.register(new CallbackMetric(METRIC_PREFIX + "listener_up", "1 if the car's sensor message listener is running", "gauge", ["car"],
+    () => fleet.cars.map((car) => ({ labels: { car: car.carId }, value: car.listenerStatus ? 1 : 0 }))));
+  registry.register(new CallbackMetric(METRIC_PREFIX + "emergency_stopped", "1 if the car is latched in the emergency stop", "gauge", ["car"],
+    () => fleet.cars.map((car) => ({ labels: { car: car.carId }, value: car.isEmergencyStopped() ? 1 : 0 }))));
+  registry.register(new CallbackMetric(METRIC_PREFIX + "driving_mode", "Current driving mode of the car (always 1)", "gauge", ["car", "mode"],
+    () => fleet.cars.map((car) => ({ labels: { car: car.carId, mode: car.currentDrivingMode }, value: 1 }))));
+}
+
+/************************************************************
+  Expose counters of the analytics pipeline (see analytics-sink.js)
+ ************************************************************/
+function registerAnalyticsMetrics(analytics) {
+  let analyticsMetric = (type, name, help, field) => registry.register(new CallbackMetric(METRIC_PREFIX + name, help, type, [],
+    () => [{ labels: {}, value: analytics.status()[field] }]));
+
+  analyticsMetric("counter", "analytics_rows_written_total", "Rows written to the analytics sink", "rowsWritten");
+  analyticsMetric("counter", "analytics_batch_retries_total", "Batches written again after a failure", "batchRetries");
+  analyticsMetric("counter", "analytics_rows_dead_lettered_total", "Rows saved to the dead letter file after failing to be written", "rowsDeadLettered");
+  analyticsMetric("gauge", "analytics_rows_buffered", "Rows waiting to be written to the analytics sink", "rowsBuffered");
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Histogram = Histogram;
+module.exports.CallbackMetric = CallbackMetric;
+module.exports.Registry = Registry;
+module.exports.registry = registry;
+module.exports.visionLatency = visionLatency;
+module.exports.nextMoveDuration = nextMoveDuration;
+module.exports.publishLatency = publishLatency;
+module.exports.registerFleetMetrics = registerFleetMetrics;
+module.exports.registerAnalyticsMetrics = registerAnalyticsMetrics;
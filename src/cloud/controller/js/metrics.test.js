@@ -0,0 +1,67 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var Histogram = require('./metrics').Histogram;
+var CallbackMetric = require('./metrics').CallbackMetric;
+var Registry = require('./metrics').Registry;
+var registry = require('./metrics').registry;
+var registerFleetMetrics = require('./metrics').registerFleetMetrics;
+var Fleet = require('./fleet').Fleet;
+var MemoryTransport = require('./memory-transport').MemoryTransport;
+
+test('histogram buckets are cumulative and split by labels', (t) => {
+  let histogram = new Histogram("latency_seconds", "Latency", ["car"], [0.1, 1]);
+  histogram.observe({ car: "1" }, 0.05);
+  histogram.observe({ car: "1" }, 0.5);
+  histogram.observe({ car: "2" }, 3);
+  t.deepEqual(histogram.collect(), [
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{car="1",le="0.1"} 1',
+    'latency_seconds_bucket{car="1",le="1"} 2',
+    'latency_seconds_bucket{car="1",le="+Inf"} 2',
+    'latency_seconds_sum{car="1"} 0.55',
+    'latency_seconds_count{car="1"} 2',
+    'latency_seconds_bucket{car="2",le="0.1"} 0',
+    'latency_seconds_bucket{car="2",le="1"} 0',
+    'latency_seconds_bucket{car="2",le="+Inf"} 1',
+    'latency_seconds_sum{car="2"} 3',
+    'latency_seconds_count{car="2"} 1'
+  ]);
+});
+
+test('label values are escaped and names can not be registered twice', (t) => {
+  let metrics = new Registry();
+  metrics.register(new CallbackMetric("cars", "Cars", "gauge", ["car"], () => [{ labels: { car: 'say "hi"\\' }, value: 2 }]));
+  t.is(metrics.metricsText(), '# HELP cars Cars\n# TYPE cars gauge\ncars{car="say \\"hi\\"\\\\"} 2\n');
+  t.throws(() => metrics.register(new Histogram("cars", "Cars", [])), /already registered/);
+});
+
+test('fleet metrics read the counters of every car when scraped', (t) => {
+  let fleet = new Fleet([
+    { carId: 1, commandTopic: "command-topic-1", sensorSubscription: "sensor-subscription-1" },
+    { carId: 2, commandTopic: "command-topic-2", sensorSubscription: "sensor-subscription-2" }
+  ], new MemoryTransport());
+  registerFleetMetrics(fleet);
+  fleet.getCar(2).totalErrors = 4;
+  let text = registry.metricsText();
+  t.regex(text, /^robot_derby_errors_total\{car="1"\} 0$/m);
+  t.regex(text, /^robot_derby_errors_total\{car="2"\} 4$/m);
+  t.regex(text, /^robot_derby_driving_mode\{car="1",mode="manual"\} 1$/m);
+  t.regex(text, /^robot_derby_emergency_stopped\{car="2"\} 0$/m);
+});
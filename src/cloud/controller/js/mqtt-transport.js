@@ -0,0 +1,72 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const EventEmitter = require('events');
+var mqtt = require('mqtt');
+
+/************************************************************
+  Message transport over MQTT broker (see transport.js for the interface).
+  Messages are published and subscribed with QoS 1 - at least once delivery, same as PubSub.
+ ************************************************************/
+module.exports = class MqttTransport {
+
+  constructor(brokerUrl) {
+    console.log("MqttTransport(): connecting to " + brokerUrl);
+    this.client = mqtt.connect(brokerUrl);
+    // Messages received from the broker are dispatched to the handlers by topic name
+    this.topics = new EventEmitter();
+    this.topics.setMaxListeners(0);
+    this.errorHandlers = [];
+
+    this.client.on('connect', () => console.log("MqttTransport(): connected to " + brokerUrl));
+    this.client.on('message', (topic, payload) => {
+      this.topics.emit(topic, { data: payload, ack: () => {} });
+    });
+    this.client.on('error', (err) => {
+      console.error("ERROR: MqttTransport(): " + err);
+      this.errorHandlers.forEach((onError) => onError(err));
+    });
+  }
+
+  publish(topicName, text) {
+    return new Promise((resolve, reject) => {
+      this.client.publish(topicName, text, { qos: 1 }, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  subscribe(subscriptionName, onMessage, onError) {
+    if (this.topics.listenerCount(subscriptionName) == 0) {
+      this.client.subscribe(subscriptionName, { qos: 1 });
+    }
+    this.topics.on(subscriptionName, onMessage);
+    this.errorHandlers.push(onError);
+  }
+
+  unsubscribe(subscriptionName, onMessage, onError) {
+    this.topics.removeListener(subscriptionName, onMessage);
+    this.errorHandlers = this.errorHandlers.filter((handler) => handler !== onError);
+    if (this.topics.listenerCount(subscriptionName) == 0) {
+      this.client.unsubscribe(subscriptionName);
+    }
+  }
+};
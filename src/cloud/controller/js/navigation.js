@@ -15,9 +15,16 @@
  */
 
 'use strict';
-var Settings = require('./game-settings');
+const EventEmitter = require('events');
+var config = require('./config').config;
 var Vision = require('./vision');
 var DriveMessage = require('./drive-message').DriveMessage;
+var visionOverlay = require('./vision-overlay').visionOverlay;
+var DecisionTrace = require('./decision-trace').DecisionTrace;
+const TARGET_CANDIDATE = require('./decision-trace').TARGET_CANDIDATE;
+const RUNNER_UP_CANDIDATE = require('./decision-trace').RUNNER_UP_CANDIDATE;
+const FALSE_POSITIVE_CANDIDATE = require('./decision-trace').FALSE_POSITIVE_CANDIDATE;
+const OTHER_LABEL_CANDIDATE = require('./decision-trace').OTHER_LABEL_CANDIDATE;
 const SEEK_BALL_TURN = require('./drive-message').SEEK_BALL_TURN;
 const CHECK_GRIP = require('./drive-message').CHECK_GRIP;
 const GO2BASE = require('./drive-message').GO2BASE;
@@ -26,22 +33,38 @@ const SEEK_HOME_TURN = require('./drive-message').SEEK_HOME_TURN;
 // Initialize simulation engine (it may be On or Off)
 var DriveMessageSimulator = require('./simulation').DriveMessageSimulator;
 let driveSimulation = new DriveMessageSimulator();
-const TURN_SPEED = Settings.MAX_SPEED / 10;
-
-// Highest allowed Y coordinate of the top of the ball in the picture - if it is above this, we will discard the image as false positive for low confidence result
-// because balls should not fly in the air. Note that the coordinates of (0,0) are in the top left corner
-const HIGH_BALL_TOP_BOUND = 0.2;
-// If the inference confidence score is higher than this, we will still accept this as a real ball
-const HIGH_BALL_SCORE = 0.5;
 
 /************************************************************
-	Navigation class has logic for generating drive commands based on data in a sensor
+	Navigation class has logic for generating drive commands based on data in a sensor.
+	It emits 'vision' event (sensorMessage, visionResponse) for every Object Detection response it uses
+	and 'overlay' event (sensorMessage, overlay) with the object it picked from the response (see vision-overlay.js).
+	Every command it makes carries the trace of the decision (see decision-trace.js)
  ************************************************************/
-module.exports = class Navigation {
+module.exports = class Navigation extends EventEmitter {
 
-	// Reference to the outbound command history (useful for navigation decisions)
-	constructor(commandHistory) {
+	// Reference to the outbound command history (useful for navigation decisions),
+	// ID of the car to look up its settings (see config.js) and optional Object Detection client
+	// with recognizeObjects(sensorMessage) - replay.js passes one that returns recorded responses
+	constructor(commandHistory, carId, vision) {
+		super();
 		this.commandHistory = commandHistory;
+		this.carId = carId;
+		this.vision = vision || new Vision(carId);
+	}
+
+	// Current value of the setting for this car - settings can be changed at run time, so they are not cached.
+	// The value is recorded in the decision trace (if given)
+	setting(key, trace) {
+		let value = config.get(key, this.carId);
+		if (trace !== undefined) {
+			trace.constant(key, value);
+		}
+		return value;
+	}
+
+	// Turns are done at a fraction of the max speed
+	turnSpeed(trace) {
+		return this.setting('MAX_SPEED', trace) / 10;
 	}
 
 	/************************************************************
@@ -54,23 +77,35 @@ module.exports = class Navigation {
 			{"carId":1,"cloudTimestampMs":1519671071945,"carState":{"ballsCollected":0,"color":"red","batteryLeft":99},"sensors":{"frontLaserDistanceMm":90,"frontCameraImagePath":"https://storage.googleapis.com/camera-2-robot-derby-ndg3njzh/image2018-05-27025001.151062.jpg","frontCameraImagePathGCS":"gs://robot-derby-camera-1/images/image0.jpg"}}
 	 ************************************************************/
 	nextMove(sensorMessage) {
+		let trace = new DecisionTrace(sensorMessage);
 		return Promise.resolve()
 			.then(() => {
 				console.log("nextMove(): Car has " + sensorMessage.carState.ballsCollected + " balls onboard.");
+				let go2baseCommands = this.countGoals(GO2BASE);
+				let seekHomeTurns = this.countGoals(SEEK_HOME_TURN);
+				trace.step("nextMove", { go2baseCommands: go2baseCommands, seekHomeTurns: seekHomeTurns });
 
-				if ((this.countGoals(GO2BASE) > 0) || (this.countGoals(SEEK_HOME_TURN) > 0)) {
+				if ((go2baseCommands > 0) || (seekHomeTurns > 0)) {
 					console.log("nextMove(): looking for the home base");
+					trace.branch("home", "the last command was going to or looking for the home base");
 					return Promise.resolve()
 						.then(() => {
-							return this.navigate2home(sensorMessage);
+							return this.navigate2home(sensorMessage, trace);
 						});
-				} else if (sensorMessage.carState.ballsCollected < Settings.BALLS_NEEDED) {
+				} else if (sensorMessage.carState.ballsCollected < this.setting('BALLS_NEEDED', trace)) {
 					console.log("nextMove(): looking for the ball");
-					return this.navigate2ball(sensorMessage);
+					trace.branch("ball", "fewer balls collected than BALLS_NEEDED");
+					return this.navigate2ball(sensorMessage, trace);
 				} else {
 					console.log("nextMove(): All balls collected and brought home - I guess we are done then :-))).");
+					trace.branch("gameOver", "all balls collected");
 					return this.gameOver(sensorMessage);
 				}
+			})
+			.then((command) => {
+				trace.finish(command);
+				command.setTrace(trace);
+				return command;
 			});
 	}
 
@@ -81,19 +116,23 @@ module.exports = class Navigation {
 		Output:
 			- driving command
 	 ************************************************************/
-	navigate2home(sensorMessage) {
+	navigate2home(sensorMessage, trace) {
 		console.log(`navigate2home()...`);
 
 		// Run image recognition on the image we got from the car sensors
-		return (new Vision()).recognizeObjects(sensorMessage)
+		return this.vision.recognizeObjects(sensorMessage)
 			.then((response) => {
+				this.emit('vision', sensorMessage, response);
+				trace.step("vision", { objects: response.bBoxes.length, latencyMs: response.latencyMs });
 				// Compose the object label as identified by Object Detection API (aka "red_home", etc.)
 				// console.log("navigate2home(): Getting the objectLabel...");
-				let objectLabel = sensorMessage.carState.color + Settings.HOME_LABEL_SUFFIX;
+				let objectLabel = sensorMessage.carState.color + this.setting('HOME_LABEL_SUFFIX', trace);
 
 				// Find the base of this car
 				// console.log("navigate2home(): Finding nearest object");
-				let bBox = this.findNearestObject(objectLabel, response);
+				let rejected = [];
+				let bBox = this.findNearestObject(objectLabel, response, rejected, trace);
+				this.emitOverlay(sensorMessage, response, objectLabel, bBox, rejected, this.setting('HOME_SIZE_MM'));
 
 				let command;
 
@@ -104,12 +143,13 @@ module.exports = class Navigation {
 
 				if (bBox != undefined) {
 					// We found the home base in the image and need to go towards it
-					command = this.calculateHomeDirections(bBox, obstacle_found, response);
+					command = this.calculateHomeDirections(bBox, obstacle_found, response, trace);
 				} else {
 					// The home base was not found in the image. Need a strategy to seek the base,
 					// get it into the image frame and then navigate towards it
 					console.log("navigate2home()... no object of proper type was found in the image.");
-					command = this.homeSearchStrategy(response);
+					trace.branch("search", "no " + objectLabel + " in the picture");
+					command = this.homeSearchStrategy(response, trace);
 				}
 
 				// console.log("navigate2home(): setting the correlation ID");
@@ -130,7 +170,7 @@ module.exports = class Navigation {
 		Output:
 			- driving command
 	 ************************************************************/
-	navigate2ball(sensorMessage) {
+	navigate2ball(sensorMessage, trace) {
 		console.log("navigate2ball()...");
 
 		// Are we in a simulation mode?
@@ -139,21 +179,26 @@ module.exports = class Navigation {
 			return Promise.resolve()
 				.then(() => {
 					console.log("navigate2ball...using driveSimulation");
+					trace.branch("simulation", "drive simulation is on");
 					return driveSimulation.nextDrivingCommand();
 				});
 		}
 
 		// Run image recognition on the image we got from the car sensors
-		return (new Vision()).recognizeObjects(sensorMessage)
+		return this.vision.recognizeObjects(sensorMessage)
 			.then((response) => {
+				this.emit('vision', sensorMessage, response);
+				trace.step("vision", { objects: response.bBoxes.length, latencyMs: response.latencyMs });
 				// Compose the object label as identified by Object Detection API (aka "red_ball", etc.)
 				// console.log("navigate2ball(): Getting the objectLabel...");
-				let objectLabel = sensorMessage.carState.color + Settings.BALL_LABEL_SUFFIX;
+				let objectLabel = sensorMessage.carState.color + this.setting('BALL_LABEL_SUFFIX', trace);
 
 				// Find the ball nearest to the car by using the label we composed above
 				// Note that Vision API needs to be using proper image labels so we can find what we need
 				// console.log("navigate2ball(): Finding nearest object");
-				let bBox = this.findNearestObject(objectLabel, response);
+				let rejected = [];
+				let bBox = this.findNearestObject(objectLabel, response, rejected, trace);
+				this.emitOverlay(sensorMessage, response, objectLabel, bBox, rejected, this.setting('BALL_SIZE_MM'));
 
 				let command;
 
@@ -164,12 +209,13 @@ module.exports = class Navigation {
 
 				if (bBox != undefined) {
 					// We found the ball in the image and need to go towards it
-					command = this.calculateBallDirections(bBox, obstacle_found, response);
+					command = this.calculateBallDirections(bBox, obstacle_found, response, trace);
 				} else {
 					// The ball was not found in the image. Need a strategy to seek the ball,
 					// get it into the image frame and then navigate towards it
 					console.log("navigate2ball()... no object of proper type was found in the image.");
-					command = this.ballSearchStrategy(response);
+					trace.branch("search", "no " + objectLabel + " in the picture");
+					command = this.ballSearchStrategy(response, trace);
 				}
 
 				// console.log("navigate2ball(): setting the correlation ID");
@@ -209,18 +255,21 @@ module.exports = class Navigation {
 		Ouput:
 			- Driving commands for car to execute in pusuit of search for the ball
 	 ************************************************************/
-	ballSearchStrategy(visionResponse) {
+	ballSearchStrategy(visionResponse, trace) {
 		console.log("ballSearchStrategy()... Object was not in the frame");
 		let command = new DriveMessage();
 		command.setModeAutomatic();
 
 		// Since the needed ball was not in the frame, need to turn the car to be able to take a new picture
-		if (this.countGoals(SEEK_BALL_TURN) < 5) {
+		let seekBallTurns = this.countGoals(SEEK_BALL_TURN);
+		if (seekBallTurns < 5) {
 			let angle = 67;
-			console.log("ballSearchStrategy(): turning by " + angle + " degrees for the '" + this.countGoals(SEEK_BALL_TURN) + "'th time");
+			console.log("ballSearchStrategy(): turning by " + angle + " degrees for the '" + seekBallTurns + "'th time");
+			trace.branch("seekBallTurn", "turned " + seekBallTurns + " times so far, fewer than 5");
+			trace.constant("SEEK_BALL_TURN_DEGREES", angle);
 			// Try to put a ball in a picture frame
 			command.setGoalSeekBallTurn();
-			command.setSpeed(TURN_SPEED);
+			command.setSpeed(this.turnSpeed(trace));
 			command.makeTurn(angle);
 		} else {
 			// However if after several turns the ball was still not found, need to drive somewhere
@@ -236,8 +285,10 @@ module.exports = class Navigation {
 			}
 
 			console.log("ballSearchStrategy()... moving by random distance of " + distance);
+			trace.branch("seekBallMove", "turned " + seekBallTurns + " times without finding the ball");
+			trace.step("randomMove", { minDistanceMm: minDistanceMm, maxRandomDistanceMm: maxRandomDistanceMm, distanceMm: distance });
 			// Since we do not need high precision - can turn very quickly here
-			command.setSpeed(TURN_SPEED);
+			command.setSpeed(this.turnSpeed(trace));
 			command.drive(distance);
 		}
 
@@ -252,7 +303,7 @@ module.exports = class Navigation {
 			Ouput:
 				- Driving commands for car to execute in pusuit of search for the object
 		 ************************************************************/
-	homeSearchStrategy(visionResponse) {
+	homeSearchStrategy(visionResponse, trace) {
 		console.log("homeSearchStrategy(): Home base was not in the frame");
 		let command = new DriveMessage();
 		command.setModeAutomatic();
@@ -262,9 +313,11 @@ module.exports = class Navigation {
 		if (homeTurns < 5) {
 			let angle = 60;
 			console.log("homeSearchStrategy()... turning by " + angle + " degrees for the '" + homeTurns + "'th time");
+			trace.branch("seekHomeTurn", "turned " + homeTurns + " times so far, fewer than 5");
+			trace.constant("SEEK_HOME_TURN_DEGREES", angle);
 			// Try to put a ball in a picture frame
 			command.setGoalSeekHomeTurn();
-			command.setSpeed(Settings.MAX_SPEED);
+			command.setSpeed(this.setting('MAX_SPEED', trace));
 			command.makeTurn(angle);
 		} else {
 			// However if after several turns the home base was still not found, need to drive somewhere
@@ -275,8 +328,10 @@ module.exports = class Navigation {
 			let distance = minDistanceMm + Math.floor(Math.random() * maxRandomDistanceMm);
 
 			console.log("homeSearchStrategy()... moving by random distance of " + distance);
+			trace.branch("seekHomeMove", "turned " + homeTurns + " times without finding the home base");
+			trace.step("randomMove", { minDistanceMm: minDistanceMm, maxRandomDistanceMm: maxRandomDistanceMm, distanceMm: distance });
 			// Since we do not need high precision - can turn very quickly here
-			command.setSpeed(Settings.MAX_SPEED);
+			command.setSpeed(this.setting('MAX_SPEED', trace));
 			command.drive(distance);
 		}
 
@@ -304,16 +359,34 @@ module.exports = class Navigation {
 		console.log("countGoals(): goal '" + goal + "' was found " + result + " times");
 		return result;
 	}
+	/************************************************************
+		Let the dashboard draw what Object Detection found, which object was picked and where it is
+		Input:
+			- objectLabel, bBox, rejected - what was looked for, what was picked and what was dropped as false positives
+			- objectSizeMm - real size of the object to calculate the distance
+	 ************************************************************/
+	emitOverlay(sensorMessage, response, objectLabel, bBox, rejected, objectSizeMm) {
+		let angle;
+		let distanceMm;
+		if (bBox != undefined) {
+			angle = this.findAngle(bBox);
+			distanceMm = this.findDistanceMM(bBox, objectSizeMm);
+		}
+		this.emit('overlay', sensorMessage, visionOverlay(sensorMessage, response, objectLabel, bBox, rejected, angle, distanceMm));
+	}
+
 	/************************************************************
 			Based on the list of object locations, find the object closest to observer.
 			This assumes that all objects of this label are the same size
 			Input:
 				- object label
 				- list of object bounding boxes found by Object Detection
+				- rejected - optional list to add the objects dropped as false positives to
+				- trace - optional decision trace to record every object and the verdict on it
 			Ouput:
 				- Bounding box for the nearest object (may be undefined if object not found)
 		 ************************************************************/
-	findNearestObject(objectType, visionResponse) {
+	findNearestObject(objectType, visionResponse, rejected, trace) {
 		// TODO - need to take into account the confidence score of the inference to decide which ball to go after
 		console.log("findNearestObject(): Looking for an object of type <" + objectType + ">");
 		// At the start, no object of this type is found yet, hence the size is 0
@@ -327,9 +400,15 @@ module.exports = class Navigation {
 
 			// TODO - this needs to be tested - false positive ball detection
 			// For object type of "ball" its upper border should never be above certain heigh of the image with low confidence score
-			if ((obj.label.toLocaleLowerCase().indexOf(Settings.BALL_LABEL_SUFFIX.toLocaleLowerCase()) >= 0) &
-				(obj.score < HIGH_BALL_SCORE) & (obj.y < HIGH_BALL_TOP_BOUND)) {
-				console.log("findNearestObject(): likely a false positive - confidence score of " + obj.score + "is below threshold of " + HIGH_BALL_SCORE + " with upper boundary of the ball being " + (obj.y + obj.h) + " above threshold of " + HIGH_BALL_TOP_BOUND);
+			if ((obj.label.toLocaleLowerCase().indexOf(this.setting('BALL_LABEL_SUFFIX', trace).toLocaleLowerCase()) >= 0) &
+				(obj.score < this.setting('HIGH_BALL_SCORE', trace)) & (obj.y < this.setting('HIGH_BALL_TOP_BOUND', trace))) {
+				console.log("findNearestObject(): likely a false positive - confidence score of " + obj.score + "is below threshold of " + this.setting('HIGH_BALL_SCORE') + " with upper boundary of the ball being " + (obj.y + obj.h) + " above threshold of " + this.setting('HIGH_BALL_TOP_BOUND'));
+				if (rejected !== undefined) {
+					rejected.push(obj);
+				}
+				if (trace !== undefined) {
+					trace.candidate(obj, FALSE_POSITIVE_CANDIDATE, { reason: "score below HIGH_BALL_SCORE with the top above HIGH_BALL_TOP_BOUND" });
+				}
 				continue;
 			}
 
@@ -337,14 +416,22 @@ module.exports = class Navigation {
 			if (obj.label.toLocaleLowerCase().indexOf(objectType.toLowerCase()) >= 0) {
 				// Consider the largest size - vertical or horizontal (object may be covered partially) - and multiply this by the confidence score
 				let thisSize = Math.max(obj.w, obj.h) * obj.score;
+				if (trace !== undefined) {
+					trace.candidate(obj, RUNNER_UP_CANDIDATE, { size: thisSize });
+				}
 				// Is current object bigger and more likely than the one found earlier?
 				if (foundSize < thisSize) {
 					foundSize = thisSize;
 					nearestObject = obj;
 				}
+			} else if (trace !== undefined) {
+				trace.candidate(obj, OTHER_LABEL_CANDIDATE, { reason: "not a " + objectType });
 			}
 		}
 
+		if (trace !== undefined) {
+			trace.target(nearestObject);
+		}
 		console.log("findNearestObject(): done: " + JSON.stringify(nearestObject));
 		return nearestObject;
 	}
@@ -354,40 +441,44 @@ module.exports = class Navigation {
 		Input:
 			- bBox - bounding box with coordinates of the nearest ball
 	 		- obstacleFound - did we detect an obstacle
+			- response - Object Detection response (for the search strategy)
+			- trace - decision trace to record the calculations and the branch taken
 		Ouput:
 			- Initialized command object with sequence of actions/directions
 	 ************************************************************/
-	calculateBallDirections(bBox, obstacleFound, response) {
+	calculateBallDirections(bBox, obstacleFound, response, trace) {
 		console.log("calculateBallDirections(): start");
-		let angle = this.findAngle(bBox);
-		let distance = this.findDistanceMM(bBox, Settings.BALL_SIZE_MM);
+		let angle = this.findAngle(bBox, trace);
+		let distance = this.findDistanceMM(bBox, this.setting('BALL_SIZE_MM', trace), trace);
 		let command = new DriveMessage();
 		command.setModeAutomatic();
 		// At this distance or closer we need to be moving slow not to kick the ball out too far
-		const slowApproachZoneMm = 250;
+		const slowApproachZoneMm = this.setting('SLOW_APPROACH_ZONE_MM', trace);
 		// At this distance we can close gripper and have our ball
 		// TODO - this works for the original camera
 		// const ballCaptureDistanceMm = 35;
-		const ballCaptureDistanceMm = 70;
+		const ballCaptureDistanceMm = this.setting('BALL_CAPTURE_DISTANCE_MM', trace);
 		// We can grasp the ball within this angle spread to each side
-		const ballCaptureAngle = 10;
+		const ballCaptureAngle = this.setting('BALL_CAPTURE_ANGLE', trace);
 		// This is how far the car will drive super slowly to make sure ball is really in the gripper
 		const EXTRA_DISTANCE = 30;
 
 		if (Math.abs(angle) <= ballCaptureAngle && distance <= ballCaptureDistanceMm) {
 			// If we came here second time after gripping the ball, this means we really have it in the gripper and can now go to the base
 			if (this.commandHistory[this.commandHistory.length - 1].goal == CHECK_GRIP) {
+				trace.branch("gripConfirmed", "ball still in the gripper after checking the grip");
 				command.setGoalGo2Base();
 				return command;
 			}
 			// We are close enough and at the proper angle so that we can capture the ball (yay!)
 			console.log("calculateBallDirections(): initiate ball capture protocol");
+			trace.branch("capture", "angle " + angle + " within BALL_CAPTURE_ANGLE and distance " + distance + " mm within BALL_CAPTURE_DISTANCE_MM");
 			// command.setGoalCaptureBall();
 			command.gripperClose();
 			// We set the goal to check grip so that we come into this second time we know what we wanted to do - see code above
 			command.setGoalCheck4Grip();
 			// Drive backwards so we can make sure next time we still have the ball in the grip
-			command.setSpeed(Settings.MAX_SPEED / 2);
+			command.setSpeed(this.setting('MAX_SPEED', trace) / 2);
 			command.drive(-slowApproachZoneMm);
 			// It is more likely that the base is behind us - hence the turn
 			// command.setSpeed(Settings.MAX_SPEED);
@@ -400,33 +491,38 @@ module.exports = class Navigation {
 		console.log("calculateBallDirections(): ball is either too far or is not aligned by angle.");
 		command.setGoalGo2Ball();
 		// Since we do need high precision - need to turn slowly
-		command.setSpeed(Settings.MAX_SPEED * 0.05);
+		command.setSpeed(this.setting('MAX_SPEED') * 0.05);
 		command.makeTurn(angle);
     */
 
 		// First part of the distance go at max speed
-		let speed = Settings.MAX_SPEED;
+		let speed = this.setting('MAX_SPEED', trace);
 
     if (distance < slowApproachZoneMm) {
       console.log("calculateBallDirections(): ball is close! Let's slow down the car and adjust angle on approach.");
+			trace.branch("slowApproach", "distance " + distance + " mm within SLOW_APPROACH_ZONE_MM");
+			trace.constant("EXTRA_DISTANCE", EXTRA_DISTANCE);
       command.setGoalGo2Ball();
       command.makeTurn(angle);
       command.gripperOpen();
 			// Last part of the journey we need to slow down as to not kick the ball away
-			speed = Settings.MAX_SPEED * 0.05;
+			speed = this.setting('MAX_SPEED', trace) * 0.05;
 			// Always drive extre few cm to make sure we have the ball in the gripper
 			distance = distance + EXTRA_DISTANCE;
 		}
 		else if (obstacleFound) {
       console.log("calculateBallDirections(): these aren't the droids you're looking for. navigating around the obstacle");
-			return this.ballSearchStrategy(response);
+			trace.branch("obstacle", "the car reported an obstacle on the way to the ball");
+			return this.ballSearchStrategy(response, trace);
     }
 		else {
       console.log("calculateBallDirections(): ball is either too far or is not aligned by angle.");
+			trace.branch("approach", "ball is " + distance + " mm away, beyond SLOW_APPROACH_ZONE_MM");
       command.setGoalGo2Ball();
       command.makeTurn(angle);
       distance = distance - slowApproachZoneMm * 0.5;
 		}
+		trace.step("drive", { speed: speed, distanceMm: distance });
 
 		command.setSpeed(speed);
 		command.drive(distance);
@@ -442,26 +538,27 @@ module.exports = class Navigation {
 			Ouput:
 				- Initialized command object with sequence of actions/directions
 		 ************************************************************/
-	calculateHomeDirections(bBox, obstacleFound, response) {
+	calculateHomeDirections(bBox, obstacleFound, response, trace) {
 		console.log("calculateHomeDirections(): start...");
-		let angle = this.findAngle(bBox);
-		let distance = this.findDistanceMM(bBox, Settings.HOME_SIZE_MM);
+		let angle = this.findAngle(bBox, trace);
+		let distance = this.findDistanceMM(bBox, this.setting('HOME_SIZE_MM', trace), trace);
 		let command = new DriveMessage();
 		command.setModeAutomatic();
 		// How far from the home base sign can we release the ball
-		const BALL_RELEASE_DISTANCE = 850;
+		const BALL_RELEASE_DISTANCE = this.setting('BALL_RELEASE_DISTANCE_MM', trace);
 		// How far the car will drive to make sure it is really at the home base
 		const EXTRA_DISTANCE = 100;
 
 		if (distance < BALL_RELEASE_DISTANCE) {
 			console.log("calculateHomeDirections(): We are close enough to the home base - release the ball");
+			trace.branch("release", "home base is " + distance + " mm away, within BALL_RELEASE_DISTANCE_MM");
 			command.addBallCount();
 			command.gripperOpen();
-			command.setSpeed(Settings.MAX_SPEED / 10);
+			command.setSpeed(this.setting('MAX_SPEED', trace) / 10);
 			command.drive(-100);
-			command.setSpeed(Settings.MAX_SPEED);
+			command.setSpeed(this.setting('MAX_SPEED', trace));
 			command.drive(-1000);
-			command.setSpeed(TURN_SPEED);
+			command.setSpeed(this.turnSpeed(trace));
 			command.turnRight(90);
 			// After we release the ball and go back for more, we want to do all the driving with a closed gripper to prevent random balls from getting into the grip
 			command.gripperClose();
@@ -471,16 +568,20 @@ module.exports = class Navigation {
 
 		if (obstacleFound) {
       console.log("calculateHomeDirections(): there is an object in our way. navigating around the obstacle");
-      return this.homeSearchStrategy(response);
+			trace.branch("obstacle", "the car reported an obstacle on the way to the home base");
+      return this.homeSearchStrategy(response, trace);
     }
 
 		// We are close enough and at the proper angle so that we can capture the ball (yay!)
 		console.log("calculateHomeDirections(): moving towards the home base");
+		trace.branch("approach", "home base is " + distance + " mm away, beyond BALL_RELEASE_DISTANCE_MM");
+		trace.constant("EXTRA_DISTANCE", EXTRA_DISTANCE);
 		command.setGoalGo2Base();
-		command.setSpeed(TURN_SPEED);
+		command.setSpeed(this.turnSpeed(trace));
 		command.makeTurn(angle);
-		command.setSpeed(Settings.MAX_SPEED);
+		command.setSpeed(this.setting('MAX_SPEED', trace));
 		command.drive(distance - BALL_RELEASE_DISTANCE + EXTRA_DISTANCE);
+		trace.step("drive", { speed: this.setting('MAX_SPEED'), distanceMm: distance - BALL_RELEASE_DISTANCE + EXTRA_DISTANCE });
 		return command;
 	}
 
@@ -492,8 +593,8 @@ module.exports = class Navigation {
 		Ouput:
 			- Angle where the object is located - positive means turn right, negative is turn left
 	 ************************************************************/
-	findAngle(bBox) {
-		const ANGLE_CALIBRATION_MULTIPLIER = 0.75;
+	findAngle(bBox, trace) {
+		const ANGLE_CALIBRATION_MULTIPLIER = this.setting('ANGLE_CALIBRATION_MULTIPLIER', trace);
 
 		// Find horizontal center of the object
 		let centerX = parseFloat(bBox.x) + (parseFloat(bBox.w) / 2);
@@ -511,9 +612,12 @@ module.exports = class Navigation {
 
 		// -------- This is using relative coordinates
 		// console.log("findAngle(): Settings.camera.H_FIELD_OF_VIEW=" + parseFloat(Settings.camera.H_FIELD_OF_VIEW));
-		let angle = (centerX - 0.5) * parseFloat(Settings.camera.H_FIELD_OF_VIEW) * ANGLE_CALIBRATION_MULTIPLIER;
+		let angle = (centerX - 0.5) * parseFloat(this.setting('H_FIELD_OF_VIEW', trace)) * ANGLE_CALIBRATION_MULTIPLIER;
 
 		console.log("findAngle(): " + angle.toFixed(0));
+		if (trace !== undefined) {
+			trace.step("findAngle", { centerX: centerX, angle: Math.round(angle) });
+		}
 		return Math.round(angle);
 	}
 
@@ -525,7 +629,7 @@ module.exports = class Navigation {
 		Ouput:
 			- Distance to the object in mm
 	 ************************************************************/
-	findDistanceMM(bBox, realObjectVerticalSizeMm) {
+	findDistanceMM(bBox, realObjectVerticalSizeMm, trace) {
 		// Calibration constant - this is used to adjust and calibrate distance calculation based on specifics of camera, ball, etc.
 		const CALIBRATION_MULTIPLIER = 1;
 		const CALIBRATION_ADDON_MM = 0;
@@ -534,10 +638,11 @@ module.exports = class Navigation {
 		let relative_object_size = Math.max(bBox.h, bBox.w);
 
 		// This uses relative coordinates - 0 to 1 relative to the overall image size
-		let distanceMM = (Settings.camera.FOCAL_LENGTH_MM * realObjectVerticalSizeMm / (relative_object_size *
-			Settings.camera.SENSOR_HEIGHT_MM)) - Settings.MIN_DISTANCE_TO_CAMERA_MM;
+		let distanceMM = (this.setting('FOCAL_LENGTH_MM', trace) * realObjectVerticalSizeMm / (relative_object_size *
+			this.setting('SENSOR_HEIGHT_MM', trace))) - this.setting('MIN_DISTANCE_TO_CAMERA_MM', trace);
 
 		console.log("findDistance(): Calculated: " + distanceMM.toFixed(0) + " mm");
+		let calculatedMm = Math.round(distanceMM);
 		// This part below really should have been done by non-linear regression, but as a hack do it manually for now
 		if (distanceMM < 95) {
 			distanceMM = 20;
@@ -546,6 +651,9 @@ module.exports = class Navigation {
 		}
 
 		console.log("findDistance(): Corrected: " + distanceMM.toFixed(0) + " mm");
+		if (trace !== undefined) {
+			trace.step("findDistanceMM", { objectSizeMm: realObjectVerticalSizeMm, relativeSize: relative_object_size, calculatedMm: calculatedMm, correctedMm: Math.round(distanceMM) });
+		}
 		return Math.round(distanceMM);
 	}
 };
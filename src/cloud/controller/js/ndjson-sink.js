@@ -0,0 +1,49 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+var path = require('path');
+
+/************************************************************
+  Analytics sink that appends rows to local NDJSON files - one file per table (<dir>/<table>.ndjson),
+  one row per line. Lets the analytics pipeline run and be tested without BigQuery
+  (see analytics-sink.js for the interface)
+ ************************************************************/
+module.exports = class NdjsonSink {
+
+  constructor(dir) {
+    this.dir = dir;
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+    console.log("NdjsonSink(): writing analytics rows into " + dir);
+  }
+
+  insert(table, rows) {
+    return new Promise((resolve, reject) => {
+      let lines = rows.map((row) => JSON.stringify(row) + '\n').join('');
+      fs.appendFile(path.join(this.dir, table + '.ndjson'), lines, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+};
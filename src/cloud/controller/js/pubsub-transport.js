@@ -0,0 +1,68 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var PubSub = require('@google-cloud/pubsub');
+
+/************************************************************
+  Message transport over Google Cloud PubSub (see transport.js for the interface)
+
+  By default, the client will authenticate using the service account file
+  specified by the GOOGLE_APPLICATION_CREDENTIALS environment variable and use
+  the project specified by the GCLOUD_PROJECT environment variable. See
+  https://googlecloudplatform.github.io/gcloud-node/#/docs/google-cloud/latest/guides/authentication
+  These environment variables are set automatically on Google App Engine
+ ************************************************************/
+module.exports = class PubSubTransport {
+
+  constructor() {
+    this.pubsub = PubSub();
+    // Topic and subscription objects are reused - listeners are attached to the subscription object
+    this.topics = {};
+    this.subscriptions = {};
+  }
+
+  publish(topicName, text) {
+    if (!this.topics[topicName]) {
+      this.topics[topicName] = this.pubsub.topic(topicName);
+    }
+    return new Promise((resolve, reject) => {
+      this.topics[topicName].publish(text, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  subscribe(subscriptionName, onMessage, onError) {
+    if (!this.subscriptions[subscriptionName]) {
+      this.subscriptions[subscriptionName] = this.pubsub.subscription(subscriptionName);
+    }
+    this.subscriptions[subscriptionName].on(`message`, onMessage);
+    this.subscriptions[subscriptionName].on(`error`, onError);
+  }
+
+  unsubscribe(subscriptionName, onMessage, onError) {
+    let subscription = this.subscriptions[subscriptionName];
+    if (subscription) {
+      subscription.removeListener(`message`, onMessage);
+      subscription.removeListener(`error`, onError);
+    }
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+// The policy and its limits are read from the configuration every time, so they can be changed at runtime
+var config = require('./config').config;
+var DriveMessage = require('./drive-message').DriveMessage;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+var VisionError = require('./vision-error').VisionError;
+const VISION_NO_IMAGE = require('./vision-error').VISION_NO_IMAGE;
+const VISION_HTTP_STATUS = require('./vision-error').VISION_HTTP_STATUS;
+const VISION_NETWORK = require('./vision-error').VISION_NETWORK;
+const VISION_BAD_RESPONSE = require('./vision-error').VISION_BAD_RESPONSE;
+
+// Failures that are not about vision - a bug in navigation or a broken sensor message
+const NAVIGATION_FAILURE = "navigation";
+// Categories failures are counted by
+const FAILURE_CATEGORIES = [VISION_NO_IMAGE, VISION_HTTP_STATUS, VISION_NETWORK, VISION_BAD_RESPONSE, NAVIGATION_FAILURE];
+
+// Recovery policies (NAVIGATION_FAILURE_POLICY setting)
+const RETRY_POLICY = "retry";
+const PHOTO_POLICY = "photo";
+const SEARCH_POLICY = "search";
+
+/************************************************************
+  Recovery of a single car from failed navigation decisions. In on-demand mode the car only sends
+  the next sensor message after a command, so a decision that fails without a command leaves the car waiting.
+
+  Depending on NAVIGATION_FAILURE_POLICY:
+    - retry - vision is called again on the same picture up to NAVIGATION_RETRIES times, then the car is asked for a fresh photo.
+      A missing picture is never retried
+    - photo - the car is asked for a fresh photo right away
+    - search - the car turns by NAVIGATION_SEARCH_TURN_DEGREES and sends a fresh photo
+
+  Failures are counted by category (see FAILURE_CATEGORIES), recoveries by what was done
+ ************************************************************/
+class Recovery {
+
+  // ID of the car to look up the NAVIGATION_* settings for
+  constructor(carId) {
+    this.carId = carId;
+    this.reset();
+  }
+
+  reset() {
+    this.failures = {};
+    FAILURE_CATEGORIES.forEach((category) => {
+      this.failures[category] = 0;
+    });
+    this.retries = 0;
+    this.photos = 0;
+    this.searches = 0;
+    // { timestampMs, msgId, category, message } of the most recent failure
+    this.lastFailure = undefined;
+  }
+
+  /************************************************************
+    Count the failure of navigation to decide on the sensor message
+    Output:
+      - category of the failure
+   ************************************************************/
+  failed(sensorMessage, err) {
+    let category = (err instanceof VisionError) ? err.category : NAVIGATION_FAILURE;
+    this.failures[category]++;
+    this.lastFailure = {
+      timestampMs: new Date().getTime(),
+      msgId: sensorMessage.msgId,
+      category: category,
+      message: (err instanceof Error) ? err.message : String(err)
+    };
+    console.error("ERROR: Recovery.failed(carId=" + this.carId + "): " + category + " failure on message " + sensorMessage.msgId + ": " + this.lastFailure.message);
+    return category;
+  }
+
+  totalFailures() {
+    return FAILURE_CATEGORIES.reduce((total, category) => total + this.failures[category], 0);
+  }
+
+  /************************************************************
+    Should vision be called again on the same picture?
+    Input:
+      - err - why navigation failed
+      - attempt - how many times it has been retried already
+   ************************************************************/
+  shouldRetry(err, attempt) {
+    if (config.get('NAVIGATION_FAILURE_POLICY', this.carId) != RETRY_POLICY || !(err instanceof VisionError) ||
+      err.category == VISION_NO_IMAGE || attempt >= config.get('NAVIGATION_RETRIES', this.carId)) {
+      return false;
+    }
+    this.retries++;
+    console.log("Recovery.shouldRetry(carId=" + this.carId + "): calling vision again (" + (attempt + 1) + " of " + config.get('NAVIGATION_RETRIES', this.carId) + ")");
+    return true;
+  }
+
+  retryDelayMs() {
+    return config.get('NAVIGATION_RETRY_DELAY_MS', this.carId);
+  }
+
+  /************************************************************
+    Command to get the car going again once navigation has given up on the sensor message
+    Input:
+      - sensorMessage - message navigation has failed on
+      - mode - current driving mode of the car, the car takes the mode from every command it gets
+    Output:
+      - DriveMessage asking for a fresh photo (after a turn with the search policy)
+   ************************************************************/
+  fallbackCommand(sensorMessage, mode) {
+    let command = new DriveMessage();
+    if (mode == AUTOMATIC_MODE) {
+      command.setModeAutomatic();
+    } else if (mode == DEBUG_MODE) {
+      command.setModeDebug();
+    }
+    if (config.get('NAVIGATION_FAILURE_POLICY', this.carId) == SEARCH_POLICY) {
+      let degrees = config.get('NAVIGATION_SEARCH_TURN_DEGREES', this.carId);
+      this.searches++;
+      console.log("Recovery.fallbackCommand(carId=" + this.carId + "): turning by " + degrees + " degrees to look for a better picture");
+      command.makeTurn(degrees);
+    } else {
+      this.photos++;
+      console.log("Recovery.fallbackCommand(carId=" + this.carId + "): asking the car for a fresh photo");
+    }
+    command.setCorrelationID(sensorMessage.timestampMs);
+    command.sendSensorMessage();
+    return command;
+  }
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Recovery = Recovery;
+module.exports.FAILURE_CATEGORIES = FAILURE_CATEGORIES;
+module.exports.NAVIGATION_FAILURE = NAVIGATION_FAILURE;
@@ -0,0 +1,42 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var Recovery = require('./recovery').Recovery;
+const AUTOMATIC_MODE = require('./drive-message').AUTOMATIC_MODE;
+const DEBUG_MODE = require('./drive-message').DEBUG_MODE;
+
+test('fresh photo is asked for in the current driving mode of the car', (t) => {
+  let recovery = new Recovery("recovery-1");
+  let command = recovery.fallbackCommand({ timestampMs: 1234 }, AUTOMATIC_MODE);
+  t.is(command.mode, AUTOMATIC_MODE);
+  t.is(command.carTimestampMs, 1234);
+  t.deepEqual(command.actions, [{ sendSensorMessage: "true" }]);
+  t.is(recovery.photos, 1);
+  t.is(recovery.fallbackCommand({ timestampMs: 1235 }, DEBUG_MODE).mode, DEBUG_MODE);
+});
+
+test('search policy turns the car before asking for a photo', (t) => {
+  config.set('NAVIGATION_FAILURE_POLICY', "search", "recovery-2", "test");
+  config.set('NAVIGATION_SEARCH_TURN_DEGREES', 45, "recovery-2", "test");
+  let recovery = new Recovery("recovery-2");
+  let command = recovery.fallbackCommand({ timestampMs: 1234 }, AUTOMATIC_MODE);
+  t.is(command.mode, AUTOMATIC_MODE);
+  t.deepEqual(command.actions, [{ turnRight: 45 }, { sendSensorMessage: "true" }]);
+  t.is(recovery.searches, 1);
+});
@@ -0,0 +1,280 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var process = require('process'); // Required for mocking environment variables
+var fs = require('fs');
+var path = require('path');
+var Navigation = require('./navigation');
+var VisionResponse = require('./vision-response');
+var BoundingBox = require('./bounding-box');
+const SENSOR_RECORD = require('./session-log').SENSOR_RECORD;
+const VISION_RECORD = require('./session-log').VISION_RECORD;
+const COMMAND_RECORD = require('./session-log').COMMAND_RECORD;
+var config = require('./config').config;
+
+// Outcome of the replay of a single decision
+const SAME = "same";
+const SAME_APART_FROM_RANDOM = "sameApartFromRandom";
+const DIVERGED = "diverged";
+const FAILED = "failed";
+
+// Drive actions of the random moves are compared by their type only (distance and direction are random)
+const DRIVE_ACTIONS = ["driveForwardMm", "driveBackwardMm"];
+
+/************************************************************
+  Offline replay of the navigation decisions recorded in a session (see session-log.js).
+
+  Every sensor message of the car that navigation answered with a command (the command has carTimestampMs
+  of the sensor message) is fed to Navigation.nextMove() again. Object Detection is not called - navigation
+  gets the vision response recorded for that sensor message, and the command history as it was when the
+  recorded command was sent. The command the current code would send is compared with the recorded one
+  (goal, ballCaptured and actions). When the decision used Math.random() (search moves), distances and
+  the direction of driving are not compared.
+
+  Usage:
+    node replay.js <session file or session ID> [--car=<carId>] [--verbose]
+  Session ID is looked up in SESSION_LOG_DIR. --car picks the car (the first car with sensor messages by default),
+  --verbose prints matching decisions and the navigation log too. Exit code is 1 when any decision diverged.
+ ************************************************************/
+
+/************************************************************
+  Object Detection client that returns the responses recorded in the session
+ ************************************************************/
+class RecordedVision {
+
+  // Vision records of the car from the session log
+  constructor(visionRecords) {
+    this.responses = new Map();
+    visionRecords.forEach((record) => this.responses.set(record.payload.sensorTimestampMs, record.payload.visionResponse));
+  }
+
+  recognizeObjects(sensorMessage) {
+    let recorded = this.responses.get(sensorMessage.timestampMs);
+    if (recorded === undefined) {
+      return Promise.reject(new Error("No vision response was recorded for the sensor message " + sensorMessage.timestampMs));
+    }
+    let response = new VisionResponse();
+    recorded.bBoxes.forEach((box) => response.addBox(new BoundingBox(box.label, box.x, box.y, box.w, box.h, box.score)));
+    response.latencyMs = recorded.latencyMs;
+    return Promise.resolve(response);
+  }
+}
+
+/************************************************************
+  Read all records of the session file
+  Input:
+    - session file name or session ID (in SESSION_LOG_DIR)
+  Output:
+    - list of records in the order they were written
+ ************************************************************/
+function loadSession(session) {
+  let file = fs.existsSync(session) ? session : path.join(config.get('SESSION_LOG_DIR'), session + '.jsonl');
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.length > 0)
+    .map((line) => JSON.parse(line));
+}
+
+/************************************************************
+  Replay the recorded decisions of the car
+  Input:
+    - records - all records of the session (see loadSession())
+    - carId - car to replay
+    - onDecision - called with every replayed decision as soon as it is known (optional)
+  Output:
+    - Promise resolved with the list of decisions:
+      { sensorMessage, recorded, replayed, randomUsed, outcome, error }
+ ************************************************************/
+function replaySession(records, carId, onDecision) {
+  let carRecords = records.filter((record) => record.carId == carId);
+  let vision = new RecordedVision(carRecords.filter((record) => record.type == VISION_RECORD));
+
+  // Resends of the same command are recorded again, but they are not added to the command history
+  let commands = [];
+  let seen = new Set();
+  carRecords.forEach((record) => {
+    let key = JSON.stringify(record.payload);
+    if (record.type == COMMAND_RECORD && !seen.has(key)) {
+      seen.add(key);
+      commands.push(record.payload);
+    }
+  });
+
+  let steps = [];
+  carRecords.forEach((record) => {
+    if (record.type != SENSOR_RECORD) {
+      return;
+    }
+    let decision = commands.findIndex((command) => command.carTimestampMs === record.payload.timestampMs);
+    if (decision >= 0) {
+      steps.push({ sensorMessage: record.payload, recorded: commands[decision], history: commands.slice(0, decision) });
+    }
+  });
+
+  let decisions = [];
+  return steps.reduce((previous, step) => previous
+    .then(() => replayDecision(step, carId, vision))
+    .then((decision) => {
+      decisions.push(decision);
+      if (onDecision) {
+        onDecision(decision);
+      }
+    }), Promise.resolve())
+    .then(() => decisions);
+}
+
+/************************************************************
+  Run navigation for a single recorded sensor message
+ ************************************************************/
+function replayDecision(step, carId, vision) {
+  let navigation = new Navigation(step.history, carId, vision);
+  let random = Math.random;
+  let randomUsed = false;
+  Math.random = () => {
+    randomUsed = true;
+    return random();
+  };
+  let decision = { sensorMessage: step.sensorMessage, recorded: step.recorded };
+  return Promise.resolve()
+    .then(() => navigation.nextMove(step.sensorMessage))
+    .then((command) => {
+      decision.replayed = JSON.parse(JSON.stringify(command));
+      decision.randomUsed = randomUsed;
+      decision.outcome = compareCommands(step.recorded, decision.replayed, randomUsed);
+    })
+    .catch((err) => {
+      decision.outcome = FAILED;
+      decision.error = err.message;
+    })
+    .then(() => {
+      Math.random = random;
+      return decision;
+    });
+}
+
+/************************************************************
+  Compare the recorded command with the replayed one
+  Input:
+    - recorded, replayed - driving commands
+    - loose - the decision was random, do not compare distances and the direction of driving
+  Output:
+    - SAME, SAME_APART_FROM_RANDOM or DIVERGED
+ ************************************************************/
+function compareCommands(recorded, replayed, loose) {
+  if (JSON.stringify(decisionOf(recorded)) == JSON.stringify(decisionOf(replayed))) {
+    return SAME;
+  }
+  if (loose && JSON.stringify(decisionOf(recorded, true)) == JSON.stringify(decisionOf(replayed, true))) {
+    return SAME_APART_FROM_RANDOM;
+  }
+  return DIVERGED;
+}
+
+/************************************************************
+  The part of the command that navigation decides on (timestamps, mode and version do not matter)
+ ************************************************************/
+function decisionOf(command, loose) {
+  return {
+    goal: command.goal,
+    ballCaptured: command.ballCaptured,
+    actions: command.actions.map((action) => {
+      let key = Object.keys(action)[0];
+      if (loose && DRIVE_ACTIONS.indexOf(key) >= 0) {
+        return "drive";
+      }
+      return action;
+    })
+  };
+}
+
+/************************************************************
+  Short form of the command for the report
+ ************************************************************/
+function describeCommand(command) {
+  return JSON.stringify(decisionOf(command));
+}
+
+/************************************************************
+  Command line entry point - prints the report of diverging decisions
+ ************************************************************/
+function main(args) {
+  let session = args.find((arg) => !arg.startsWith('--'));
+  let carArg = args.find((arg) => arg.startsWith('--car='));
+  let verbose = args.indexOf('--verbose') >= 0;
+  if (session === undefined) {
+    console.error("Usage: node replay.js <session file or session ID> [--car=<carId>] [--verbose]");
+    process.exit(2);
+  }
+
+  let records;
+  try {
+    records = loadSession(session);
+  } catch (err) {
+    console.error("ERROR: replay: can not read session " + session + ": " + err.message);
+    process.exit(2);
+  }
+  let firstSensor = records.find((record) => record.type == SENSOR_RECORD);
+  let carId = carArg ? carArg.replace('--car=', '') : (firstSensor && firstSensor.carId);
+  let report = (line) => process.stdout.write(line + '\n');
+  report("Replaying " + session + " for car " + carId + " (" + records.length + " records)");
+
+  // Navigation is chatty - only keep its log in the verbose mode
+  let log = console.log;
+  if (!verbose) {
+    console.log = () => {};
+  }
+
+  let counts = { [SAME]: 0, [SAME_APART_FROM_RANDOM]: 0, [DIVERGED]: 0, [FAILED]: 0 };
+  let number = 0;
+  return replaySession(records, carId, (decision) => {
+    number++;
+    counts[decision.outcome]++;
+    let title = "#" + number + " sensor message " + decision.sensorMessage.timestampMs + " (" + new Date(decision.sensorMessage.timestampMs).toISOString() + ")";
+    if (decision.outcome == DIVERGED) {
+      report("DIVERGED " + title);
+      report("  recorded: " + describeCommand(decision.recorded));
+      report("  replayed: " + describeCommand(decision.replayed));
+    } else if (decision.outcome == FAILED) {
+      report("FAILED   " + title + ": " + decision.error);
+    } else if (verbose) {
+      report((decision.outcome == SAME ? "same     " : "random   ") + title + ": " + describeCommand(decision.replayed));
+    }
+  })
+    .then(() => {
+      console.log = log;
+      report("Decisions: " + number + ", same: " + counts[SAME] + ", same apart from random moves: " + counts[SAME_APART_FROM_RANDOM] +
+        ", diverged: " + counts[DIVERGED] + ", failed: " + counts[FAILED]);
+      process.exit(counts[DIVERGED] + counts[FAILED] > 0 ? 1 : 0);
+    });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.RecordedVision = RecordedVision;
+module.exports.loadSession = loadSession;
+module.exports.replaySession = replaySession;
+module.exports.compareCommands = compareCommands;
+module.exports.SAME = SAME;
+module.exports.SAME_APART_FROM_RANDOM = SAME_APART_FROM_RANDOM;
+module.exports.DIVERGED = DIVERGED;
+module.exports.FAILED = FAILED;
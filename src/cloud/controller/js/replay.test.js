@@ -0,0 +1,69 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var compareCommands = require('./replay').compareCommands;
+var replaySession = require('./replay').replaySession;
+const SAME = require('./replay').SAME;
+const SAME_APART_FROM_RANDOM = require('./replay').SAME_APART_FROM_RANDOM;
+const DIVERGED = require('./replay').DIVERGED;
+const FAILED = require('./replay').FAILED;
+
+function sensorRecord(timestampMs) {
+  return { timestampMs: timestampMs, carId: "1", type: "sensor", payload: { carId: 1, timestampMs: timestampMs, carState: { ballsCollected: 0, color: "red" }, sensors: {} } };
+}
+
+function visionRecord(sensorTimestampMs, bBoxes) {
+  return { timestampMs: sensorTimestampMs + 1, carId: "1", type: "vision", payload: { sensorTimestampMs: sensorTimestampMs, visionResponse: { bBoxes: bBoxes, latencyMs: 5 } } };
+}
+
+function commandRecord(carTimestampMs, goal, actions) {
+  return { timestampMs: carTimestampMs + 2, carId: "1", type: "command", payload: { cloudTimestampMs: carTimestampMs + 2, carTimestampMs: carTimestampMs, mode: "automatic", goal: goal, actions: actions } };
+}
+
+// Session of car 1 going for the red ball it sees and of car 2 that is never replayed
+const RECORDS = [
+  { timestampMs: 1, carId: "1", type: "command", payload: { cloudTimestampMs: 1, mode: "automatic", actions: [{ gripperPosition: "close" }, { sendSensorMessage: "true" }] } },
+  sensorRecord(1000),
+  visionRecord(1000, [{ label: "redBall", x: 0.6, y: 0.5, w: 0.1, h: 0.1, score: 0.9 }]),
+  commandRecord(1000, "go2ball", [{ turnRight: 14 }, { setSpeed: 1000 }, { driveForwardMm: 437 }, { sendSensorMessage: "true" }]),
+  sensorRecord(2000),
+  visionRecord(2000, [{ label: "redBall", x: 0.6, y: 0.5, w: 0.1, h: 0.1, score: 0.9 }]),
+  commandRecord(2000, "go2ball", [{ turnRight: 90 }, { sendSensorMessage: "true" }]),
+  sensorRecord(3000),
+  commandRecord(3000, "go2ball", [{ sendSensorMessage: "true" }]),
+  Object.assign(sensorRecord(1000), { carId: "2" })
+];
+
+test('commands are compared on what navigation decided', (t) => {
+  let recorded = { cloudTimestampMs: 1, goal: "seekBallTurn", actions: [{ driveForwardMm: 300 }, { sendSensorMessage: "true" }] };
+  t.is(compareCommands(recorded, Object.assign({}, recorded, { cloudTimestampMs: 2 }), false), SAME);
+  let randomMove = { goal: "seekBallTurn", actions: [{ driveBackwardMm: -120 }, { sendSensorMessage: "true" }] };
+  t.is(compareCommands(recorded, randomMove, false), DIVERGED);
+  t.is(compareCommands(recorded, randomMove, true), SAME_APART_FROM_RANDOM);
+  t.is(compareCommands(recorded, Object.assign({}, randomMove, { goal: "go2ball" }), true), DIVERGED);
+});
+
+test('recorded decisions are replayed in order with the recorded vision responses', (t) => {
+  let replayed = [];
+  return replaySession(RECORDS, "1", (decision) => replayed.push(decision.sensorMessage.timestampMs))
+    .then((decisions) => {
+      t.deepEqual(replayed, [1000, 2000, 3000]);
+      t.deepEqual(decisions.map((decision) => decision.outcome), [SAME, DIVERGED, FAILED]);
+      t.regex(decisions[2].error, /No vision response was recorded/);
+    });
+});
@@ -15,17 +15,26 @@
  */
 
 'use strict';
+const SENSOR_MESSAGE_VERSION = require('./message-schema').SENSOR_MESSAGE_VERSION;
+
+// Sequence number of the last message created by this car
+let lastMsgId = 0;
 
 /**************************************************************************
   sensorMessage object
       - carId - unuque ID of the car that sent this message
+      - version - version of the message format (see message-schema.js)
+      - msgId - sequence number of the message (1, 2, 3, ...) used by the controller to detect lost, duplicate and reordered messages
       - balls - how many balls this car has collected so far
       - battery - percentage of the battery left (0-100)
       - laserDistance - front laser measured distance to the nearest obstacle
       - cameraImgPath - GCS path (gs://) to the image file from the front camera
       - timestampMs - timestamp in ms when this message was generated by the car
+      - lastCommandTimestampMs - cloudTimestampMs of the most recent driving command the car has acted on (if any)
   Example of a message:
       { "carId": 1, 
+        "version": "1.0", 
+        "msgId": 12, 
         "timestampMs": 1519065026429, 
         "carState": { 
           "ballsCollected": 1, 
@@ -42,6 +51,8 @@ module.exports = class SensorMessage {
   constructor(carId, balls, obstacle, battery, laserDistance, cameraImgPath, cameraImgPathGCS, color) {
     // Timestamp is generated at the time of creation of the message, not at the time of sending it
     this.timestampMs = new Date().getTime();
+    this.version = SENSOR_MESSAGE_VERSION;
+    this.msgId = ++lastMsgId;
     this.carId = carId;
     this.carState = {};
     this.carState.obstacleFound = obstacle;
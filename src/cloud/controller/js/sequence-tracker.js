@@ -0,0 +1,108 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// How many of the most recent msgIds are remembered to detect duplicates and late arrivals
+const SEQUENCE_WINDOW = 1000;
+
+// Result of the sequence check
+const IN_ORDER = "inOrder";
+const DUPLICATE = "duplicate";
+const REORDERED = "reordered";
+
+/************************************************************
+  Keeps track of the sequence of sensor messages of a single car by their msgId.
+  The car numbers its messages 1, 2, 3, ... so the controller can tell:
+    - duplicates - the same msgId delivered again (PubSub delivers at least once)
+    - gaps - msgIds skipped over, which means messages were lost (unless they arrive later)
+    - reorders - message arrived after a message with a higher msgId had already been seen
+  When msgId goes back while the car timestamp moves forward, the car must have been restarted
+  and the tracking starts from scratch. Timestamps are only compared against the same car's own
+  clock, so clock skew between cars does not matter.
+ ************************************************************/
+module.exports = class SequenceTracker {
+
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // Highest msgId seen so far and the car timestamp of that message
+    this.maxMsgId = undefined;
+    this.maxMsgTimestampMs = undefined;
+    // Recently seen msgIds (within SEQUENCE_WINDOW of maxMsgId)
+    this.seen = new Set();
+    this.duplicateMessages = 0;
+    this.lostMessages = 0;
+    this.reorderedMessages = 0;
+    this.carRestarts = 0;
+  }
+
+  /************************************************************
+    Check where the message fits in the sequence and update the counters
+    Input:
+      - msgId of the message
+      - timestampMs of the message (as set by the car)
+    Output:
+      - IN_ORDER, DUPLICATE or REORDERED
+   ************************************************************/
+  check(msgId, timestampMs) {
+    if (this.maxMsgId !== undefined && msgId <= this.maxMsgId && timestampMs > this.maxMsgTimestampMs) {
+      console.log("SequenceTracker.check(): msgId " + msgId + " is not above " + this.maxMsgId + ", but it is newer - the car must have restarted");
+      this.carRestarts++;
+      this.maxMsgId = undefined;
+      this.seen.clear();
+    }
+
+    if (this.seen.has(msgId)) {
+      this.duplicateMessages++;
+      return DUPLICATE;
+    }
+    this.seen.add(msgId);
+
+    if (this.maxMsgId !== undefined && msgId < this.maxMsgId) {
+      // This message was counted as lost when we skipped over it, but it arrived after all
+      this.lostMessages = Math.max(0, this.lostMessages - 1);
+      this.reorderedMessages++;
+      return REORDERED;
+    }
+
+    if (this.maxMsgId !== undefined && msgId > this.maxMsgId + 1) {
+      this.lostMessages += msgId - this.maxMsgId - 1;
+    }
+    this.maxMsgId = msgId;
+    this.maxMsgTimestampMs = timestampMs;
+    this.forgetOldMessages();
+    return IN_ORDER;
+  }
+
+  // Only keep the window of the most recent msgIds
+  forgetOldMessages() {
+    if (this.seen.size <= SEQUENCE_WINDOW) {
+      return;
+    }
+    this.seen.forEach((msgId) => {
+      if (msgId < this.maxMsgId - SEQUENCE_WINDOW) {
+        this.seen.delete(msgId);
+      }
+    });
+  }
+};
+
+module.exports.IN_ORDER = IN_ORDER;
+module.exports.DUPLICATE = DUPLICATE;
+module.exports.REORDERED = REORDERED;
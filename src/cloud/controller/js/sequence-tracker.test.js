@@ -0,0 +1,53 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var SequenceTracker = require('./sequence-tracker');
+const IN_ORDER = require('./sequence-tracker').IN_ORDER;
+const DUPLICATE = require('./sequence-tracker').DUPLICATE;
+const REORDERED = require('./sequence-tracker').REORDERED;
+
+test('duplicates and gaps are counted', (t) => {
+  let tracker = new SequenceTracker();
+  t.is(tracker.check(1, 1000), IN_ORDER);
+  t.is(tracker.check(2, 2000), IN_ORDER);
+  t.is(tracker.check(2, 2000), DUPLICATE);
+  t.is(tracker.check(5, 5000), IN_ORDER);
+  t.is(tracker.duplicateMessages, 1);
+  t.is(tracker.lostMessages, 2);
+});
+
+test('message skipped over is not lost when it arrives late', (t) => {
+  let tracker = new SequenceTracker();
+  tracker.check(1, 1000);
+  tracker.check(3, 3000);
+  t.is(tracker.lostMessages, 1);
+  t.is(tracker.check(2, 2000), REORDERED);
+  t.is(tracker.lostMessages, 0);
+  t.is(tracker.reorderedMessages, 1);
+  t.is(tracker.check(2, 2000), DUPLICATE);
+});
+
+test('msgId starting over with a newer timestamp is a restart of the car', (t) => {
+  let tracker = new SequenceTracker();
+  tracker.check(41, 1000);
+  tracker.check(42, 2000);
+  t.is(tracker.check(1, 3000), IN_ORDER);
+  t.is(tracker.carRestarts, 1);
+  t.is(tracker.check(2, 4000), IN_ORDER);
+  t.is(tracker.lostMessages, 0);
+});
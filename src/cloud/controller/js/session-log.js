@@ -0,0 +1,242 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+var config = require('./config').config;
+
+// Never return more than this many records from a single query
+const MAX_QUERY_RECORDS = 5000;
+
+// Types of records in the session log
+const SENSOR_RECORD = "sensor";
+const REJECTED_SENSOR_RECORD = "rejectedSensor";
+const VISION_RECORD = "vision";
+const COMMAND_RECORD = "command";
+const TRACE_RECORD = "trace";
+
+/************************************************************
+  Append-only log of everything that went between the controller and the cars, kept for post-mortems.
+  Each session is a JSONL file "session-<startMs>.jsonl" with one record per line:
+    { "timestampMs": 1519509836918, "carId": "1", "type": "sensor", "payload": {...} }
+  Record types are:
+    - sensor - sensor message received from the car and accepted by the controller
+    - rejectedSensor - sensor message received from the car, but rejected by the validity check
+    - vision - response of the Object Detection API for a sensor message
+    - command - driving command sent to the car
+    - trace - navigation decision behind the command with the same cloudTimestampMs (see decision-trace.js)
+  A new session file is started when the current one grows over SESSION_MAX_BYTES or becomes
+  older than SESSION_MAX_AGE_MIN minutes
+ ************************************************************/
+class SessionLog {
+
+  constructor(dir, maxBytes, maxAgeMs) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.stream = undefined;
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+    console.log("SessionLog(): recording sessions into " + dir);
+  }
+
+  /************************************************************
+    Record all messages of the car. Car emits events for sensor messages and commands,
+    this subscribes to them
+   ************************************************************/
+  attach(car) {
+    car.on('sensor', (data) => this.record(car.carId, SENSOR_RECORD, data));
+    car.on('rejected', (data, reasons) => this.record(car.carId, REJECTED_SENSOR_RECORD, { message: data, reasons: reasons }));
+    car.on('vision', (sensorMessage, visionResponse) => this.record(car.carId, VISION_RECORD, {
+      sensorTimestampMs: sensorMessage.timestampMs,
+      visionResponse: visionResponse
+    }));
+    car.on('command', (command) => {
+      this.record(car.carId, COMMAND_RECORD, command);
+      // The trace is not part of the command as sent to the car, so it is a record of its own
+      if (command.trace !== undefined) {
+        this.record(car.carId, TRACE_RECORD, { cloudTimestampMs: command.cloudTimestampMs, trace: command.trace });
+      }
+    });
+  }
+
+  /************************************************************
+    Append a single record to the current session
+   ************************************************************/
+  record(carId, type, payload) {
+    let now = new Date().getTime();
+    if (this.stream === undefined || this.bytesWritten >= this.maxBytes || now - this.sessionStartMs >= this.maxAgeMs) {
+      this.rotate(now);
+    }
+    let line = JSON.stringify({ timestampMs: now, carId: carId, type: type, payload: payload }) + '\n';
+    this.bytesWritten += Buffer.byteLength(line);
+    this.stream.write(line);
+  }
+
+  /************************************************************
+    Close the current session file and start a new one
+   ************************************************************/
+  rotate(now) {
+    if (this.stream !== undefined) {
+      console.log("SessionLog.rotate(): closing session " + this.sessionId + " after " + this.bytesWritten + " bytes");
+      this.stream.end();
+    }
+    this.sessionStartMs = now;
+    this.sessionId = 'session-' + now;
+    this.bytesWritten = 0;
+    this.stream = fs.createWriteStream(this.sessionFile(this.sessionId), { flags: 'a' });
+    this.stream.on('error', (err) => console.error("ERROR: SessionLog: " + err));
+    console.log("SessionLog.rotate(): started new session " + this.sessionId);
+  }
+
+  sessionFile(sessionId) {
+    return path.join(this.dir, sessionId + '.jsonl');
+  }
+
+  /************************************************************
+    List all recorded sessions, most recent first
+    Output:
+      - list of { sessionId, startMs, sizeBytes, current }
+   ************************************************************/
+  listSessions() {
+    return fs.readdirSync(this.dir)
+      .filter((file) => /^session-\d+\.jsonl$/.test(file))
+      .map((file) => {
+        let sessionId = file.replace('.jsonl', '');
+        return {
+          sessionId: sessionId,
+          startMs: parseInt(sessionId.replace('session-', ''), 10),
+          sizeBytes: fs.statSync(path.join(this.dir, file)).size,
+          current: sessionId == this.sessionId
+        };
+      })
+      .sort((a, b) => b.startMs - a.startMs);
+  }
+
+  /************************************************************
+    Read records of a session
+    Input:
+      - sessionId
+      - filter - { fromMs, toMs, carId, type } - every field is optional
+    Output:
+      - Promise resolved with the list of matching records (at most MAX_QUERY_RECORDS)
+   ************************************************************/
+  query(sessionId, filter) {
+    return new Promise((resolve, reject) => {
+      // Session ID becomes part of the file name, so only allow the names we generate ourselves
+      if (!/^session-\d+$/.test(sessionId) || !fs.existsSync(this.sessionFile(sessionId))) {
+        reject(new Error("Session '" + sessionId + "' does not exist"));
+        return;
+      }
+      let records = [];
+      let badLines = 0;
+      let input = fs.createReadStream(this.sessionFile(sessionId));
+      let lines = readline.createInterface({ input: input });
+      lines.on('line', (line) => {
+        if (line.length == 0 || records.length >= MAX_QUERY_RECORDS) {
+          return;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          // Half-written line left behind by a crash or a full disk - the rest of the session is still good
+          badLines++;
+          return;
+        }
+        if (matchesFilter(record, filter)) {
+          records.push(record);
+        }
+      });
+      lines.on('close', () => {
+        if (badLines > 0) {
+          console.error("ERROR: SessionLog.query(): skipped " + badLines + " unreadable lines in session " + sessionId);
+        }
+        resolve(records);
+      });
+      input.on('error', reject);
+    });
+  }
+}
+
+/************************************************************
+  Check one record against the query filter
+ ************************************************************/
+function matchesFilter(record, filter) {
+  if (filter.fromMs !== undefined && record.timestampMs < filter.fromMs) {
+    return false;
+  }
+  if (filter.toMs !== undefined && record.timestampMs > filter.toMs) {
+    return false;
+  }
+  if (filter.carId !== undefined && record.carId != filter.carId) {
+    return false;
+  }
+  if (filter.type !== undefined && record.type != filter.type) {
+    return false;
+  }
+  return true;
+}
+
+/************************************************************
+  Convert time given as ms since epoch or as a date string (aka "2018-10-30T10:00:00Z") into ms.
+  Returns undefined when the time is not given or can not be parsed
+ ************************************************************/
+function parseTimeMs(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  let ms = Date.parse(value);
+  return isNaN(ms) ? undefined : ms;
+}
+
+/************************************************************
+  Build query filter from the request query string: ?from=&to=&car=&type=
+ ************************************************************/
+function queryFilter(query) {
+  return {
+    fromMs: parseTimeMs(query.from),
+    toMs: parseTimeMs(query.to),
+    carId: query.car || undefined,
+    type: query.type || undefined
+  };
+}
+
+/************************************************************
+  Session log shared by all cars of this controller
+ ************************************************************/
+function createSessionLog() {
+  return new SessionLog(config.get('SESSION_LOG_DIR'), config.get('SESSION_MAX_BYTES'), config.get('SESSION_MAX_AGE_MIN') * 60 * 1000);
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.SessionLog = SessionLog;
+module.exports.createSessionLog = createSessionLog;
+module.exports.queryFilter = queryFilter;
+module.exports.parseTimeMs = parseTimeMs;
+module.exports.SENSOR_RECORD = SENSOR_RECORD;
+module.exports.REJECTED_SENSOR_RECORD = REJECTED_SENSOR_RECORD;
+module.exports.VISION_RECORD = VISION_RECORD;
+module.exports.COMMAND_RECORD = COMMAND_RECORD;
+module.exports.TRACE_RECORD = TRACE_RECORD;
@@ -0,0 +1,80 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var SessionLog = require('./session-log').SessionLog;
+var queryFilter = require('./session-log').queryFilter;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'session-log-test-'));
+}
+
+test('query returns the records matching the filter', (t) => {
+  let dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'session-1000.jsonl'),
+    JSON.stringify({ timestampMs: 1000, carId: "1", type: "sensor", payload: {} }) + '\n' +
+    JSON.stringify({ timestampMs: 2000, carId: "2", type: "command", payload: {} }) + '\n');
+  let log = new SessionLog(dir, 1024, 60000);
+  return log.query('session-1000', queryFilter({ car: "2" })).then((records) => {
+    t.is(records.length, 1);
+    t.is(records[0].type, "command");
+  });
+});
+
+test('query skips a half-written last line instead of throwing', (t) => {
+  let dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'session-1000.jsonl'),
+    JSON.stringify({ timestampMs: 1000, carId: "1", type: "sensor", payload: {} }) + '\n' +
+    '{"timestampMs":2000,"carId":"1","type":"comm');
+  let log = new SessionLog(dir, 1024, 60000);
+  return log.query('session-1000', queryFilter({})).then((records) => {
+    t.is(records.length, 1);
+    t.is(records[0].timestampMs, 1000);
+  });
+});
+
+test('query rejects session IDs that are not generated by the log', (t) => {
+  let log = new SessionLog(tempDir(), 1024, 60000);
+  return log.query('../../etc/passwd', {}).then(() => t.fail(), (err) => {
+    t.regex(err.message, /does not exist/);
+  });
+});
+
+test('listSessions marks the session being recorded', (t) => {
+  let dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'session-1000.jsonl'), '');
+  let log = new SessionLog(dir, 1024, 60000);
+  log.record("1", "sensor", { msgId: 1 });
+  return new Promise((resolve) => log.stream.on('open', resolve)).then(() => {
+    let sessions = log.listSessions();
+    t.is(sessions.length, 2);
+    t.true(sessions[0].current);
+    t.is(sessions[1].sessionId, 'session-1000');
+    t.false(sessions[1].current);
+  });
+});
+
+test('queryFilter reads times as ms or dates', (t) => {
+  let filter = queryFilter({ from: "1000", to: "2018-10-30T10:00:00Z", type: "sensor" });
+  t.is(filter.fromMs, 1000);
+  t.is(filter.toMs, Date.parse("2018-10-30T10:00:00Z"));
+  t.is(filter.carId, undefined);
+  t.is(filter.type, "sensor");
+});
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var escapeHtml = require('./tools').escapeHtml;
+
+/************************************************************
+  List of recorded sessions
+  Input:
+    - sessions - as returned by SessionLog.listSessions()
+ ************************************************************/
+module.exports.sessionListPage = function(sessions) {
+  let html = `<a href="/">Home</a>
+    <h1>Recorded sessions</h1>
+    <p># of sessions: <b>${sessions.length}</b></p>
+    <table border='1' cellpadding='4'><tr><th>Session</th><th>Started</th><th>Size (bytes)</th><th></th></tr>`;
+
+  sessions.forEach((session) => {
+    html = html + "<tr><td><a href='/session?id=" + session.sessionId + "'>" + session.sessionId + "</a></td>" +
+      "<td>" + new Date(session.startMs).toUTCString() + "</td>" +
+      "<td>" + session.sizeBytes + "</td>" +
+      "<td>" + (session.current ? "<b>recording</b>" : "") + "</td></tr>";
+  });
+
+  return html + "</table>";
+};
+
+/************************************************************
+  Records of a single session with the filter form
+  Input:
+    - sessionId
+    - query - query string of the request (from, to, car, type)
+    - records - as returned by SessionLog.query()
+ ************************************************************/
+module.exports.sessionRecordsPage = function(sessionId, query, records) {
+  let html = `<a href="/">Home</a> / <a href="/sessions">Sessions</a>
+    <h1>Session ${escapeHtml(sessionId)}</h1>
+    <form action="/session" method="get">
+    <input type="hidden" name="id" value="${escapeHtml(sessionId)}">
+    <label for="from">From: </label><input id="from" type="text" name="from" value="${escapeHtml(query.from || '')}">
+    <label for="to">To: </label><input id="to" type="text" name="to" value="${escapeHtml(query.to || '')}">
+    (ms since epoch or date such as 2018-10-30T10:00:00Z)<br>
+    <label for="car">Car: </label><input id="car" type="text" name="car" value="${escapeHtml(query.car || '')}">
+    <label for="type">Record type: </label><input id="type" type="text" name="type" value="${escapeHtml(query.type || '')}">
+    (sensor, rejectedSensor, vision, command, trace)<br>
+    <input type="submit" value="Filter"></form>
+    <p># of records: <b>${records.length}</b> (<a href="/api/v1/sessions/${encodeURIComponent(sessionId)}/records?from=${encodeURIComponent(query.from || '')}&to=${encodeURIComponent(query.to || '')}&car=${encodeURIComponent(query.car || '')}&type=${encodeURIComponent(query.type || '')}">JSON</a>)</p>
+    <table border='1' cellpadding='4'><tr><th>Time</th><th>Car</th><th>Type</th><th>Payload</th></tr>`;
+
+  records.forEach((record) => {
+    html = html + "<tr><td>" + new Date(record.timestampMs).toISOString() + "</td>" +
+      "<td>" + escapeHtml(record.carId) + "</td>" +
+      "<td>" + escapeHtml(record.type) + "</td>" +
+      "<td><small>" + escapeHtml(JSON.stringify(record.payload)) + "</small></td></tr>";
+  });
+
+  return html + "</table>";
+};
@@ -0,0 +1,29 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var sessionRecordsPage = require('./session-pages').sessionRecordsPage;
+
+test('filter values and recorded payloads are escaped', (t) => {
+  let query = { from: '"><script>alert(1)</script>', car: "1' onfocus='alert(1)" };
+  let records = [{ timestampMs: 1000, carId: "1", type: "sensor", payload: { note: "</small><script>alert(2)</script>" } }];
+  let html = sessionRecordsPage("session-1", query, records);
+  t.false(html.includes("<script>"));
+  t.true(html.includes('value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"'));
+  t.true(html.includes('value="1&#39; onfocus=&#39;alert(1)"'));
+  t.true(html.includes("&lt;/small&gt;&lt;script&gt;alert(2)&lt;/script&gt;"));
+});
@@ -18,7 +18,7 @@
 var DriveMessage = require('./drive-message');
 var VisionResponse = require('./vision-response');
 var BoundingBox = require('./bounding-box');
-var Settings = require('./game-settings');
+var config = require('./config').config;
 
 /************************************************************
   Simulation for car commands. Pre-set messages being sent to the car regardless of input
@@ -105,7 +105,7 @@ class VisionSimulator {
         new BoundingBox("green_ball", 50, 70, 100, 100, 0.94)
       ],
       // Ball occupies entire frame - testing capture method
-      [new BoundingBox("red_ball", 0, 0, Settings.camera.HORIZONTAL_RESOLUTION_PIXELS, Settings.camera.VERTICAL_RESOLUTION_PIXELS, 0.92),
+      [new BoundingBox("red_ball", 0, 0, config.get('HORIZONTAL_RESOLUTION_PIXELS'), config.get('VERTICAL_RESOLUTION_PIXELS'), 0.92),
         new BoundingBox("blue_ball", 150, 170, 200, 200, 0.95)
       ]
     ];
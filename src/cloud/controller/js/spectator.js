@@ -0,0 +1,174 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const express = require('express');
+var remainingSec = require('./match').remainingSec;
+var formatClock = require('./match-pages').formatClock;
+var escapeHtml = require('./tools').escapeHtml;
+const RUNNING = require('./match').RUNNING;
+
+// The spectator page reloads itself this often
+const SPECTATOR_REFRESH_SEC = 3;
+
+/************************************************************
+  Read-only view of the fleet for the audience at events. It is mounted in front of the authentication,
+  so it only has GET routes and shows nothing that would help to control the cars:
+
+    GET /spectator                 - page with the camera, goal, balls and battery of every car, the match clock and the leaderboard
+    GET /api/v1/spectator          - the same as JSON, see spectatorState()
+
+  The leaderboard ranks the cars of the current match (or the last match when none is on) by balls delivered,
+  then by the average time per ball since the start of the match. Without a match the cars are ranked
+  by the balls they report to have collected
+ ************************************************************/
+function createSpectatorRouter(fleet, matches) {
+  let router = express.Router();
+
+  router.get('/spectator', (req, res) => {
+    res.status(200).send(spectatorPage(spectatorState(fleet, matches)));
+  });
+
+  router.get('/api/v1/spectator', (req, res) => {
+    res.json(spectatorState(fleet, matches));
+  });
+
+  return router;
+}
+
+/************************************************************
+  Everything the spectators see
+  Output:
+    - { "timestampMs": ..., "match": { "matchId", "state", "durationSec", "elapsedSec", "remainingSec" } or null,
+        "cars": [ { "carId", "color", "drivingMode", "emergencyStopped", "imageUrl", "goal", "ballsCollected", "batteryLeft" } ],
+        "leaderboard": [ { "rank", "carId", "color", "balls", "secPerBall" } ] }
+ ************************************************************/
+function spectatorState(fleet, matches) {
+  let match = matches.current || matches.last;
+  return {
+    timestampMs: new Date().getTime(),
+    match: match === undefined ? null : matchClock(match),
+    cars: fleet.cars.map((car) => {
+      let data = car.latestSensorData() || {};
+      let carState = data.carState || {};
+      return {
+        carId: car.carId,
+        color: car.ballColor,
+        drivingMode: car.currentDrivingMode,
+        emergencyStopped: car.isEmergencyStopped(),
+        imageUrl: pictureUrl(car.latestImageUrl()),
+        goal: car.latestGoal(),
+        ballsCollected: carState.ballsCollected,
+        batteryLeft: carState.batteryLeft
+      };
+    }),
+    leaderboard: leaderboard(fleet, match)
+  };
+}
+
+/************************************************************
+  The picture URL comes from the car - only plain web addresses are shown to the public
+ ************************************************************/
+function pictureUrl(url) {
+  return (typeof url == 'string' && /^https?:\/\//i.test(url)) ? url : undefined;
+}
+
+function matchClock(match) {
+  let elapsedMs = 0;
+  if (match.startMs !== undefined) {
+    elapsedMs = (match.endMs || new Date().getTime()) - match.startMs;
+  }
+  return {
+    matchId: match.matchId,
+    state: match.state,
+    durationSec: match.durationSec,
+    elapsedSec: Math.round(elapsedMs / 1000),
+    remainingSec: remainingSec(match)
+  };
+}
+
+/************************************************************
+  Cars ranked by balls delivered in the match (most first), then by seconds per ball (fastest first)
+ ************************************************************/
+function leaderboard(fleet, match) {
+  let rows = fleet.cars
+    .filter((car) => match === undefined || match.cars[car.carId] !== undefined)
+    .map((car) => {
+      let row = { carId: car.carId, color: car.ballColor, balls: 0, secPerBall: undefined };
+      if (match === undefined) {
+        let data = car.latestSensorData();
+        row.balls = (data && data.carState && data.carState.ballsCollected) || 0;
+        return row;
+      }
+      let deliveries = match.cars[car.carId].deliveries;
+      row.balls = deliveries.length;
+      if (row.balls > 0 && match.startMs !== undefined) {
+        row.secPerBall = Math.round((deliveries[deliveries.length - 1].timestampMs - match.startMs) / 100 / row.balls) / 10;
+      }
+      return row;
+    })
+    .sort((a, b) => (b.balls - a.balls) || ((a.secPerBall || Infinity) - (b.secPerBall || Infinity)));
+  rows.forEach((row, i) => {
+    row.rank = i + 1;
+  });
+  return rows;
+}
+
+/************************************************************
+  Big and simple page for a screen at the venue
+ ************************************************************/
+function spectatorPage(state) {
+  let html = `<html><head><title>Robot Derby</title><meta http-equiv="refresh" content="${SPECTATOR_REFRESH_SEC}"></head>
+    <body style="font-family:sans-serif">
+    <h1>Robot Derby</h1>`;
+
+  if (state.match === null) {
+    html = html + "<h2>No match yet</h2>";
+  } else if (state.match.state == RUNNING) {
+    html = html + "<h2>Match time " + formatClock(state.match.elapsedSec) + " - <span style='color:red'>" + formatClock(state.match.remainingSec) + " left</span></h2>";
+  } else {
+    html = html + "<h2>Match " + state.match.state + (state.match.remainingSec > 0 ? " - starts in " + state.match.remainingSec + " sec" :
+      " after " + formatClock(state.match.elapsedSec)) + "</h2>";
+  }
+
+  html = html + "<h2>Leaderboard</h2>" +
+    "<table border='1' cellpadding='8' style='font-size:x-large'><tr><th>#</th><th>Car</th><th>Balls delivered</th><th>Seconds per ball</th></tr>";
+  state.leaderboard.forEach((row) => {
+    html = html + "<tr><td>" + row.rank + "</td>" +
+      "<td>" + escapeHtml(row.carId) + " (" + escapeHtml(row.color) + ")</td>" +
+      "<td><b>" + row.balls + "</b></td>" +
+      "<td>" + (row.secPerBall === undefined ? "-" : row.secPerBall) + "</td></tr>";
+  });
+  html = html + "</table><h2>Cars</h2><table cellpadding='8'><tr>";
+
+  state.cars.forEach((car) => {
+    html = html + "<td valign='top'><h3>Car " + escapeHtml(car.carId) + " (" + escapeHtml(car.color) + ")" + (car.emergencyStopped ? " <span style='color:red'>STOPPED</span>" : "") + "</h3>" +
+      (car.imageUrl === undefined ? "<p>No picture yet</p>" : "<img src='" + escapeHtml(car.imageUrl) + "' style='width:320px'>") +
+      "<p>Goal: <b>" + escapeHtml(car.goal || "-") + "</b><br>" +
+      "Balls collected: <b>" + (car.ballsCollected === undefined ? "-" : car.ballsCollected) + "</b><br>" +
+      "Battery: <b>" + (car.batteryLeft === undefined ? "-" : car.batteryLeft + "%") + "</b></p></td>";
+  });
+
+  return html + "</tr></table></body></html>";
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.createSpectatorRouter = createSpectatorRouter;
+module.exports.spectatorState = spectatorState;
+module.exports.spectatorPage = spectatorPage;
@@ -0,0 +1,56 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var spectatorState = require('./spectator').spectatorState;
+var spectatorPage = require('./spectator').spectatorPage;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+
+function testCar(carId, imageUrl, ballsCollected) {
+  return {
+    carId: carId,
+    ballColor: "red",
+    currentDrivingMode: MANUAL_MODE,
+    isEmergencyStopped: () => false,
+    latestSensorData: () => ({ carState: { ballsCollected: ballsCollected, batteryLeft: 80 } }),
+    latestImageUrl: () => imageUrl,
+    latestGoal: () => undefined
+  };
+}
+
+test('cars are ranked by the balls they collected when there is no match', (t) => {
+  let fleet = { cars: [testCar("1", undefined, 1), testCar("2", undefined, 3)] };
+  let state = spectatorState(fleet, {});
+  t.is(state.match, null);
+  t.deepEqual(state.leaderboard.map((row) => [row.rank, row.carId, row.balls]), [[1, "2", 3], [2, "1", 1]]);
+});
+
+test('pictures are shown only from web addresses and escaped', (t) => {
+  let fleet = { cars: [
+    testCar("1", "javascript:alert(1)", 0),
+    testCar("2", "https://storage.googleapis.com/b/1.jpg' onerror='alert(1)", 0),
+    testCar("3", "http://img/3.jpg", 0)
+  ] };
+  let state = spectatorState(fleet, {});
+  t.is(state.cars[0].imageUrl, undefined);
+  t.is(state.cars[2].imageUrl, "http://img/3.jpg");
+  let html = spectatorPage(state);
+  t.false(html.includes("javascript:"));
+  t.false(html.includes("' onerror='"));
+  t.true(html.includes("&#39; onerror=&#39;alert(1)"));
+  t.true(html.includes("src='http://img/3.jpg'"));
+});
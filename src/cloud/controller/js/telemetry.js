@@ -0,0 +1,138 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var overlayBoxes = require('./vision-overlay').overlayBoxes;
+var overlayCaption = require('./vision-overlay').overlayCaption;
+
+// Events of the Car that are pushed to the browser
+const TELEMETRY_EVENTS = ['sensor', 'command', 'debug', 'stats', 'alert', 'overlay'];
+// Send a comment line this often so proxies (and App Engine) do not close an idle stream
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/************************************************************
+  Push live telemetry of the car to the browser using Server-Sent Events.
+  Every event of the car is sent as an SSE event of the same name with JSON data.
+  Overlays also carry the HTML of the boxes and the caption, so they are drawn the same way as on the server side.
+  Input:
+    - car - the car to stream events for
+    - req, res - Express request and response of the streaming endpoint
+ ************************************************************/
+function streamTelemetry(car, req, res) {
+  console.log("streamTelemetry(carId=" + car.carId + "): browser connected");
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  // Start with the current state so the page is up to date even before anything happens
+  res.write(sseEvent('stats', car.status()));
+  res.write(sseEvent('debug', car.nextDrivingCommand || null));
+  res.write(sseEvent('overlay', overlayEventData(car.latestImageOverlay())));
+
+  let listeners = {};
+  TELEMETRY_EVENTS.forEach((event) => {
+    listeners[event] = (data) => res.write(sseEvent(event, (event == 'overlay') ? overlayEventData(data) : data));
+    car.on(event, listeners[event]);
+  });
+  let heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    console.log("streamTelemetry(carId=" + car.carId + "): browser disconnected");
+    clearInterval(heartbeat);
+    TELEMETRY_EVENTS.forEach((event) => car.removeListener(event, listeners[event]));
+  });
+}
+
+function overlayEventData(overlay) {
+  return overlay ? Object.assign({ html: overlayBoxes(overlay), caption: overlayCaption(overlay) }, overlay) : null;
+}
+
+/************************************************************
+  Format single SSE event
+ ************************************************************/
+function sseEvent(event, data) {
+  return 'event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+}
+
+/************************************************************
+  Browser script that subscribes to the telemetry stream of the car and updates the page in place.
+  It updates elements with the following IDs (if the page has them):
+    - live-image - <img> with the most recent front camera picture
+    - live-overlay, live-overlay-caption - boxes drawn over the picture and their summary (see vision-overlay.js)
+    - live-sensor - most recent sensor message
+    - live-command - most recent driving command sent to the car
+    - live-debug - driving command waiting for approval in debug mode
+    - live-alert - most recent alert about the car (see 'alert' event of Car)
+    - live-stats-<name> - value of the statistics field <name> of Car.status()
+ ************************************************************/
+function liveUpdateScript(car) {
+  return `<script>
+    (function() {
+      var source = new EventSource('/api/v1/cars/${encodeURIComponent(car.carId)}/stream');
+      function setText(id, text) {
+        var element = document.getElementById(id);
+        if (element) { element.textContent = text; }
+      }
+      source.addEventListener('sensor', function(e) {
+        var msg = JSON.parse(e.data);
+        setText('live-sensor', e.data);
+        var image = document.getElementById('live-image');
+        if (image && msg.sensors && msg.sensors.frontCameraImagePath) {
+          image.src = msg.sensors.frontCameraImagePath;
+          image.style.display = 'block';
+        }
+        // Boxes of the previous picture do not belong to the new one
+        setOverlay('', '');
+      });
+      function setOverlay(html, caption) {
+        var element = document.getElementById('live-overlay');
+        if (element) { element.innerHTML = html; }
+        setText('live-overlay-caption', caption);
+      }
+      source.addEventListener('overlay', function(e) {
+        var overlay = JSON.parse(e.data);
+        if (!overlay) { return; }
+        var image = document.getElementById('live-image');
+        if (image && image.getAttribute('src') != overlay.imageUrl) {
+          image.src = overlay.imageUrl;
+          image.style.display = 'block';
+        }
+        setOverlay(overlay.html, overlay.caption);
+      });
+      source.addEventListener('command', function(e) { setText('live-command', e.data); });
+      source.addEventListener('debug', function(e) {
+        var command = JSON.parse(e.data);
+        setText('live-debug', command ? e.data : 'nextDrivingCommand is undefined. No driving command to be sent to the car');
+      });
+      source.addEventListener('alert', function(e) { setText('live-alert', JSON.parse(e.data).message); });
+      source.addEventListener('stats', function(e) {
+        var stats = JSON.parse(e.data);
+        Object.keys(stats).forEach(function(name) {
+          var value = stats[name];
+          if (name == 'maxMsgTimeStampMs') { value = new Date(value).toUTCString(); }
+          setText('live-stats-' + name, value);
+        });
+      });
+    })();
+    </script>`;
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.streamTelemetry = streamTelemetry;
+module.exports.liveUpdateScript = liveUpdateScript;
@@ -0,0 +1,85 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+const EventEmitter = require('events');
+var streamTelemetry = require('./telemetry').streamTelemetry;
+
+/************************************************************
+  Just enough of a car for the stream: events and the current state
+ ************************************************************/
+class TestCar extends EventEmitter {
+
+  constructor() {
+    super();
+    this.carId = "1";
+    this.nextDrivingCommand = undefined;
+  }
+
+  status() {
+    return { carId: this.carId, totalMessagesSent: 3 };
+  }
+
+  latestImageOverlay() {
+    return undefined;
+  }
+}
+
+// Response that keeps everything written to the stream
+function testResponse() {
+  return {
+    chunks: [],
+    writeHead: function (status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write: function (chunk) {
+      this.chunks.push(chunk);
+    }
+  };
+}
+
+test('stream starts with the current state and forwards the events of the car', (t) => {
+  let car = new TestCar();
+  let req = new EventEmitter();
+  let res = testResponse();
+  streamTelemetry(car, req, res);
+  t.is(res.status, 200);
+  t.is(res.headers['Content-Type'], 'text/event-stream');
+  t.deepEqual(res.chunks, [
+    'event: stats\ndata: {"carId":"1","totalMessagesSent":3}\n\n',
+    'event: debug\ndata: null\n\n',
+    'event: overlay\ndata: null\n\n'
+  ]);
+  car.emit('command', { actions: [{ driveForwardMm: 100 }] });
+  car.emit('alert', { message: "Car is silent" });
+  t.is(res.chunks[3], 'event: command\ndata: {"actions":[{"driveForwardMm":100}]}\n\n');
+  t.is(res.chunks[4], 'event: alert\ndata: {"message":"Car is silent"}\n\n');
+  req.emit('close');
+});
+
+test('nothing is sent once the browser has disconnected', (t) => {
+  let car = new TestCar();
+  let req = new EventEmitter();
+  let res = testResponse();
+  streamTelemetry(car, req, res);
+  t.is(car.listenerCount('stats'), 1);
+  req.emit('close');
+  t.is(car.listenerCount('stats'), 0);
+  car.emit('stats', car.status());
+  t.is(res.chunks.length, 3);
+});
@@ -0,0 +1,250 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+// Step sizes and limits are read from the configuration every time, so they can be changed at runtime
+var config = require('./config').config;
+var DriveMessage = require('./drive-message').DriveMessage;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+var liveUpdateScript = require('./telemetry').liveUpdateScript;
+var overlayImage = require('./vision-overlay').overlayImage;
+
+// Moves the teleoperation page can ask for - every one is a short burst of a single action
+const FORWARD = "forward";
+const BACKWARD = "backward";
+const LEFT = "left";
+const RIGHT = "right";
+const GRIPPER_OPEN = "gripperOpen";
+const GRIPPER_CLOSE = "gripperClose";
+const TELEOP_ACTIONS = [FORWARD, BACKWARD, LEFT, RIGHT, GRIPPER_OPEN, GRIPPER_CLOSE];
+
+/************************************************************
+  Keeps teleoperation of a single car from flooding the command topic and the action queue of the car.
+  A command is refused when it comes less than TELEOP_MIN_INTERVAL_MS after the previous one or while
+  the car has TELEOP_MAX_PENDING commands it has not acted on yet (see command-tracker.js)
+ ************************************************************/
+class TeleopLimiter {
+
+  // ID of the car to look up the TELEOP_* settings for
+  constructor(carId) {
+    this.carId = carId;
+    this.lastCommandMs = 0;
+    this.reset();
+  }
+
+  reset() {
+    this.commands = 0;
+    this.throttled = 0;
+  }
+
+  /************************************************************
+    Input:
+      - pendingCommands - commands sent to the car and not acknowledged yet
+    Output:
+      - undefined when the command can be sent, otherwise { reason, retryAfterMs }
+   ************************************************************/
+  check(pendingCommands) {
+    let now = new Date().getTime();
+    let intervalMs = config.get('TELEOP_MIN_INTERVAL_MS', this.carId);
+    let limit;
+    if (now - this.lastCommandMs < intervalMs) {
+      limit = { reason: "Too fast, at most one command every " + intervalMs + " ms", retryAfterMs: this.lastCommandMs + intervalMs - now };
+    } else if (pendingCommands >= config.get('TELEOP_MAX_PENDING', this.carId)) {
+      limit = { reason: "Car has not acted on " + pendingCommands + " commands yet", retryAfterMs: intervalMs };
+    }
+    if (limit !== undefined) {
+      this.throttled++;
+      return limit;
+    }
+    this.lastCommandMs = now;
+    this.commands++;
+    return undefined;
+  }
+}
+
+/************************************************************
+  Short burst for one of the TELEOP_ACTIONS
+  Input:
+    - action - one of TELEOP_ACTIONS
+    - speed - wheel angle/sec from 1 to 1000 (optional)
+    - carId - car to look up TELEOP_STEP_MM and TELEOP_TURN_DEGREES for
+ ************************************************************/
+function teleopCommand(action, speed, carId) {
+  let command = new DriveMessage();
+  command.setModeManual();
+  if (speed) {
+    command.setSpeed(speed);
+  }
+  if (action == FORWARD) {
+    command.driveForward(config.get('TELEOP_STEP_MM', carId));
+  } else if (action == BACKWARD) {
+    command.driveBackward(-config.get('TELEOP_STEP_MM', carId));
+  } else if (action == LEFT) {
+    command.turnLeft(-config.get('TELEOP_TURN_DEGREES', carId));
+  } else if (action == RIGHT) {
+    command.turnRight(config.get('TELEOP_TURN_DEGREES', carId));
+  } else if (action == GRIPPER_OPEN) {
+    command.gripperOpen();
+  } else if (action == GRIPPER_CLOSE) {
+    command.gripperClose();
+  }
+  // The picture taken after every burst keeps the camera feed of the page going
+  command.sendSensorMessage();
+  return command;
+}
+
+/************************************************************
+  Teleoperation page: arrow keys or WASD drive the car for as long as they are held, Space toggles the gripper
+  (Q opens, E closes it), + and - change the speed. A gamepad works the same way with the left stick or the D-pad,
+  A toggles the gripper, the shoulder buttons change the speed.
+  Input:
+    - car - the car to be driven
+    - csrfToken - CSRF token of the user for the API calls (see auth.js)
+ ************************************************************/
+function teleopPage(car, csrfToken) {
+  let carQuery = '?car=' + encodeURIComponent(car.carId);
+  let html = `<a href="/">Home</a> / <a href="/car${carQuery}">Car ${car.carId}</a> / <a href="/manual_mode${carQuery}">Manual control form</a>
+    <h1>Teleoperation - Car ${car.carId}</h1>
+    <p>Current driving mode: <b>${car.currentDrivingMode}</b>${car.currentDrivingMode == MANUAL_MODE ? '' : " <span style='color:red'>- switch the car to manual mode to drive it</span>"}</p>
+    <p>Drive with the <b>arrow keys</b> or <b>W A S D</b>, <b>Space</b> toggles the gripper (<b>Q</b> open, <b>E</b> close), <b>+</b> / <b>-</b> change the speed.
+    Gamepad: left stick or D-pad, <b>A</b> toggles the gripper, shoulder buttons change the speed.</p>
+    <p><label for="teleop-speed">Speed: </label><input id="teleop-speed" type="range" min="50" max="1000" step="50" value="${config.get('TELEOP_DEFAULT_SPEED', car.carId)}">
+    <b id="teleop-speed-value"></b> (wheel angle/sec), gripper <b id="teleop-gripper">closed</b>, gamepad <b id="teleop-gamepad">not connected</b></p>
+    <p>Sent <b id="live-stats-teleopCommands">${car.teleop.commands}</b>, refused as too fast <b id="live-stats-teleopThrottled">${car.teleop.throttled}</b>.
+    Last: <span id="teleop-status">-</span></p>`;
+
+  // Live camera feed - the car sends a picture after every burst
+  html = html + overlayImage(car.latestImageUrl(), car.latestImageOverlay(), 600, true);
+  html = html + "<p><b>Last driving command sent:</b><br><span id='live-command'></span></p>";
+  html = html + teleopScript(car, csrfToken);
+  html = html + liveUpdateScript(car);
+  return html;
+}
+
+/************************************************************
+  Browser script sending a burst every TELEOP_MIN_INTERVAL_MS while a key or the stick is held.
+  Only one request is in flight at a time, refused bursts are simply skipped
+ ************************************************************/
+function teleopScript(car, csrfToken) {
+  return `<script>
+    (function() {
+      var url = '/api/v1/cars/${encodeURIComponent(car.carId)}/teleop';
+      var intervalMs = ${config.get('TELEOP_MIN_INTERVAL_MS', car.carId)};
+      var keys = { ArrowUp: '${FORWARD}', w: '${FORWARD}', ArrowDown: '${BACKWARD}', s: '${BACKWARD}',
+        ArrowLeft: '${LEFT}', a: '${LEFT}', ArrowRight: '${RIGHT}', d: '${RIGHT}' };
+      var held = {};
+      var gamepadMove;
+      var gripperOpen = false;
+      var busy = false;
+      var previousButtons = [];
+      var speed = document.getElementById('teleop-speed');
+
+      function showSpeed() {
+        document.getElementById('teleop-speed-value').textContent = speed.value;
+      }
+      function changeSpeed(delta) {
+        speed.value = Math.min(1000, Math.max(50, Number(speed.value) + delta));
+        showSpeed();
+      }
+      function send(action) {
+        busy = true;
+        var request = new XMLHttpRequest();
+        request.open('POST', url);
+        request.setRequestHeader('Content-Type', 'application/json');
+        request.setRequestHeader('X-CSRF-Token', '${csrfToken}');
+        request.onloadend = function() {
+          busy = false;
+          var body = {};
+          try { body = JSON.parse(request.responseText); } catch (e) {}
+          document.getElementById('teleop-status').textContent = action + ': ' +
+            (request.status == 202 ? 'sent' : request.status + ' ' + (body.error || ''));
+        };
+        request.send(JSON.stringify({ action: action, speed: Number(speed.value) }));
+      }
+      function gripper(open) {
+        gripperOpen = open;
+        document.getElementById('teleop-gripper').textContent = open ? 'open' : 'closed';
+        send(open ? '${GRIPPER_OPEN}' : '${GRIPPER_CLOSE}');
+      }
+      function pressed(pad, i) {
+        return pad.buttons[i] !== undefined && pad.buttons[i].pressed;
+      }
+      // Buttons act once when they go down, the stick and the D-pad keep driving while held
+      function readGamepad() {
+        var pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        var pad = pads && pads[0];
+        document.getElementById('teleop-gamepad').textContent = pad ? pad.id : 'not connected';
+        gamepadMove = undefined;
+        if (!pad) {
+          return;
+        }
+        var x = pad.axes[0] || 0;
+        var y = pad.axes[1] || 0;
+        if (y < -0.5 || pressed(pad, 12)) { gamepadMove = '${FORWARD}'; }
+        else if (y > 0.5 || pressed(pad, 13)) { gamepadMove = '${BACKWARD}'; }
+        else if (x < -0.5 || pressed(pad, 14)) { gamepadMove = '${LEFT}'; }
+        else if (x > 0.5 || pressed(pad, 15)) { gamepadMove = '${RIGHT}'; }
+        var buttons = pad.buttons.map(function(button) { return button.pressed; });
+        if (buttons[0] && !previousButtons[0]) { gripper(!gripperOpen); }
+        if (buttons[4] && !previousButtons[4]) { changeSpeed(-50); }
+        if (buttons[5] && !previousButtons[5]) { changeSpeed(50); }
+        previousButtons = buttons;
+      }
+
+      document.addEventListener('keydown', function(event) {
+        var key = event.key.length == 1 ? event.key.toLowerCase() : event.key;
+        if (keys[key]) {
+          held[keys[key]] = true;
+          event.preventDefault();
+        } else if (!event.repeat && (key == ' ' || key == 'q' || key == 'e')) {
+          gripper(key == ' ' ? !gripperOpen : key == 'q');
+          event.preventDefault();
+        } else if (key == '+' || key == '=') {
+          changeSpeed(50);
+        } else if (key == '-') {
+          changeSpeed(-50);
+        }
+      });
+      document.addEventListener('keyup', function(event) {
+        var key = event.key.length == 1 ? event.key.toLowerCase() : event.key;
+        delete held[keys[key]];
+      });
+      // Nothing keeps driving when the page loses the focus with a key down
+      window.addEventListener('blur', function() {
+        held = {};
+      });
+      speed.addEventListener('input', showSpeed);
+      showSpeed();
+
+      setInterval(function() {
+        readGamepad();
+        var move = ['${FORWARD}', '${BACKWARD}', '${LEFT}', '${RIGHT}'].filter(function(action) { return held[action]; })[0] || gamepadMove;
+        if (move && !busy) {
+          send(move);
+        }
+      }, intervalMs);
+    })();
+  </script>`;
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.TeleopLimiter = TeleopLimiter;
+module.exports.teleopCommand = teleopCommand;
+module.exports.teleopPage = teleopPage;
+module.exports.TELEOP_ACTIONS = TELEOP_ACTIONS;
@@ -0,0 +1,50 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var TeleopLimiter = require('./teleop').TeleopLimiter;
+var teleopCommand = require('./teleop').teleopCommand;
+const MANUAL_MODE = require('./drive-message').MANUAL_MODE;
+
+test('every teleoperation action is a short manual burst ending with a picture', (t) => {
+  config.set('TELEOP_STEP_MM', 150, "teleop-1", "test");
+  config.set('TELEOP_TURN_DEGREES', 20, "teleop-1", "test");
+  let actions = (action, speed) => teleopCommand(action, speed, "teleop-1").actions;
+  t.deepEqual(actions("forward", 400), [{ setSpeed: 400 }, { driveForwardMm: 150 }, { sendSensorMessage: "true" }]);
+  t.deepEqual(actions("backward"), [{ driveBackwardMm: -150 }, { sendSensorMessage: "true" }]);
+  t.deepEqual(actions("left"), [{ turnLeft: -20 }, { sendSensorMessage: "true" }]);
+  t.deepEqual(actions("right"), [{ turnRight: 20 }, { sendSensorMessage: "true" }]);
+  t.deepEqual(actions("gripperOpen"), [{ gripperPosition: "open" }, { sendSensorMessage: "true" }]);
+  t.deepEqual(actions("gripperClose"), [{ gripperPosition: "close" }, { sendSensorMessage: "true" }]);
+  t.is(teleopCommand("forward", undefined, "teleop-1").mode, MANUAL_MODE);
+});
+
+test('bursts are refused when sent too fast or while the car is behind', (t) => {
+  config.set('TELEOP_MIN_INTERVAL_MS', 1000, "teleop-2", "test");
+  config.set('TELEOP_MAX_PENDING', 2, "teleop-2", "test");
+  let limiter = new TeleopLimiter("teleop-2");
+  t.is(limiter.check(0), undefined);
+  let limit = limiter.check(0);
+  t.regex(limit.reason, /Too fast/);
+  t.true(limit.retryAfterMs > 0 && limit.retryAfterMs <= 1000);
+  limiter.lastCommandMs = 0;
+  t.regex(limiter.check(2).reason, /has not acted on 2 commands/);
+  t.is(limiter.check(1), undefined);
+  t.is(limiter.commands, 2);
+  t.is(limiter.throttled, 2);
+});
@@ -150,6 +150,18 @@ function inches2mm(inches) {
     return inches / 25.4;
 }
 
+/**************************************************************************
+  Escape text to be put into an HTML page, including attribute values in quotes
+  Params:
+       - text
+  Returns:
+       - text with &, <, >, " and ' replaced by HTML entities
+ **************************************************************************/
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
 /**************************************************************************
   Export these functions so they can be used outside
  **************************************************************************/
@@ -164,5 +176,6 @@ module.exports = {
     hhmmss: hhmmss,
     randomDate: randomDate,
     capitalizeFirstLetter: capitalizeFirstLetter,
-    getFilesizeInBytes: getFilesizeInBytes
+    getFilesizeInBytes: getFilesizeInBytes,
+    escapeHtml: escapeHtml
 };
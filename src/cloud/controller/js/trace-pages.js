@@ -0,0 +1,100 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const TARGET_CANDIDATE = require('./decision-trace').TARGET_CANDIDATE;
+const FALSE_POSITIVE_CANDIDATE = require('./decision-trace').FALSE_POSITIVE_CANDIDATE;
+
+// How many of the most recent decisions are listed under the selected one
+const RECENT_DECISIONS = 20;
+
+/************************************************************
+  Navigation decisions of the car, one at a time with links to step through them (see decision-trace.js)
+  Input:
+    - car - the car to show the decisions of
+    - commandId - cloudTimestampMs of the command to show (the most recent one when undefined)
+ ************************************************************/
+module.exports.tracePage = function(car, commandId) {
+  let carQuery = '?car=' + encodeURIComponent(car.carId);
+  let traced = car.outboundMsgHistory.filter((command) => command.trace !== undefined);
+  let html = `<a href="/">Home</a> / <a href="/car${carQuery}">Car ${car.carId}</a> / <a href="/debugger${carQuery}">Debugger</a>
+    <h1>Navigation decisions</h1>`;
+  if (traced.length == 0) {
+    return html + "<p>Navigation has not made any decisions since the last reset.</p>";
+  }
+
+  let index = traced.length - 1;
+  if (commandId !== undefined) {
+    index = traced.findIndex((command) => String(command.cloudTimestampMs) == String(commandId));
+    if (index < 0) {
+      return html + "<p>Command <b>" + commandId + "</b> is not in the history of the car (any more).</p>";
+    }
+  }
+  let command = traced[index];
+  let trace = command.trace.toJSON();
+  let link = (i, label) => "<a href='/trace" + carQuery + "&command=" + traced[i].cloudTimestampMs + "'>" + label + "</a>";
+
+  html = html + "<p>Decision <b>" + (index + 1) + "</b> of " + traced.length + ": " +
+    (index > 0 ? link(0, "First") + " / " + link(index - 1, "Previous") : "First / Previous") + " / " +
+    (index < traced.length - 1 ? link(index + 1, "Next") + " / " + link(traced.length - 1, "Latest") : "Next / Latest") + "</p>";
+
+  html = html + "<p>Decided at <b>" + new Date(trace.startedMs).toUTCString() + "</b> in " + trace.durationMs + " ms. " +
+    "Goal: <b>" + trace.goal + "</b>, branch: <b>" + trace.branch + "</b></p>" +
+    "<h2>Sensor message</h2>" + fieldsTable(trace.sensorMessage) +
+    "<h2>Steps</h2><table border='1' cellpadding='4'><tr><th>#</th><th>Step</th><th>Details</th></tr>";
+  trace.steps.forEach((step, i) => {
+    let details = Object.assign({}, step);
+    delete details.name;
+    html = html + "<tr><td>" + (i + 1) + "</td><td>" + step.name + "</td><td><small>" + JSON.stringify(details) + "</small></td></tr>";
+  });
+  html = html + "</table>";
+
+  html = html + "<h2>Objects considered</h2>";
+  if (trace.candidates.length == 0) {
+    html = html + "<p>None</p>";
+  } else {
+    html = html + "<table border='1' cellpadding='4'><tr><th>Label</th><th>Score</th><th>x, y, w, h</th><th>Verdict</th><th>Details</th></tr>";
+    trace.candidates.forEach((candidate) => {
+      let color = (candidate.verdict == TARGET_CANDIDATE) ? "green" : ((candidate.verdict == FALSE_POSITIVE_CANDIDATE) ? "red" : "black");
+      html = html + "<tr><td>" + candidate.label + "</td><td>" + candidate.score + "</td>" +
+        "<td>" + [candidate.x, candidate.y, candidate.w, candidate.h].join(", ") + "</td>" +
+        "<td style='color:" + color + "'><b>" + candidate.verdict + "</b></td>" +
+        "<td><small>" + (candidate.reason || (candidate.size !== undefined ? "size x score = " + candidate.size.toFixed(4) : "")) + "</small></td></tr>";
+    });
+    html = html + "</table>";
+  }
+
+  html = html + "<h2>Settings and constants used</h2>" + fieldsTable(trace.constants) +
+    "<h2>Command sent</h2><p><small>" + JSON.stringify(command) + "</small></p>";
+
+  html = html + "<h2>Recent decisions</h2><table border='1' cellpadding='4'><tr><th>#</th><th>Time</th><th>Goal</th><th>Branch</th></tr>";
+  for (let i = traced.length - 1; i >= Math.max(0, traced.length - RECENT_DECISIONS); i--) {
+    let recent = traced[i].trace;
+    html = html + "<tr><td>" + (i == index ? "<b>" + (i + 1) + "</b>" : link(i, String(i + 1))) + "</td>" +
+      "<td>" + new Date(recent.startedMs).toUTCString() + "</td><td>" + recent.goal + "</td><td>" + recent.branches.join(" > ") + "</td></tr>";
+  }
+  return html + "</table>";
+};
+
+function fieldsTable(fields) {
+  let names = Object.keys(fields);
+  if (names.length == 0) {
+    return "<p>None</p>";
+  }
+  return "<table border='1' cellpadding='4'>" +
+    names.map((name) => "<tr><td>" + name + "</td><td>" + fields[name] + "</td></tr>").join("") + "</table>";
+}
@@ -0,0 +1,66 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var config = require('./config').config;
+
+// Google Cloud PubSub - this is what runs in the cloud
+const PUBSUB_TRANSPORT = "pubsub";
+// In-process message bus - for tests and offline development
+const MEMORY_TRANSPORT = "memory";
+// Local MQTT broker (such as mosquitto) - to run the whole control loop on a laptop
+const MQTT_TRANSPORT = "mqtt";
+
+/************************************************************
+  Message transport carries driving commands to the cars and sensor messages from the cars.
+  Every transport implements the same interface:
+    - publish(topicName, text) - returns a Promise which is resolved once the message has been sent
+    - subscribe(subscriptionName, onMessage, onError) - onMessage(message) is called for every
+      message received, where message.data is the message payload and message.ack() acknowledges it
+    - unsubscribe(subscriptionName, onMessage, onError) - stop delivering messages to these handlers
+
+  PubSub delivers messages from a topic via a subscription with its own name. The memory and MQTT
+  transports have no subscriptions - subscribing to a name delivers messages published to the topic
+  with the same name.
+
+  Transport is chosen by the MESSAGE_TRANSPORT setting: "pubsub" (default), "memory" or "mqtt".
+  MQTT broker URL is set by MQTT_URL setting (default is mqtt://localhost:1883)
+ ************************************************************/
+function createTransport(type) {
+  type = type || config.get('MESSAGE_TRANSPORT');
+  console.log("createTransport(): using '" + type + "' message transport");
+
+  // Transports are loaded on demand so their client libraries are only needed when used
+  if (type == PUBSUB_TRANSPORT) {
+    var PubSubTransport = require('./pubsub-transport');
+    return new PubSubTransport();
+  } else if (type == MEMORY_TRANSPORT) {
+    return require('./memory-transport').sharedBus();
+  } else if (type == MQTT_TRANSPORT) {
+    var MqttTransport = require('./mqtt-transport');
+    return new MqttTransport(config.get('MQTT_URL'));
+  }
+  throw new Error("createTransport(): unknown message transport '" + type + "', expected one of: " +
+    [PUBSUB_TRANSPORT, MEMORY_TRANSPORT, MQTT_TRANSPORT].join(", "));
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.createTransport = createTransport;
+module.exports.PUBSUB_TRANSPORT = PUBSUB_TRANSPORT;
+module.exports.MEMORY_TRANSPORT = MEMORY_TRANSPORT;
+module.exports.MQTT_TRANSPORT = MQTT_TRANSPORT;
@@ -0,0 +1,29 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var createTransport = require('./transport').createTransport;
+var sharedBus = require('./memory-transport').sharedBus;
+const MEMORY_TRANSPORT = require('./transport').MEMORY_TRANSPORT;
+
+test('transport is picked by its name or the MESSAGE_TRANSPORT setting', (t) => {
+  t.is(createTransport(MEMORY_TRANSPORT), sharedBus());
+  config.set('MESSAGE_TRANSPORT', MEMORY_TRANSPORT, undefined, "test");
+  t.is(createTransport(), sharedBus());
+  t.throws(() => createTransport("carrier-pigeon"), /unknown message transport 'carrier-pigeon'/);
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+// Categories of the failures to get objects detected in the picture
+// The sensor message has no usable gs:// path of the picture
+const VISION_NO_IMAGE = "noImage";
+// Inference API answered with a status other than 200
+const VISION_HTTP_STATUS = "httpStatus";
+// Inference API could not be reached (connection refused, timeout, DNS)
+const VISION_NETWORK = "network";
+// Inference API answered with something that is not the JSON we expect
+const VISION_BAD_RESPONSE = "badResponse";
+
+/************************************************************
+  Object detection of the picture failed. The category tells whether it makes sense
+  to try again with the same picture (see recovery.js)
+ ************************************************************/
+class VisionError extends Error {
+
+  /************************************************************
+    Input:
+      - category - one of the VISION_* categories
+      - message - what went wrong
+      - cause - underlying error (optional)
+   ************************************************************/
+  constructor(category, message, cause) {
+    super(message);
+    this.name = "VisionError";
+    this.category = category;
+    this.cause = cause;
+  }
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.VisionError = VisionError;
+module.exports.VISION_NO_IMAGE = VISION_NO_IMAGE;
+module.exports.VISION_HTTP_STATUS = VISION_HTTP_STATUS;
+module.exports.VISION_NETWORK = VISION_NETWORK;
+module.exports.VISION_BAD_RESPONSE = VISION_BAD_RESPONSE;
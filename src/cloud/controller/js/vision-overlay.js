@@ -0,0 +1,138 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var escapeHtml = require('./tools').escapeHtml;
+
+// Kinds of boxes on the overlay
+// The object navigation decided to go after (see Navigation.findNearestObject())
+const TARGET_BOX = "target";
+// Ball too high in the picture with a low score, ignored as a false positive (HIGH_BALL_TOP_BOUND and HIGH_BALL_SCORE)
+const REJECTED_BOX = "rejected";
+// Any other object found by Object Detection
+const DETECTED_BOX = "detected";
+
+// How each kind of box is drawn
+const BOX_STYLES = {
+  [TARGET_BOX]: "border:3px solid lime;",
+  [REJECTED_BOX]: "border:2px dashed red;opacity:0.8;",
+  [DETECTED_BOX]: "border:1px solid yellow;"
+};
+const LABEL_COLORS = { [TARGET_BOX]: "lime", [REJECTED_BOX]: "red", [DETECTED_BOX]: "yellow" };
+
+/************************************************************
+  What navigation saw in the picture and what it made of it, ready to be drawn over the camera image.
+  Coordinates are relative to the size of the picture (0 to 1), with x and y being the top left corner
+  of the box as returned by the inference API
+  Input:
+    - sensorMessage - sensor message with the picture
+    - visionResponse - Object Detection response for the picture
+    - objectLabel - label of the object navigation was looking for (aka "red_ball")
+    - target - bounding box navigation picked (undefined if nothing was found)
+    - rejected - bounding boxes dropped as false positives
+    - angle, distanceMm - direction and distance to the target as calculated by navigation
+  Output:
+    - { imageUrl, sensorTimestampMs, objectLabel, angle, distanceMm, boxes: [{ label, score, x, y, w, h, kind }] }
+ ************************************************************/
+function visionOverlay(sensorMessage, visionResponse, objectLabel, target, rejected, angle, distanceMm) {
+  let boxes = visionResponse.bBoxes.map((bBox) => ({
+    label: bBox.label,
+    score: parseFloat(bBox.score),
+    x: parseFloat(bBox.x),
+    y: parseFloat(bBox.y),
+    w: parseFloat(bBox.w),
+    h: parseFloat(bBox.h),
+    kind: (bBox === target) ? TARGET_BOX : ((rejected.indexOf(bBox) >= 0) ? REJECTED_BOX : DETECTED_BOX)
+  }));
+  return {
+    imageUrl: sensorMessage.sensors.frontCameraImagePath,
+    sensorTimestampMs: sensorMessage.timestampMs,
+    objectLabel: objectLabel,
+    angle: angle,
+    distanceMm: distanceMm,
+    boxes: boxes
+  };
+}
+
+/************************************************************
+  Boxes of the overlay as absolutely positioned HTML elements - to be placed over the image (see overlayImage())
+ ************************************************************/
+function overlayBoxes(overlay) {
+  if (!overlay) {
+    return "";
+  }
+  return overlay.boxes.map((box) => {
+    let position = "position:absolute;box-sizing:border-box;left:" + percent(box.x) + ";top:" + percent(box.y) +
+      ";width:" + percent(box.w) + ";height:" + percent(box.h) + ";";
+    let caption = "<span style='position:absolute;left:0;bottom:100%;white-space:nowrap;font:10px sans-serif;padding:0 2px;" +
+      "background:" + LABEL_COLORS[box.kind] + "'>" + box.label + " " + box.score.toFixed(2) +
+      (box.kind == REJECTED_BOX ? " (false positive)" : "") + "</span>";
+    return "<div title='" + box.kind + "' style='" + position + BOX_STYLES[box.kind] + "'>" + caption + "</div>";
+  }).join("");
+}
+
+/************************************************************
+  One line summary of the overlay: the target with its angle and distance and the number of false positives
+ ************************************************************/
+function overlayCaption(overlay) {
+  if (!overlay) {
+    return "";
+  }
+  let target = overlay.boxes.find((box) => box.kind == TARGET_BOX);
+  let rejected = overlay.boxes.filter((box) => box.kind == REJECTED_BOX).length;
+  let caption = (target === undefined) ?
+    "No " + overlay.objectLabel + " found" :
+    "Target " + target.label + " (score " + target.score.toFixed(2) + "): angle " + overlay.angle + " degrees, distance " + overlay.distanceMm + " mm";
+  caption = caption + ", " + overlay.boxes.length + " objects detected";
+  if (rejected > 0) {
+    caption = caption + ", " + rejected + " rejected as false positives";
+  }
+  return caption;
+}
+
+/************************************************************
+  Camera picture with the overlay drawn on top of it
+  Input:
+    - imageUrl - picture to show (the image is hidden when undefined)
+    - overlay - overlay of this picture (may be undefined)
+    - widthPx - width of the picture on the page
+    - live - true to give the elements the IDs updated by the live telemetry (see telemetry.js)
+ ************************************************************/
+function overlayImage(imageUrl, overlay, widthPx, live) {
+  let id = (name) => live ? " id='" + name + "'" : "";
+  return "<div style='position:relative;display:inline-block;width:" + widthPx + "px'>" +
+    "<img" + id('live-image') + " src='" + escapeHtml(imageUrl || '') + "' alt='picture of the ball' style='width:100%;display:" +
+    ((imageUrl === undefined) ? "none" : "block") + "'/>" +
+    "<div" + id('live-overlay') + " style='position:absolute;left:0;top:0;width:100%;height:100%;pointer-events:none'>" +
+    overlayBoxes(overlay) + "</div></div>" +
+    "<div><small" + id('live-overlay-caption') + ">" + overlayCaption(overlay) + "</small></div>";
+}
+
+function percent(value) {
+  return (value * 100).toFixed(2) + "%";
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.visionOverlay = visionOverlay;
+module.exports.overlayBoxes = overlayBoxes;
+module.exports.overlayCaption = overlayCaption;
+module.exports.overlayImage = overlayImage;
+module.exports.TARGET_BOX = TARGET_BOX;
+module.exports.REJECTED_BOX = REJECTED_BOX;
+module.exports.DETECTED_BOX = DETECTED_BOX;
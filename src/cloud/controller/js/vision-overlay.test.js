@@ -0,0 +1,70 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var BoundingBox = require('./bounding-box');
+var VisionResponse = require('./vision-response');
+var visionOverlay = require('./vision-overlay').visionOverlay;
+var overlayBoxes = require('./vision-overlay').overlayBoxes;
+var overlayCaption = require('./vision-overlay').overlayCaption;
+var overlayImage = require('./vision-overlay').overlayImage;
+const TARGET_BOX = require('./vision-overlay').TARGET_BOX;
+const REJECTED_BOX = require('./vision-overlay').REJECTED_BOX;
+const DETECTED_BOX = require('./vision-overlay').DETECTED_BOX;
+
+const SENSOR_MESSAGE = { timestampMs: 1000, sensors: { frontCameraImagePath: "https://storage.googleapis.com/bucket/image1.jpg" } };
+
+// Vision response with a ball navigation goes for, a ball high up rejected as a false positive and the home base
+function testOverlay() {
+  let target = new BoundingBox("redBall", "0.5", "0.6", "0.1", "0.1", "0.9");
+  let rejected = new BoundingBox("redBall", 0.2, 0.05, 0.05, 0.05, 0.3);
+  let response = new VisionResponse();
+  response.addBox(target);
+  response.addBox(rejected);
+  response.addBox(new BoundingBox("homeBase", 0.7, 0.4, 0.2, 0.3, 0.8));
+  return visionOverlay(SENSOR_MESSAGE, response, "redBall", target, [rejected], 14, 437);
+}
+
+test('every box is marked with what navigation made of it', (t) => {
+  let overlay = testOverlay();
+  t.is(overlay.imageUrl, SENSOR_MESSAGE.sensors.frontCameraImagePath);
+  t.is(overlay.sensorTimestampMs, 1000);
+  t.deepEqual(overlay.boxes.map((box) => box.kind), [TARGET_BOX, REJECTED_BOX, DETECTED_BOX]);
+  t.deepEqual(overlay.boxes[0], { label: "redBall", score: 0.9, x: 0.5, y: 0.6, w: 0.1, h: 0.1, kind: TARGET_BOX });
+});
+
+test('caption sums up the target and the false positives', (t) => {
+  let overlay = testOverlay();
+  t.is(overlayCaption(overlay), "Target redBall (score 0.90): angle 14 degrees, distance 437 mm, 3 objects detected, 1 rejected as false positives");
+  overlay.boxes = [];
+  t.is(overlayCaption(overlay), "No redBall found, 0 objects detected");
+  t.is(overlayCaption(undefined), "");
+});
+
+test('boxes are placed relative to the picture', (t) => {
+  let html = overlayBoxes(testOverlay());
+  t.regex(html, /left:50\.00%;top:60\.00%;width:10\.00%;height:10\.00%/);
+  t.regex(html, /redBall 0\.30 \(false positive\)/);
+  t.is(overlayBoxes(undefined), "");
+});
+
+test('picture without a URL is hidden and the URL is escaped', (t) => {
+  t.regex(overlayImage(undefined, undefined, 600, false), /src='' .*display:none/);
+  let html = overlayImage("https://example.com/a.jpg?x='><script>", testOverlay(), 600, true);
+  t.false(html.includes("<script>"));
+  t.regex(html, /id='live-image'/);
+});
@@ -25,6 +25,8 @@ module.exports = class VisionResponse {
   constructor() {
     // List of bounding boxes for objects found by Object Detection
     this.bBoxes = [];
+    // How long it took Object Detection API to respond (undefined for simulated responses)
+    this.latencyMs = undefined;
   }
 
   addBox(boundingBox) {
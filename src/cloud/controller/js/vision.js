@@ -15,23 +15,16 @@
  */
 
 'use strict';
-var process = require('process'); // Required for mocking environment variables
 const request = require('request');
-
-// User credentials to authenticate to remote Inference VM service
-const INFERENCE_USER_NAME = process.env.INFERENCE_USER_NAME;
-const INFERENCE_PASSWORD = process.env.INFERENCE_PASSWORD;
-
-//const APP_URL = `http:\/\/10.142.0.2:8080`;
-// const APP_URL = `https://${process.env.GOOGLE_CLOUD_PROJECT}.appspot.com`;
-const APP_URL = `http://${process.env.INFERENCE_VM_IP}`;
-const HTTP_PORT = process.env.HTTP_PORT;
-const INFERENCE_URL = process.env.INFERENCE_URL;
-const OBJECT_INFERENCE_API_URL = APP_URL + ':' + HTTP_PORT + INFERENCE_URL;
-
-require('dotenv').config();
+// Inference endpoint and credentials come from the configuration (INFERENCE_* settings) and can differ per car
+var config = require('./config').config;
 var VisionResponse = require('./vision-response');
 var BoundingBox = require('./bounding-box');
+var VisionError = require('./vision-error').VisionError;
+const VISION_NO_IMAGE = require('./vision-error').VISION_NO_IMAGE;
+const VISION_HTTP_STATUS = require('./vision-error').VISION_HTTP_STATUS;
+const VISION_NETWORK = require('./vision-error').VISION_NETWORK;
+const VISION_BAD_RESPONSE = require('./vision-error').VISION_BAD_RESPONSE;
 
 // Initialize simulation engine (it may be On or Off)
 var VisionSimulator = require('./simulation').VisionSimulator;
@@ -43,8 +36,17 @@ let visionSimulator = new VisionSimulator();
  **************************************************************************/
 module.exports = class Vision {
 
-  constructor() {
-    // Whatever needs to be done here...
+  // ID of the car to look up the inference endpoint for
+  constructor(carId) {
+    this.carId = carId;
+  }
+
+  /************************************************************
+    URL of the Object Detection API
+   ************************************************************/
+  inferenceApiUrl() {
+    const APP_URL = `http://${config.get('INFERENCE_VM_IP', this.carId)}`;
+    return APP_URL + ':' + config.get('HTTP_PORT', this.carId) + config.get('INFERENCE_URL', this.carId);
   }
 
   /************************************************************
@@ -53,6 +55,7 @@ module.exports = class Vision {
       - sensorMessage - includes GCS URL to the Image (gs://...)
     Ouput:
       - VisionResponse - Coordinates of various objects that were recognized
+      - rejected with VisionError when the objects could not be detected
    ************************************************************/
   recognizeObjects(sensorMessage) {
     console.log("recognizeObjects()...");
@@ -67,12 +70,20 @@ module.exports = class Vision {
 
     // Call REST API - Object Detection - ML Engine or TensorFlow
     // this returns a Promise which when resolved returns the VisionResponse object
+    let startTime = Date.now();
     return this.recognizeObjectAPIAsync(sensorMessage)
       .then((response) => {
         return Promise.resolve()
           .then(() => {
             // console.log("Returning a vision response from recognizeObjectAPIAsync in recognizeObjects");
-            return this.createVisionResponse(response);
+            let visionResponse;
+            try {
+              visionResponse = this.createVisionResponse(response);
+            } catch (err) {
+              throw new VisionError(VISION_BAD_RESPONSE, "Inference API response can not be parsed: " + err.message, err);
+            }
+            visionResponse.latencyMs = Date.now() - startTime;
+            return visionResponse;
           });
       });
   }
@@ -102,31 +113,33 @@ module.exports = class Vision {
 
 
   recognizeObjectAPIAsync(sensorMessage) {
+    const OBJECT_INFERENCE_API_URL = this.inferenceApiUrl();
+    // User credentials to authenticate to remote Inference VM service
+    const auth = { user: config.get('INFERENCE_USER_NAME', this.carId), pass: config.get('INFERENCE_PASSWORD', this.carId) };
     return new Promise(function(resolve, reject) {
       var gcsURI = sensorMessage.sensors.frontCameraImagePathGCS;
       if (!gcsURI) {
-        reject("No gcURI found in sensorMessage");
+        reject(new VisionError(VISION_NO_IMAGE, "No gcURI found in sensorMessage"));
         return;
       } else if (!gcsURI.startsWith("gs://")) {
-        reject("gcsURI must start with gs://");
+        reject(new VisionError(VISION_NO_IMAGE, "gcsURI must start with gs://"));
         return;
       } else {
         var apiUrl = OBJECT_INFERENCE_API_URL + "?gcs_uri=" + encodeURIComponent(gcsURI);
         console.log("apiUrl: " + apiUrl);
         var visionResponse = new VisionResponse();
-        const auth = { user: INFERENCE_USER_NAME, pass: INFERENCE_PASSWORD };
         // Measure time it takes to call inference API
         var startTime = Date.now();
         request({ uri: apiUrl, auth: auth }, function(err, response, body) {
           // console.log("Response received: ");
           if (err) {
-            reject(err);
+            reject(new VisionError(VISION_NETWORK, "Inference API can not be reached: " + err.message, err));
           } else {
 
             console.log("Vision response took "+(Date.now() - startTime)+" ms:" + body);
             // console.log("now...moving on");
             if (response.statusCode != 200) {
-              reject("Received " + response.statusCode + " from API");
+              reject(new VisionError(VISION_HTTP_STATUS, "Received " + response.statusCode + " from API"));
               return;
             } else {
               resolve(body);
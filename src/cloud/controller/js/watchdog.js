@@ -0,0 +1,135 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+const EventEmitter = require('events');
+// Timeouts and the failsafe are read from the configuration every time, so they can be changed at runtime
+var config = require('./config').config;
+
+// States of the watchdog
+const OFF = "off";
+const WATCHING = "watching";
+const NUDGED = "nudged";
+const FAILSAFE = "failsafe";
+
+// Failsafe actions (WATCHDOG_FAILSAFE setting)
+const FAILSAFE_STOP = "stop";
+const FAILSAFE_MANUAL = "manual";
+const FAILSAFE_ALERT = "alert";
+
+/************************************************************
+  Watches a single car in automatic mode. The driving loop only moves on when the car sends a sensor
+  message, so when a message is lost or navigation fails to answer, the car waits forever.
+
+  When there has been no sensor message for WATCHDOG_NUDGE_SEC the watchdog asks the car for a new one.
+  If the car is still silent WATCHDOG_FAILSAFE_SEC after that, the failsafe is applied (WATCHDOG_FAILSAFE)
+  and the watchdog waits for the next sensor message without doing anything else.
+
+  Watchdog emits the following events:
+    - 'nudge' - car needs to be asked for a sensor message
+    - 'failsafe' - car is still silent, the failsafe has to be applied (action, alert)
+ ************************************************************/
+class Watchdog extends EventEmitter {
+
+  // ID of the car to look up the WATCHDOG_* settings for
+  constructor(carId) {
+    super();
+    this.carId = carId;
+    this.state = OFF;
+    this.timer = undefined;
+    this.reset();
+  }
+
+  reset() {
+    this.nudges = 0;
+    this.failsafes = 0;
+    this.lastFailsafe = undefined;
+  }
+
+  /************************************************************
+    Start watching the car (when it enters automatic mode)
+   ************************************************************/
+  start() {
+    if (!config.get('WATCHDOG_ENABLED', this.carId)) {
+      console.log("Watchdog.start(carId=" + this.carId + "): watchdog is disabled by WATCHDOG_ENABLED");
+      this.stop();
+      return;
+    }
+    this.lastSensorMs = new Date().getTime();
+    this.watch(WATCHING, 'WATCHDOG_NUDGE_SEC', () => this.nudge());
+  }
+
+  /************************************************************
+    Stop watching the car (when it leaves automatic mode)
+   ************************************************************/
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    this.state = OFF;
+  }
+
+  /************************************************************
+    The car has sent a sensor message - start counting the silence from now
+   ************************************************************/
+  feed() {
+    if (this.state == OFF) {
+      return;
+    }
+    this.lastSensorMs = new Date().getTime();
+    this.watch(WATCHING, 'WATCHDOG_NUDGE_SEC', () => this.nudge());
+  }
+
+  watch(state, timeoutSetting, onTimeout) {
+    clearTimeout(this.timer);
+    this.state = state;
+    this.timer = setTimeout(onTimeout, config.get(timeoutSetting, this.carId) * 1000);
+  }
+
+  nudge() {
+    this.nudges++;
+    console.log("Watchdog.nudge(carId=" + this.carId + "): no sensor message for " + this.silentSec() + " sec, asking the car for one");
+    this.watch(NUDGED, 'WATCHDOG_FAILSAFE_SEC', () => this.failsafe());
+    this.emit('nudge');
+  }
+
+  failsafe() {
+    let action = config.get('WATCHDOG_FAILSAFE', this.carId);
+    this.timer = undefined;
+    this.state = FAILSAFE;
+    this.failsafes++;
+    let alert = {
+      timestampMs: new Date().getTime(),
+      action: action,
+      message: "Watchdog: no sensor message from the car for " + this.silentSec() + " sec even after the nudge, failsafe '" + action + "' applied"
+    };
+    this.lastFailsafe = alert;
+    console.error("ERROR: Watchdog.failsafe(carId=" + this.carId + "): " + alert.message);
+    this.emit('failsafe', action, alert);
+  }
+
+  silentSec() {
+    return Math.round((new Date().getTime() - this.lastSensorMs) / 1000);
+  }
+}
+
+/**************************************************************************
+  Module exports
+**************************************************************************/
+module.exports.Watchdog = Watchdog;
+module.exports.FAILSAFE_STOP = FAILSAFE_STOP;
+module.exports.FAILSAFE_MANUAL = FAILSAFE_MANUAL;
+module.exports.FAILSAFE_ALERT = FAILSAFE_ALERT;
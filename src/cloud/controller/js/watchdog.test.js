@@ -0,0 +1,62 @@
+/**
+ * Copyright 2018, Google, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const test = require('ava');
+var config = require('./config').config;
+var Watchdog = require('./watchdog').Watchdog;
+const FAILSAFE_STOP = require('./watchdog').FAILSAFE_STOP;
+
+test('silent car is nudged, then the failsafe is applied once', (t) => {
+  config.set('WATCHDOG_NUDGE_SEC', 1, "watchdog-1", "test");
+  config.set('WATCHDOG_FAILSAFE_SEC', 1, "watchdog-1", "test");
+  config.set('WATCHDOG_FAILSAFE', FAILSAFE_STOP, "watchdog-1", "test");
+  let watchdog = new Watchdog("watchdog-1");
+  let events = [];
+  watchdog.on('nudge', () => events.push('nudge'));
+  watchdog.on('failsafe', (action, alert) => events.push(action));
+  watchdog.start();
+  t.is(watchdog.state, "watching");
+  return new Promise((resolve) => setTimeout(resolve, 2500)).then(() => {
+    t.deepEqual(events, ['nudge', FAILSAFE_STOP]);
+    t.is(watchdog.state, "failsafe");
+    t.is(watchdog.nudges, 1);
+    t.is(watchdog.failsafes, 1);
+    t.regex(watchdog.lastFailsafe.message, /failsafe 'stop' applied/);
+    watchdog.stop();
+  });
+});
+
+test('sensor message starts the silence over, but only while watching', (t) => {
+  let watchdog = new Watchdog("watchdog-2");
+  watchdog.feed();
+  t.is(watchdog.state, "off");
+  watchdog.start();
+  watchdog.nudge();
+  t.is(watchdog.state, "nudged");
+  watchdog.feed();
+  t.is(watchdog.state, "watching");
+  watchdog.stop();
+  t.is(watchdog.state, "off");
+  t.is(watchdog.timer, undefined);
+});
+
+test('disabled watchdog does not watch', (t) => {
+  config.set('WATCHDOG_ENABLED', false, "watchdog-3", "test");
+  let watchdog = new Watchdog("watchdog-3");
+  watchdog.start();
+  t.is(watchdog.state, "off");
+});
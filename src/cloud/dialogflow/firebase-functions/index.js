@@ -17,6 +17,10 @@ let COMMAND_TOPIC = 'driving-commands-topic-3';
 
 //import * as Tools from "../../../js/tools";
 
+// Voice commands always reach the car over Cloud PubSub, whatever MESSAGE_TRANSPORT the controller uses
+// (see controller/js/transport.js). This function is deployed on its own from this directory, so it can not
+// require the controller's transport, and neither the in-memory bus nor a local MQTT broker can be reached
+// from Cloud Functions.
 let PubSub = require('@google-cloud/pubsub');
 const pubsub = PubSub();
 const command_topic = pubsub.topic(COMMAND_TOPIC);